@@ -8,6 +8,7 @@
 
 const path = require('path');
 const Integrator = require('./integrator');
+const { getOrganization } = require('./utilities/signature_extractor');
 
 class ContactManager {
     constructor() {
@@ -66,7 +67,7 @@ class ContactManager {
             // Match command patterns
             if (cmd.includes('analyze email') || cmd.includes('analyze gmail')) {
                 if (options.email) {
-                    return await this.analyzeContact(options.email, options.maxEmails);
+                    return await this.analyzeContact(options.email, options.maxEmails, options);
                 } else {
                     return {
                         status: 'error',
@@ -77,7 +78,7 @@ class ContactManager {
             
             else if (cmd.includes('analyze contact')) {
                 if (options.email) {
-                    return await this.analyzeContact(options.email, options.maxEmails);
+                    return await this.analyzeContact(options.email, options.maxEmails, options);
                 } else {
                     return {
                         status: 'error',
@@ -123,6 +124,34 @@ class ContactManager {
                 return await this.trackOutreachResponses(options.days || 30);
             }
             
+            else if (cmd.includes('discover contacts')) {
+                return await this.discoverContacts(options);
+            }
+            
+            else if (cmd.includes('accept contacts') || cmd.includes('reject contacts')) {
+                return await this.reviewContactProposals(cmd.includes('accept'), options.emails);
+            }
+            
+            else if (cmd.includes('analyze meetings') || cmd.includes('import calendar')) {
+                return await this.analyzeMeetings(options);
+            }
+            
+            else if (cmd.includes('extract signatures')) {
+                return await this.extractSignatureDetails(options);
+            }
+            
+            else if (cmd.includes('accept details') || cmd.includes('reject details')) {
+                return await this.reviewDetailProposals(cmd.includes('accept'), options.ids);
+            }
+            
+            else if (cmd.includes('detect changes') || cmd.includes('job changes')) {
+                return await this.detectCareerEvents(options);
+            }
+            
+            else if (cmd.includes('extract topics')) {
+                return await this.extractTopics(options);
+            }
+            
             else {
                 return {
                     status: 'error',
@@ -135,7 +164,17 @@ class ContactManager {
                         'generate email for [contacts]',
                         'get top contacts',
                         'generate report',
-                        'track responses'
+                        'track responses',
+                        'discover contacts',
+                        'accept contacts [emails]',
+                        'reject contacts [emails]',
+                        'analyze meetings',
+                        'import calendar [ics files]',
+                        'extract signatures',
+                        'accept details [ids]',
+                        'reject details [ids]',
+                        'detect changes',
+                        'extract topics'
                     ]
                 };
             }
@@ -152,15 +191,29 @@ class ContactManager {
      * Analyze a contact's email communications
      * @param {string} email - Email address of the contact
      * @param {number} maxEmails - Maximum number of emails to analyze
+     * @param {Object} options - Optional date window ({ after, before })
      * @returns {Promise<Object>} - Analysis results
      */
-    async analyzeContact(email, maxEmails = 100) {
+    async analyzeContact(email, maxEmails = 100, options = {}) {
         try {
-            const result = await this.integrator.analyzeContact(email, maxEmails);
+            const result = await this.integrator.analyzeContact(email, maxEmails, {
+                after: options.after,
+                before: options.before
+            });
+            
+            if (result.incomplete) {
+                return {
+                    status: 'error',
+                    message: `Could not fetch all email for ${email}; the contact was marked incomplete: ${result.metrics.error}`,
+                    details: result
+                };
+            }
+            
+            const note = result.truncated ? ' (results were truncated, so counts are a lower bound)' : '';
             
             return {
                 status: 'success',
-                message: `Successfully analyzed communications for ${email}`,
+                message: `Successfully analyzed communications for ${email}${note}`,
                 details: result
             };
         } catch (error) {
@@ -296,6 +349,216 @@ class ContactManager {
         }
     }
     
+    /**
+     * Discover frequent correspondents missing from the knowledge graph
+     * @param {Object} options - Discovery options (minMessages, limit, after, before, includeOneWay)
+     * @returns {Promise<Object>} - Proposals awaiting review
+     */
+    async discoverContacts(options = {}) {
+        try {
+            const results = await this.integrator.discoverContacts(options);
+            
+            return {
+                status: 'success',
+                message: `Found ${results.proposals.length} people you correspond with who are not in your contacts`,
+                proposals: results.proposals.map(proposal => ({
+                    email: proposal.email,
+                    name: proposal.name,
+                    score: proposal.score,
+                    emailsSent: proposal.emailsSent,
+                    emailsReceived: proposal.emailsReceived,
+                    lastContactDate: proposal.lastContactDate
+                })),
+                details: results
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                message: `Failed to discover contacts: ${error.message}`,
+                error
+            };
+        }
+    }
+    
+    /**
+     * Accept or reject discovered contact proposals
+     * @param {boolean} accept - True to add the contacts, false to reject them
+     * @param {Array} emails - Proposal addresses (accepting without addresses takes all pending)
+     * @returns {Promise<Object>} - Review results
+     */
+    async reviewContactProposals(accept, emails = null) {
+        if (!accept && (!emails || emails.length === 0)) {
+            return {
+                status: 'error',
+                message: 'Please specify the email addresses to reject.'
+            };
+        }
+        
+        try {
+            if (accept) {
+                const results = await this.integrator.acceptContactProposals(emails);
+                return {
+                    status: 'success',
+                    message: `Added ${results.added.length} contacts to the knowledge graph`,
+                    details: results
+                };
+            }
+            
+            const results = await this.integrator.rejectContactProposals(emails);
+            return {
+                status: 'success',
+                message: `Rejected ${results.rejected.length} contact proposals`,
+                details: results
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                message: `Failed to review contact proposals: ${error.message}`,
+                error
+            };
+        }
+    }
+    
+    /**
+     * Record meetings from calendar invitations and .ics exports on contacts
+     * @param {Object} options - Meeting options (icsPaths, skipMail, after, before)
+     * @returns {Promise<Object>} - Meeting analysis summary
+     */
+    async analyzeMeetings(options = {}) {
+        try {
+            const results = await this.integrator.analyzeMeetings(options);
+            
+            return {
+                status: 'success',
+                message: `Found ${results.meetings} meetings; ${results.updatedContacts} contacts attended at least one`,
+                details: results
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                message: `Failed to analyze meetings: ${error.message}`,
+                error
+            };
+        }
+    }
+    
+    /**
+     * Propose contact detail updates from contacts' email signatures
+     * @param {Object} options - Extraction options (contactIds, limit, maxMessages, minConfidence)
+     * @returns {Promise<Object>} - Proposals awaiting review
+     */
+    async extractSignatureDetails(options = {}) {
+        try {
+            const results = await this.integrator.extractSignatureDetails(options);
+            
+            return {
+                status: 'success',
+                message: `Proposed ${results.proposals.length} contact detail updates from ${results.contactsChecked} contacts' signatures`,
+                proposals: results.proposals.map(proposal => ({
+                    id: proposal.id,
+                    contact: proposal.contactName,
+                    field: proposal.field,
+                    value: proposal.value,
+                    currentValue: proposal.currentValue,
+                    confidence: proposal.confidence,
+                    date: proposal.source.date
+                })),
+                details: results
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                message: `Failed to extract signature details: ${error.message}`,
+                error
+            };
+        }
+    }
+    
+    /**
+     * Accept or reject proposed contact detail updates
+     * @param {boolean} accept - True to apply the updates, false to reject them
+     * @param {Array} ids - Proposal IDs (accepting without IDs takes all pending)
+     * @returns {Promise<Object>} - Review results
+     */
+    async reviewDetailProposals(accept, ids = null) {
+        if (!accept && (!ids || ids.length === 0)) {
+            return {
+                status: 'error',
+                message: 'Please specify the proposal IDs to reject.'
+            };
+        }
+        
+        try {
+            const results = await this.integrator.reviewDetailProposals(accept, ids);
+            return {
+                status: 'success',
+                message: accept
+                    ? `Applied ${results.applied.length} contact detail updates`
+                    : `Rejected ${results.rejected.length} contact detail updates`,
+                details: results
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                message: `Failed to review detail proposals: ${error.message}`,
+                error
+            };
+        }
+    }
+    
+    /**
+     * Detect job, title and address changes of contacts from mail
+     * @param {Object} options - Walk options (after, before, maxResults)
+     * @returns {Promise<Object>} - Newly detected events
+     */
+    async detectCareerEvents(options = {}) {
+        try {
+            const results = await this.integrator.detectCareerEvents(options);
+            
+            return {
+                status: 'success',
+                message: `Detected ${results.events.length} new job, title or address changes`,
+                events: results.events.map(event => ({
+                    contact: event.name,
+                    eventType: event.eventType,
+                    previousValue: event.previousValue,
+                    newValue: event.newValue,
+                    date: event.date
+                })),
+                details: results
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                message: `Failed to detect changes: ${error.message}`,
+                error
+            };
+        }
+    }
+    
+    /**
+     * Extract conversation topics for all contacts
+     * @param {Object} options - Options (after, before, maxResults, topicCount)
+     * @returns {Promise<Object>} - Extraction summary
+     */
+    async extractTopics(options = {}) {
+        try {
+            const results = await this.integrator.extractTopics(options);
+            
+            return {
+                status: 'success',
+                message: `Extracted topics for ${results.contactsUpdated} contacts from ${results.scannedThreads} threads`,
+                details: results
+            };
+        } catch (error) {
+            return {
+                status: 'error',
+                message: `Failed to extract topics: ${error.message}`,
+                error
+            };
+        }
+    }
+    
     /**
      * A convenience method for Claude to analyze a specific email using Gmail
      * @param {string} email - Email address to analyze
@@ -319,7 +582,7 @@ class ContactManager {
                 message: `Analysis complete for ${email}`,
                 summary: {
                     name: contactDetails.name || email.split('@')[0],
-                    organization: contactDetails.organization || 'Unknown',
+                    organization: getOrganization(contactDetails).name || 'Unknown',
                     emailCount: communicationMetrics.emailCount || 0,
                     lastContacted: communicationMetrics.lastContacted || 'Never',
                     responseRate: `${Math.round((communicationMetrics.responseRate || 0) * 100)}%`,
@@ -359,7 +622,7 @@ class ContactManager {
                 return {
                     name: contact.name,
                     email: contactDetails.emails ? contactDetails.emails[0] : 'No email',
-                    organization: contactDetails.organization || 'Unknown',
+                    organization: getOrganization(contactDetails).name || 'Unknown',
                     importance: importanceMetrics.calculatedScore || 0,
                     lastContacted: communicationMetrics.lastContacted || 'Never',
                     categories: categories.categories.join(', ') || 'None'
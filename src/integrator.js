@@ -0,0 +1,771 @@
+/**
+ * Integrator
+ *
+ * Integration layer between the contact manager and the individual
+ * components. It owns the knowledge graph and the tracking data, wires
+ * them into the Gmail analyzer, the Google Contacts importer, the email
+ * generators, the outreach tracker and the report generator, and saves
+ * the graph after every step that changes it.
+ */
+
+const path = require('path');
+const KnowledgeGraph = require('./utilities/knowledge_graph');
+const mailAnalysis = require('./utilities/mail_analysis');
+const DesktopGmailProvider = require('./utilities/mail_providers/desktop_gmail_provider');
+const CachingMailProvider = require('./utilities/mail_providers/caching_provider');
+const { ThreadCache, CACHE_DIR } = require('./utilities/thread_cache');
+const contactDiscovery = require('./utilities/contact_discovery');
+const meetingAnalysis = require('./utilities/meeting_analysis');
+const signatureExtractor = require('./utilities/signature_extractor');
+const careerEvents = require('./utilities/career_events');
+const topicExtraction = require('./utilities/topic_extraction');
+const { refreshCommunicationTrends } = require('./utilities/communication_trend');
+const { loadUserConfig, getUserConfig, getAccount } = require('./utilities/user_config');
+const { createAccountProvider } = require('./utilities/mail_accounts');
+const { canonicalizeAddress, getMessageAddresses } = require('./utilities/address_parser');
+const {
+    parseGoogleContactsExport,
+    transformToEntities
+} = require('./utilities/importers/google_contacts_importer');
+const { generateBulkEmails, saveEmailsToFiles } = require('./utilities/email_generator');
+const {
+    initializeTrackingSystem,
+    saveTrackingData,
+    recordOutreach,
+    recordResponseForContact,
+    updateKnowledgeGraphWithResponse,
+    generateEffectivenessReport
+} = require('./utilities/outreach_tracker');
+const {
+    initializeReportGenerator,
+    saveGoalsProgress,
+    updateGoalsProgress,
+    generateProgressReport,
+    saveReport
+} = require('./utilities/report_generator');
+const { buildTopContactsReport } = require('./utilities/generate_top_contacts');
+
+// Number of contacts the project is trying to keep in close contact with
+const TOP_CONTACTS_GOAL = 150;
+
+class Integrator {
+    /**
+     * @param {Object} options - Optional overrides
+     * @param {Object} options.mailProvider - Mail provider (defaults to Desktop tools or the Gmail API)
+     * @param {string} options.contactsCsvPath - Google Contacts CSV export to import
+     * @param {string} options.emailOutputDirectory - Directory for generated emails
+     * @param {string} options.proposalsPath - File holding discovered contact proposals
+     * @param {string} options.calendarEventsPath - File holding calendar events found so far
+     * @param {string} options.detailProposalsPath - File holding contact detail updates from signatures
+     * @param {string} options.threadCacheDirectory - Thread cache directory (defaults to the one email_analyzer.js uses)
+     * @param {string} options.configPath - User configuration file (defaults to $CONTACT_PROJECT_CONFIG, else src/config/user_config.json)
+     * @param {string} options.account - Configured account to read mail from (defaults to the first)
+     */
+    constructor(options = {}) {
+        this.graph = new KnowledgeGraph();
+        this.trackingData = null;
+        this.mailProvider = options.mailProvider || null;
+        this.initialized = false;
+        this.options = options;
+        this.dataDirectory = null;
+        this.contactsCsvPath = options.contactsCsvPath || null;
+        this.emailOutputDirectory = options.emailOutputDirectory || null;
+        this.proposalsPath = options.proposalsPath || null;
+        this.calendarEventsPath = options.calendarEventsPath || null;
+        this.detailProposalsPath = options.detailProposalsPath || null;
+    }
+    
+    /**
+     * Initialize the knowledge graph and tracking data
+     * @param {string} entitiesFilePath - Path to entities JSON file
+     * @param {string} relationshipsFilePath - Path to relationships JSON file
+     * @returns {Promise<Object>} - Summary of the loaded data
+     */
+    async initialize(entitiesFilePath, relationshipsFilePath) {
+        // Fail before reading anything when the configuration is invalid
+        loadUserConfig(this.options.configPath);
+        
+        await this.graph.initialize(entitiesFilePath, relationshipsFilePath);
+        this.trackingData = await initializeTrackingSystem();
+        this.mailProvider = this.mailProvider || await this._createMailProvider();
+        
+        // Default locations live next to the knowledge graph directory
+        this.dataDirectory = path.dirname(path.dirname(entitiesFilePath));
+        this.contactsCsvPath = this.contactsCsvPath ||
+            path.join(this.dataDirectory, 'google_contacts.csv');
+        this.emailOutputDirectory = this.emailOutputDirectory ||
+            path.join(this.dataDirectory, 'output', 'emails');
+        this.proposalsPath = this.proposalsPath ||
+            path.join(path.dirname(entitiesFilePath), 'contact_proposals.json');
+        this.calendarEventsPath = this.calendarEventsPath ||
+            path.join(path.dirname(entitiesFilePath), 'calendar_events.json');
+        this.detailProposalsPath = this.detailProposalsPath ||
+            path.join(path.dirname(entitiesFilePath), 'detail_proposals.json');
+        
+        this.initialized = true;
+        
+        return {
+            entities: Object.keys(this.graph.entities).length,
+            contacts: this.graph.findEntitiesByType('Contact').length,
+            relationships: this.graph.relationships.length,
+            mailProvider: this.mailProvider ? this.mailProvider.constructor.name : null,
+            outreachRecords: Object.keys(this.trackingData.outreachStatus).length
+        };
+    }
+    
+    /**
+     * Analyze a contact's email communications and update the knowledge graph
+     * @param {string} email - Email address of the contact
+     * @param {number} maxEmails - Maximum number of threads to analyze
+     * @param {Object} options - Optional date window ({ after, before })
+     * @returns {Promise<Object>} - Analysis results
+     */
+    async analyzeContact(email, maxEmails = 100, options = {}) {
+        this._ensureInitialized();
+        this._ensureMailProvider();
+        
+        // Find the contact, creating one below if we have never seen this address
+        let contact = this.graph.findByEmail(email);
+        let created = false;
+        
+        const metrics = await mailAnalysis.analyzeContactEmails(this.mailProvider, email, {
+            maxThreads: maxEmails,
+            after: options.after,
+            before: options.before,
+            contactSchedule: contact ? mailAnalysis.getContactSchedule(this.graph, contact.id) : null
+        });
+        
+        if (!contact) {
+            contact = this._createContactFromEmail(email);
+            created = true;
+        }
+        
+        let incomplete = Boolean(metrics.incomplete);
+        if (incomplete) {
+            // Keep the previous score rather than scoring a failed fetch as silence
+            mailAnalysis.markContactIncomplete(this.graph, contact.id, metrics.error);
+        } else if (metrics.totalEmails > 0) {
+            incomplete = !mailAnalysis.updateContactWithEmailMetrics(this.graph, contact.id, metrics);
+        }
+        
+        this.graph.calculateImportanceScores();
+        await this.graph.saveToFiles();
+        await this._flushMailProvider();
+        
+        const entity = this.graph.entities[contact.id];
+        const findObservation = type => entity.observations.find(obs => obs.type === type) || {};
+        const importanceMetrics = findObservation('importance_metrics');
+        
+        return {
+            contactId: contact.id,
+            created,
+            metrics,
+            truncated: metrics.truncated,
+            incomplete,
+            analysisResults: {
+                contactDetails: {
+                    name: entity.name,
+                    ...findObservation('contact_details')
+                },
+                communicationMetrics: {
+                    ...findObservation('communication_metrics'),
+                    importanceScore: importanceMetrics.calculatedScore || 0
+                },
+                communicationPatterns: findObservation('communication_patterns')
+            }
+        };
+    }
+    
+    /**
+     * Import contacts from a Google Contacts CSV export and merge them into the graph
+     * @param {string} csvFilePath - Path to the CSV export
+     * @returns {Promise<Object>} - Import results
+     */
+    async importGoogleContacts(csvFilePath = this.contactsCsvPath) {
+        this._ensureInitialized();
+        
+        const contactsData = await parseGoogleContactsExport(csvFilePath);
+        const importedEntities = transformToEntities(contactsData);
+        
+        const results = {
+            parsed: contactsData.length,
+            added: 0,
+            updated: 0,
+            skipped: 0
+        };
+        
+        for (const imported of importedEntities) {
+            const importedDetails = imported.observations.find(obs => obs.type === 'contact_details');
+            
+            // Nothing to identify the contact by
+            if (!imported.name && importedDetails.emails.length === 0) {
+                results.skipped++;
+                continue;
+            }
+            
+            // Match existing contacts on any of their email addresses
+            const existing = importedDetails.emails
+                .map(email => this.graph.findByEmail(email))
+                .find(Boolean);
+            
+            if (existing) {
+                this._mergeContactDetails(existing.id, imported.name, importedDetails);
+                results.updated++;
+            } else {
+                // Importer IDs are positional, so renumber against the graph
+                imported.id = this._nextContactId();
+                this.graph.addEntity(imported);
+                results.added++;
+            }
+        }
+        
+        await this.graph.saveToFiles();
+        
+        return results;
+    }
+    
+    /**
+     * Generate personalized emails for contacts and record the outreach
+     * @param {Array} contactIds - Array of contact IDs
+     * @param {string} templatePath - Path to the template file
+     * @param {Object} userData - User data for templating
+     * @returns {Promise<Array>} - Generated email objects
+     */
+    async generateEmailsForContacts(contactIds, templatePath, userData = {}) {
+        this._ensureInitialized();
+        
+        const contacts = contactIds.map(id => {
+            const contact = this.graph.entities[id];
+            if (!contact) {
+                throw new Error(`Contact ${id} does not exist.`);
+            }
+            return contact;
+        });
+        
+        const emails = await generateBulkEmails(contacts, templatePath, userData);
+        
+        // Tag each email with its category so the tracker can report per category
+        emails.forEach(email => {
+            const category = this._getContactCategory(email.contactId);
+            if (category) {
+                email.category = category;
+            }
+            recordOutreach(email, this.trackingData);
+        });
+        
+        await saveEmailsToFiles(emails, this.emailOutputDirectory);
+        await saveTrackingData(this.trackingData);
+        
+        return emails;
+    }
+    
+    /**
+     * Get the top contacts by importance score
+     * @param {number} count - Number of contacts to return
+     * @param {string} category - Optional category name filter
+     * @returns {Array} - Top contact entities
+     */
+    getTopContacts(count = 50, category = null) {
+        this._ensureInitialized();
+        
+        if (!category) {
+            return this.graph.getTopContacts(count);
+        }
+        
+        const wanted = category.toLowerCase();
+        const allContacts = this.graph.getTopContacts(Object.keys(this.graph.entities).length);
+        
+        return allContacts
+            .filter(contact => (this._getContactCategory(contact.id) || '').toLowerCase() === wanted)
+            .slice(0, count);
+    }
+    
+    /**
+     * Generate and save a report
+     * @param {string} reportType - top_contacts, progress or effectiveness
+     * @param {Object} options - Report options (e.g. count for top_contacts)
+     * @returns {Promise<Object>} - Report type, content and saved file path
+     */
+    async generateReport(reportType = 'top_contacts', options = {}) {
+        this._ensureInitialized();
+        
+        let content;
+        
+        switch (reportType) {
+            case 'top_contacts': {
+                await initializeReportGenerator();
+                this.graph.calculateImportanceScores();
+                await this.graph.saveToFiles();
+                content = buildTopContactsReport(this.graph, options.count || TOP_CONTACTS_GOAL).content;
+                break;
+            }
+            
+            case 'progress': {
+                // Trends move as time passes, even for contacts with no new mail
+                refreshCommunicationTrends(this.graph, getUserConfig().trend);
+                await this.graph.saveToFiles();
+                
+                const goalsProgress = updateGoalsProgress(
+                    this._collectGoalsProgress(),
+                    await initializeReportGenerator()
+                );
+                content = generateProgressReport(goalsProgress, this.graph, this.trackingData);
+                
+                // The next report lists changes from this point on
+                await saveGoalsProgress({ ...goalsProgress, lastReportDate: new Date().toISOString() });
+                break;
+            }
+            
+            case 'effectiveness': {
+                await initializeReportGenerator();
+                content = generateEffectivenessReport(this.trackingData, this.graph);
+                break;
+            }
+            
+            default:
+                throw new Error(`Unknown report type: ${reportType}`);
+        }
+        
+        const filePath = await saveReport(content, reportType);
+        
+        return {
+            type: reportType,
+            content,
+            filePath
+        };
+    }
+    
+    /**
+     * Look for replies from contacts we have reached out to
+     * @param {number} days - Number of days to look back
+     * @returns {Promise<Object>} - Tracking results
+     */
+    async trackOutreachResponses(days = 30) {
+        this._ensureInitialized();
+        this._ensureMailProvider();
+        
+        const results = {
+            checked: 0,
+            responses: 0,
+            contacts: []
+        };
+        
+        const pending = Object.entries(this.trackingData.outreachStatus)
+            .filter(([_, status]) => !status.responded && status.lastEmailTo);
+        
+        for (const [contactId, status] of pending) {
+            results.checked++;
+            
+            const outreachTime = new Date(status.lastOutreachDate).getTime();
+            const contactAddress = canonicalizeAddress(status.lastEmailTo, getUserConfig());
+            const { threads } = await this.mailProvider.searchThreads(
+                `from:${status.lastEmailTo} newer_than:${days}d`
+            );
+            
+            // Earliest message from the contact sent after our outreach
+            let responseTime = null;
+            for (const { id } of threads) {
+                const thread = await this.mailProvider.getThread(id);
+                if (!thread) continue;
+                
+                thread.messages.forEach(message => {
+                    const { from } = getMessageAddresses(message, getUserConfig());
+                    if (from && from.address === contactAddress &&
+                        message.timestamp > outreachTime &&
+                        (responseTime === null || message.timestamp < responseTime)) {
+                        responseTime = message.timestamp;
+                    }
+                });
+            }
+            
+            if (responseTime === null) continue;
+            
+            recordResponseForContact(contactId, new Date(responseTime), this.trackingData);
+            
+            if (this.graph.entities[contactId]) {
+                await updateKnowledgeGraphWithResponse(contactId, this.graph);
+            }
+            
+            results.responses++;
+            results.contacts.push(contactId);
+        }
+        
+        await saveTrackingData(this.trackingData);
+        await this._flushMailProvider();
+        
+        return results;
+    }
+    
+    /**
+     * Find frequent correspondents who are not in the graph and save them
+     * as contact proposals for review
+     * @param {Object} options - Discovery options (see contact_discovery.discoverContacts)
+     * @returns {Promise<Object>} - Discovery results
+     */
+    async discoverContacts(options = {}) {
+        this._ensureInitialized();
+        this._ensureMailProvider();
+        
+        const results = await contactDiscovery.discoverContacts(this.mailProvider, this.graph, {
+            ...options,
+            proposalsPath: this.proposalsPath
+        });
+        
+        await this._flushMailProvider();
+        return results;
+    }
+    
+    /**
+     * Find meetings in calendar invitations and .ics exports and record
+     * them on the contacts who attended
+     * @param {Object} options - Meeting options
+     * @param {Array} options.icsPaths - .ics files or directories to import
+     * @param {boolean} options.skipMail - Only read the .ics files
+     * @returns {Promise<Object>} - Meeting analysis summary
+     */
+    async analyzeMeetings(options = {}) {
+        this._ensureInitialized();
+        if (!options.skipMail) {
+            this._ensureMailProvider();
+        }
+        
+        const results = await meetingAnalysis.analyzeMeetings(this.graph, {
+            ...options,
+            provider: options.skipMail ? null : this.mailProvider,
+            eventsPath: this.calendarEventsPath
+        });
+        
+        // Meeting counts feed the meeting frequency factor
+        this.graph.calculateImportanceScores();
+        await this.graph.saveToFiles();
+        await this._flushMailProvider();
+        
+        return results;
+    }
+    
+    /**
+     * Read title, organization, phones and links from contacts' recent
+     * signatures and save the differences as detail proposals for review
+     * @param {Object} options - Extraction options (see signature_extractor.extractSignatureDetails)
+     * @param {Array} options.contactIds - Contacts to check (defaults to the top contacts)
+     * @param {number} options.limit - Number of top contacts to check (default 50)
+     * @returns {Promise<Object>} - Extraction results
+     */
+    async extractSignatureDetails(options = {}) {
+        this._ensureInitialized();
+        this._ensureMailProvider();
+        
+        const contactIds = options.contactIds ||
+            this.graph.getTopContacts(options.limit || 50).map(contact => contact.id);
+        
+        const results = await signatureExtractor.extractSignatureDetails(this.mailProvider, this.graph, contactIds, {
+            ...options,
+            proposalsPath: this.detailProposalsPath
+        });
+        
+        await this._flushMailProvider();
+        return results;
+    }
+    
+    /**
+     * Look for job, title and address changes in the mailbox and record
+     * them as career_event observations
+     * @param {Object} options - Walk options (see career_events.detectCareerEvents)
+     * @returns {Promise<Object>} - { events, scannedThreads, failedThreads }
+     */
+    async detectCareerEvents(options = {}) {
+        this._ensureInitialized();
+        this._ensureMailProvider();
+        
+        const results = await careerEvents.detectCareerEvents(this.mailProvider, this.graph, options);
+        
+        if (results.events.length > 0) {
+            await this.graph.saveToFiles();
+        }
+        await this._flushMailProvider();
+        
+        return results;
+    }
+    
+    /**
+     * Extract conversation topics for every contact from the mailbox and
+     * store them as topics observations for email personalization
+     * @param {Object} options - Options (see topic_extraction.collectTopics)
+     * @returns {Promise<Object>} - { contactsUpdated, scannedThreads, failedThreads }
+     */
+    async extractTopics(options = {}) {
+        this._ensureInitialized();
+        this._ensureMailProvider();
+        
+        const results = await topicExtraction.extractTopics(this.mailProvider, this.graph, options);
+        
+        await this.graph.saveToFiles();
+        await this._flushMailProvider();
+        
+        return results;
+    }
+    
+    /**
+     * Accept or reject pending detail proposals. Accepted values are written
+     * to contact_details along with their source.
+     * @param {boolean} accept - True to apply the proposals, false to reject them
+     * @param {Array} ids - Proposal IDs (all pending when omitted)
+     * @returns {Promise<Object>} - { applied: [proposal] } or { rejected: [proposal] }
+     */
+    async reviewDetailProposals(accept, ids = null) {
+        this._ensureInitialized();
+        
+        const proposals = await signatureExtractor.loadDetailProposals(this.detailProposalsPath);
+        const wanted = ids ? new Set(ids) : null;
+        const selected = proposals.filter(proposal =>
+            proposal.status === 'pending' && (!wanted || wanted.has(proposal.id)));
+        const reviewedAt = new Date().toISOString();
+        
+        selected.forEach(proposal => {
+            if (accept && !signatureExtractor.applyDetailProposal(this.graph, proposal)) return;
+            
+            proposal.status = accept ? 'accepted' : 'rejected';
+            proposal.reviewedAt = reviewedAt;
+        });
+        
+        const reviewed = selected.filter(proposal => proposal.reviewedAt === reviewedAt);
+        if (accept && reviewed.length > 0) {
+            await this.graph.saveToFiles();
+        }
+        await signatureExtractor.saveDetailProposals(proposals, this.detailProposalsPath);
+        
+        return accept ? { applied: reviewed } : { rejected: reviewed };
+    }
+    
+    /**
+     * Add pending contact proposals to the graph
+     * @param {Array} emails - Proposal addresses to accept (all pending when omitted)
+     * @returns {Promise<Object>} - { added: [{ contactId, name, email }] }
+     */
+    async acceptContactProposals(emails = null) {
+        this._ensureInitialized();
+        
+        const proposals = await contactDiscovery.loadProposals(this.proposalsPath);
+        const selected = this._selectPendingProposals(proposals, emails);
+        const added = [];
+        
+        selected.forEach(proposal => {
+            // The address may have been added by an import since discovery ran
+            const existing = this.graph.findByEmail(proposal.email);
+            
+            if (existing) {
+                proposal.contactId = existing.id;
+            } else {
+                const contact = { id: this._nextContactId(), ...proposal.proposedEntity };
+                this.graph.addEntity(contact);
+                proposal.contactId = contact.id;
+                added.push({ contactId: contact.id, name: contact.name, email: proposal.email });
+            }
+            
+            proposal.status = 'accepted';
+            proposal.reviewedAt = new Date().toISOString();
+        });
+        
+        if (added.length > 0) {
+            await this.graph.saveToFiles();
+        }
+        await contactDiscovery.saveProposals(proposals, this.proposalsPath);
+        
+        return { added };
+    }
+    
+    /**
+     * Reject pending contact proposals so they are not proposed again
+     * @param {Array} emails - Proposal addresses to reject
+     * @returns {Promise<Object>} - { rejected: [email] }
+     */
+    async rejectContactProposals(emails) {
+        this._ensureInitialized();
+        
+        const proposals = await contactDiscovery.loadProposals(this.proposalsPath);
+        const selected = this._selectPendingProposals(proposals, emails);
+        
+        selected.forEach(proposal => {
+            proposal.status = 'rejected';
+            proposal.reviewedAt = new Date().toISOString();
+        });
+        
+        await contactDiscovery.saveProposals(proposals, this.proposalsPath);
+        
+        return { rejected: selected.map(proposal => proposal.email) };
+    }
+    
+    /**
+     * Throw if initialize() has not been called yet
+     */
+    _ensureInitialized() {
+        if (!this.initialized) {
+            throw new Error('Integrator has not been initialized.');
+        }
+    }
+    
+    /**
+     * Throw if no mail provider could be set up
+     */
+    _ensureMailProvider() {
+        if (!this.mailProvider) {
+            throw new Error('No mail provider available. Use Claude Desktop or set up Gmail API credentials.');
+        }
+    }
+    
+    /**
+     * Pick a mail provider: Claude Desktop's Gmail tools when present,
+     * otherwise the configured account's provider. Either way threads
+     * are cached on disk, in the cache every run shares, so re-analysis
+     * does not download them again.
+     * @returns {Promise<Object|null>} - Mail provider or null if none is available
+     */
+    async _createMailProvider() {
+        const provider = DesktopGmailProvider.isAvailable()
+            ? new DesktopGmailProvider()
+            : await createAccountProvider(getAccount(getUserConfig(), this.options.account));
+        
+        if (!provider) return null;
+        
+        return new CachingMailProvider(provider, new ThreadCache({ directory: this.options.threadCacheDirectory || CACHE_DIR }));
+    }
+    
+    /**
+     * Persist the thread cache, if the mail provider has one
+     */
+    async _flushMailProvider() {
+        if (this.mailProvider && typeof this.mailProvider.flush === 'function') {
+            await this.mailProvider.flush();
+        }
+    }
+    
+    /**
+     * Pick pending proposals by address
+     * @param {Array} proposals - All proposals
+     * @param {Array} emails - Addresses to pick (all pending when omitted)
+     * @returns {Array} - Matching pending proposals
+     */
+    _selectPendingProposals(proposals, emails) {
+        const wanted = emails ? new Set(emails.map(email => email.toLowerCase())) : null;
+        return proposals.filter(proposal =>
+            proposal.status === 'pending' && (!wanted || wanted.has(proposal.email)));
+    }
+    
+    /**
+     * Get the next free numeric contact ID. Contact IDs must stay numeric
+     * because they are encoded into outreach signatures.
+     * @returns {string} - New contact ID
+     */
+    _nextContactId() {
+        const highest = Object.keys(this.graph.entities)
+            .filter(id => id.startsWith('contact_'))
+            .map(id => parseInt(id.replace('contact_', ''), 10))
+            .filter(id => !isNaN(id))
+            .reduce((max, id) => Math.max(max, id), 0);
+        
+        return `contact_${highest + 1}`;
+    }
+    
+    /**
+     * Create a bare contact entity for an address that is not in the graph yet
+     * @param {string} email - Email address
+     * @returns {Object} - The new contact entity
+     */
+    _createContactFromEmail(email) {
+        const contact = {
+            id: this._nextContactId(),
+            name: email.split('@')[0],
+            entityType: 'Contact',
+            observations: [
+                {
+                    type: 'contact_details',
+                    emails: [email],
+                    phones: [],
+                    organization: null,
+                    address: ''
+                },
+                {
+                    type: 'communication_metrics',
+                    lastContacted: null,
+                    emailCount: 0,
+                    responseRate: 0,
+                    meetingCount: 0
+                },
+                {
+                    type: 'importance_metrics',
+                    manualPriority: 0,
+                    calculatedScore: 0
+                }
+            ]
+        };
+        
+        this.graph.addEntity(contact);
+        return contact;
+    }
+    
+    /**
+     * Merge imported contact details into an existing contact without
+     * dropping anything the graph already knows
+     * @param {string} contactId - Existing contact ID
+     * @param {string} name - Imported name
+     * @param {Object} importedDetails - Imported contact_details observation
+     */
+    _mergeContactDetails(contactId, name, importedDetails) {
+        const contact = this.graph.entities[contactId];
+        const details = contact.observations.find(obs => obs.type === 'contact_details') || {};
+        
+        const mergeUnique = (current = [], incoming = []) => {
+            const seen = new Set(current.map(value => value.toLowerCase()));
+            return [...current, ...incoming.filter(value => !seen.has(value.toLowerCase()))];
+        };
+        
+        this.graph.updateEntityObservation(contactId, 'contact_details', {
+            emails: mergeUnique(details.emails, importedDetails.emails),
+            phones: mergeUnique(details.phones, importedDetails.phones),
+            organization: importedDetails.organization || details.organization || null,
+            address: importedDetails.address || details.address || ''
+        }, { source: 'contact_import' });
+        
+        // Replace placeholder names taken from an email address
+        if (name && (!contact.name || contact.name === details.emails?.[0]?.split('@')[0])) {
+            contact.name = name;
+        }
+    }
+    
+    /**
+     * Get the category name of a contact
+     * @param {string} contactId - Contact ID
+     * @returns {string|null} - Category name or null if uncategorized
+     */
+    _getContactCategory(contactId) {
+        const relation = this.graph.findOutgoingRelationships(contactId, 'is_categorized_as')[0];
+        const category = relation ? this.graph.entities[relation.to] : null;
+        
+        return category ? category.name : null;
+    }
+    
+    /**
+     * Derive the goals progress counters from the graph and tracking data
+     * @returns {Object} - Goals progress fields
+     */
+    _collectGoalsProgress() {
+        const contacts = this.graph.findEntitiesByType('Contact');
+        const topContacts = this.graph.getTopContacts(TOP_CONTACTS_GOAL).filter(contact => {
+            const importance = contact.observations.find(obs => obs.type === 'importance_metrics');
+            return importance && importance.calculatedScore > 0;
+        });
+        
+        const outreachStatus = this.trackingData.outreachStatus;
+        
+        return {
+            contactsProcessed: contacts.length,
+            contactsOutreached: Object.keys(outreachStatus).length,
+            contactsResponded: Object.values(outreachStatus).filter(status => status.responded).length,
+            top150Identified: topContacts.length >= TOP_CONTACTS_GOAL,
+            top150Contacted: topContacts.filter(contact => outreachStatus[contact.id]).length,
+            top150Responded: topContacts.filter(contact => outreachStatus[contact.id]?.responded).length
+        };
+    }
+}
+
+module.exports = Integrator;
@@ -0,0 +1,153 @@
+/**
+ * Address Parser
+ *
+ * Parses RFC 5322 address lists (From, To, Cc, Reply-To) into display names
+ * and addresses, and canonicalizes addresses so the same mailbox written
+ * different ways compares equal: case, Gmail's ignored dots, +tags and
+ * configured alias domains. Address matching in the analysis is exact
+ * against canonical addresses, never a substring test on the raw header.
+ */
+
+const { decodeEncodedWords } = require('./mime_parser');
+
+// Domains that ignore dots in the local part, mapped to their canonical domain
+const GMAIL_DOMAINS = {
+    'gmail.com': 'gmail.com',
+    'googlemail.com': 'gmail.com'
+};
+
+// Shape of a usable address once display names and comments are removed
+const ADDRESS_PATTERN = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/;
+
+/**
+ * Parse an address list header into display names and addresses. Handles
+ * quoted display names (with escapes and commas), comments, angle
+ * addresses and groups ("Team: a@example.com, b@example.com;").
+ * @param {string} value - Header value
+ * @returns {Array} - [{ name, address }] with lowercased addresses
+ */
+function parseAddressList(value) {
+    const entries = [];
+    const text = value || '';
+    
+    let phrase = '';
+    let bare = '';
+    let angle = null;
+    let comment = '';
+    
+    const finishEntry = () => {
+        const address = (angle !== null ? angle : bare).replace(/\s+/g, '').toLowerCase();
+        
+        if (ADDRESS_PATTERN.test(address)) {
+            let name = (angle !== null ? phrase : '').replace(/\s+/g, ' ').trim() || comment.trim();
+            if (name.includes('=?')) name = decodeEncodedWords(name);
+            entries.push({ name, address });
+        }
+        
+        phrase = '';
+        bare = '';
+        angle = null;
+        comment = '';
+    };
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (char === '"') {
+            // Quoted string: part of the display name, never an address separator
+            let quoted = '';
+            for (i++; i < text.length && text[i] !== '"'; i++) {
+                quoted += text[i] === '\\' ? text[++i] || '' : text[i];
+            }
+            phrase += quoted;
+        } else if (char === '(') {
+            // Comment, possibly nested; kept as a fallback display name
+            let depth = 1;
+            let content = '';
+            for (i++; i < text.length && depth > 0; i++) {
+                if (text[i] === '\\') {
+                    content += text[++i] || '';
+                    continue;
+                }
+                if (text[i] === '(') depth++;
+                if (text[i] === ')') depth--;
+                if (depth > 0) content += text[i];
+            }
+            i--;
+            if (!comment) comment = content;
+        } else if (char === '<') {
+            const end = text.indexOf('>', i);
+            angle = text.slice(i + 1, end === -1 ? text.length : end);
+            i = end === -1 ? text.length : end;
+        } else if (char === ':' && angle === null && !bare.includes('@')) {
+            // Group name; the members follow
+            phrase = '';
+            bare = '';
+            comment = '';
+        } else if (char === ',' || char === ';') {
+            finishEntry();
+        } else {
+            phrase += char;
+            bare += char;
+        }
+    }
+    
+    finishEntry();
+    return entries;
+}
+
+/**
+ * Canonicalize an address for comparison
+ * @param {string} address - Email address
+ * @param {Object} options - Canonicalization options
+ * @param {Object} options.aliasDomains - Domain to canonical domain mapping
+ * @param {boolean} options.stripPlusTags - Drop +tags from local parts (default true)
+ * @returns {string} - Canonical address ('' for anything that is not an address)
+ */
+function canonicalizeAddress(address, options = {}) {
+    const normalized = (address || '').trim().toLowerCase();
+    const at = normalized.lastIndexOf('@');
+    if (at <= 0) return '';
+    
+    let local = normalized.slice(0, at);
+    let domain = normalized.slice(at + 1);
+    domain = (options.aliasDomains || {})[domain] || domain;
+    
+    if (options.stripPlusTags !== false) {
+        local = local.split('+')[0];
+    }
+    
+    if (GMAIL_DOMAINS[domain]) {
+        domain = GMAIL_DOMAINS[domain];
+        local = local.replace(/\./g, '');
+    }
+    
+    return `${local}@${domain}`;
+}
+
+/**
+ * Parse the address headers of a message
+ * @param {Object} message - Normalized message
+ * @param {Object} options - Canonicalization options (see canonicalizeAddress)
+ * @returns {Object} - { from, replyTo, to, cc } with canonical addresses;
+ *     from is null when the From header holds no address
+ */
+function getMessageAddresses(message, options = {}) {
+    const parse = value => parseAddressList(value).map(entry => ({
+        name: entry.name,
+        address: canonicalizeAddress(entry.address, options)
+    }));
+    
+    return {
+        from: parse(message.from)[0] || null,
+        replyTo: parse(message.replyTo),
+        to: parse(message.to),
+        cc: parse(message.cc)
+    };
+}
+
+module.exports = {
+    parseAddressList,
+    canonicalizeAddress,
+    getMessageAddresses
+};
@@ -0,0 +1,331 @@
+/**
+ * Career Event Detector
+ *
+ * Notices when a contact changes employer, address or title, which is
+ * exactly when reaching out matters. One pass over the mailbox collects,
+ * for each contact, every address they wrote from (including unknown
+ * addresses that carry the contact's name), the bounces of mail sent to
+ * them and their latest signatures. The evidence is turned into
+ * career_event observations:
+ *
+ *   new_domain           - the contact writes from a different domain
+ *   new_address          - the contact writes from a new address on a known domain
+ *   organization_change  - the signature names another organization
+ *   title_change         - the signature gives another title
+ *   address_bounced      - mail to the contact bounced and no new address turned up
+ */
+
+const { getUserConfig } = require('./user_config');
+const { walkMailbox } = require('./mailbox_scan');
+const { isAutomatedMessage } = require('./message_classifier');
+const { parseAddressList, canonicalizeAddress, getMessageAddresses } = require('./address_parser');
+const { BLOCK_CONFIDENCE, findSignatureBlock, parseSignature, getOrganization } = require('./signature_extractor');
+
+const EVENT_TYPES = ['new_domain', 'new_address', 'organization_change', 'title_change', 'address_bounced'];
+
+// Recent messages kept per address for signature parsing
+const RECENT_MESSAGES = 3;
+
+// Signature values below this confidence are not reported as changes
+const MIN_SIGNATURE_CONFIDENCE = 0.5;
+
+const EMAIL_PATTERN = /[^\s<>()[\]"',;:]+@[^\s<>()[\]"',;:]+\.[a-z]{2,}/gi;
+
+/**
+ * Reduce a display name to a key that ignores case, accents, punctuation
+ * and word order ("Doe, Jane" and "jane doe" match)
+ * @param {string} name - Display or contact name
+ * @returns {string|null} - Key, or null for names too short to match safely
+ */
+function getNameKey(name) {
+    if (!name || name.includes('@')) return null;
+    
+    const words = name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z]+/)
+        .filter(word => word.length > 1);
+    
+    return words.length >= 2 ? words.sort().join(' ') : null;
+}
+
+/**
+ * Check whether a message is a delivery failure notice
+ * @param {Object} message - Normalized message
+ * @returns {boolean} - True for bounces
+ */
+function isBounceMessage(message) {
+    const [from] = parseAddressList(message.from);
+    const contentType = (message.headers?.['content-type'] || '').toLowerCase();
+    
+    return (from && /^(mailer-daemon|postmaster)$/i.test(from.address.split('@')[0])) ||
+        (contentType.startsWith('multipart/report') && contentType.includes('delivery-status')) ||
+        (message.parts || []).some(part => part.mimeType === 'message/delivery-status');
+}
+
+/**
+ * Get the known contact addresses a bounce reports as undeliverable
+ * @param {Object} message - Bounce message
+ * @param {Object} emailMapping - Canonical email to contact ID mapping
+ * @param {Object} config - User configuration, for canonicalization
+ * @returns {Array} - Canonical addresses of contacts
+ */
+function getBouncedAddresses(message, emailMapping, config) {
+    const text = [message.textBody, ...(message.parts || []).map(part => part.content)]
+        .filter(Boolean)
+        .join('\n');
+    
+    // Prefer the recipients the report names explicitly
+    const reported = [
+        ...parseAddressList(message.headers?.['x-failed-recipients']).map(entry => entry.address),
+        ...[...text.matchAll(/(?:final|original)-recipient:\s*rfc822;\s*<?([^\s>]+)/gi)].map(match => match[1])
+    ];
+    const candidates = reported.length > 0 ? reported : text.match(EMAIL_PATTERN) || [];
+    
+    return [...new Set(candidates.map(address => canonicalizeAddress(address, config)))]
+        .filter(address => emailMapping[address]);
+}
+
+/**
+ * Walk the mailbox and collect each contact's sending addresses, recent
+ * messages and bounces
+ * @param {Object} provider - Mail provider
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {Object} options - Walk options (see mailbox_scan.walkMailbox), plus:
+ * @param {Object} options.config - User configuration (defaults to getUserConfig())
+ * @returns {Promise<Object>} - { senders, bounces, walk }; senders maps each
+ *     address to { contactId, known, first, last, count, firstMessageId, recent }
+ */
+async function collectAddressHistory(provider, knowledgeGraph, options = {}) {
+    const config = options.config || getUserConfig();
+    const userEmails = config.userEmails.map(email => canonicalizeAddress(email, config));
+    const emailMapping = knowledgeGraph.getEmailMapping();
+    
+    // Contacts by name, to recognize them writing from unknown addresses;
+    // names shared by several contacts are ambiguous and left out
+    const nameIndex = new Map();
+    knowledgeGraph.findEntitiesByType('Contact').forEach(contact => {
+        const key = getNameKey(contact.name);
+        if (key) nameIndex.set(key, nameIndex.has(key) ? null : contact.id);
+    });
+    
+    const senders = new Map();
+    const bounces = [];
+    
+    const walk = await walkMailbox(provider, options, thread => {
+        thread.messages.forEach(message => {
+            if (isBounceMessage(message)) {
+                getBouncedAddresses(message, emailMapping, config).forEach(address => bounces.push({
+                    address,
+                    contactId: emailMapping[address],
+                    timestamp: message.timestamp,
+                    messageId: message.id
+                }));
+                return;
+            }
+            if (isAutomatedMessage(message)) return;
+            
+            const { from } = getMessageAddresses(message, config);
+            if (!from || userEmails.includes(from.address)) return;
+            
+            const knownContactId = emailMapping[from.address];
+            const contactId = knownContactId || nameIndex.get(getNameKey(from.name));
+            if (!contactId) return;
+            
+            if (!senders.has(from.address)) {
+                senders.set(from.address, {
+                    address: from.address,
+                    contactId,
+                    known: Boolean(knownContactId),
+                    first: message.timestamp,
+                    last: message.timestamp,
+                    count: 0,
+                    firstMessageId: message.id,
+                    recent: []
+                });
+            }
+            
+            const sender = senders.get(from.address);
+            sender.count++;
+            if (message.timestamp < sender.first) {
+                sender.first = message.timestamp;
+                sender.firstMessageId = message.id;
+            }
+            sender.last = Math.max(sender.last, message.timestamp);
+            
+            sender.recent.push({ id: message.id, timestamp: message.timestamp, date: message.date, textBody: message.textBody });
+            sender.recent.sort((a, b) => b.timestamp - a.timestamp);
+            sender.recent.length = Math.min(sender.recent.length, RECENT_MESSAGES);
+        });
+    });
+    
+    return { senders, bounces, walk };
+}
+
+/**
+ * Derive a contact's career events from the collected history
+ * @param {Object} contact - Contact entity
+ * @param {Array} senders - The contact's sender records (see collectAddressHistory)
+ * @param {Array} bounces - Bounces of the contact's addresses
+ * @returns {Array} - Events ({ eventType, date, previousValue, newValue, evidence, confidence })
+ */
+function detectContactEvents(contact, senders, bounces) {
+    const details = contact.observations.find(obs => obs.type === 'contact_details') || {};
+    const knownAddresses = (details.emails || []).map(email => canonicalizeAddress(email, getUserConfig()));
+    const domainOf = address => address.split('@')[1];
+    const toIso = timestamp => new Date(timestamp).toISOString();
+    const events = [];
+    
+    const byFirstUse = [...senders].sort((a, b) => a.first - b.first);
+    const known = byFirstUse.filter(sender => sender.known);
+    
+    // Addresses not in the contact record, recognized by the contact's name.
+    // A name alone is weak evidence, so the address only counts as a switch
+    // if an old address bounced before it or the contact had stopped using
+    // every known address they wrote from before it.
+    let foundNewAddress = false;
+    byFirstUse.filter(sender => !sender.known).forEach(sender => {
+        const knownDomains = new Set(knownAddresses.map(domainOf));
+        const earlier = known.filter(entry => entry.first <= sender.first);
+        const previous = earlier[earlier.length - 1];
+        const bounce = bounces.filter(entry => entry.timestamp <= sender.first).pop();
+        const stoppedBefore = earlier.length > 0 && earlier.every(entry => sender.first > entry.last);
+        if (!bounce && !stoppedBefore) return;
+        
+        foundNewAddress = true;
+        events.push({
+            eventType: knownDomains.has(domainOf(sender.address)) ? 'new_address' : 'new_domain',
+            date: toIso(sender.first),
+            previousValue: previous ? previous.address : knownAddresses[0] || null,
+            newValue: sender.address,
+            evidence: {
+                messageId: sender.firstMessageId,
+                bouncedAddress: bounce ? bounce.address : null
+            },
+            // A bounce of the old address makes the name match much more certain
+            confidence: bounce ? 0.9 : 0.6
+        });
+    });
+    
+    // Switches between known addresses: the new one is first used after the old one stops
+    known.slice(1).forEach((sender, index) => {
+        const previous = known[index];
+        if (domainOf(sender.address) !== domainOf(previous.address) && sender.first > previous.last) {
+            events.push({
+                eventType: 'new_domain',
+                date: toIso(sender.first),
+                previousValue: previous.address,
+                newValue: sender.address,
+                evidence: { messageId: sender.firstMessageId, bouncedAddress: null },
+                confidence: 0.7
+            });
+        }
+    });
+    
+    // Bounced addresses the contact has not written from since, with no new address found
+    if (!foundNewAddress) {
+        const bounced = new Map();
+        bounces.forEach(bounce => bounced.set(bounce.address, bounce));
+        
+        bounced.forEach(bounce => {
+            const sender = senders.find(entry => entry.address === bounce.address);
+            if (sender && sender.last > bounce.timestamp) return;
+            
+            events.push({
+                eventType: 'address_bounced',
+                date: toIso(bounce.timestamp),
+                previousValue: bounce.address,
+                newValue: null,
+                evidence: { messageId: bounce.messageId, bouncedAddress: bounce.address },
+                confidence: 0.8
+            });
+        });
+    }
+    
+    // The newest signature against the stored organization
+    const latest = senders
+        .flatMap(sender => sender.recent.map(message => ({ ...message, address: sender.address })))
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .map(message => ({ message, block: findSignatureBlock(message.textBody) }))
+        .find(entry => entry.block);
+    
+    if (latest) {
+        const signature = parseSignature(latest.block.lines, { name: contact.name, email: latest.message.address });
+        const organization = getOrganization(details);
+        const evidence = { messageId: latest.message.id, bouncedAddress: null };
+        const blockConfidence = BLOCK_CONFIDENCE[latest.block.method];
+        
+        [['organization_change', signature.organization, organization.name], ['title_change', signature.title, organization.title]]
+            .forEach(([eventType, found, current]) => {
+                const confidence = found ? Math.round(found.confidence * blockConfidence * 100) / 100 : 0;
+                if (confidence < MIN_SIGNATURE_CONFIDENCE || !current ||
+                    found.value.toLowerCase() === current.toLowerCase()) return;
+                
+                events.push({
+                    eventType,
+                    date: latest.message.date,
+                    previousValue: current,
+                    newValue: found.value,
+                    evidence,
+                    confidence
+                });
+            });
+    }
+    
+    return events;
+}
+
+/**
+ * Detect career events for all contacts and record the new ones as
+ * career_event observations. An event already recorded (same type and new
+ * value) is not recorded again.
+ * @param {Object} provider - Mail provider
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {Object} options - Walk options (see collectAddressHistory)
+ * @returns {Promise<Object>} - { events, scannedThreads, failedThreads }
+ */
+async function detectCareerEvents(provider, knowledgeGraph, options = {}) {
+    const { senders, bounces, walk } = await collectAddressHistory(provider, knowledgeGraph, options);
+    const detectedAt = new Date().toISOString();
+    const recorded = [];
+    
+    knowledgeGraph.findEntitiesByType('Contact').forEach(contact => {
+        const contactSenders = [...senders.values()].filter(sender => sender.contactId === contact.id);
+        const contactBounces = bounces
+            .filter(bounce => bounce.contactId === contact.id)
+            .sort((a, b) => a.timestamp - b.timestamp);
+        if (contactSenders.length === 0 && contactBounces.length === 0) return;
+        
+        const eventKey = event => `${event.eventType}|${(event.newValue || event.previousValue || '').toLowerCase()}`;
+        const existing = new Set(contact.observations
+            .filter(obs => obs.type === 'career_event')
+            .map(eventKey));
+        
+        detectContactEvents(contact, contactSenders, contactBounces)
+            .filter(event => !existing.has(eventKey(event)))
+            .forEach(event => {
+                existing.add(eventKey(event));
+                knowledgeGraph.addObservation(contact.id, 'career_event', { ...event, detectedAt }, { source: 'career_events' });
+                recorded.push({ contactId: contact.id, name: contact.name, ...event });
+            });
+    });
+    
+    console.log(`Career events: ${recorded.length} new events from ${walk.scannedThreads} threads`);
+    
+    return {
+        events: recorded,
+        scannedThreads: walk.scannedThreads,
+        failedThreads: walk.failedThreads.length
+    };
+}
+
+module.exports = {
+    EVENT_TYPES,
+    getNameKey,
+    isBounceMessage,
+    getBouncedAddresses,
+    collectAddressHistory,
+    detectContactEvents,
+    detectCareerEvents
+};
@@ -0,0 +1,173 @@
+/**
+ * Communication Trend
+ *
+ * Treats a contact's mail as a monthly time series instead of three
+ * overlapping buckets. The trend is the slope of a least-squares line
+ * through the message counts of the last complete months, relative to
+ * their average, so it means the same for a contact who writes twice a
+ * month and one who writes fifty times. A relationship is "cooling" when
+ * a historically strong contact has gone quiet in the last few months.
+ *
+ * Monthly histograms are keyed by UTC month ('2025-03') and stored in the
+ * communication_history observation, so trends can be recomputed as time
+ * passes without reading any mail.
+ */
+
+const DEFAULT_TREND_SETTINGS = {
+    // Complete months the trend line is fitted over
+    windowMonths: 6,
+    // Slope, as a share of the monthly average, that counts as a change
+    growthThreshold: 0.1,
+    // Recent complete months compared against the baseline for cooling
+    coolingMonths: 3,
+    // Months before the recent ones that define the usual level
+    baselineMonths: 12,
+    // Baseline messages per month for a relationship to count as strong
+    minBaselineMonthly: 2,
+    // Recent level, as a share of the baseline, below which it is cooling
+    coolingRatio: 0.25
+};
+
+/**
+ * Get the month index (months since year 0) of a date
+ * @param {Date|number|string} date - Date
+ * @returns {number} - Month index
+ */
+function getMonthIndex(date) {
+    const value = new Date(date);
+    return value.getUTCFullYear() * 12 + value.getUTCMonth();
+}
+
+/**
+ * Get the month key of a month index
+ * @param {number} index - Month index
+ * @returns {string} - Month key ('YYYY-MM')
+ */
+function getMonthKey(index) {
+    return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Fit a least-squares line through evenly spaced values
+ * @param {Array} values - Values at x = 0, 1, 2, ...
+ * @returns {Object} - { slope, intercept }
+ */
+function linearRegression(values) {
+    const n = values.length;
+    if (n < 2) return { slope: 0, intercept: n === 1 ? values[0] : 0 };
+    
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+    
+    let covariance = 0;
+    let variance = 0;
+    values.forEach((value, x) => {
+        covariance += (x - meanX) * (value - meanY);
+        variance += (x - meanX) * (x - meanX);
+    });
+    
+    const slope = covariance / variance;
+    return { slope, intercept: meanY - slope * meanX };
+}
+
+/**
+ * Turn a monthly histogram into a sorted list
+ * @param {Object} monthly - Month key to { sent, received }
+ * @returns {Array} - [{ month, sent, received }] oldest first
+ */
+function toMonthlySeries(monthly) {
+    const round = value => Math.round(value * 100) / 100;
+    
+    return Object.keys(monthly || {})
+        .sort()
+        .map(month => ({ month, sent: round(monthly[month].sent), received: round(monthly[month].received) }));
+}
+
+/**
+ * Analyze the trend of a monthly histogram. The current month is still
+ * filling up, so only complete months are used.
+ * @param {Object|Array} monthly - Month key to { sent, received }, or a series from toMonthlySeries
+ * @param {Object} settings - Trend settings (see DEFAULT_TREND_SETTINGS)
+ * @param {Date} now - Reference time
+ * @returns {Object} - { trend, slope, relativeSlope, monthlyAverage, recentMonthlyAverage,
+ *     baselineMonthlyAverage, cooling, windowMonths }; trend is increasing, stable,
+ *     decreasing or inactive (no mail in the window)
+ */
+function analyzeTrend(monthly, settings = {}, now = new Date()) {
+    const options = { ...DEFAULT_TREND_SETTINGS, ...settings };
+    const totals = {};
+    (Array.isArray(monthly) ? monthly : toMonthlySeries(monthly)).forEach(entry => {
+        totals[entry.month] = entry.sent + entry.received;
+    });
+    
+    const lastMonth = getMonthIndex(now) - 1;
+    const series = (first, count) => Array.from({ length: count }, (_, i) => totals[getMonthKey(first + i)] || 0);
+    const average = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+    const round = value => Math.round(value * 100) / 100;
+    
+    const window = series(lastMonth - options.windowMonths + 1, options.windowMonths);
+    const { slope } = linearRegression(window);
+    const monthlyAverage = average(window);
+    const relativeSlope = monthlyAverage > 0 ? slope / monthlyAverage : 0;
+    
+    let trend = 'stable';
+    if (monthlyAverage === 0) {
+        trend = 'inactive';
+    } else if (relativeSlope > options.growthThreshold) {
+        trend = 'increasing';
+    } else if (relativeSlope < -options.growthThreshold) {
+        trend = 'decreasing';
+    }
+    
+    const recent = average(series(lastMonth - options.coolingMonths + 1, options.coolingMonths));
+    const baseline = average(series(lastMonth - options.coolingMonths - options.baselineMonths + 1, options.baselineMonths));
+    
+    return {
+        trend,
+        slope: round(slope),
+        relativeSlope: round(relativeSlope),
+        monthlyAverage: round(monthlyAverage),
+        recentMonthlyAverage: round(recent),
+        baselineMonthlyAverage: round(baseline),
+        cooling: baseline >= options.minBaselineMonthly && recent < baseline * options.coolingRatio,
+        windowMonths: options.windowMonths
+    };
+}
+
+/**
+ * Recompute the trend of every contact from its stored histogram, so
+ * contacts who have gone quiet (and so are never re-analyzed) are still
+ * flagged as cooling
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {Object} settings - Trend settings (see DEFAULT_TREND_SETTINGS)
+ * @param {Date} now - Reference time
+ * @returns {number} - Number of contacts flagged as cooling
+ */
+function refreshCommunicationTrends(knowledgeGraph, settings = {}, now = new Date()) {
+    let cooling = 0;
+    
+    knowledgeGraph.findEntitiesByType('Contact').forEach(contact => {
+        const history = contact.observations.find(obs => obs.type === 'communication_history');
+        if (!history) return;
+        
+        const trend = analyzeTrend(history.monthly || [], settings, now);
+        knowledgeGraph.updateEntityObservation(contact.id, 'communication_history', trend, { source: 'communication_trend' });
+        knowledgeGraph.updateEntityObservation(contact.id, 'communication_patterns', {
+            communicationTrend: trend.trend
+        }, { source: 'communication_trend' });
+        
+        if (trend.cooling) cooling++;
+    });
+    
+    return cooling;
+}
+
+module.exports = {
+    DEFAULT_TREND_SETTINGS,
+    getMonthIndex,
+    getMonthKey,
+    linearRegression,
+    toMonthlySeries,
+    analyzeTrend,
+    refreshCommunicationTrends
+};
@@ -0,0 +1,318 @@
+/**
+ * Contact Discovery
+ *
+ * Finds people we correspond with who are not in the knowledge graph yet.
+ * One pass over the mailbox collects, for every unknown address, how often
+ * we wrote to them, how often they wrote to us and when; automated senders
+ * are filtered out and the rest are ranked by volume, reciprocity and
+ * recency. The results are written as proposals for review; nothing is
+ * added to the graph until a proposal is accepted.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getUserConfig } = require('./user_config');
+const { walkMailbox } = require('./mailbox_scan');
+const { isAutomatedMessage, isNoReplyAddress } = require('./message_classifier');
+const { parseAddressList, canonicalizeAddress } = require('./address_parser');
+const { writeFileAtomic } = require('./storage/atomic_files');
+
+// File paths
+const BASE_DIR = path.resolve(__dirname, '..');
+const PROPOSALS_PATH = path.join(BASE_DIR, 'knowledge_graph', 'contact_proposals.json');
+
+// Role addresses that are not worth a contact even when a person answers them
+const ROLE_LOCAL_PARTS = /^(newsletters?|alerts?|updates|news|marketing|billing|receipts?|support|help|info|team|hello)([+._-]|$)/i;
+
+// Scoring weights for ranking candidates
+const DISCOVERY_WEIGHTS = {
+    volume: 0.40,
+    reciprocity: 0.35,
+    recency: 0.25
+};
+
+/**
+ * Turn a display name (or failing that, the address) into a contact name
+ * @param {string} displayName - Display name from a header
+ * @param {string} address - Email address
+ * @returns {string} - Proposed name
+ */
+function parseContactName(displayName, address) {
+    let name = (displayName || '').replace(/\s*\([^)]*\)\s*/g, ' ').trim();
+    
+    // "Doe, Jane" -> "Jane Doe"
+    const lastFirst = /^([^,]+),\s*([^,]+)$/.exec(name);
+    if (lastFirst) {
+        name = `${lastFirst[2]} ${lastFirst[1]}`;
+    }
+    
+    if (name && !name.includes('@')) {
+        return name.replace(/\s+/g, ' ');
+    }
+    
+    // jane.doe@example.com -> "Jane Doe"
+    return address.split('@')[0]
+        .split(/[._-]+/)
+        .filter(part => part && !/^\d+$/.test(part))
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
+        .join(' ') || address;
+}
+
+/**
+ * Check whether an address belongs to a machine or a role rather than a person
+ * @param {string} address - Email address
+ * @returns {boolean} - True for automated and role addresses
+ */
+function isAutomatedAddress(address) {
+    return isNoReplyAddress(address) || ROLE_LOCAL_PARTS.test(address.split('@')[0]);
+}
+
+/**
+ * Collect correspondence statistics for every address not in the mapping
+ * @param {Object} provider - Mail provider
+ * @param {Object} emailMapping - Lowercased email to contact ID mapping
+ * @param {Object} options - Walk options (see mailbox_scan.walkMailbox)
+ * @returns {Promise<Object>} - { correspondents: Map, walk }
+ */
+async function collectCorrespondents(provider, emailMapping, options = {}) {
+    const config = options.config || getUserConfig();
+    const userEmails = config.userEmails.map(email => canonicalizeAddress(email, config));
+    const correspondents = new Map();
+    
+    // Correspondents are keyed by canonical address, so jane.doe@ and janedoe+x@ are one person
+    const parse = value => parseAddressList(value).map(entry => ({
+        ...entry,
+        canonical: canonicalizeAddress(entry.address, config)
+    }));
+    
+    const getStats = canonical => {
+        if (!correspondents.has(canonical)) {
+            correspondents.set(canonical, {
+                canonical,
+                addresses: {},
+                sent: 0,
+                received: 0,
+                automated: 0,
+                threads: new Set(),
+                names: {},
+                firstDate: null,
+                lastDate: null
+            });
+        }
+        return correspondents.get(canonical);
+    };
+    
+    const isUnknown = canonical => !emailMapping[canonical] && !userEmails.includes(canonical);
+    
+    const record = (stats, entry, message, threadId) => {
+        const date = new Date(message.timestamp).toISOString();
+        stats.threads.add(threadId);
+        stats.addresses[entry.address] = (stats.addresses[entry.address] || 0) + 1;
+        if (entry.name) stats.names[entry.name] = (stats.names[entry.name] || 0) + 1;
+        if (!stats.firstDate || date < stats.firstDate) stats.firstDate = date;
+        if (!stats.lastDate || date > stats.lastDate) stats.lastDate = date;
+    };
+    
+    const walk = await walkMailbox(provider, options, thread => {
+        thread.messages.forEach(message => {
+            const [sender] = parse(message.from);
+            if (!sender) return;
+            
+            const recipients = [...parse(message.to), ...parse(message.cc)];
+            
+            if (userEmails.includes(sender.canonical)) {
+                // We wrote to them
+                recipients.filter(entry => isUnknown(entry.canonical)).forEach(entry => {
+                    const stats = getStats(entry.canonical);
+                    stats.sent++;
+                    record(stats, entry, message, thread.id);
+                });
+            } else if (isUnknown(sender.canonical) &&
+                recipients.some(entry => userEmails.includes(entry.canonical))) {
+                // They wrote to us
+                const stats = getStats(sender.canonical);
+                stats.received++;
+                if (isAutomatedMessage(message)) stats.automated++;
+                record(stats, sender, message, thread.id);
+            }
+        });
+    });
+    
+    return { correspondents, walk };
+}
+
+/**
+ * Rank unknown correspondents, dropping automated senders and one-off mail
+ * @param {Map} correspondents - Statistics from collectCorrespondents
+ * @param {Object} options - Ranking options
+ * @param {number} options.minMessages - Minimum messages exchanged (default 3)
+ * @param {boolean} options.includeOneWay - Keep addresses we never wrote to
+ * @param {Date} options.now - Reference time for recency
+ * @returns {Array} - Candidates sorted by score, highest first
+ */
+function rankCorrespondents(correspondents, options = {}) {
+    const minMessages = options.minMessages || 3;
+    const now = options.now || new Date();
+    
+    return [...correspondents.values()]
+        .filter(stats => stats.sent + stats.received >= minMessages)
+        .filter(stats => options.includeOneWay || stats.sent > 0)
+        .filter(stats => !isAutomatedAddress(stats.canonical))
+        .filter(stats => stats.received === 0 || stats.automated / stats.received < 0.5)
+        .map(stats => {
+            const total = stats.sent + stats.received;
+            const daysSinceLast = (now - new Date(stats.lastDate)) / (1000 * 60 * 60 * 24);
+            
+            const scores = {
+                volume: Math.min(1, Math.log(1 + total) / Math.log(1 + 50)),
+                reciprocity: stats.sent > 0 && stats.received > 0
+                    ? Math.min(stats.sent, stats.received) / Math.max(stats.sent, stats.received)
+                    : 0,
+                recency: Math.max(0, 1 - daysSinceLast / 365)
+            };
+            
+            let score = 0;
+            for (const [factor, weight] of Object.entries(DISCOVERY_WEIGHTS)) {
+                score += scores[factor] * weight;
+            }
+            
+            // Most frequently used display name and spelling of the address win
+            const mostUsed = counts => Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+            const email = mostUsed(stats.addresses);
+            
+            return {
+                email,
+                name: parseContactName(mostUsed(stats.names), email),
+                score: Math.round(score * 100),
+                scores,
+                emailsSent: stats.sent,
+                emailsReceived: stats.received,
+                threadCount: stats.threads.size,
+                firstContactDate: stats.firstDate,
+                lastContactDate: stats.lastDate
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Build the Contact entity a candidate would become (without an ID)
+ * @param {Object} candidate - Ranked candidate
+ * @returns {Object} - Proposed entity
+ */
+function buildProposedEntity(candidate) {
+    return {
+        name: candidate.name,
+        entityType: 'Contact',
+        observations: [
+            {
+                type: 'contact_details',
+                emails: [candidate.email],
+                phones: [],
+                organization: null,
+                address: ''
+            },
+            {
+                type: 'communication_metrics',
+                lastContacted: candidate.lastContactDate,
+                emailCount: candidate.emailsSent + candidate.emailsReceived,
+                responseRate: 0,
+                meetingCount: 0
+            },
+            {
+                type: 'importance_metrics',
+                manualPriority: 0,
+                calculatedScore: 0
+            }
+        ]
+    };
+}
+
+/**
+ * Load saved contact proposals
+ * @param {string} proposalsPath - Path to the proposals file
+ * @returns {Promise<Array>} - Proposals
+ */
+async function loadProposals(proposalsPath = PROPOSALS_PATH) {
+    try {
+        const data = await fs.readFile(proposalsPath, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading contact proposals:', error);
+        }
+        return [];
+    }
+}
+
+/**
+ * Save contact proposals
+ * @param {Array} proposals - Proposals
+ * @param {string} proposalsPath - Path to the proposals file
+ * @returns {Promise<boolean>} - Success status
+ */
+async function saveProposals(proposals, proposalsPath = PROPOSALS_PATH) {
+    try {
+        await writeFileAtomic(proposalsPath, JSON.stringify(proposals, null, 2));
+        return true;
+    } catch (error) {
+        console.error('Error saving contact proposals:', error);
+        return false;
+    }
+}
+
+/**
+ * Discover frequent unknown correspondents and save them as pending proposals.
+ * Addresses that were rejected before are not proposed again.
+ * @param {Object} provider - Mail provider
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {Object} options - Walk and ranking options, plus:
+ * @param {number} options.limit - Maximum number of proposals (default 50)
+ * @param {string} options.proposalsPath - Path to the proposals file
+ * @returns {Promise<Object>} - { proposals, scannedThreads, candidates }
+ */
+async function discoverContacts(provider, knowledgeGraph, options = {}) {
+    const proposalsPath = options.proposalsPath || PROPOSALS_PATH;
+    const emailMapping = knowledgeGraph.getEmailMapping();
+    
+    const { correspondents, walk } = await collectCorrespondents(provider, emailMapping, options);
+    const candidates = rankCorrespondents(correspondents, options);
+    
+    const existing = await loadProposals(proposalsPath);
+    const reviewed = existing.filter(proposal => proposal.status !== 'pending');
+    const reviewedEmails = new Set(reviewed.map(proposal => proposal.email));
+    
+    const discoveredAt = new Date().toISOString();
+    const pending = candidates
+        .filter(candidate => !reviewedEmails.has(candidate.email))
+        .slice(0, options.limit || 50)
+        .map(candidate => ({
+            ...candidate,
+            status: 'pending',
+            discoveredAt,
+            proposedEntity: buildProposedEntity(candidate)
+        }));
+    
+    await saveProposals([...pending, ...reviewed], proposalsPath);
+    
+    console.log(`Contact discovery: ${candidates.length} candidates from ${walk.scannedThreads} threads, ` +
+        `${pending.length} proposals pending review`);
+    
+    return {
+        proposals: pending,
+        scannedThreads: walk.scannedThreads,
+        candidates: candidates.length,
+        failedThreads: walk.failedThreads.length
+    };
+}
+
+module.exports = {
+    PROPOSALS_PATH,
+    parseContactName,
+    isAutomatedAddress,
+    collectCorrespondents,
+    rankCorrespondents,
+    loadProposals,
+    saveProposals,
+    discoverContacts
+};
@@ -5,34 +5,17 @@
  * relationship weights in the knowledge graph.
  */
 
-const fs = require('fs').promises;
 const path = require('path');
-const { google } = require('googleapis');
 const KnowledgeGraph = require('./knowledge_graph');
-
-// Configuration
-const USER_CONFIG = {
-  // User email aliases to check in communications (all in single Gmail account)
-  userEmails: [
-    'me@example.com',
-    'me@example.org',
-    'me@gmail.com'
-  ],
-  // Time periods for analysis (in days)
-  timePeriods: {
-    recent: 30,
-    medium: 90,
-    long: 365
-  },
-  // Weights for different metrics in scoring
-  weights: {
-    emailCount: 0.25,
-    recency: 0.30,
-    responseRate: 0.20,
-    threadDepth: 0.15,
-    manualPriority: 0.10
-  }
-};
+const GmailApiProvider = require('./mail_providers/gmail_api_provider');
+const CachingMailProvider = require('./mail_providers/caching_provider');
+const CacheOnlyProvider = require('./mail_providers/cache_only_provider');
+const { ThreadCache } = require('./thread_cache');
+const mailAnalysis = require('./mail_analysis');
+const mailSync = require('./mail_sync');
+const mailboxScan = require('./mailbox_scan');
+const { createAccountProvider } = require('./mail_accounts');
+const { loadUserConfig, getUserConfig, getAccount } = require('./user_config');
 
 // File paths
 const BASE_DIR = path.resolve(__dirname, '..');
@@ -40,124 +23,143 @@ const ENTITIES_PATH = path.join(BASE_DIR, 'knowledge_graph', 'entities.json');
 const RELATIONSHIPS_PATH = path.join(BASE_DIR, 'knowledge_graph', 'relationships.json');
 
 /**
- * Initialize Gmail API client
- * @returns {Object} Gmail API client
+ * Create the mail provider for a run
+ * @param {Object} options - Analysis options (see analyzeAllContacts)
+ * @param {Object} account - Account to read (see user_config.getAccount)
+ * @returns {Promise<Object|null>} Mail provider or null if the account is not authenticated
  */
-async function initializeGmailClient() {
-  // This requires setting up a Google Cloud project with Gmail API enabled
-  // and obtaining OAuth2 credentials
-  try {
-    const { OAuth2Client } = require('google-auth-library');
-    const TOKEN_PATH = path.join(BASE_DIR, 'credentials', 'token.json');
-    const CREDENTIALS_PATH = path.join(BASE_DIR, 'credentials', 'credentials.json');
-    
-    // Load client secrets from a local file
-    const content = await fs.readFile(CREDENTIALS_PATH);
-    const credentials = JSON.parse(content);
-    
-    const { client_secret, client_id, redirect_uris } = credentials.installed;
-    const oAuth2Client = new OAuth2Client(client_id, client_secret, redirect_uris[0]);
-    
-    // Check if we have previously stored a token
-    try {
-      const token = await fs.readFile(TOKEN_PATH);
-      oAuth2Client.setCredentials(JSON.parse(token));
-    } catch (err) {
-      console.error('No token found, please authenticate first');
-      return null;
-    }
-    
-    // Create Gmail API client
-    const gmail = google.gmail({ version: 'v1', auth: oAuth2Client });
-    return gmail;
-  } catch (error) {
-    console.error('Error initializing Gmail client:', error);
-    return null;
+async function createMailProvider(options, account) {
+  const cache = new ThreadCache();
+  
+  // Recompute from previously downloaded threads without touching Gmail
+  if (options.cacheOnly) {
+    return new CacheOnlyProvider(cache);
   }
+  
+  const gmailProvider = await createAccountProvider(account, { maxResults: options.maxResults });
+  if (!gmailProvider || options.noCache) {
+    return gmailProvider;
+  }
+  
+  return new CachingMailProvider(gmailProvider, cache);
 }
 
 /**
- * Get email address mapping from the knowledge graph
- * Maps known email addresses to contact IDs
- * @returns {Object} Email to contact ID mapping
+ * Save the thread cache and print cache and quota usage for a run
+ * @param {Object} provider - Mail provider used for the run
  */
-async function getEmailMapping() {
-  try {
-    const graph = new KnowledgeGraph();
-    await graph.initialize(ENTITIES_PATH, RELATIONSHIPS_PATH);
-    
-    const contacts = graph.findEntitiesByType('Contact');
-    const mapping = {};
-    
-    contacts.forEach(contact => {
-      const emails = contact.observations
-        .find(obs => obs.type === 'contact_details')?.emails || [];
-      
-      emails.forEach(email => {
-        if (email) {
-          mapping[email.toLowerCase()] = contact.id;
-        }
-      });
-    });
-    
-    return mapping;
-  } catch (error) {
-    console.error('Error creating email mapping:', error);
-    return {};
+async function finishRun(provider) {
+  if (provider.cache) {
+    await provider.cache.flush();
+    console.log(provider.cache.formatReport());
+  }
+  
+  if (provider.scheduler) {
+    console.log(provider.scheduler.formatReport());
   }
 }
 
 /**
  * Analyze all contacts' email interactions
+ * @param {Object} options - Analysis options
+ * @param {number} options.maxResults - Ceiling on threads returned per search
+ * @param {Date|string} options.after - Only analyze mail after this date
+ * @param {Date|string} options.before - Only analyze mail before this date
+ * @param {boolean} options.fullRebuild - Ignore the sync checkpoint and re-analyze everything
+ * @param {boolean} options.cacheOnly - Only use threads from the local thread cache
+ * @param {boolean} options.noCache - Bypass the local thread cache
+ * @param {boolean} options.scan - Walk the mailbox once instead of searching per contact
+ * @param {string} options.account - Only read this configured account (all accounts when syncing, else the first)
  */
-async function analyzeAllContacts() {
+async function analyzeAllContacts(options = {}) {
   try {
     console.log('Starting email analysis for all contacts...');
     
-    // Initialize Gmail client
-    const gmail = await initializeGmailClient();
-    if (!gmail) {
-      console.error('Failed to initialize Gmail client');
-      return;
-    }
-    
-    // Get email mapping
-    const emailMapping = await getEmailMapping();
-    console.log(`Found ${Object.keys(emailMapping).length} mapped email addresses`);
+    const config = getUserConfig();
+    const accounts = options.account
+      ? [getAccount(config, options.account)]
+      : config.accounts.map(account => getAccount(config, account.id));
     
     // Initialize knowledge graph
     const graph = new KnowledgeGraph();
     await graph.initialize(ENTITIES_PATH, RELATIONSHIPS_PATH);
     
+    // Searches use every address a contact has, as stored; results are
+    // matched on the canonical addresses of the mapping
+    const emailMapping = graph.getEmailMapping();
+    const searchAddresses = mailAnalysis.getSearchAddresses(graph);
+    console.log(`Found ${Object.keys(emailMapping).length} mapped email addresses`);
+    
+    // Without a date window, only fetch what changed since the last run;
+    // every account is synced from its own checkpoint
+    if (!options.after && !options.before && !options.cacheOnly && !options.scan) {
+      for (const account of accounts) {
+        const provider = await createMailProvider(options, account);
+        if (!provider) continue;
+        
+        console.log(`Syncing account ${account.id} (${account.address})...`);
+        await syncAllContacts(provider, graph, searchAddresses, options);
+        await finishRun(provider);
+      }
+      return;
+    }
+    
+    // The other modes read one account at a time
+    if (accounts.length > 1) {
+      console.log(`Reading account ${accounts[0].id} only; pass --account=<id> to read another`);
+    }
+    
+    // Initialize mail provider
+    const provider = await createMailProvider(options, accounts[0]);
+    if (!provider) {
+      console.error('Failed to initialize Gmail client');
+      return;
+    }
+    
+    // Single pass over the mailbox, attributing each thread to every known participant
+    if (options.scan) {
+      await mailboxScan.scanAndUpdateContacts(provider, graph, emailMapping, options);
+      await graph.saveToFiles();
+      await finishRun(provider);
+      return;
+    }
+    
     // Create a map to track processed contacts
     const processedContacts = new Map();
+    const truncatedContacts = [];
+    const incompleteContacts = [];
     let totalEmails = 0;
     
     // Process all contacts in batches
-    const contactEmails = Object.keys(emailMapping);
+    const contacts = [...searchAddresses];
     const batchSize = 10;
     
-    for (let i = 0; i < contactEmails.length; i += batchSize) {
-      const batch = contactEmails.slice(i, i + batchSize);
-      console.log(`Processing batch ${i/batchSize + 1}/${Math.ceil(contactEmails.length/batchSize)}`);
+    for (let i = 0; i < contacts.length; i += batchSize) {
+      const batch = contacts.slice(i, i + batchSize);
+      console.log(`Processing batch ${i/batchSize + 1}/${Math.ceil(contacts.length/batchSize)}`);
       
-      const batchPromises = batch.map(async (contactEmail) => {
-        const contactId = emailMapping[contactEmail];
+      const batchPromises = batch.map(async ([contactId, contactEmails]) => {
+        processedContacts.set(contactId, true);
         
-        // Skip if we've already processed this contact
-        if (processedContacts.has(contactId)) {
+        // Get email interactions
+        const interactions = await mailAnalysis.analyzeContactEmails(provider, contactEmails, options);
+        
+        // A failed fetch must not look like a contact we never emailed
+        if (interactions.incomplete) {
+          mailAnalysis.markContactIncomplete(graph, contactId, interactions.error);
+          incompleteContacts.push(contactEmails[0]);
           return;
         }
         
-        processedContacts.set(contactId, true);
-        
-        // Get email interactions
-        const interactions = await analyzeContactEmails(gmail, contactEmail);
         totalEmails += interactions.totalEmails;
         
+        if (interactions.truncated) {
+          truncatedContacts.push(contactEmails[0]);
+        }
+        
         // Update contact with email metrics
-        if (interactions.totalEmails > 0) {
-          updateContactWithEmailMetrics(graph, contactId, interactions);
+        if (interactions.totalEmails > 0 && !mailAnalysis.updateContactWithEmailMetrics(graph, contactId, interactions)) {
+          incompleteContacts.push(contactEmails[0]);
         }
       });
       
@@ -172,353 +174,110 @@ async function analyzeAllContacts() {
     console.log(`- Processed ${totalEmails} total emails`);
     console.log(`- Updated importance scores for all contacts`);
     
-  } catch (error) {
-    console.error('Error analyzing contacts:', error);
-  }
-}
-
-/**
- * Analyze Gmail for interactions with a specific contact
- * @param {Object} gmail - Gmail API client
- * @param {string} contactEmail - Contact's email address
- * @returns {Object} Interaction metrics
- */
-async function analyzeContactEmails(gmail, contactEmail) {
-  try {
-    const metrics = {
-      totalEmails: 0,
-      emailsSent: 0,
-      emailsReceived: 0,
-      lastContactDate: null,
-      firstContactDate: null,
-      threadDepths: [],
-      responseTimes: {
-        fromContact: [],
-        fromUser: []
-      },
-      byTimePeriod: {
-        recent: { sent: 0, received: 0 },
-        medium: { sent: 0, received: 0 },
-        long: { sent: 0, received: 0 }
-      }
-    };
-    
-    // Create search queries for this contact
-    const userEmailsQuery = USER_CONFIG.userEmails.map(email => `from:${email}`).join(' OR ');
-    
-    // Search for emails FROM the contact to any of your addresses
-    const receivedQuery = `from:${contactEmail}`;
-    const receivedThreads = await searchEmails(gmail, receivedQuery);
-    
-    // Search for emails FROM you TO the contact
-    const sentQuery = `(${userEmailsQuery}) to:${contactEmail}`;
-    const sentThreads = await searchEmails(gmail, sentQuery);
-    
-    // Get unique thread IDs
-    const threadIds = new Set([
-      ...receivedThreads.map(thread => thread.id),
-      ...sentThreads.map(thread => thread.id)
-    ]);
+    if (truncatedContacts.length > 0) {
+      console.log(`- Results truncated for ${truncatedContacts.length} contacts (${truncatedContacts.join(', ')})`);
+    }
     
-    // Process each thread
-    for (const threadId of threadIds) {
-      const thread = await getThread(gmail, threadId);
-      if (!thread || !thread.messages) continue;
-      
-      // Analyze this thread
-      const threadMetrics = analyzeThread(thread, contactEmail);
-      
-      // Update metrics
-      metrics.totalEmails += threadMetrics.messageCount;
-      metrics.emailsSent += threadMetrics.fromUser;
-      metrics.emailsReceived += threadMetrics.fromContact;
-      
-      // Update dates
-      if (!metrics.firstContactDate || threadMetrics.firstDate < metrics.firstContactDate) {
-        metrics.firstContactDate = threadMetrics.firstDate;
-      }
-      
-      if (!metrics.lastContactDate || threadMetrics.lastDate > metrics.lastContactDate) {
-        metrics.lastContactDate = threadMetrics.lastDate;
-      }
-      
-      // Thread depth
-      metrics.threadDepths.push(thread.messages.length);
-      
-      // Response times
-      metrics.responseTimes.fromContact.push(...threadMetrics.contactResponseTimes);
-      metrics.responseTimes.fromUser.push(...threadMetrics.userResponseTimes);
-      
-      // Time periods
-      const now = new Date();
-      const threadDate = new Date(threadMetrics.lastDate);
-      const daysDifference = Math.floor((now - threadDate) / (1000 * 60 * 60 * 24));
-      
-      if (daysDifference <= USER_CONFIG.timePeriods.recent) {
-        metrics.byTimePeriod.recent.sent += threadMetrics.fromUser;
-        metrics.byTimePeriod.recent.received += threadMetrics.fromContact;
-      }
-      
-      if (daysDifference <= USER_CONFIG.timePeriods.medium) {
-        metrics.byTimePeriod.medium.sent += threadMetrics.fromUser;
-        metrics.byTimePeriod.medium.received += threadMetrics.fromContact;
-      }
-      
-      if (daysDifference <= USER_CONFIG.timePeriods.long) {
-        metrics.byTimePeriod.long.sent += threadMetrics.fromUser;
-        metrics.byTimePeriod.long.received += threadMetrics.fromContact;
-      }
+    if (incompleteContacts.length > 0) {
+      console.log(`- Marked ${incompleteContacts.length} contacts incomplete after failed fetches (${incompleteContacts.join(', ')})`);
     }
     
-    return metrics;
+    await finishRun(provider);
+  
   } catch (error) {
-    console.error(`Error analyzing emails for ${contactEmail}:`, error);
-    return {
-      totalEmails: 0,
-      emailsSent: 0,
-      emailsReceived: 0,
-      lastContactDate: null,
-      firstContactDate: null,
-      threadDepths: [],
-      responseTimes: {
-        fromContact: [],
-        fromUser: []
-      },
-      byTimePeriod: {
-        recent: { sent: 0, received: 0 },
-        medium: { sent: 0, received: 0 },
-        long: { sent: 0, received: 0 }
-      }
-    };
+    console.error('Error analyzing contacts:', error);
   }
 }
 
 /**
- * Search for emails matching a query
- * @param {Object} gmail - Gmail API client
- * @param {string} query - Search query
- * @returns {Array} List of message threads
+ * Sync all contacts incrementally from the stored history checkpoint
+ * @param {Object} provider - Gmail provider
+ * @param {Object} graph - Knowledge graph instance
+ * @param {Map} searchAddresses - Contact ID to the addresses to search (see mail_analysis.getSearchAddresses)
+ * @param {Object} options - Analysis options (see analyzeAllContacts)
  */
-async function searchEmails(gmail, query) {
-  try {
-    const response = await gmail.users.threads.list({
-      userId: 'me',
-      q: query,
-      maxResults: 500
-    });
-    
-    return response.data.threads || [];
-  } catch (error) {
-    console.error('Error searching emails:', error);
-    return [];
+async function syncAllContacts(provider, graph, searchAddresses, options) {
+  const results = await mailSync.syncContacts(provider, graph, [...searchAddresses.values()], {
+    fullRebuild: options.fullRebuild,
+    maxResults: options.maxResults
+  });
+  
+  // Save updated knowledge graph
+  await graph.saveToFiles();
+  
+  console.log(`Email sync complete (${results.mode}):`);
+  console.log(`- Fetched ${results.fetchedThreads} threads, ${results.changedThreads} changed`);
+  console.log(`- Updated ${results.updatedContacts} contacts`);
+  
+  if (results.truncated.length > 0) {
+    console.log(`- Results truncated for ${results.truncated.length} contacts (${results.truncated.join(', ')})`);
+  }
+  
+  if (results.incomplete.length > 0) {
+    console.log(`- Marked ${results.incomplete.length} contacts incomplete after failed fetches (${results.incomplete.join(', ')})`);
   }
 }
 
 /**
- * Get a full thread with all messages
+ * Analyze Gmail for interactions with a specific contact
  * @param {Object} gmail - Gmail API client
- * @param {string} threadId - Thread ID
- * @returns {Object} Thread with messages
+ * @param {string} contactEmail - Contact's email address
+ * @returns {Object} Interaction metrics
  */
-async function getThread(gmail, threadId) {
-  try {
-    const response = await gmail.users.threads.get({
-      userId: 'me',
-      id: threadId
-    });
-    
-    return response.data;
-  } catch (error) {
-    console.error(`Error fetching thread ${threadId}:`, error);
-    return null;
-  }
+async function analyzeContactEmails(gmail, contactEmail) {
+  return mailAnalysis.analyzeContactEmails(new GmailApiProvider(gmail), contactEmail);
 }
 
 /**
- * Analyze an email thread for communication patterns
- * @param {Object} thread - Thread object with messages
- * @param {string} contactEmail - Contact's email address
- * @returns {Object} Thread metrics
+ * Parse command line options (--after=YYYY/MM/DD, --before=YYYY/MM/DD, --max-results=N,
+ * --full, --cache-only, --no-cache, --scan, --account=ID, --config=PATH)
+ * @param {Array} args - Command line arguments
+ * @returns {Object} Analysis options
  */
-function analyzeThread(thread, contactEmail) {
-  const metrics = {
-    messageCount: thread.messages.length,
-    fromUser: 0,
-    fromContact: 0,
-    firstDate: null,
-    lastDate: null,
-    contactResponseTimes: [],
-    userResponseTimes: []
-  };
-  
-  // Sort messages by date
-  const messages = thread.messages.sort((a, b) => {
-    const dateA = new Date(parseInt(a.internalDate));
-    const dateB = new Date(parseInt(b.internalDate));
-    return dateA - dateB;
-  });
-  
-  // Set first and last dates
-  if (messages.length > 0) {
-    metrics.firstDate = new Date(parseInt(messages[0].internalDate)).toISOString();
-    metrics.lastDate = new Date(parseInt(messages[messages.length - 1].internalDate)).toISOString();
-  }
+function parseArgs(args) {
+  const options = {};
   
-  // Analyze each message
-  messages.forEach((message, index) => {
-    const headers = message.payload.headers;
-    const fromHeader = headers.find(h => h.name.toLowerCase() === 'from');
-    const from = fromHeader ? fromHeader.value.toLowerCase() : '';
-    
-    // Check if message is from the contact
-    const isFromContact = from.includes(contactEmail.toLowerCase());
-    
-    // Check if message is from the user
-    const isFromUser = USER_CONFIG.userEmails.some(email => 
-      from.includes(email.toLowerCase())
-    );
-    
-    // Count messages
-    if (isFromContact) {
-      metrics.fromContact++;
-    }
-    
-    if (isFromUser) {
-      metrics.fromUser++;
-    }
-    
-    // Calculate response times
-    if (index > 0) {
-      const prevMessage = messages[index - 1];
-      const prevHeaders = prevMessage.payload.headers;
-      const prevFromHeader = prevHeaders.find(h => h.name.toLowerCase() === 'from');
-      const prevFrom = prevFromHeader ? prevFromHeader.value.toLowerCase() : '';
-      
-      const prevIsFromContact = prevFrom.includes(contactEmail.toLowerCase());
-      const prevIsFromUser = USER_CONFIG.userEmails.some(email => 
-        prevFrom.includes(email.toLowerCase())
-      );
-      
-      // Calculate time difference in hours
-      const prevDate = new Date(parseInt(prevMessage.internalDate));
-      const currDate = new Date(parseInt(message.internalDate));
-      const hoursDiff = (currDate - prevDate) / (1000 * 60 * 60);
-      
-      // If previous message was from user and current is from contact
-      if (prevIsFromUser && isFromContact) {
-        metrics.contactResponseTimes.push(hoursDiff);
-      }
-      
-      // If previous message was from contact and current is from user
-      if (prevIsFromContact && isFromUser) {
-        metrics.userResponseTimes.push(hoursDiff);
-      }
+  args.forEach(arg => {
+    const [name, value] = arg.replace(/^--/, '').split('=');
+    
+    if (name === 'after' || name === 'before') {
+      options[name] = value;
+    } else if (name === 'max-results') {
+      options.maxResults = parseInt(value, 10);
+    } else if (name === 'full') {
+      options.fullRebuild = true;
+    } else if (name === 'cache-only') {
+      options.cacheOnly = true;
+    } else if (name === 'no-cache') {
+      options.noCache = true;
+    } else if (name === 'scan') {
+      options.scan = true;
+    } else if (name === 'account') {
+      options.account = value;
+    } else if (name === 'config') {
+      options.configPath = path.resolve(value);
     }
   });
   
-  return metrics;
+  return options;
 }
 
 /**
- * Update a contact with email metrics
- * @param {Object} graph - Knowledge graph instance
- * @param {string} contactId - Contact ID
- * @param {Object} metrics - Email metrics
+ * Run the email analysis
+ * @param {Object} options - Analysis options (see analyzeAllContacts), plus:
+ * @param {string} options.configPath - Configuration file (defaults to $CONTACT_PROJECT_CONFIG, else src/config/user_config.json)
  */
-function updateContactWithEmailMetrics(graph, contactId, metrics) {
+async function run(options = {}) {
+  // Check the configuration before touching any mail
   try {
-    // Update communication metrics
-    graph.updateEntityObservation(contactId, 'communication_metrics', {
-      lastContacted: metrics.lastContactDate,
-      emailCount: metrics.totalEmails,
-      responseRate: calculateResponseRate(metrics),
-      meetingCount: 0 // This would need to be updated separately
-    });
-    
-    // Add detailed communication patterns
-    graph.updateEntityObservation(contactId, 'communication_patterns', {
-      firstContactDate: metrics.firstContactDate,
-      emailsSent: metrics.emailsSent,
-      emailsReceived: metrics.emailsReceived,
-      averageThreadDepth: calculateAverageThreadDepth(metrics),
-      averageResponseTime: calculateAverageResponseTime(metrics),
-      communicationTrend: calculateCommunicationTrend(metrics),
-      recentActivity: {
-        last30Days: metrics.byTimePeriod.recent.sent + metrics.byTimePeriod.recent.received,
-        last90Days: metrics.byTimePeriod.medium.sent + metrics.byTimePeriod.medium.received,
-        last365Days: metrics.byTimePeriod.long.sent + metrics.byTimePeriod.long.received
-      }
-    });
+    loadUserConfig(options.configPath);
   } catch (error) {
-    console.error(`Error updating contact ${contactId} with email metrics:`, error);
+    console.error(error.message);
+    process.exit(1);
   }
-}
-
-/**
- * Calculate response rate from metrics
- * @param {Object} metrics - Email metrics
- * @returns {number} Response rate (0-1)
- */
-function calculateResponseRate(metrics) {
-  if (metrics.emailsSent === 0) return 0;
   
-  const contactResponses = metrics.responseTimes.fromContact.length;
-  return contactResponses / metrics.emailsSent;
-}
-
-/**
- * Calculate average thread depth
- * @param {Object} metrics - Email metrics
- * @returns {number} Average thread depth
- */
-function calculateAverageThreadDepth(metrics) {
-  if (metrics.threadDepths.length === 0) return 0;
-  
-  const sum = metrics.threadDepths.reduce((acc, depth) => acc + depth, 0);
-  return sum / metrics.threadDepths.length;
-}
-
-/**
- * Calculate average response time
- * @param {Object} metrics - Email metrics
- * @returns {number} Average response time in hours
- */
-function calculateAverageResponseTime(metrics) {
-  const responseTimes = metrics.responseTimes.fromContact;
-  if (responseTimes.length === 0) return 0;
-  
-  const sum = responseTimes.reduce((acc, time) => acc + time, 0);
-  return sum / responseTimes.length;
-}
-
-/**
- * Calculate communication trend
- * @param {Object} metrics - Email metrics
- * @returns {string} Trend (increasing, stable, decreasing)
- */
-function calculateCommunicationTrend(metrics) {
-  const recent = metrics.byTimePeriod.recent.sent + metrics.byTimePeriod.recent.received;
-  const medium = metrics.byTimePeriod.medium.sent + metrics.byTimePeriod.medium.received;
-  
-  // Normalize to per-month rate
-  const recentRate = recent; // Already 30 days
-  const mediumRate = medium / 3; // 90 days to 30 days
-  
-  if (recentRate > mediumRate * 1.5) {
-    return 'increasing';
-  } else if (recentRate < mediumRate * 0.5) {
-    return 'decreasing';
-  } else {
-    return 'stable';
-  }
-}
-
-/**
- * Run the email analysis
- */
-async function run() {
   try {
-    await analyzeAllContacts();
+    await analyzeAllContacts(options);
     
     // Recalculate importance scores
     const graph = new KnowledgeGraph();
@@ -534,15 +293,15 @@ async function run() {
 
 // Run the script if executed directly
 if (require.main === module) {
-  run();
+  run(parseArgs(process.argv.slice(2)));
 }
 
 module.exports = {
   analyzeAllContacts,
   analyzeContactEmails,
-  calculateResponseRate,
-  calculateAverageThreadDepth,
-  calculateAverageResponseTime,
-  calculateCommunicationTrend,
+  calculateResponseRate: mailAnalysis.calculateResponseRate,
+  calculateAverageThreadDepth: mailAnalysis.calculateAverageThreadDepth,
+  calculateAverageResponseTime: mailAnalysis.calculateAverageResponseTime,
+  calculateCommunicationTrend: mailAnalysis.calculateCommunicationTrend,
   run
 };
\ No newline at end of file
@@ -38,6 +38,8 @@ async function generateEmail(templatePath, contactData, userData) {
     const contactDetails = contactData.observations.find(obs => obs.type === 'contact_details');
     const importanceMetrics = contactData.observations.find(obs => obs.type === 'importance_metrics');
     
+    const topics = contactData.observations.find(obs => obs.type === 'topics');
+    
     // Generate personalization based on contact data
     const personalizationContent = generatePersonalization(contactData, importanceMetrics?.calculatedScore || 0);
     
@@ -47,7 +49,9 @@ async function generateEmail(templatePath, contactData, userData) {
         .replace('[NEW_EMAIL]', userData.email || 'your-new-email@example.com')
         .replace('[NEW_PHONE]', userData.phone || 'your-new-phone')
         .replace('[NEW_ADDRESS]', userData.address || 'your-new-address')
-        .replace('[PERSONALIZATION_SECTION]', personalizationContent);
+        .replace('[PERSONALIZATION_SECTION]', personalizationContent)
+        .replace(/\[TOPIC\]/g, topics?.topics?.[0]?.term || 'the things we have talked about')
+        .replace(/\[LAST_SUBJECT\]/g, topics?.lastSharedSubject || 'our last conversation');
     
     // Extract the signature line to encode
     const signatureLineRegex = /(.+\| .+\| .+\|)/;
@@ -90,15 +94,27 @@ async function generateEmail(templatePath, contactData, userData) {
  * @returns {string} - Personalized content
  */
 function generatePersonalization(contactData, importanceScore) {
+    // Topics come from topic_extraction.js; without them the text stays general
+    const topics = contactData.observations.find(obs => obs.type === 'topics');
+    const topTopic = topics?.topics?.[0]?.term;
+    const lastSubject = topics?.lastSharedSubject;
+    
+    const insights = topTopic
+        ? `Your insights on ${topTopic} have been particularly valuable to me.`
+        : 'Your insights have been particularly valuable to me.';
+    const recentWork = lastSubject
+        ? `I hope things have gone well since we last wrote about "${lastSubject}".`
+        : 'I hope your recent projects have been going well.';
+    
     // Different personalization based on importance tiers
     if (importanceScore >= 80) {
         // Tier 1: Very important contact
-        return `It's been a while since we last connected, and I've been thinking about how much I value our relationship. Your insights on [specific topic] have been particularly valuable to me.
+        return `It's been a while since we last connected, and I've been thinking about how much I value our relationship. ${insights}
 
 I'm currently working on some exciting new projects that I'd love to share with you when we next speak. Perhaps we could schedule a call or meet for coffee in the coming weeks?`;
     } else if (importanceScore >= 60) {
         // Tier 2: Important contact
-        return `I've been reflecting on our past conversations and wanted to reconnect. I hope your work on [mention their recent project if known] has been going well.
+        return `I've been reflecting on our past conversations and wanted to reconnect. ${recentWork}
 
 I'd love to catch up and hear what you've been working on recently. Would you be open to grabbing coffee or scheduling a call in the near future?`;
     } else if (importanceScore >= 40) {
@@ -154,7 +170,7 @@ async function saveEmailsToFiles(emails, outputDir) {
 ## Generated: ${email.generatedOn}
 
 ${email.content}`;
-        
+
         await fs.writeFile(filePath, fileContent);
     }
     
@@ -0,0 +1,436 @@
+/**
+ * Knowledge Graph Schema
+ *
+ * Declares the entity types, observation types and relationship types the
+ * knowledge graph holds, and checks entities, observations and
+ * relationships against them. KnowledgeGraph rejects writes that do not
+ * match and reports violations found when a graph is loaded; run
+ * validate_graph.js to list every violation in a stored graph.
+ *
+ * Fields are described by { type, required, nullable, items, fields, min, max, values }:
+ *   type      'string', 'number', 'boolean', 'date' (ISO string), 'array' or 'object'
+ *   required  the field must be present
+ *   nullable  null is allowed
+ *   items     description of every array element
+ *   fields    descriptions of an object's properties
+ *   min, max  bounds for numbers
+ *   values    allowed values
+ *
+ * Fields that are not described are allowed, so an observation can gain a
+ * field without a schema change. Unknown entity, observation and
+ * relationship types are violations; add new ones with the register
+ * functions below.
+ */
+
+// Fields every entity has
+const ENTITY_FIELDS = {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    entityType: { type: 'string', required: true },
+    observations: { type: 'array', required: true, items: { type: 'object' } },
+    createdAt: { type: 'date' },
+    observationHistory: { type: 'array', items: { type: 'object' } }
+};
+
+// Entity type to the observation types its entities may have
+const ENTITY_TYPES = {
+    Contact: {
+        observations: [
+            'contact_details', 'relationship_info', 'communication_metrics', 'importance_metrics',
+            'communication_patterns', 'reciprocity', 'communication_history', 'meeting_history',
+            'working_hours', 'topics', 'career_event', 'categories'
+        ]
+    },
+    Organization: { observations: ['organization_details'] },
+    Category: { observations: ['category_details'] }
+};
+
+// Observation type to its fields. `multiple` types may occur more than once
+// per entity; `history` lists the fields whose changes KnowledgeGraph records
+// in observationHistory. Bookkeeping timestamps and large derived values
+// (histograms, topic and meeting lists) are left out, since they change on
+// every run and can be recomputed from mail.
+const OBSERVATION_TYPES = {
+    contact_details: {
+        history: ['emails', 'phones', 'organization', 'address'],
+        fields: {
+            emails: { type: 'array', required: true, items: { type: 'string' } },
+            phones: { type: 'array', items: { type: 'string' } },
+            organization: {
+                type: 'object',
+                nullable: true,
+                fields: {
+                    name: { type: 'string', required: true },
+                    title: { type: 'string', nullable: true }
+                }
+            },
+            address: { type: 'string', nullable: true }
+        }
+    },
+    relationship_info: {
+        history: ['notes'],
+        fields: {
+            notes: { type: 'string', nullable: true }
+        }
+    },
+    communication_metrics: {
+        history: ['lastContacted', 'emailCount', 'responseRate', 'meetingCount', 'lastMeeting', 'analysisStatus'],
+        fields: {
+            lastContacted: { type: 'date', nullable: true },
+            emailCount: { type: 'number', min: 0 },
+            responseRate: { type: 'number', min: 0 },
+            responseCount: { type: 'number', min: 0 },
+            meetingCount: { type: 'number', min: 0 },
+            lastMeeting: { type: 'date', nullable: true },
+            analysisStatus: { type: 'string', values: ['complete', 'incomplete'] },
+            analysisError: { type: 'string', nullable: true },
+            analysisAttemptedAt: { type: 'date' }
+        }
+    },
+    importance_metrics: {
+        history: ['manualPriority', 'calculatedScore'],
+        fields: {
+            manualPriority: { type: 'number', min: 0, max: 10 },
+            calculatedScore: { type: 'number', min: 0 }
+        }
+    },
+    communication_patterns: {
+        history: ['emailsSent', 'emailsReceived', 'communicationTrend'],
+        fields: {
+            firstContactDate: { type: 'date', nullable: true },
+            emailsSent: { type: 'number', min: 0 },
+            emailsReceived: { type: 'number', min: 0 },
+            interactionTiers: { type: 'object' },
+            communicationTrend: { type: 'string', nullable: true },
+            truncated: { type: 'boolean' },
+            recentActivity: { type: 'object' }
+        }
+    },
+    reciprocity: {
+        history: ['reciprocityScore', 'contactInitiationShare'],
+        fields: {
+            reciprocityScore: { type: 'number', min: 0, max: 1 },
+            contactInitiationShare: { type: 'number', min: 0, max: 1 }
+        }
+    },
+    communication_history: {
+        history: ['trend', 'cooling'],
+        fields: {
+            monthly: { type: 'array' },
+            trend: { type: 'string' },
+            cooling: { type: 'boolean' },
+            updatedAt: { type: 'date' }
+        }
+    },
+    meeting_history: {
+        history: ['totalMeetings', 'lastMeeting'],
+        fields: {
+            totalMeetings: { type: 'number', min: 0 },
+            upcomingMeetings: { type: 'number', min: 0 },
+            lastMeeting: { type: 'date', nullable: true },
+            nextMeeting: { type: 'date', nullable: true },
+            meetings: { type: 'array', items: { type: 'object' } }
+        }
+    },
+    working_hours: {
+        history: ['timezone', 'workDays', 'startHour', 'endHour'],
+        fields: {
+            timezone: { type: 'string' },
+            workDays: { type: 'array', items: { type: 'number', min: 0, max: 6 } },
+            startHour: { type: 'number', min: 0, max: 24 },
+            endHour: { type: 'number', min: 0, max: 24 }
+        }
+    },
+    topics: {
+        history: [],
+        fields: {
+            topics: { type: 'array', required: true, items: { type: 'object', fields: { term: { type: 'string', required: true } } } },
+            updatedAt: { type: 'date' }
+        }
+    },
+    career_event: {
+        multiple: true,
+        history: ['eventType', 'date'],
+        fields: {
+            eventType: { type: 'string', required: true },
+            date: { type: 'date', nullable: true },
+            detectedAt: { type: 'date' },
+            confidence: { type: 'number', min: 0, max: 1 }
+        }
+    },
+    categories: {
+        history: ['categories'],
+        fields: {
+            categories: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    organization_details: {
+        history: ['industry', 'website', 'size'],
+        fields: {
+            industry: { type: 'string', nullable: true },
+            website: { type: 'string', nullable: true },
+            size: { type: 'string', nullable: true }
+        }
+    },
+    category_details: {
+        history: ['description', 'priority'],
+        fields: {
+            description: { type: 'string', nullable: true },
+            priority: { type: 'string', nullable: true }
+        }
+    }
+};
+
+// Relationship type to the entity types it may connect
+const RELATIONSHIP_TYPES = {
+    is_categorized_as: { from: ['Contact'], to: ['Category'] },
+    works_at: { from: ['Contact'], to: ['Organization'] },
+    founded: { from: ['Contact'], to: ['Organization'] },
+    introduced: { from: ['Contact'], to: ['Contact'] },
+    collaborated_with: { from: ['Contact'], to: ['Contact'] }
+};
+
+/**
+ * Describe a value's type for messages
+ * @param {*} value - Value
+ * @returns {string} - Type name
+ */
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Check a value against a field description
+ * @param {*} value - Value
+ * @param {Object} spec - Field description
+ * @param {string} fieldPath - Field path for messages
+ * @param {Array} violations - Messages are appended here
+ */
+function checkValue(value, spec, fieldPath, violations) {
+    if (value === null) {
+        if (!spec.nullable) violations.push(`${fieldPath} must not be null`);
+        return;
+    }
+    
+    const actual = describeType(value);
+    const expected = spec.type === 'date' ? 'string' : spec.type;
+    if (actual !== expected) {
+        violations.push(`${fieldPath} must be ${spec.type === 'array' || spec.type === 'object' ? 'an' : 'a'} ${spec.type}, not ${actual}`);
+        return;
+    }
+    
+    if (spec.type === 'date' && isNaN(new Date(value).getTime())) {
+        violations.push(`${fieldPath} must be a date, not "${value}"`);
+    }
+    if (spec.type === 'number') {
+        if (!Number.isFinite(value)) {
+            violations.push(`${fieldPath} must be a finite number`);
+        } else if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+            violations.push(`${fieldPath} must be between ${spec.min !== undefined ? spec.min : '-∞'} and ${spec.max !== undefined ? spec.max : '∞'}, not ${value}`);
+        }
+    }
+    if (spec.values && !spec.values.includes(value)) {
+        violations.push(`${fieldPath} must be one of ${spec.values.join(', ')}, not "${value}"`);
+    }
+    if (spec.type === 'array' && spec.items) {
+        value.forEach((item, index) => checkValue(item, spec.items, `${fieldPath}[${index}]`, violations));
+    }
+    if (spec.type === 'object' && spec.fields) {
+        checkFields(value, spec.fields, fieldPath, violations);
+    }
+}
+
+/**
+ * Check an object's described fields
+ * @param {Object} object - Object to check
+ * @param {Object} fields - Field name to description
+ * @param {string} objectPath - Path of the object for messages
+ * @param {Array} violations - Messages are appended here
+ */
+function checkFields(object, fields, objectPath, violations) {
+    Object.entries(fields).forEach(([field, spec]) => {
+        const fieldPath = objectPath ? `${objectPath}.${field}` : field;
+        
+        if (object[field] === undefined) {
+            if (spec.required) violations.push(`${fieldPath} is required`);
+            return;
+        }
+        
+        checkValue(object[field], spec, fieldPath, violations);
+    });
+}
+
+/**
+ * Validate an observation for an entity of the given type
+ * @param {string} entityType - Type of the entity the observation belongs to
+ * @param {Object} observation - Observation
+ * @returns {Array} - Violation messages (empty when valid)
+ */
+function validateObservation(entityType, observation) {
+    const violations = [];
+    const schema = OBSERVATION_TYPES[observation.type];
+    
+    if (!schema) {
+        violations.push(`unknown observation type "${observation.type}"`);
+    } else if (ENTITY_TYPES[entityType] && !ENTITY_TYPES[entityType].observations.includes(observation.type)) {
+        violations.push(`${entityType} entities cannot have ${observation.type} observations`);
+    } else {
+        checkFields(observation, schema.fields, observation.type, violations);
+    }
+    
+    return violations;
+}
+
+/**
+ * Check whether an entity may have more than one observation of a type
+ * @param {string} observationType - Observation type
+ * @returns {boolean} - True for types declared with `multiple`
+ */
+function allowsMultiple(observationType) {
+    return Boolean(OBSERVATION_TYPES[observationType] && OBSERVATION_TYPES[observationType].multiple);
+}
+
+/**
+ * Get the fields of an observation type whose changes are versioned
+ * @param {string} observationType - Observation type
+ * @returns {Array} - Field names (none for unknown types)
+ */
+function getHistoryFields(observationType) {
+    return (OBSERVATION_TYPES[observationType] && OBSERVATION_TYPES[observationType].history) || [];
+}
+
+/**
+ * Validate an entity and its observations
+ * @param {Object} entity - Entity
+ * @returns {Array} - Violation messages (empty when valid)
+ */
+function validateEntity(entity) {
+    const violations = [];
+    checkFields(entity, ENTITY_FIELDS, '', violations);
+    
+    if (typeof entity.entityType === 'string' && !ENTITY_TYPES[entity.entityType]) {
+        violations.push(`unknown entity type "${entity.entityType}"`);
+    }
+    
+    if (Array.isArray(entity.observations)) {
+        const counts = {};
+        
+        entity.observations.forEach(observation => {
+            if (!observation || typeof observation !== 'object') return;
+            counts[observation.type] = (counts[observation.type] || 0) + 1;
+            violations.push(...validateObservation(entity.entityType, observation));
+        });
+        
+        Object.entries(counts).forEach(([type, count]) => {
+            if (count > 1 && OBSERVATION_TYPES[type] && !allowsMultiple(type)) {
+                violations.push(`has ${count} ${type} observations, expected one`);
+            }
+        });
+    }
+    
+    return violations;
+}
+
+/**
+ * Validate a relationship against the entities it connects
+ * @param {Object} relationship - Relationship
+ * @param {Object} entities - Entity ID to entity
+ * @returns {Array} - Violation messages (empty when valid)
+ */
+function validateRelationship(relationship, entities) {
+    const violations = [];
+    const schema = RELATIONSHIP_TYPES[relationship.relationType];
+    
+    if (!schema) {
+        violations.push(`unknown relationship type "${relationship.relationType}"`);
+    }
+    
+    ['from', 'to'].forEach(end => {
+        const entity = entities[relationship[end]];
+        
+        if (!entity) {
+            violations.push(`${end} entity ${relationship[end]} does not exist`);
+        } else if (schema && !schema[end].includes(entity.entityType)) {
+            violations.push(`${relationship.relationType} cannot go ${end} a ${entity.entityType}`);
+        }
+    });
+    
+    return violations;
+}
+
+/**
+ * Validate a whole graph
+ * @param {Object} graph - { entities, relationships }
+ * @returns {Array} - Violations ({ subject, message }), where subject names the entity or relationship
+ */
+function validateGraph(graph) {
+    const violations = [];
+    
+    Object.entries(graph.entities).forEach(([id, entity]) => {
+        if (entity.id !== id) {
+            violations.push({ subject: `entity ${id}`, message: `is stored under a different id than its own (${entity.id})` });
+        }
+        validateEntity(entity).forEach(message => violations.push({ subject: `entity ${id}`, message }));
+    });
+    
+    graph.relationships.forEach((relationship, index) => {
+        const subject = `relationship ${index} (${relationship.from} ${relationship.relationType} ${relationship.to})`;
+        validateRelationship(relationship, graph.entities).forEach(message => violations.push({ subject, message }));
+    });
+    
+    return violations;
+}
+
+/**
+ * Register an entity type
+ * @param {string} entityType - Entity type
+ * @param {Object} schema - { observations: [observation types] }
+ */
+function registerEntityType(entityType, schema) {
+    ENTITY_TYPES[entityType] = schema;
+}
+
+/**
+ * Register an observation type and allow it on the given entity types
+ * @param {string} observationType - Observation type
+ * @param {Object} schema - { fields, multiple, history }
+ * @param {Array} entityTypes - Entity types that may have it (default ['Contact'])
+ */
+function registerObservationType(observationType, schema, entityTypes = ['Contact']) {
+    OBSERVATION_TYPES[observationType] = { fields: {}, ...schema };
+    
+    entityTypes.forEach(entityType => {
+        if (!ENTITY_TYPES[entityType]) {
+            throw new Error(`Unknown entity type ${entityType}.`);
+        }
+        if (!ENTITY_TYPES[entityType].observations.includes(observationType)) {
+            ENTITY_TYPES[entityType].observations.push(observationType);
+        }
+    });
+}
+
+/**
+ * Register a relationship type
+ * @param {string} relationType - Relationship type
+ * @param {Object} schema - { from: [entity types], to: [entity types] }
+ */
+function registerRelationshipType(relationType, schema) {
+    RELATIONSHIP_TYPES[relationType] = schema;
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    OBSERVATION_TYPES,
+    RELATIONSHIP_TYPES,
+    allowsMultiple,
+    getHistoryFields,
+    validateObservation,
+    validateEntity,
+    validateRelationship,
+    validateGraph,
+    registerEntityType,
+    registerObservationType,
+    registerRelationshipType
+};
@@ -0,0 +1,244 @@
+/**
+ * iCalendar Parser
+ *
+ * Minimal RFC 5545 parser for meeting invitations (text/calendar parts in
+ * mail) and calendar exports (.ics files). Only the parts needed to tell
+ * who met whom and when are read: VEVENT start and end, organizer,
+ * attendees with their participation status, status, sequence and the
+ * recurrence rule.
+ */
+
+const { zonedTimeToTimestamp } = require('./working_hours');
+
+/**
+ * Check whether a timezone name is known to Intl
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} - True for IANA names Intl accepts
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * @param {string} line - Unfolded content line (e.g. 'DTSTART;TZID=Europe/Paris:20250301T100000')
+ * @returns {Object|null} - { name, params, value } or null for malformed lines
+ */
+function parseContentLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+    
+    const [name, ...rawParams] = line.slice(0, colon).match(/(?:[^;"]+|"[^"]*")+/g) || [];
+    const params = {};
+    rawParams.forEach(param => {
+        const equals = param.indexOf('=');
+        if (equals > 0) {
+            params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+        }
+    });
+    
+    return { name: (name || '').toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Undo iCalendar text escaping
+ * @param {string} value - Escaped TEXT value
+ * @returns {string} - Plain text
+ */
+function unescapeText(value) {
+    return value.replace(/\\([nN;,\\])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value - Value (e.g. '20250301', '20250301T100000Z')
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @param {string} defaultTimezone - Timezone for floating times and unknown TZIDs
+ * @returns {Object|null} - { timestamp, allDay } or null if unparseable
+ */
+function parseDateValue(value, params, defaultTimezone) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec((value || '').trim());
+    if (!match) return null;
+    
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const timezone = params.TZID && isValidTimezone(params.TZID) ? params.TZID : defaultTimezone;
+    
+    if (hour === undefined) {
+        return {
+            timestamp: zonedTimeToTimestamp(+year, +month, +day, 0, timezone),
+            allDay: true
+        };
+    }
+    
+    const hours = +hour + +minute / 60 + +second / 3600;
+    return {
+        timestamp: utc
+            ? Date.UTC(+year, +month - 1, +day) + hours * 60 * 60 * 1000
+            : zonedTimeToTimestamp(+year, +month, +day, hours, timezone),
+        allDay: false
+    };
+}
+
+/**
+ * Parse a CAL-ADDRESS property (ORGANIZER, ATTENDEE)
+ * @param {Object} property - Parsed content line
+ * @returns {Object} - { name, address, partstat, role }
+ */
+function parseCalendarAddress(property) {
+    return {
+        name: property.params.CN || '',
+        address: property.value.replace(/^mailto:/i, '').trim().toLowerCase(),
+        partstat: (property.params.PARTSTAT || 'NEEDS-ACTION').toUpperCase(),
+        role: (property.params.ROLE || 'REQ-PARTICIPANT').toUpperCase()
+    };
+}
+
+/**
+ * Parse a recurrence rule
+ * @param {string} value - RRULE value (e.g. 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE')
+ * @returns {Object} - Rule parts keyed by upper-case name
+ */
+function parseRecurrenceRule(value) {
+    const rule = {};
+    value.split(';').forEach(part => {
+        const [key, partValue] = part.split('=');
+        if (key && partValue !== undefined) rule[key.toUpperCase()] = partValue;
+    });
+    return rule;
+}
+
+/**
+ * Parse an iCalendar document
+ * @param {string} text - iCalendar text
+ * @param {Object} options - Parse options
+ * @param {string} options.defaultTimezone - Timezone for floating times (default UTC)
+ * @returns {Object} - { method, events }; method is the iTIP method
+ *     (REQUEST, CANCEL, REPLY, ...) or null for plain calendar exports
+ */
+function parseIcs(text, options = {}) {
+    const defaultTimezone = options.defaultTimezone || 'UTC';
+    const lines = (text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    
+    const events = [];
+    let method = null;
+    let event = null;
+    // Nested components (VALARM) inside an event are skipped
+    let nestedDepth = 0;
+    
+    lines.forEach(line => {
+        const property = parseContentLine(line);
+        if (!property) return;
+        
+        const { name, params, value } = property;
+        
+        if (name === 'BEGIN') {
+            if (value.toUpperCase() === 'VEVENT' && !event) {
+                event = {
+                    uid: null,
+                    sequence: 0,
+                    status: 'CONFIRMED',
+                    summary: '',
+                    start: null,
+                    end: null,
+                    allDay: false,
+                    organizer: null,
+                    attendees: [],
+                    recurrenceRule: null,
+                    recurrenceId: null,
+                    excludedDates: []
+                };
+            } else if (event) {
+                nestedDepth++;
+            }
+            return;
+        }
+        
+        if (name === 'END') {
+            if (event && nestedDepth > 0) {
+                nestedDepth--;
+            } else if (event && value.toUpperCase() === 'VEVENT') {
+                if (event.start !== null) events.push(event);
+                event = null;
+            }
+            return;
+        }
+        
+        if (!event) {
+            if (name === 'METHOD') method = value.trim().toUpperCase();
+            return;
+        }
+        if (nestedDepth > 0) return;
+        
+        switch (name) {
+            case 'UID':
+                event.uid = value.trim();
+                break;
+            case 'SEQUENCE':
+                event.sequence = parseInt(value, 10) || 0;
+                break;
+            case 'STATUS':
+                event.status = value.trim().toUpperCase();
+                break;
+            case 'SUMMARY':
+                event.summary = unescapeText(value);
+                break;
+            case 'DTSTART': {
+                const date = parseDateValue(value, params, defaultTimezone);
+                if (date) {
+                    event.start = date.timestamp;
+                    event.allDay = date.allDay;
+                }
+                break;
+            }
+            case 'DTEND': {
+                const date = parseDateValue(value, params, defaultTimezone);
+                if (date) event.end = date.timestamp;
+                break;
+            }
+            case 'ORGANIZER':
+                event.organizer = parseCalendarAddress(property);
+                break;
+            case 'ATTENDEE':
+                event.attendees.push(parseCalendarAddress(property));
+                break;
+            case 'RRULE':
+                event.recurrenceRule = parseRecurrenceRule(value);
+                break;
+            case 'RECURRENCE-ID': {
+                const date = parseDateValue(value, params, defaultTimezone);
+                if (date) event.recurrenceId = date.timestamp;
+                break;
+            }
+            case 'EXDATE':
+                value.split(',').forEach(part => {
+                    const date = parseDateValue(part, params, defaultTimezone);
+                    if (date) event.excludedDates.push(date.timestamp);
+                });
+                break;
+            default:
+                break;
+        }
+    });
+    
+    return { method, events };
+}
+
+module.exports = {
+    parseIcs,
+    parseContentLine,
+    parseDateValue
+};
@@ -0,0 +1,66 @@
+/**
+ * Calendar Importer
+ *
+ * Imports meetings from calendar exports (.ics files, e.g. a Google
+ * Calendar export) and records them on the contacts who attended.
+ *
+ * Usage: node src/utilities/import_calendar.js <ics path> [more paths...]
+ */
+
+const path = require('path');
+const KnowledgeGraph = require('./knowledge_graph');
+const meetingAnalysis = require('./meeting_analysis');
+
+// File paths
+const BASE_DIR = path.resolve(__dirname, '..');
+const ENTITIES_PATH = path.join(BASE_DIR, 'knowledge_graph', 'entities.json');
+const RELATIONSHIPS_PATH = path.join(BASE_DIR, 'knowledge_graph', 'relationships.json');
+
+/**
+ * Import meetings from .ics files into the knowledge graph
+ * @param {Array} icsPaths - .ics files or directories
+ * @returns {Promise<Object>} - Meeting analysis summary
+ */
+async function importCalendar(icsPaths) {
+  const graph = new KnowledgeGraph();
+  await graph.initialize(ENTITIES_PATH, RELATIONSHIPS_PATH);
+  
+  const results = await meetingAnalysis.analyzeMeetings(graph, { icsPaths });
+  
+  graph.calculateImportanceScores();
+  await graph.saveToFiles();
+  
+  return results;
+}
+
+/**
+ * Run the calendar import from the command line
+ */
+async function run() {
+  const icsPaths = process.argv.slice(2);
+  
+  if (icsPaths.length === 0) {
+    console.error('Usage: node import_calendar.js <ics path> [more paths...]');
+    process.exit(1);
+  }
+  
+  try {
+    const results = await importCalendar(icsPaths.map(icsPath => path.resolve(icsPath)));
+    
+    console.log('Calendar import complete:');
+    console.log(`- Read ${results.icsEvents} events (${results.storedEvents} stored in total)`);
+    console.log(`- Found ${results.meetings} meetings, ${results.updatedContacts} contacts with meetings`);
+  } catch (error) {
+    console.error('Error importing calendar:', error);
+    process.exit(1);
+  }
+}
+
+// Run the script if executed directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  importCalendar
+};
@@ -2,11 +2,134 @@
  * Knowledge Graph Implementation
  * 
  * This utility provides functions for creating, managing, and querying
- * the knowledge graph of contacts and their relationships.
+ * the knowledge graph of contacts and their relationships. The graph is
+ * held in memory and stored through a storage adapter (see storage/):
+ * JSON files by default, or a SQLite database when the configuration's
+ * storage.backend is 'sqlite'.
+ *
+ * Lookups by entity type, email, phone, organization and relationship
+ * endpoint go through in-memory indexes. They are built on first use and
+ * kept up to date by addEntity, addRelationship, updateEntityObservation
+ * and addObservation; code that changes entities or relationships directly
+ * must call reindex().
+ *
+ * Observation changes made through updateEntityObservation and
+ * addObservation are versioned in the entity's observationHistory:
+ *
+ *   { at, source, observationType, position, created, changes: { field: { from, to } } }
+ *
+ * `from` is missing for fields the observation did not have before, and
+ * `created` marks the change that added the observation. Only the fields
+ * graph_schema.js lists in an observation type's `history` are recorded, and
+ * each entity keeps its last MAX_HISTORY_ENTRIES changes. asOf() replays
+ * this history backwards to show the graph as it was on an earlier date;
+ * fields that are not versioned keep their current values.
+ *
+ * Writes are checked against graph_schema.js and rejected if they do not
+ * match; violations in a loaded graph are reported but the graph is still
+ * loaded, so it can be inspected with validate_graph.js and fixed.
  */
 
-const fs = require('fs').promises;
 const path = require('path');
+const { DEFAULT_CONFIG, getUserConfig } = require('./user_config');
+const { canonicalizeAddress } = require('./address_parser');
+const { allowsMultiple, getHistoryFields, validateEntity, validateObservation, validateRelationship, validateGraph } = require('./graph_schema');
+const JsonFileAdapter = require('./storage/json_file_adapter');
+const SqliteAdapter = require('./storage/sqlite_adapter');
+
+// Observation changes kept per entity; older ones are dropped, so asOf() is
+// exact back to the oldest kept change
+const MAX_HISTORY_ENTRIES = 200;
+
+/**
+ * Create the configured storage adapter for a graph whose JSON files are at
+ * the given paths; a SQLite database is kept in the same directory
+ * @param {string} entitiesFilePath - Path to entities JSON file
+ * @param {string} relationshipsFilePath - Path to relationships JSON file
+ * @param {Object} storage - Storage settings (defaults to the configured storage)
+ * @returns {StorageAdapter} - Storage adapter
+ */
+function createStorageAdapter(entitiesFilePath, relationshipsFilePath, storage = getUserConfig().storage) {
+    if (storage.backend === 'sqlite') {
+        return new SqliteAdapter(path.resolve(path.dirname(entitiesFilePath), storage.databasePath));
+    }
+    
+    return new JsonFileAdapter(entitiesFilePath, relationshipsFilePath);
+}
+
+/**
+ * Reduce a phone number to its last ten digits, so formatting and country
+ * prefixes do not matter (the same key signature_extractor compares by)
+ * @param {string} phone - Phone number
+ * @returns {string} - Phone key ('' if it has no digits)
+ */
+function getPhoneKey(phone) {
+    return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Normalize an organization name for lookups
+ * @param {string|Object} organization - Name, or { name, title } as stored in contact_details
+ * @returns {string} - Organization key ('' if none)
+ */
+function getOrganizationKey(organization) {
+    const name = organization && typeof organization === 'object' ? organization.name : organization;
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Copy a JSON value, so history entries do not share objects with the graph
+ * @param {*} value - Value
+ * @returns {*} - Copy
+ */
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Get a timestamp in milliseconds
+ * @param {Date|string} date - Date
+ * @returns {number} - Milliseconds since the epoch
+ */
+function toTime(date) {
+    return new Date(date).getTime();
+}
+
+/**
+ * Throw if a write does not match the schema
+ * @param {string} subject - What was written, for the message
+ * @param {Array} violations - Violation messages
+ */
+function assertValid(subject, violations) {
+    if (violations.length > 0) {
+        throw new Error(`${subject} does not match the schema:\n- ${violations.join('\n- ')}`);
+    }
+}
+
+/**
+ * Add a value to the set stored under a key
+ * @param {Map} index - Key to Set
+ * @param {string} key - Key
+ * @param {*} value - Value
+ */
+function addToIndex(index, key, value) {
+    if (!key) return;
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(value);
+}
+
+/**
+ * Remove a value from the set stored under a key
+ * @param {Map} index - Key to Set
+ * @param {string} key - Key
+ * @param {*} value - Value
+ */
+function removeFromIndex(index, key, value) {
+    const values = index.get(key);
+    if (!values) return;
+    values.delete(value);
+    if (values.size === 0) index.delete(key);
+}
 
 class KnowledgeGraph {
     constructor() {
@@ -14,30 +137,39 @@ class KnowledgeGraph {
         this.relationships = [];
         this.entitiesFilePath = '';
         this.relationshipsFilePath = '';
+        this.storage = null;
+        // Built on first lookup (see _getIndexes)
+        this.indexes = null;
     }
     
     /**
      * Initialize the knowledge graph with file paths
      * @param {string} entitiesFilePath - Path to entities JSON file
      * @param {string} relationshipsFilePath - Path to relationships JSON file
+     * @param {Object} options - Options
+     * @param {StorageAdapter} options.storage - Storage adapter (defaults to the configured backend)
      */
-    async initialize(entitiesFilePath, relationshipsFilePath) {
+    async initialize(entitiesFilePath, relationshipsFilePath, options = {}) {
         this.entitiesFilePath = entitiesFilePath;
         this.relationshipsFilePath = relationshipsFilePath;
+        this.storage = options.storage || createStorageAdapter(entitiesFilePath, relationshipsFilePath);
         
         try {
             // Try to load existing data
             await this.loadFromFiles();
-            console.log('Knowledge graph loaded from existing files.');
+            console.log(`Knowledge graph loaded from ${this.storage.describe()}.`);
         } catch (error) {
-            // If files don't exist, create empty knowledge graph
+            // Never replace a graph that exists but cannot be loaded
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading knowledge graph:', error.message);
+                throw error;
+            }
+            
+            // If nothing is stored yet, create empty knowledge graph
             console.log('Initializing new knowledge graph.');
             this.entities = {};
             this.relationships = [];
-            
-            // Create directories if they don't exist
-            await fs.mkdir(path.dirname(entitiesFilePath), { recursive: true });
-            await fs.mkdir(path.dirname(relationshipsFilePath), { recursive: true });
+            this.indexes = null;
             
             // Save empty knowledge graph
             await this.saveToFiles();
@@ -45,50 +177,60 @@ class KnowledgeGraph {
     }
     
     /**
-     * Load knowledge graph from files
+     * Load knowledge graph from storage
      */
     async loadFromFiles() {
-        const [entitiesData, relationshipsData] = await Promise.all([
-            fs.readFile(this.entitiesFilePath, 'utf8'),
-            fs.readFile(this.relationshipsFilePath, 'utf8')
-        ]);
+        const { entities, relationships } = await this.storage.load();
+        this.entities = entities;
+        this.relationships = relationships;
+        this.indexes = null;
         
-        // Parse JSON data
-        const entitiesArray = JSON.parse(entitiesData);
-        this.relationships = JSON.parse(relationshipsData);
-        
-        // Convert entities array to map for faster lookup
-        this.entities = {};
-        entitiesArray.forEach(entity => {
-            this.entities[entity.id] = entity;
-        });
+        const violations = validateGraph(this);
+        if (violations.length > 0) {
+            console.warn(`Knowledge graph has ${violations.length} schema violations; ` +
+                'run node src/utilities/validate_graph.js to list them.');
+        }
     }
     
     /**
-     * Save knowledge graph to files
+     * Save knowledge graph to storage
+     * @returns {Promise<Object>} - Write counts (see StorageAdapter.save)
      */
     async saveToFiles() {
-        // Convert entities map back to array for storage
-        const entitiesArray = Object.values(this.entities);
-        
-        await Promise.all([
-            fs.writeFile(this.entitiesFilePath, JSON.stringify(entitiesArray, null, 2)),
-            fs.writeFile(this.relationshipsFilePath, JSON.stringify(this.relationships, null, 2))
-        ]);
+        const result = await this.storage.save({ entities: this.entities, relationships: this.relationships });
         
-        console.log('Knowledge graph saved to files.');
+        console.log(`Knowledge graph saved to ${this.storage.describe()}.`);
+        return result;
+    }
+    
+    /**
+     * Release the storage, e.g. close the database
+     */
+    async close() {
+        if (this.storage) {
+            await this.storage.close();
+        }
     }
     
     /**
      * Add a new entity to the knowledge graph
      * @param {Object} entity - Entity object with id, name, entityType, and observations
+     * @param {Object} options - Options
+     * @param {string} options.at - When the entity was created (defaults to now)
      */
-    addEntity(entity) {
+    addEntity(entity, options = {}) {
         if (!entity.id) {
             throw new Error('Entity must have an id property.');
         }
         
+        assertValid(`Entity ${entity.id}`, validateEntity(entity));
+        
+        if (!entity.createdAt) {
+            entity.createdAt = options.at || new Date().toISOString();
+        }
+        
         this.entities[entity.id] = entity;
+        this._reindexEntity(entity.id);
     }
     
     /**
@@ -118,11 +260,19 @@ class KnowledgeGraph {
         }
         
         // Add the relationship
-        this.relationships.push({
+        const relationship = {
             from: fromEntityId,
             relationType: relationshipType,
-            to: toEntityId
-        });
+            to: toEntityId,
+            createdAt: new Date().toISOString()
+        };
+        assertValid(`Relationship ${fromEntityId} ${relationshipType} ${toEntityId}`,
+            validateRelationship(relationship, this.entities));
+        this.relationships.push(relationship);
+        
+        if (this.indexes) {
+            this._indexRelationship(relationship);
+        }
     }
     
     /**
@@ -131,8 +281,66 @@ class KnowledgeGraph {
      * @returns {Array} - Matching entities
      */
     findEntitiesByType(entityType) {
-        return Object.values(this.entities)
-            .filter(entity => entity.entityType === entityType);
+        const ids = this._getIndexes().byType.get(entityType) || [];
+        return [...ids].map(id => this.entities[id]);
+    }
+    
+    /**
+     * Find an entity by one of its contact_details email addresses, compared
+     * in canonical form (see address_parser.js)
+     * @param {string} email - Email address
+     * @param {string} entityType - Type of entity to find (default 'Contact')
+     * @returns {Object|null} - Matching entity or null if none
+     */
+    findByEmail(email, entityType = 'Contact') {
+        const indexes = this._getIndexes();
+        const ids = indexes.byEmail.get(canonicalizeAddress(email, indexes.config)) || [];
+        
+        for (const id of ids) {
+            if (this.entities[id].entityType === entityType) return this.entities[id];
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find entities by one of their contact_details phone numbers
+     * @param {string} phone - Phone number, in any format
+     * @param {string} entityType - Type of entity to find (default 'Contact')
+     * @returns {Array} - Matching entities
+     */
+    findByPhone(phone, entityType = 'Contact') {
+        return this._findIndexed('byPhone', getPhoneKey(phone), entityType);
+    }
+    
+    /**
+     * Find entities by the organization in their contact_details
+     * @param {string} organization - Organization name (case-insensitive)
+     * @param {string} entityType - Type of entity to find (default 'Contact')
+     * @returns {Array} - Matching entities
+     */
+    findByOrganization(organization, entityType = 'Contact') {
+        return this._findIndexed('byOrganization', getOrganizationKey(organization), entityType);
+    }
+    
+    /**
+     * Map every email address in the graph to the entity it belongs to
+     * @param {string} entityType - Type of entity to include (default 'Contact')
+     * @returns {Object} - Canonical email (see address_parser.js) to entity ID mapping
+     */
+    getEmailMapping(entityType = 'Contact') {
+        const mapping = {};
+        
+        this._getIndexes().byEmail.forEach((ids, email) => {
+            for (const id of ids) {
+                if (this.entities[id].entityType === entityType) {
+                    mapping[email] = id;
+                    break;
+                }
+            }
+        });
+        
+        return mapping;
     }
     
     /**
@@ -179,17 +387,9 @@ class KnowledgeGraph {
      * @returns {Array} - Matching relationships
      */
     findOutgoingRelationships(fromEntityId, relationshipType = null) {
-        return this.relationships.filter(rel => {
-            if (rel.from !== fromEntityId) {
-                return false;
-            }
-            
-            if (relationshipType && rel.relationType !== relationshipType) {
-                return false;
-            }
-            
-            return true;
-        });
+        const relationships = this._getIndexes().outgoing.get(fromEntityId) || [];
+        
+        return relationships.filter(rel => !relationshipType || rel.relationType === relationshipType);
     }
     
     /**
@@ -199,86 +399,386 @@ class KnowledgeGraph {
      * @returns {Array} - Matching relationships
      */
     findIncomingRelationships(toEntityId, relationshipType = null) {
-        return this.relationships.filter(rel => {
-            if (rel.to !== toEntityId) {
-                return false;
-            }
-            
-            if (relationshipType && rel.relationType !== relationshipType) {
-                return false;
-            }
-            
-            return true;
-        });
+        const relationships = this._getIndexes().incoming.get(toEntityId) || [];
+        
+        return relationships.filter(rel => !relationshipType || rel.relationType === relationshipType);
     }
     
     /**
-     * Update an entity's observation
+     * Update an entity's observation, recording the previous values of the
+     * fields that changed in the entity's observationHistory
      * @param {string} entityId - ID of the entity to update
      * @param {string} observationType - Type of observation to update
      * @param {Object} newData - New data to merge into the observation
+     * @param {Object} options - Options
+     * @param {string} options.source - What made the change (e.g. 'email_analysis')
+     * @param {string} options.at - When the change happened (defaults to now)
      */
-    updateEntityObservation(entityId, observationType, newData) {
+    updateEntityObservation(entityId, observationType, newData, options = {}) {
         const entity = this.entities[entityId];
         if (!entity) {
             throw new Error(`Entity ${entityId} does not exist.`);
         }
         
         // Find the observation
-        const observation = entity.observations.find(obs => obs.type === observationType);
+        const position = entity.observations.findIndex(obs => obs.type === observationType);
         
-        if (observation) {
+        if (position !== -1) {
+            const observation = entity.observations[position];
+            
+            // Only reject violations this write introduces, so a graph with
+            // older problems can still be updated
+            const existing = new Set(validateObservation(entity.entityType, observation));
+            assertValid(`${observationType} of ${entityId}`,
+                validateObservation(entity.entityType, { ...observation, ...newData })
+                    .filter(message => !existing.has(message)));
+            
+            const changes = {};
+            const versioned = getHistoryFields(observationType);
+            
+            Object.entries(newData).forEach(([field, value]) => {
+                if (!versioned.includes(field) || JSON.stringify(observation[field]) === JSON.stringify(value)) return;
+                
+                changes[field] = field in observation
+                    ? { from: cloneValue(observation[field]), to: cloneValue(value) }
+                    : { to: cloneValue(value) };
+            });
+            
             // Merge new data with existing observation
             Object.assign(observation, newData);
+            
+            if (Object.keys(changes).length > 0) {
+                this._recordChange(entity, observationType, position, changes, false, options);
+            }
         } else {
             // Add new observation
-            entity.observations.push({
-                type: observationType,
-                ...newData
-            });
+            this._pushObservation(entity, observationType, newData, options);
+        }
+        
+        this._reindexEntity(entityId);
+    }
+    
+    /**
+     * Add an observation to an entity alongside any others of the same type,
+     * for observations that form a list (events) rather than a single record
+     * @param {string} entityId - ID of the entity
+     * @param {string} observationType - Type of observation to add
+     * @param {Object} data - Observation data
+     * @param {Object} options - Options (see updateEntityObservation)
+     */
+    addObservation(entityId, observationType, data, options = {}) {
+        const entity = this.entities[entityId];
+        if (!entity) {
+            throw new Error(`Entity ${entityId} does not exist.`);
+        }
+        
+        if (!allowsMultiple(observationType) && entity.observations.some(obs => obs.type === observationType)) {
+            throw new Error(`Entity ${entityId} already has a ${observationType} observation; use updateEntityObservation to change it.`);
+        }
+        
+        this._pushObservation(entity, observationType, data, options);
+        this._reindexEntity(entityId);
+    }
+    
+    /**
+     * Get the recorded changes to an entity's observations, oldest first
+     * @param {string} entityId - ID of the entity
+     * @param {string} observationType - Only changes to this type of observation (all when null)
+     * @returns {Array} - History entries (see the top of this file)
+     */
+    getObservationHistory(entityId, observationType = null) {
+        const entity = this.entities[entityId];
+        if (!entity) {
+            throw new Error(`Entity ${entityId} does not exist.`);
         }
+        
+        return (entity.observationHistory || [])
+            .filter(change => !observationType || change.observationType === observationType)
+            .map(cloneValue);
     }
     
     /**
-     * Calculate importance scores for all contact entities
-     * @param {Object} weights - Weights for different factors
+     * Get a copy of the graph as it was at a point in time: entities and
+     * relationships created later are left out, and observation changes made
+     * later are undone. The copy has no storage and is meant for reading,
+     * e.g. to compare periods in a report.
+     * @param {Date|string} date - Point in time
+     * @returns {KnowledgeGraph} - Graph as of that date
      */
-    calculateImportanceScores(weights = {
-        frequency: 0.25,
-        recency: 0.30,
-        responseRate: 0.20,
-        meetingFrequency: 0.15,
-        manualPriority: 0.10
-    }) {
+    asOf(date) {
+        const time = toTime(date);
+        const graph = new KnowledgeGraph();
+        
+        Object.values(this.entities).forEach(entity => {
+            if (entity.createdAt && toTime(entity.createdAt) > time) return;
+            
+            const copy = cloneValue(entity);
+            const history = copy.observationHistory || [];
+            
+            // Undo later changes newest first; removed observations keep their
+            // position until the end so the recorded positions stay valid
+            for (let i = history.length - 1; i >= 0; i--) {
+                const change = history[i];
+                if (toTime(change.at) <= time) continue;
+                
+                const observation = copy.observations[change.position];
+                if (!observation) continue;
+                
+                if (change.created) {
+                    copy.observations[change.position] = null;
+                    continue;
+                }
+                
+                Object.entries(change.changes).forEach(([field, { from }]) => {
+                    if (from === undefined) {
+                        delete observation[field];
+                    } else {
+                        observation[field] = from;
+                    }
+                });
+            }
+            
+            copy.observations = copy.observations.filter(Boolean);
+            copy.observationHistory = history.filter(change => toTime(change.at) <= time);
+            graph.entities[copy.id] = copy;
+        });
+        
+        graph.relationships = this.relationships
+            .filter(rel => !rel.createdAt || toTime(rel.createdAt) <= time)
+            .filter(rel => graph.entities[rel.from] && graph.entities[rel.to])
+            .map(rel => ({ ...rel }));
+        
+        return graph;
+    }
+    
+    /**
+     * Append an observation and record its creation
+     * @param {Object} entity - Entity
+     * @param {string} observationType - Type of observation
+     * @param {Object} data - Observation data
+     * @param {Object} options - Options (see updateEntityObservation)
+     */
+    _pushObservation(entity, observationType, data, options) {
+        const observation = {
+            type: observationType,
+            ...data
+        };
+        assertValid(`${observationType} of ${entity.id}`, validateObservation(entity.entityType, observation));
+        
+        entity.observations.push(observation);
+        
+        const changes = {};
+        const versioned = getHistoryFields(observationType);
+        Object.entries(data).forEach(([field, value]) => {
+            if (versioned.includes(field)) changes[field] = { to: cloneValue(value) };
+        });
+        
+        this._recordChange(entity, observationType, entity.observations.length - 1, changes, true, options);
+    }
+    
+    /**
+     * Append an entry to an entity's observation history
+     * @param {Object} entity - Entity
+     * @param {string} observationType - Type of observation changed
+     * @param {number} position - Index of the observation in entity.observations
+     * @param {Object} changes - Field to { from, to }
+     * @param {boolean} created - Whether the change added the observation
+     * @param {Object} options - Options (see updateEntityObservation)
+     */
+    _recordChange(entity, observationType, position, changes, created, options) {
+        if (!entity.observationHistory) {
+            entity.observationHistory = [];
+        }
+        
+        entity.observationHistory.push({
+            at: options.at || new Date().toISOString(),
+            source: options.source || null,
+            observationType,
+            position,
+            ...(created ? { created: true } : {}),
+            changes
+        });
+        
+        if (entity.observationHistory.length > MAX_HISTORY_ENTRIES) {
+            entity.observationHistory.splice(0, entity.observationHistory.length - MAX_HISTORY_ENTRIES);
+        }
+    }
+    
+    /**
+     * Rebuild the lookup indexes, after entities or relationships were
+     * changed without going through the methods above
+     */
+    reindex() {
+        this.indexes = null;
+    }
+    
+    /**
+     * Get the lookup indexes, building them if needed. Emails are indexed in
+     * canonical form, which depends on the configuration, so a configuration
+     * change rebuilds them.
+     * @returns {Object} - Indexes
+     */
+    _getIndexes() {
+        const config = getUserConfig();
+        if (this.indexes && this.indexes.config === config) {
+            return this.indexes;
+        }
+        
+        this.indexes = {
+            config,
+            byType: new Map(),
+            byEmail: new Map(),
+            byPhone: new Map(),
+            byOrganization: new Map(),
+            outgoing: new Map(),
+            incoming: new Map(),
+            // Entity ID to the keys it is indexed under, to remove them again
+            keys: new Map()
+        };
+        
+        Object.keys(this.entities).forEach(id => this._indexEntity(id));
+        this.relationships.forEach(relationship => this._indexRelationship(relationship));
+        
+        return this.indexes;
+    }
+    
+    /**
+     * Add an entity to the indexes
+     * @param {string} entityId - Entity ID
+     */
+    _indexEntity(entityId) {
+        const entity = this.entities[entityId];
+        const details = (entity.observations || []).find(obs => obs.type === 'contact_details') || {};
+        const keys = {
+            entityType: entity.entityType,
+            emails: (details.emails || []).map(email => canonicalizeAddress(email, this.indexes.config)).filter(Boolean),
+            phones: (details.phones || []).map(getPhoneKey).filter(Boolean),
+            organization: getOrganizationKey(details.organization)
+        };
+        
+        addToIndex(this.indexes.byType, keys.entityType, entityId);
+        keys.emails.forEach(email => addToIndex(this.indexes.byEmail, email, entityId));
+        keys.phones.forEach(phone => addToIndex(this.indexes.byPhone, phone, entityId));
+        addToIndex(this.indexes.byOrganization, keys.organization, entityId);
+        
+        this.indexes.keys.set(entityId, keys);
+    }
+    
+    /**
+     * Re-index an entity after it was added or changed; indexes not built
+     * yet are left to be built on first use
+     * @param {string} entityId - Entity ID
+     */
+    _reindexEntity(entityId) {
+        if (!this.indexes) return;
+        
+        const keys = this.indexes.keys.get(entityId);
+        if (keys) {
+            // Keep the entity's place in its type when the type is unchanged
+            if (keys.entityType !== this.entities[entityId].entityType) {
+                removeFromIndex(this.indexes.byType, keys.entityType, entityId);
+            }
+            keys.emails.forEach(email => removeFromIndex(this.indexes.byEmail, email, entityId));
+            keys.phones.forEach(phone => removeFromIndex(this.indexes.byPhone, phone, entityId));
+            removeFromIndex(this.indexes.byOrganization, keys.organization, entityId);
+        }
+        
+        this._indexEntity(entityId);
+    }
+    
+    /**
+     * Add a relationship to the endpoint indexes
+     * @param {Object} relationship - Relationship
+     */
+    _indexRelationship(relationship) {
+        [['outgoing', relationship.from], ['incoming', relationship.to]].forEach(([index, entityId]) => {
+            if (!this.indexes[index].has(entityId)) this.indexes[index].set(entityId, []);
+            this.indexes[index].get(entityId).push(relationship);
+        });
+    }
+    
+    /**
+     * Find entities of a type under a key of an entity index
+     * @param {string} index - Index name
+     * @param {string} key - Key
+     * @param {string} entityType - Type of entity to find
+     * @returns {Array} - Matching entities
+     */
+    _findIndexed(index, key, entityType) {
+        const ids = this._getIndexes()[index].get(key) || [];
+        return [...ids].map(id => this.entities[id]).filter(entity => entity.entityType === entityType);
+    }
+    
+    /**
+     * Calculate importance scores for all contact entities. Besides the
+     * default factors, `initiation` (share of threads the contact starts)
+     * can be given a weight.
+     * @param {Object} weights - Weights for different factors (defaults to the configured weights)
+     * @param {Object} tierWeights - Weights for the interaction tiers used for frequency
+     *     (defaults to the configured tierWeights)
+     */
+    calculateImportanceScores(weights = getUserConfig().weights, tierWeights = getUserConfig().tierWeights) {
         const contacts = this.findEntitiesByType('Contact');
         
         contacts.forEach(contact => {
             // Get communication metrics observation
             const metricsObs = contact.observations.find(obs => obs.type === 'communication_metrics');
             const importanceObs = contact.observations.find(obs => obs.type === 'importance_metrics');
+            const patternsObs = contact.observations.find(obs => obs.type === 'communication_patterns');
+            const reciprocityObs = contact.observations.find(obs => obs.type === 'reciprocity') || {};
+            
+            // Keep the previous score when the last analysis could not fetch all mail
+            if (metricsObs && metricsObs.analysisStatus === 'incomplete') {
+                return;
+            }
             
             if (metricsObs && importanceObs) {
                 // Calculate scores for each factor
                 const scores = {
-                    frequency: this._normalizeFrequency(metricsObs.emailCount || 0),
+                    frequency: this._normalizeFrequency(this._weightedInteractionCount(metricsObs, patternsObs, tierWeights)),
                     recency: this._normalizeRecency(metricsObs.lastContacted),
                     responseRate: metricsObs.responseRate || 0,
                     meetingFrequency: this._normalizeMeetingFrequency(metricsObs.meetingCount || 0),
-                    manualPriority: (importanceObs.manualPriority || 0) / 10 // Convert 0-10 to 0-1
+                    manualPriority: (importanceObs.manualPriority || 0) / 10, // Convert 0-10 to 0-1
+                    reciprocity: reciprocityObs.reciprocityScore || 0,
+                    initiation: reciprocityObs.contactInitiationShare || 0
                 };
                 
                 // Calculate weighted score
                 let totalScore = 0;
                 for (const [factor, weight] of Object.entries(weights)) {
-                    totalScore += scores[factor] * weight;
+                    totalScore += (scores[factor] || 0) * weight;
                 }
                 
                 // Update importance metrics
-                importanceObs.calculatedScore = Math.round(totalScore * 100);
+                this.updateEntityObservation(contact.id, 'importance_metrics', {
+                    calculatedScore: Math.round(totalScore * 100)
+                }, { source: 'importance_scores' });
             }
         });
     }
     
+    /**
+     * Count a contact's interactions with each tier weighted, so being one of
+     * many people on Cc counts for less than a direct conversation
+     * @param {Object} metricsObs - communication_metrics observation
+     * @param {Object} patternsObs - communication_patterns observation
+     * @param {Object} tierWeights - Weights per interaction tier
+     * @returns {number} - Weighted interaction count
+     */
+    _weightedInteractionCount(metricsObs, patternsObs, tierWeights) {
+        const tiers = patternsObs && patternsObs.interactionTiers;
+        
+        // Contacts analyzed before tiers existed only have the raw count
+        if (!tiers) return metricsObs.emailCount || 0;
+        
+        const weights = { ...DEFAULT_CONFIG.tierWeights, ...tierWeights };
+        return (tiers.direct || 0) * weights.direct +
+            (tiers.group || 0) * weights.group +
+            (tiers.cc || 0) * weights.cc +
+            (tiers.initiatedByContact || 0) * weights.initiated;
+    }
+    
     /**
      * Normalize email frequency to a 0-1 score
      * @param {number} emailCount - Number of emails exchanged
@@ -287,7 +787,8 @@ class KnowledgeGraph {
     _normalizeFrequency(emailCount) {
         // Example normalization: logarithmic scale capped at 100 emails
         const maxEmails = 100;
-        if (emailCount <= 0) return 0;
+        // Weighted counts can be fractional; anything up to one email scores 0 like a single email
+        if (emailCount <= 1) return 0;
         if (emailCount >= maxEmails) return 1;
         
         // Log scale: ln(count) / ln(max)
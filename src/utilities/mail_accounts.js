@@ -0,0 +1,48 @@
+/**
+ * Mail Accounts
+ *
+ * Creates the mail provider for a mailbox account from the user
+ * configuration (see user_config.js). Each Gmail API account reads its own
+ * credentials.json and token.json from its credentialsDir; an archive
+ * account reads the mail exports listed in its archivePaths.
+ */
+
+const GmailApiProvider = require('./mail_providers/gmail_api_provider');
+const DesktopGmailProvider = require('./mail_providers/desktop_gmail_provider');
+const ArchiveProvider = require('./mail_providers/archive_provider');
+
+/**
+ * Create the mail provider for an account
+ * @param {Object} account - Account from user_config.getAccount
+ * @param {Object} options - Provider options (see GmailApiProvider)
+ * @returns {Promise<Object|null>} - Mail provider, or null if the account cannot be read here
+ */
+async function createAccountProvider(account, options = {}) {
+    switch (account.provider) {
+        case 'gmail_api': {
+            const provider = await GmailApiProvider.fromCredentials(account.credentialsDir, options);
+            if (!provider) {
+                console.error(`Account ${account.id} is not authenticated; run setup_gmail_auth.js --account=${account.id}`);
+            }
+            return provider;
+        }
+        
+        case 'desktop':
+            if (!DesktopGmailProvider.isAvailable()) {
+                console.error(`Account ${account.id} is read with the Claude Desktop Gmail tools, which are not available here`);
+                return null;
+            }
+            return new DesktopGmailProvider();
+        
+        case 'archive':
+            return new ArchiveProvider(account.archivePaths);
+        
+        default:
+            console.error(`Account ${account.id} has an unknown provider: ${account.provider}`);
+            return null;
+    }
+}
+
+module.exports = {
+    createAccountProvider
+};
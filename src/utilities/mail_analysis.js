@@ -0,0 +1,811 @@
+/**
+ * Mail Analysis Engine
+ *
+ * Provider-independent analysis of email communication patterns. All
+ * metric logic lives here; mail access goes through a MailProvider
+ * (see mail_providers/mail_provider.js), so the same engine serves the
+ * Gmail API, Claude Desktop's Gmail tools and offline fixtures.
+ */
+
+const { classifyMessage } = require('./message_classifier');
+const { canonicalizeAddress, getMessageAddresses } = require('./address_parser');
+const { workingHoursBetween, summarizeDurations } = require('./working_hours');
+const { getMonthIndex, getMonthKey, toMonthlySeries, analyzeTrend } = require('./communication_trend');
+const { getUserConfig } = require('./user_config');
+
+// Version of the per-thread metrics produced by analyzeThread. Stored sync
+// state from another version is rebuilt instead of being mixed in.
+const ANALYSIS_VERSION = 8;
+
+/**
+ * Create an empty metrics object for a contact
+ * @returns {Object} - Empty metrics
+ */
+function createEmptyMetrics() {
+    return {
+        totalEmails: 0,
+        emailsSent: 0,
+        emailsReceived: 0,
+        lastContactDate: null,
+        firstContactDate: null,
+        threadDepths: [],
+        filteredMessages: {},
+        oneToOneThreads: 0,
+        groupThreads: 0,
+        interactions: { direct: 0, group: 0, cc: 0 },
+        threadsInitiatedByContact: 0,
+        threadsInitiatedByUser: 0,
+        turns: { user: 0, contact: 0 },
+        replies: { user: 0, contact: 0 },
+        exchanges: [],
+        truncated: false,
+        incomplete: false,
+        responseTimes: {
+            fromContact: [],
+            fromUser: []
+        },
+        workingResponseTimes: {
+            fromContact: [],
+            fromUser: []
+        },
+        byTimePeriod: {
+            recent: { sent: 0, received: 0 },
+            medium: { sent: 0, received: 0 },
+            long: { sent: 0, received: 0 }
+        },
+        // Month key ('YYYY-MM') to { sent, received }
+        monthly: {}
+    };
+}
+
+/**
+ * Format a date bound for a Gmail query
+ * @param {Date|string|number} value - Date, YYYY/MM/DD string or epoch milliseconds
+ * @returns {string} - Query operand
+ */
+function formatDateBound(value) {
+    if (typeof value === 'string') return value;
+    
+    // Epoch seconds are exact, unlike YYYY/MM/DD which Gmail reads in its own timezone
+    return String(Math.floor(new Date(value).getTime() / 1000));
+}
+
+/**
+ * Build the after:/before: part of a query for a date window
+ * @param {Object} options - Analysis options with optional after/before bounds
+ * @returns {string} - Query suffix ('' when unbounded)
+ */
+function buildDateWindowQuery(options = {}) {
+    const terms = [];
+    if (options.after) terms.push(`after:${formatDateBound(options.after)}`);
+    if (options.before) terms.push(`before:${formatDateBound(options.before)}`);
+    return terms.length > 0 ? ` ${terms.join(' ')}` : '';
+}
+
+/**
+ * Build the searches that define which threads belong to a contact
+ * @param {string|Array} contactEmail - Contact's email address, or all of them
+ * @param {Object} config - User configuration (defaults to getUserConfig())
+ * @returns {Array} - [received query, sent query]
+ */
+function buildContactQueries(contactEmail, config = getUserConfig()) {
+    const userEmailsQuery = config.userEmails.map(email => `from:${email}`).join(' OR ');
+    const contactEmails = [].concat(contactEmail);
+    const anyContactEmail = operator => (contactEmails.length === 1
+        ? `${operator}:${contactEmails[0]}`
+        : `(${contactEmails.map(email => `${operator}:${email}`).join(' OR ')})`);
+    
+    return [
+        // Emails FROM the contact to any of your addresses
+        anyContactEmail('from'),
+        // Emails FROM you TO the contact
+        `(${userEmailsQuery}) ${anyContactEmail('to')}`
+    ];
+}
+
+/**
+ * Find the IDs of all threads exchanged with a contact
+ * @param {Object} provider - Mail provider
+ * @param {string|Array} contactEmail - Contact's email address, or all of them
+ * @param {Object} options - Analysis options (see analyzeContactEmails)
+ * @returns {Promise<Object>} - { threadIds, truncated }
+ */
+async function searchContactThreads(provider, contactEmail, options = {}) {
+    const config = options.config || getUserConfig();
+    const dateWindow = buildDateWindowQuery(options);
+    const searchOptions = { maxResults: options.maxResults };
+    
+    const results = [];
+    for (const query of buildContactQueries(contactEmail, config)) {
+        results.push(await provider.searchThreads(`${query}${dateWindow}`, searchOptions));
+    }
+    
+    return {
+        threadIds: [...new Set(results.flatMap(result => result.threads.map(thread => thread.id)))],
+        truncated: results.some(result => Boolean(result.truncated))
+    };
+}
+
+/**
+ * Analyze a contact's email communication patterns
+ * @param {Object} provider - Mail provider
+ * @param {string|Array} contactEmail - Contact's email address, or all of them
+ * @param {Object} options - Analysis options
+ * @param {number} options.maxThreads - Optional cap on the number of threads to read
+ * @param {number} options.maxResults - Optional ceiling on threads returned per search
+ * @param {Date|string} options.after - Only analyze mail after this date
+ * @param {Date|string} options.before - Only analyze mail before this date
+ * @param {Object} options.config - User configuration (defaults to getUserConfig())
+ * @param {Object} options.contactSchedule - The contact's working schedule, if known
+ * @returns {Promise<Object>} - Analysis metrics; metrics.truncated is true when
+ *     not every matching thread was analyzed, metrics.incomplete when a fetch
+ *     failed (the counts are then unusable)
+ */
+async function analyzeContactEmails(provider, contactEmail, options = {}) {
+    const config = options.config || getUserConfig();
+    
+    try {
+        const metrics = createEmptyMetrics();
+        
+        if (options.after || options.before) {
+            metrics.dateWindow = {
+                after: options.after ? new Date(options.after).toISOString() : null,
+                before: options.before ? new Date(options.before).toISOString() : null
+            };
+        }
+        
+        // Get unique thread IDs for this contact
+        const searchResult = await searchContactThreads(provider, contactEmail, options);
+        let threadIds = searchResult.threadIds;
+        metrics.truncated = searchResult.truncated;
+        
+        // Respect the thread cap, if one was given
+        if (options.maxThreads && threadIds.length > options.maxThreads) {
+            threadIds = threadIds.slice(0, options.maxThreads);
+            metrics.truncated = true;
+        }
+        
+        if (metrics.truncated) {
+            console.warn(`Email results for ${[].concat(contactEmail).join(', ')} were truncated; metrics are a lower bound.`);
+        }
+        
+        // Process each thread
+        for (const threadId of threadIds) {
+            const thread = await provider.getThread(threadId);
+            if (!thread || !thread.messages || thread.messages.length === 0) continue;
+            
+            const threadMetrics = analyzeThread(thread, contactEmail, config, {
+                contactSchedule: options.contactSchedule
+            });
+            accumulateThreadMetrics(metrics, threadMetrics, config);
+        }
+        
+        return metrics;
+    } catch (error) {
+        console.error(`Error analyzing emails for ${[].concat(contactEmail).join(', ')}:`, error);
+        return { ...createEmptyMetrics(), incomplete: true, error: error.message };
+    }
+}
+
+/**
+ * Analyze an email thread for communication patterns. Authorship is decided
+ * by exact comparison of canonical From addresses. Automated messages
+ * (see message_classifier.js) count with their category's weight, never
+ * take part in response times and are tallied in metrics.filtered.
+ * metrics.participants lists every other address in the counted messages,
+ * so a thread with only the contact is a 1:1 conversation, and
+ * metrics.messageIds their Message-ID headers (null where missing), so copies
+ * of a message in two of the user's mailboxes can be recognized.
+ *
+ * Each counted message involving the contact is also put in one tier:
+ * direct (only the user and the contact), group (the contact sent it or is
+ * on To, with other people involved) or cc (the contact is only on Cc).
+ *
+ * Response times are recorded in wall-clock hours and in working hours of
+ * the person responding: the contact's schedule when known, else the user's.
+ * @param {Object} thread - Normalized thread
+ * @param {string|Array} contactEmail - Contact's email address, or every address the
+ *     contact used in the thread
+ * @param {Object} config - User configuration (defaults to getUserConfig())
+ * @param {Object} options - Analysis options
+ * @param {Object} options.contactSchedule - The contact's working schedule, if known
+ * @returns {Object} - Thread metrics
+ */
+function analyzeThread(thread, contactEmail, config = getUserConfig(), options = {}) {
+    const metrics = {
+        messageCount: 0,
+        fromUser: 0,
+        fromContact: 0,
+        firstDate: null,
+        lastDate: null,
+        contactResponseTimes: [],
+        userResponseTimes: [],
+        contactResponseWorkingHours: [],
+        userResponseWorkingHours: [],
+        filtered: {},
+        participants: [],
+        interactions: { direct: 0, group: 0, cc: 0 },
+        initiatedBy: null,
+        turns: { user: 0, contact: 0 },
+        replies: { user: 0, contact: 0 },
+        exchanges: [],
+        timeline: [],
+        messageIds: []
+    };
+    
+    // If no messages in thread, return empty metrics
+    if (!thread.messages || thread.messages.length === 0) {
+        return metrics;
+    }
+    
+    // Sort messages by date
+    const messages = [...thread.messages].sort((a, b) => a.timestamp - b.timestamp);
+    
+    const contact = new Set([].concat(contactEmail).map(email => canonicalizeAddress(email, config)));
+    const userEmails = new Set(config.userEmails.map(email => canonicalizeAddress(email, config)));
+    const messageWeights = config.messageWeights || getUserConfig().messageWeights;
+    const userSchedule = config.workingHours || getUserConfig().workingHours;
+    const contactSchedule = options.contactSchedule || userSchedule;
+    const participants = new Set();
+    
+    // Last message written by a person, for response times
+    let prevMessage = null;
+    // Side ('user' or 'contact') of the current turn, for reply ratios
+    let turnSide = null;
+    
+    // Analyze each message
+    messages.forEach(message => {
+        const { category } = classifyMessage(message);
+        const weight = category ? (messageWeights[category] || 0) : 1;
+        
+        if (category) {
+            metrics.filtered[category] = (metrics.filtered[category] || 0) + 1;
+        }
+        
+        if (weight === 0) return;
+        
+        const addresses = getMessageAddresses(message, config);
+        const sender = addresses.from ? addresses.from.address : null;
+        const isFromContact = contact.has(sender);
+        const isFromUser = userEmails.has(sender);
+        const date = new Date(message.timestamp).toISOString();
+        
+        [addresses.from, ...addresses.to, ...addresses.cc].forEach(entry => {
+            if (entry && !userEmails.has(entry.address)) participants.add(entry.address);
+        });
+        
+        const tier = getInteractionTier(addresses, contact, userEmails);
+        if (tier) {
+            metrics.interactions[tier] += weight;
+        }
+        
+        // The first counted message decides who started the conversation
+        if (metrics.messageCount === 0) {
+            metrics.initiatedBy = isFromContact ? 'contact' : (isFromUser ? 'user' : null);
+        }
+        
+        // Count messages
+        metrics.messageCount += weight;
+        metrics.messageIds.push((message.headers && message.headers['message-id'] || '').trim() || null);
+        
+        if (isFromContact) {
+            metrics.fromContact += weight;
+        }
+        
+        if (isFromUser) {
+            metrics.fromUser += weight;
+        }
+        
+        // Set first and last dates
+        if (!metrics.firstDate) metrics.firstDate = date;
+        metrics.lastDate = date;
+        
+        // Each message is dated on its own, for time periods and monthly counts
+        if (isFromContact || isFromUser) {
+            metrics.timeline.push([message.timestamp, isFromUser ? 'u' : 'c', weight]);
+        }
+        
+        if (category) return;
+        
+        // Calculate response times
+        if (prevMessage) {
+            const prevIsFromContact = prevMessage.isFromContact;
+            const prevIsFromUser = prevMessage.isFromUser;
+            
+            // Calculate time difference in hours
+            const hoursDiff = (message.timestamp - prevMessage.timestamp) / (1000 * 60 * 60);
+            
+            // If previous message was from user and current is from contact
+            if (prevIsFromUser && isFromContact) {
+                metrics.contactResponseTimes.push(hoursDiff);
+                metrics.contactResponseWorkingHours.push(
+                    workingHoursBetween(prevMessage.timestamp, message.timestamp, contactSchedule));
+            }
+            
+            // If previous message was from contact and current is from user
+            if (prevIsFromContact && isFromUser) {
+                metrics.userResponseTimes.push(hoursDiff);
+                metrics.userResponseWorkingHours.push(
+                    workingHoursBetween(prevMessage.timestamp, message.timestamp, userSchedule));
+            }
+        }
+        
+        prevMessage = { timestamp: message.timestamp, isFromContact, isFromUser };
+        
+        // Turns: runs of consecutive messages from one side; a turn right
+        // after the other side's turn is a reply
+        const side = isFromContact ? 'contact' : (isFromUser ? 'user' : null);
+        if (!side) return;
+        
+        metrics.exchanges.push([message.timestamp, side === 'user' ? 'u' : 'c']);
+        
+        if (side !== turnSide) {
+            metrics.turns[side]++;
+            if (turnSide) metrics.replies[side]++;
+            turnSide = side;
+        }
+    });
+    
+    metrics.participants = [...participants].sort();
+    return metrics;
+}
+
+/**
+ * Get the interaction tier of a message for a contact
+ * @param {Object} addresses - Parsed addresses (see address_parser.getMessageAddresses)
+ * @param {Set} contact - Canonical addresses of the contact
+ * @param {Set} userEmails - Canonical addresses of the user
+ * @returns {string|null} - 'direct', 'group', 'cc' or null when the contact is not involved
+ */
+function getInteractionTier(addresses, contact, userEmails) {
+    const sender = addresses.from ? addresses.from.address : null;
+    const onTo = addresses.to.some(entry => contact.has(entry.address));
+    const onCc = addresses.cc.some(entry => contact.has(entry.address));
+    
+    if (!contact.has(sender) && !onTo && !onCc) return null;
+    
+    const others = [addresses.from, ...addresses.to, ...addresses.cc]
+        .filter(entry => entry && !contact.has(entry.address) && !userEmails.has(entry.address));
+    
+    if (contact.has(sender) || onTo) {
+        return others.length === 0 ? 'direct' : 'group';
+    }
+    
+    return 'cc';
+}
+
+/**
+ * Add one thread's metrics to a contact's running metrics
+ * @param {Object} metrics - Contact metrics (see createEmptyMetrics)
+ * @param {Object} threadMetrics - Metrics from analyzeThread
+ * @param {Object} config - User configuration (defaults to getUserConfig())
+ * @param {Date} now - Reference time for the time period buckets
+ * @returns {Object} - The updated contact metrics
+ */
+function accumulateThreadMetrics(metrics, threadMetrics, config = getUserConfig(), now = new Date()) {
+    // Record what was left out, even for threads with nothing left to count
+    Object.entries(threadMetrics.filtered || {}).forEach(([category, count]) => {
+        metrics.filteredMessages[category] = (metrics.filteredMessages[category] || 0) + count;
+    });
+    
+    if (threadMetrics.messageCount === 0) return metrics;
+    
+    // Update metrics
+    metrics.totalEmails += threadMetrics.messageCount;
+    metrics.emailsSent += threadMetrics.fromUser;
+    metrics.emailsReceived += threadMetrics.fromContact;
+    
+    // Update dates
+    if (!metrics.firstContactDate || threadMetrics.firstDate < metrics.firstContactDate) {
+        metrics.firstContactDate = threadMetrics.firstDate;
+    }
+    
+    if (!metrics.lastContactDate || threadMetrics.lastDate > metrics.lastContactDate) {
+        metrics.lastContactDate = threadMetrics.lastDate;
+    }
+    
+    // Thread depth
+    metrics.threadDepths.push(threadMetrics.messageCount);
+    
+    // 1:1 conversation or group thread
+    if ((threadMetrics.participants || []).length > 1) {
+        metrics.groupThreads++;
+    } else {
+        metrics.oneToOneThreads++;
+    }
+    
+    // Interaction tiers
+    Object.entries(threadMetrics.interactions || {}).forEach(([tier, count]) => {
+        metrics.interactions[tier] += count;
+    });
+    
+    if (threadMetrics.initiatedBy === 'contact') metrics.threadsInitiatedByContact++;
+    if (threadMetrics.initiatedBy === 'user') metrics.threadsInitiatedByUser++;
+    
+    // Turns and replies, for reciprocity
+    ['user', 'contact'].forEach(side => {
+        metrics.turns[side] += threadMetrics.turns?.[side] || 0;
+        metrics.replies[side] += threadMetrics.replies?.[side] || 0;
+    });
+    metrics.exchanges.push(...(threadMetrics.exchanges || []));
+    
+    // Response times
+    metrics.responseTimes.fromContact.push(...threadMetrics.contactResponseTimes);
+    metrics.responseTimes.fromUser.push(...threadMetrics.userResponseTimes);
+    metrics.workingResponseTimes.fromContact.push(...(threadMetrics.contactResponseWorkingHours || []));
+    metrics.workingResponseTimes.fromUser.push(...(threadMetrics.userResponseWorkingHours || []));
+    
+    // Time periods and monthly counts, by the date of each message rather
+    // than of the thread's last one
+    (threadMetrics.timeline || []).forEach(([timestamp, side, weight]) => {
+        const direction = side === 'u' ? 'sent' : 'received';
+        const daysDifference = Math.floor((now - timestamp) / (1000 * 60 * 60 * 24));
+        
+        for (const [period, days] of Object.entries(config.timePeriods)) {
+            if (daysDifference <= days) {
+                metrics.byTimePeriod[period][direction] += weight;
+            }
+        }
+        
+        const month = getMonthKey(getMonthIndex(timestamp));
+        metrics.monthly[month] = metrics.monthly[month] || { sent: 0, received: 0 };
+        metrics.monthly[month][direction] += weight;
+    });
+    
+    return metrics;
+}
+
+/**
+ * Calculate response rate from metrics
+ * @param {Object} metrics - Email metrics
+ * @returns {number} - Response rate (0-1)
+ */
+function calculateResponseRate(metrics) {
+    if (metrics.emailsSent === 0) return 0;
+    
+    const contactResponses = metrics.responseTimes.fromContact.length;
+    return contactResponses / metrics.emailsSent;
+}
+
+/**
+ * Calculate average thread depth
+ * @param {Object} metrics - Email metrics
+ * @returns {number} - Average thread depth
+ */
+function calculateAverageThreadDepth(metrics) {
+    if (metrics.threadDepths.length === 0) return 0;
+    
+    const sum = metrics.threadDepths.reduce((acc, depth) => acc + depth, 0);
+    return sum / metrics.threadDepths.length;
+}
+
+/**
+ * Calculate response time statistics. The mean of wall-clock hours is
+ * dominated by a few slow replies, so the median and 90th percentile are
+ * reported too, both in wall-clock and in working hours.
+ * @param {Object} metrics - Email metrics
+ * @param {string} direction - 'fromContact' (the contact's replies) or 'fromUser'
+ * @returns {Object} - { count, mean, median, p90, workingHours: { mean, median, p90 } } in hours
+ */
+function calculateAverageResponseTime(metrics, direction = 'fromContact') {
+    const responseTimes = metrics.responseTimes[direction];
+    const workingResponseTimes = (metrics.workingResponseTimes || {})[direction] || [];
+    
+    return {
+        count: responseTimes.length,
+        ...summarizeDurations(responseTimes),
+        workingHours: summarizeDurations(workingResponseTimes)
+    };
+}
+
+/**
+ * Calculate communication trend from the monthly message counts
+ * (see communication_trend.analyzeTrend)
+ * @param {Object} metrics - Email metrics
+ * @param {Object} config - User configuration (defaults to getUserConfig())
+ * @returns {string} - Trend (increasing, stable, decreasing, inactive)
+ */
+function calculateCommunicationTrend(metrics, config = getUserConfig()) {
+    return analyzeTrend(metrics.monthly || {}, config.trend).trend;
+}
+
+/**
+ * Calculate how balanced a relationship is: who starts conversations, how
+ * often each side answers the other and the longest run of messages one
+ * side sent without an answer
+ * @param {Object} metrics - Email metrics
+ * @returns {Object} - Reciprocity metrics, with reciprocityScore from
+ *     0 (entirely one-sided) to 1 (fully mutual)
+ */
+function calculateReciprocity(metrics) {
+    const initiated = metrics.threadsInitiatedByContact + metrics.threadsInitiatedByUser;
+    const contactInitiationShare = initiated > 0 ? metrics.threadsInitiatedByContact / initiated : 0;
+    
+    // Share of the other side's turns that got an answer
+    const contactReplyRatio = metrics.turns.user > 0 ? metrics.replies.contact / metrics.turns.user : 0;
+    const userReplyRatio = metrics.turns.contact > 0 ? metrics.replies.user / metrics.turns.contact : 0;
+    
+    // Longest run of consecutive messages from one side, across all threads
+    const longest = { u: 0, c: 0 };
+    let runSide = null;
+    let runLength = 0;
+    [...metrics.exchanges].sort((a, b) => a[0] - b[0]).forEach(([, side]) => {
+        runLength = side === runSide ? runLength + 1 : 1;
+        runSide = side;
+        longest[side] = Math.max(longest[side], runLength);
+    });
+    
+    const balance = (a, b) => (Math.max(a, b) > 0 ? Math.min(a, b) / Math.max(a, b) : 0);
+    const initiationBalance = initiated > 0 ? 1 - Math.abs(contactInitiationShare - 0.5) * 2 : 0;
+    const replyBalance = balance(Math.min(contactReplyRatio, 1), Math.min(userReplyRatio, 1));
+    const volumeBalance = balance(metrics.emailsSent, metrics.emailsReceived);
+    
+    return {
+        threadsInitiatedByContact: metrics.threadsInitiatedByContact,
+        threadsInitiatedByUser: metrics.threadsInitiatedByUser,
+        contactInitiationShare: Math.round(contactInitiationShare * 100) / 100,
+        contactReplyRatio: Math.round(contactReplyRatio * 100) / 100,
+        userReplyRatio: Math.round(userReplyRatio * 100) / 100,
+        longestUnansweredByContact: longest.u,
+        longestUnansweredByUser: longest.c,
+        reciprocityScore: Math.round((initiationBalance + replyBalance + volumeBalance) / 3 * 100) / 100
+    };
+}
+
+/**
+ * Get a contact's working schedule from its working_hours observation
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {string} contactId - Contact ID
+ * @returns {Object|null} - Schedule (see working_hours.js) or null if unknown
+ */
+function getContactSchedule(knowledgeGraph, contactId) {
+    const entity = knowledgeGraph.entities[contactId];
+    const observation = entity && entity.observations.find(obs => obs.type === 'working_hours');
+    if (!observation || !observation.timezone) return null;
+    
+    const { type, ...schedule } = observation;
+    return schedule;
+}
+
+/**
+ * Find a contact entity by email address (see KnowledgeGraph.findByEmail)
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {string} email - Email address to find
+ * @returns {Object|null} - Contact entity or null if not found
+ */
+function findContactByEmail(knowledgeGraph, email) {
+    return knowledgeGraph.findByEmail(email);
+}
+
+/**
+ * Map every known contact email address to its contact ID
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @returns {Object} - Canonical email (see address_parser.js) to contact ID mapping
+ */
+function buildEmailMapping(knowledgeGraph) {
+    return knowledgeGraph.getEmailMapping();
+}
+
+/**
+ * Get the addresses to search for each contact: every address it has, so
+ * mail from an old or personal address counts too. Searches must use the
+ * addresses as the contact stored them: the canonical form drops Gmail dots
+ * and +tags, so it no longer appears in the raw headers Gmail and mail_query
+ * match on.
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @returns {Map} - Contact ID to the contact's stored email addresses
+ */
+function getSearchAddresses(knowledgeGraph) {
+    const addresses = new Map();
+    
+    knowledgeGraph.findEntitiesByType('Contact').forEach(contact => {
+        const details = contact.observations.find(obs => obs.type === 'contact_details');
+        const emails = [...new Set(((details && details.emails) || []).filter(Boolean).map(email => email.toLowerCase()))];
+        if (emails.length > 0) addresses.set(contact.id, emails);
+    });
+    
+    return addresses;
+}
+
+/**
+ * Update a contact with email metrics. A write the knowledge graph rejects
+ * marks the contact incomplete, like a failed fetch.
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {string} contactId - Contact ID
+ * @param {Object} metrics - Email metrics
+ * @param {Object} config - User configuration (defaults to getUserConfig())
+ * @returns {boolean} - Whether the contact was updated
+ */
+function updateContactWithEmailMetrics(knowledgeGraph, contactId, metrics, config = getUserConfig()) {
+    try {
+        const monthly = toMonthlySeries(metrics.monthly);
+        const trend = analyzeTrend(monthly, config.trend);
+        
+        // Update communication metrics
+        knowledgeGraph.updateEntityObservation(contactId, 'communication_metrics', {
+            lastContacted: metrics.lastContactDate,
+            emailCount: Math.round(metrics.totalEmails),
+            responseRate: calculateResponseRate(metrics),
+            // meetingCount and lastMeeting are maintained by meeting_analysis
+            analysisStatus: 'complete',
+            analysisError: null
+        }, { source: 'email_analysis' });
+        
+        // Add detailed communication patterns
+        knowledgeGraph.updateEntityObservation(contactId, 'communication_patterns', {
+            firstContactDate: metrics.firstContactDate,
+            emailsSent: Math.round(metrics.emailsSent),
+            emailsReceived: Math.round(metrics.emailsReceived),
+            filteredMessages: metrics.filteredMessages || {},
+            oneToOneThreads: metrics.oneToOneThreads || 0,
+            groupThreads: metrics.groupThreads || 0,
+            interactionTiers: {
+                direct: Math.round(metrics.interactions.direct),
+                group: Math.round(metrics.interactions.group),
+                cc: Math.round(metrics.interactions.cc),
+                initiatedByContact: metrics.threadsInitiatedByContact,
+                initiatedByUser: metrics.threadsInitiatedByUser
+            },
+            averageThreadDepth: calculateAverageThreadDepth(metrics),
+            averageResponseTime: calculateAverageResponseTime(metrics).mean,
+            responseTimes: {
+                fromContact: calculateAverageResponseTime(metrics, 'fromContact'),
+                fromUser: calculateAverageResponseTime(metrics, 'fromUser')
+            },
+            communicationTrend: trend.trend,
+            truncated: Boolean(metrics.truncated),
+            dateWindow: metrics.dateWindow || null,
+            recentActivity: {
+                last30Days: metrics.byTimePeriod.recent.sent + metrics.byTimePeriod.recent.received,
+                last90Days: metrics.byTimePeriod.medium.sent + metrics.byTimePeriod.medium.received,
+                last365Days: metrics.byTimePeriod.long.sent + metrics.byTimePeriod.long.received
+            }
+        }, { source: 'email_analysis' });
+        
+        // Who starts conversations and how balanced the relationship is
+        knowledgeGraph.updateEntityObservation(contactId, 'reciprocity', calculateReciprocity(metrics), { source: 'email_analysis' });
+        
+        // Messages per month, with the trend and cooling flag derived from them
+        knowledgeGraph.updateEntityObservation(contactId, 'communication_history', {
+            monthly,
+            ...trend,
+            updatedAt: new Date().toISOString()
+        }, { source: 'email_analysis' });
+        
+        return true;
+    } catch (error) {
+        console.error(`Error updating contact ${contactId} with email metrics:`, error);
+        markContactIncomplete(knowledgeGraph, contactId, error.message);
+        return false;
+    }
+}
+
+/**
+ * Mark a contact whose mail could not be fetched, so it keeps its previous
+ * score instead of being scored as if it had no email at all
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {string} contactId - Contact ID
+ * @param {string} reason - Why the analysis is incomplete
+ */
+function markContactIncomplete(knowledgeGraph, contactId, reason) {
+    try {
+        knowledgeGraph.updateEntityObservation(contactId, 'communication_metrics', {
+            analysisStatus: 'incomplete',
+            analysisError: reason || null,
+            analysisAttemptedAt: new Date().toISOString()
+        }, { source: 'email_analysis' });
+    } catch (error) {
+        console.error(`Error marking contact ${contactId} as incomplete:`, error);
+    }
+}
+
+/**
+ * Analyze contact emails and update their importance in the knowledge graph
+ * @param {Object} provider - Mail provider
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {Array} contactEmails - List of contact email addresses to analyze
+ * @param {Object} options - Analysis options (see analyzeContactEmails)
+ * @returns {Promise<Object>} - Analysis summary
+ */
+async function analyzeAndUpdateContactImportance(provider, knowledgeGraph, contactEmails, options = {}) {
+    console.log(`Starting analysis for ${contactEmails.length} contacts...`);
+    
+    const results = {
+        analyzed: 0,
+        skipped: 0,
+        updated: 0,
+        totalEmails: 0,
+        truncated: [],
+        incomplete: []
+    };
+    
+    for (const email of contactEmails) {
+        console.log(`Analyzing ${email}...`);
+        
+        try {
+            // Get email metrics
+            const knownContact = knowledgeGraph.findByEmail(email);
+            const metrics = await analyzeContactEmails(provider, email, {
+                ...options,
+                contactSchedule: knownContact ? getContactSchedule(knowledgeGraph, knownContact.id) : null
+            });
+            
+            if (metrics.incomplete) {
+                const contactEntity = knowledgeGraph.findByEmail(email);
+                if (contactEntity) {
+                    markContactIncomplete(knowledgeGraph, contactEntity.id, metrics.error);
+                }
+                results.incomplete.push(email);
+                results.skipped++;
+                continue;
+            }
+            
+            results.totalEmails += metrics.totalEmails;
+            
+            if (metrics.truncated) {
+                results.truncated.push(email);
+            }
+            
+            if (metrics.totalEmails === 0) {
+                console.log(`No emails found for ${email}, skipping.`);
+                results.skipped++;
+                continue;
+            }
+            
+            // Find contact in knowledge graph
+            const contactEntity = knowledgeGraph.findByEmail(email);
+            if (!contactEntity) {
+                console.log(`Contact not found for email ${email}, skipping.`);
+                results.skipped++;
+                continue;
+            }
+            
+            // Update contact metrics
+            if (!updateContactWithEmailMetrics(knowledgeGraph, contactEntity.id, metrics, options.config)) {
+                results.incomplete.push(email);
+                results.skipped++;
+                continue;
+            }
+            
+            results.analyzed++;
+            results.updated++;
+            
+            console.log(`Updated metrics for ${email} (${contactEntity.name})`);
+        } catch (error) {
+            console.error(`Error analyzing ${email}: ${error.message}`);
+            results.skipped++;
+        }
+    }
+    
+    console.log(`Analysis complete: ${results.analyzed} contacts analyzed, ${results.updated} updated`);
+    if (results.truncated.length > 0) {
+        console.log(`Results were truncated for ${results.truncated.length} contacts; narrow the date window or raise maxResults.`);
+    }
+    if (results.incomplete.length > 0) {
+        console.log(`Analysis failed for ${results.incomplete.length} contacts; they were marked incomplete.`);
+    }
+    return results;
+}
+
+module.exports = {
+    ANALYSIS_VERSION,
+    createEmptyMetrics,
+    buildDateWindowQuery,
+    buildContactQueries,
+    searchContactThreads,
+    analyzeContactEmails,
+    analyzeThread,
+    accumulateThreadMetrics,
+    calculateResponseRate,
+    calculateAverageThreadDepth,
+    calculateAverageResponseTime,
+    calculateCommunicationTrend,
+    calculateReciprocity,
+    getContactSchedule,
+    findContactByEmail,
+    buildEmailMapping,
+    getSearchAddresses,
+    updateContactWithEmailMetrics,
+    markContactIncomplete,
+    analyzeAndUpdateContactImportance
+};
@@ -0,0 +1,434 @@
+/**
+ * Mail Archive Provider
+ *
+ * Offline mail provider that reads archived mail instead of a live mailbox:
+ * Google Takeout / mboxrd .mbox files, directories of .eml files and
+ * Maildir (and Maildir++) trees.
+ *
+ * Loading only indexes message headers and where each message lives on
+ * disk, so multi-gigabyte archives do not have to fit in memory. Threads
+ * are rebuilt from Message-ID / In-Reply-To / References (and Gmail's
+ * X-GM-THRID header when present); full messages are parsed on demand in
+ * getThread.
+ */
+
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { MailProvider, normalizeMessage } = require('./mail_provider');
+const { compileQuery } = require('../mail_query');
+const { parseRawMessage, parseHeaders } = require('../mime_parser');
+
+// Headers that are large and never used by the analysis
+const SKIPPED_HEADERS = ['received', 'dkim-signature', 'arc-seal', 'arc-message-signature',
+    'arc-authentication-results', 'authentication-results', 'x-google-smtp-source', 'x-received'];
+
+class ArchiveProvider extends MailProvider {
+    /**
+     * @param {Array|string} sources - mbox files, .eml files or directories (EML or Maildir)
+     * @param {Object} options - Options
+     * @param {number} options.now - Reference time for relative queries
+     */
+    constructor(sources, options = {}) {
+        super();
+        this.sources = Array.isArray(sources) ? sources : [sources];
+        this.now = options.now || Date.now();
+        this.messages = [];
+        this.threads = new Map();
+        this.loading = null;
+    }
+    
+    /**
+     * Index every message in the archive sources. Called automatically on
+     * first use; safe to call more than once.
+     * @returns {Promise<Object>} - Counts of indexed messages and threads
+     */
+    async load() {
+        if (!this.loading) {
+            this.loading = this._load();
+        }
+        
+        await this.loading;
+        return { messages: this.messages.length, threads: this.threads.size };
+    }
+    
+    /**
+     * Search the archive
+     * @param {string} query - Gmail-style search query (bare words match headers only)
+     * @param {Object} options - Search options
+     * @param {number} options.maxResults - Ceiling on the number of threads to return
+     * @returns {Promise<Object>} - { threads: [{ id, historyId }], truncated }
+     */
+    async searchThreads(query, options = {}) {
+        await this.load();
+        
+        const predicate = compileQuery(query, { now: this.now });
+        const threadIds = new Set();
+        
+        this.messages.forEach(entry => {
+            if (!threadIds.has(entry.threadId) && predicate(entry)) {
+                threadIds.add(entry.threadId);
+            }
+        });
+        
+        const maxResults = options.maxResults || threadIds.size;
+        return {
+            threads: [...threadIds].slice(0, maxResults).map(id => ({ id, historyId: null })),
+            truncated: threadIds.size > maxResults
+        };
+    }
+    
+    /**
+     * Read and parse all messages of a thread; fails if any message cannot be read
+     * @param {string} threadId - Thread ID
+     * @returns {Promise<Object|null>} - Normalized thread
+     */
+    async getThread(threadId) {
+        await this.load();
+        
+        const entries = this.threads.get(threadId);
+        if (!entries) return null;
+        
+        const messages = [];
+        for (const entry of entries) {
+            try {
+                const parsed = parseRawMessage(await readEntryBytes(entry));
+                
+                messages.push(normalizeMessage({
+                    id: entry.id,
+                    threadId,
+                    timestamp: entry.timestamp,
+                    headerList: parsed.headers,
+                    parts: parsed.parts,
+                    textBody: parsed.textBody,
+                    snippet: parsed.textBody.replace(/\s+/g, ' ').trim().slice(0, 200)
+                }, threadId));
+            } catch (error) {
+                // A thread missing a message would be analyzed as if it were complete
+                throw new Error(`Could not read message ${entry.id} of thread ${threadId} from ${entry.file}: ${error.message}`);
+            }
+        }
+        
+        messages.sort((a, b) => a.timestamp - b.timestamp);
+        
+        return { id: threadId, historyId: null, messages };
+    }
+    
+    /**
+     * Archives are static snapshots and have no change history
+     */
+    async listHistory() {
+        throw new Error('Mail archives do not support history listing.');
+    }
+    
+    /**
+     * Index all sources and group the messages into threads
+     */
+    async _load() {
+        const seenMessageIds = new Set();
+        
+        const addEntry = entry => {
+            // The same message often appears in several folders
+            if (entry.messageId && seenMessageIds.has(entry.messageId)) return;
+            if (entry.messageId) seenMessageIds.add(entry.messageId);
+            this.messages.push(entry);
+        };
+        
+        for (const source of this.sources) {
+            const stats = await fs.stat(source);
+            
+            if (stats.isDirectory()) {
+                await this._indexDirectory(source, addEntry);
+            } else if (await isMboxFile(source)) {
+                await indexMboxFile(source, addEntry);
+            } else {
+                addEntry(await indexMessageFile(source));
+            }
+        }
+        
+        this._buildThreads();
+        console.log(`Indexed ${this.messages.length} archived messages in ${this.threads.size} threads.`);
+    }
+    
+    /**
+     * Walk a directory of .eml files, mbox files and Maildir folders
+     * @param {string} directory - Directory path
+     * @param {Function} addEntry - Callback receiving index entries
+     */
+    async _indexDirectory(directory, addEntry) {
+        const dirEntries = await fs.readdir(directory, { withFileTypes: true });
+        const names = dirEntries.map(entry => entry.name);
+        const isMaildir = names.includes('cur') || names.includes('new');
+        
+        for (const dirEntry of dirEntries) {
+            const fullPath = path.join(directory, dirEntry.name);
+            
+            if (dirEntry.isDirectory()) {
+                if (isMaildir && dirEntry.name === 'tmp') continue;
+                
+                if (isMaildir && (dirEntry.name === 'cur' || dirEntry.name === 'new')) {
+                    // Every file in a Maildir cur/new folder is one message
+                    for (const file of await fs.readdir(fullPath)) {
+                        addEntry(await indexMessageFile(path.join(fullPath, file)));
+                    }
+                } else {
+                    await this._indexDirectory(fullPath, addEntry);
+                }
+            } else if (/\.eml$/i.test(dirEntry.name)) {
+                addEntry(await indexMessageFile(fullPath));
+            } else if (/\.mbox$/i.test(dirEntry.name)) {
+                await indexMboxFile(fullPath, addEntry);
+            }
+        }
+    }
+    
+    /**
+     * Group indexed messages into threads using the reference headers
+     */
+    _buildThreads() {
+        const parent = new Map();
+        const find = key => {
+            while (parent.get(key) !== key) {
+                parent.set(key, parent.get(parent.get(key)));
+                key = parent.get(key);
+            }
+            return key;
+        };
+        const union = (a, b) => {
+            if (!parent.has(a)) parent.set(a, a);
+            if (!parent.has(b)) parent.set(b, b);
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) {
+                // Keep the smallest key as the root so thread IDs are stable
+                if (rootA < rootB) parent.set(rootB, rootA); else parent.set(rootA, rootB);
+            }
+        };
+        
+        this.messages.forEach(entry => {
+            const key = entry.messageId || `file:${entry.id}`;
+            union(key, key);
+            
+            extractMessageIds(entry.headers['in-reply-to']).forEach(id => union(key, id));
+            extractMessageIds(entry.headers.references).forEach(id => union(key, id));
+            
+            if (entry.headers['x-gm-thrid']) {
+                union(key, `gm:${entry.headers['x-gm-thrid']}`);
+            }
+        });
+        
+        // Name each thread after Gmail's thread ID when we have it
+        const gmailThreadIds = new Map();
+        this.messages.forEach(entry => {
+            if (entry.headers['x-gm-thrid']) {
+                const root = find(entry.messageId || `file:${entry.id}`);
+                gmailThreadIds.set(root, gmailThreadIdToHex(entry.headers['x-gm-thrid']));
+            }
+        });
+        
+        this.threads = new Map();
+        this.messages.forEach(entry => {
+            const root = find(entry.messageId || `file:${entry.id}`);
+            entry.threadId = gmailThreadIds.get(root) || `archive_${hash(root).slice(0, 16)}`;
+            
+            if (!this.threads.has(entry.threadId)) {
+                this.threads.set(entry.threadId, []);
+            }
+            this.threads.get(entry.threadId).push(entry);
+        });
+    }
+}
+
+/**
+ * Create a short stable hash
+ * @param {string} value - Value to hash
+ * @returns {string} - Hex digest
+ */
+function hash(value) {
+    return crypto.createHash('sha1').update(value).digest('hex');
+}
+
+/**
+ * Convert Gmail's decimal X-GM-THRID into the hex thread ID used by the API
+ * @param {string} threadId - Decimal thread ID
+ * @returns {string} - Hex thread ID
+ */
+function gmailThreadIdToHex(threadId) {
+    try {
+        return BigInt(threadId.trim()).toString(16);
+    } catch (error) {
+        return threadId.trim();
+    }
+}
+
+/**
+ * Extract all <message-id> tokens from a header value
+ * @param {string} value - Header value
+ * @returns {Array} - Lowercased message IDs
+ */
+function extractMessageIds(value) {
+    return (value || '').match(/<[^<>\s]+>/g)?.map(id => id.toLowerCase()) || [];
+}
+
+/**
+ * Build an index entry from a message's headers
+ * @param {Array} headerList - Parsed headers
+ * @param {Object} location - Where the message is stored
+ * @param {number} fallbackTime - Timestamp to use when there is no Date header
+ * @returns {Object} - Index entry usable by the query matcher
+ */
+function createIndexEntry(headerList, location, fallbackTime) {
+    const headers = {};
+    headerList.forEach(header => {
+        const name = header.name.toLowerCase();
+        if (!SKIPPED_HEADERS.includes(name) && headers[name] === undefined) {
+            headers[name] = header.value;
+        }
+    });
+    
+    const messageId = extractMessageIds(headers['message-id'])[0] || null;
+    const dateTime = headers.date ? new Date(headers.date).getTime() : NaN;
+    const locationKey = `${location.file}:${location.offset || 0}`;
+    
+    return {
+        id: messageId || `archive_${hash(locationKey).slice(0, 16)}`,
+        messageId,
+        threadId: null,
+        timestamp: isNaN(dateTime) ? fallbackTime : dateTime,
+        from: headers.from || '',
+        to: headers.to || '',
+        cc: headers.cc || '',
+        subject: headers.subject || '',
+        headers,
+        textBody: '',
+        snippet: '',
+        ...location
+    };
+}
+
+/**
+ * Index a single-message file (.eml or a Maildir message)
+ * @param {string} filePath - Message file path
+ * @returns {Promise<Object>} - Index entry
+ */
+async function indexMessageFile(filePath) {
+    const [raw, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+    
+    // Maildir file names start with the delivery time in epoch seconds
+    const maildirTime = /^(\d{9,})\./.exec(path.basename(filePath));
+    const fallbackTime = maildirTime ? parseInt(maildirTime[1], 10) * 1000 : stats.mtimeMs;
+    
+    return createIndexEntry(parseHeaders(raw), { file: filePath }, fallbackTime);
+}
+
+/**
+ * Check whether a file looks like an mbox file
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>} - True if the file starts with an mbox "From " line
+ */
+async function isMboxFile(filePath) {
+    if (/\.mbox$/i.test(filePath)) return true;
+    
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(5);
+        await handle.read(buffer, 0, 5, 0);
+        return buffer.toString('latin1') === 'From ';
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Stream an mbox file and index each message by byte offset
+ * @param {string} filePath - mbox file path
+ * @param {Function} addEntry - Callback receiving index entries
+ * @returns {Promise<void>}
+ */
+async function indexMboxFile(filePath, addEntry) {
+    let pending = Buffer.alloc(0);
+    let position = 0;
+    let current = null;
+    let previousLineBlank = true;
+    
+    const finish = endOffset => {
+        if (!current) return;
+        
+        const fromLineTime = new Date(current.fromLine.replace(/^From \S+\s+/, '')).getTime();
+        const entry = createIndexEntry(
+            parseHeaders(current.headerLines.join('\n')),
+            { file: filePath, offset: current.offset, length: endOffset - current.offset, mbox: true },
+            isNaN(fromLineTime) ? 0 : fromLineTime
+        );
+        addEntry(entry);
+    };
+    
+    const handleLine = (lineBuffer, lineOffset, lineLength) => {
+        const line = lineBuffer.toString('latin1').replace(/\r$/, '');
+        
+        if (line.startsWith('From ') && previousLineBlank) {
+            finish(lineOffset);
+            current = {
+                fromLine: line,
+                offset: lineOffset + lineLength,
+                headerLines: [],
+                inHeaders: true
+            };
+        } else if (current && current.inHeaders) {
+            if (line === '') {
+                current.inHeaders = false;
+            } else {
+                current.headerLines.push(line);
+            }
+        }
+        
+        previousLineBlank = line === '';
+    };
+    
+    for await (const chunk of createReadStream(filePath)) {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+        
+        let lineStart = 0;
+        let newline;
+        while ((newline = pending.indexOf(0x0a, lineStart)) !== -1) {
+            handleLine(pending.subarray(lineStart, newline), position + lineStart, newline + 1 - lineStart);
+            lineStart = newline + 1;
+        }
+        
+        position += lineStart;
+        pending = pending.subarray(lineStart);
+    }
+    
+    if (pending.length > 0) {
+        handleLine(pending, position, pending.length);
+        position += pending.length;
+    }
+    
+    finish(position);
+}
+
+/**
+ * Read the raw bytes of an indexed message
+ * @param {Object} entry - Index entry
+ * @returns {Promise<Buffer>} - Raw message
+ */
+async function readEntryBytes(entry) {
+    if (!entry.mbox) {
+        return fs.readFile(entry.file);
+    }
+    
+    const handle = await fs.open(entry.file, 'r');
+    try {
+        const buffer = Buffer.alloc(entry.length);
+        await handle.read(buffer, 0, entry.length, entry.offset);
+        
+        // Undo mboxrd "From " quoting
+        const text = buffer.toString('latin1').replace(/^>(>*From )/gm, '$1');
+        return Buffer.from(text, 'latin1');
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = ArchiveProvider;
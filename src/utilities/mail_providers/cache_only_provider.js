@@ -0,0 +1,75 @@
+/**
+ * Cache-Only Mail Provider
+ *
+ * Serves threads straight from a ThreadCache without any mail connection,
+ * so metrics can be recomputed (e.g. after changing the analysis config)
+ * from whatever earlier runs downloaded. Results only cover cached threads.
+ */
+
+const { MailProvider } = require('./mail_provider');
+const { compileQuery, threadMatchesQuery } = require('../mail_query');
+
+class CacheOnlyProvider extends MailProvider {
+    /**
+     * @param {ThreadCache} cache - Thread cache
+     * @param {Object} options - Options
+     * @param {number} options.now - Reference time for relative queries
+     */
+    constructor(cache, options = {}) {
+        super();
+        this.cache = cache;
+        this.now = options.now || Date.now();
+        this.threads = null;
+    }
+    
+    /**
+     * Search the cached threads
+     * @param {string} query - Gmail-style search query
+     * @param {Object} options - Search options
+     * @param {number} options.maxResults - Ceiling on the number of threads to return
+     * @returns {Promise<Object>} - { threads: [{ id, historyId }], truncated }
+     */
+    async searchThreads(query, options = {}) {
+        const predicate = compileQuery(query, { now: this.now });
+        const threads = (await this._loadThreads())
+            .filter(thread => threadMatchesQuery(thread, predicate))
+            .map(thread => ({ id: thread.id, historyId: thread.historyId }));
+        
+        const maxResults = options.maxResults || threads.length;
+        return { threads: threads.slice(0, maxResults), truncated: threads.length > maxResults };
+    }
+    
+    /**
+     * Get a cached thread, whatever version it is
+     * @param {string} threadId - Thread ID
+     * @returns {Promise<Object|null>} - Normalized thread
+     */
+    async getThread(threadId) {
+        return this.cache.get(threadId, { anyVersion: true });
+    }
+    
+    /**
+     * The cache has no change history
+     */
+    async listHistory() {
+        throw new Error('The thread cache does not support history listing.');
+    }
+    
+    /**
+     * Load every cached thread once for searching
+     * @returns {Promise<Array>} - Normalized threads
+     */
+    async _loadThreads() {
+        if (!this.threads) {
+            this.threads = [];
+            for (const threadId of await this.cache.listThreadIds()) {
+                const thread = await this.cache.get(threadId, { anyVersion: true });
+                if (thread) this.threads.push(thread);
+            }
+        }
+        
+        return this.threads;
+    }
+}
+
+module.exports = CacheOnlyProvider;
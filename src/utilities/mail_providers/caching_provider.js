@@ -0,0 +1,118 @@
+/**
+ * Caching Mail Provider
+ *
+ * Wraps another provider and serves threads from a ThreadCache, so a thread
+ * shared by several contacts is downloaded once per change instead of once
+ * per contact and run. Searches always go to the wrapped provider; the
+ * history IDs they return decide whether a cached thread is still current.
+ */
+
+const { MailProvider } = require('./mail_provider');
+
+class CachingMailProvider extends MailProvider {
+    /**
+     * @param {MailProvider} provider - Provider to fetch uncached threads from
+     * @param {ThreadCache} cache - Thread cache
+     */
+    constructor(provider, cache) {
+        super();
+        this.provider = provider;
+        this.cache = cache;
+        this.knownHistoryIds = new Map();
+        this.pendingThreads = new Map();
+    }
+    
+    /**
+     * Request scheduler of the wrapped provider, for quota reports
+     */
+    get scheduler() {
+        return this.provider.scheduler;
+    }
+    
+    /**
+     * Search the wrapped provider, remembering each thread's history ID
+     * @param {string} query - Gmail search query
+     * @param {Object} options - Search options
+     * @returns {Promise<Object>} - { threads: [{ id, historyId }], truncated }
+     */
+    async searchThreads(query, options = {}) {
+        const result = await this.provider.searchThreads(query, options);
+        
+        result.threads.forEach(thread => {
+            if (thread.historyId) {
+                this.knownHistoryIds.set(thread.id, String(thread.historyId));
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Get a thread from the cache, fetching it when missing or outdated.
+     * Concurrent requests for the same thread share one lookup and fetch.
+     * @param {string} threadId - Thread ID
+     * @returns {Promise<Object|null>} - Normalized thread
+     */
+    async getThread(threadId) {
+        if (!this.pendingThreads.has(threadId)) {
+            const request = this._getThread(threadId)
+                .finally(() => this.pendingThreads.delete(threadId));
+            this.pendingThreads.set(threadId, request);
+        }
+        
+        return this.pendingThreads.get(threadId);
+    }
+    
+    /**
+     * Get a thread from the cache or the wrapped provider
+     * @param {string} threadId - Thread ID
+     * @returns {Promise<Object|null>} - Normalized thread
+     */
+    async _getThread(threadId) {
+        const cached = await this.cache.get(threadId, { historyId: this.knownHistoryIds.get(threadId) });
+        if (cached) return cached;
+        
+        const thread = await this.provider.getThread(threadId);
+        if (thread) {
+            await this.cache.put(thread);
+        } else {
+            await this.cache.invalidate(threadId);
+        }
+        
+        return thread;
+    }
+    
+    /**
+     * List changed threads and drop them from the cache
+     * @param {string} startHistoryId - History ID to list changes from
+     * @returns {Promise<Object>} - { historyId, threadIds }
+     */
+    async listHistory(startHistoryId) {
+        const result = await this.provider.listHistory(startHistoryId);
+        
+        for (const threadId of result.threadIds) {
+            this.knownHistoryIds.delete(threadId);
+            await this.cache.invalidate(threadId);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Get the mailbox info of the wrapped provider
+     * @returns {Promise<Object>} - { account, historyId }
+     */
+    async getMailboxInfo() {
+        return this.provider.getMailboxInfo();
+    }
+    
+    /**
+     * Write the cache index to disk
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        await this.cache.flush();
+    }
+}
+
+module.exports = CachingMailProvider;
@@ -0,0 +1,83 @@
+/**
+ * Claude Desktop Gmail Mail Provider
+ *
+ * Mail provider backed by Claude Desktop's built-in Gmail tools
+ * (search_gmail_messages and read_gmail_thread).
+ */
+
+const { MailProvider, normalizeThread } = require('./mail_provider');
+const { RequestScheduler } = require('../request_scheduler');
+
+class DesktopGmailProvider extends MailProvider {
+    /**
+     * @param {Object} tools - Gmail tool functions, defaulting to the Desktop globals
+     * @param {Function} tools.searchMessages - search_gmail_messages equivalent
+     * @param {Function} tools.readThread - read_gmail_thread equivalent
+     * @param {RequestScheduler} tools.scheduler - Shared request scheduler
+     */
+    constructor(tools = {}) {
+        super();
+        this.scheduler = tools.scheduler || new RequestScheduler();
+        this.searchMessages = tools.searchMessages ||
+            (params => search_gmail_messages(params));
+        this.readThread = tools.readThread ||
+            (params => read_gmail_thread(params));
+    }
+    
+    /**
+     * Check whether the Desktop Gmail tools are available in this environment
+     * @returns {boolean} - True if the tool globals exist
+     */
+    static isAvailable() {
+        return typeof search_gmail_messages === 'function' &&
+            typeof read_gmail_thread === 'function';
+    }
+    
+    /**
+     * Search Gmail using the Desktop search tool
+     * @param {string} query - Gmail search query
+     * @param {Object} options - Search options
+     * @param {number} options.maxResults - Ceiling on the number of threads to return
+     * @returns {Promise<Object>} - { threads: [{ id, historyId }], truncated }
+     */
+    async searchThreads(query, options = {}) {
+        console.log(`Searching Gmail for: ${query}`);
+        
+        const result = await this.scheduler.schedule('threads.list', () => this.searchMessages({ q: query }));
+        const threadIds = [...new Set((result?.messages || []).map(message => message.threadId))].filter(Boolean);
+        const maxResults = options.maxResults || threadIds.length;
+        
+        return {
+            threads: threadIds.slice(0, maxResults).map(id => ({ id, historyId: null })),
+            // The Desktop tool returns one page; a page token means there was more
+            truncated: Boolean(result?.nextPageToken) || threadIds.length > maxResults
+        };
+    }
+    
+    /**
+     * Get a thread using the Desktop thread tool
+     * @param {string} threadId - Thread ID
+     * @returns {Promise<Object|null>} - Normalized thread
+     */
+    async getThread(threadId) {
+        console.log(`Fetching thread: ${threadId}`);
+        
+        const thread = await this.scheduler.schedule('threads.get', () => this.readThread({
+            thread_id: threadId,
+            include_full_messages: true
+        }));
+        
+        if (!thread) return null;
+        
+        return normalizeThread({ id: threadId, ...thread });
+    }
+    
+    /**
+     * The Desktop tools have no history API
+     */
+    async listHistory() {
+        throw new Error('Claude Desktop Gmail tools do not support history listing.');
+    }
+}
+
+module.exports = DesktopGmailProvider;
@@ -0,0 +1,110 @@
+/**
+ * Fixture Mail Provider
+ *
+ * In-memory mail provider for offline analysis and tests. Threads can be
+ * given in the Gmail API format or in a flat format, e.g.
+ *
+ *   { id: 't1', messages: [{ from: 'a@example.com', to: 'b@example.com',
+ *                            date: '2025-01-01T10:00:00Z', subject: 'Hi' }] }
+ */
+
+const { MailProvider, normalizeThread } = require('./mail_provider');
+const { compileQuery, threadMatchesQuery } = require('../mail_query');
+
+class FixtureProvider extends MailProvider {
+    /**
+     * @param {Array} threads - Threads to serve
+     * @param {Object} options - Options
+     * @param {number} options.now - Reference time for relative queries
+     * @param {string} options.account - Account name reported by getMailboxInfo
+     */
+    constructor(threads = [], options = {}) {
+        super();
+        this.now = options.now || Date.now();
+        this.account = options.account || 'fixture';
+        this.threads = new Map();
+        this.deletedThreads = new Map();
+        this.historyId = 0;
+        threads.forEach(thread => this.addThread(thread));
+    }
+    
+    /**
+     * Add or replace a thread, bumping the history ID like a live mailbox would
+     * @param {Object} thread - Raw or normalized thread
+     * @returns {Object} - The stored normalized thread
+     */
+    addThread(thread) {
+        this.historyId++;
+        
+        const normalized = normalizeThread(thread);
+        normalized.historyId = String(this.historyId);
+        this.threads.set(normalized.id, normalized);
+        this.deletedThreads.delete(normalized.id);
+        
+        return normalized;
+    }
+    
+    /**
+     * Search the fixture threads
+     * @param {string} query - Gmail-style search query
+     * @param {Object} options - Search options
+     * @param {number} options.maxResults - Ceiling on the number of threads to return
+     * @returns {Promise<Object>} - { threads: [{ id, historyId }], truncated }
+     */
+    async searchThreads(query, options = {}) {
+        const predicate = compileQuery(query, { now: this.now });
+        const threads = [...this.threads.values()]
+            .filter(thread => threadMatchesQuery(thread, predicate))
+            .map(thread => ({ id: thread.id, historyId: thread.historyId }));
+        
+        const maxResults = options.maxResults || threads.length;
+        return { threads: threads.slice(0, maxResults), truncated: threads.length > maxResults };
+    }
+    
+    /**
+     * Remove a thread, bumping the history ID
+     * @param {string} threadId - Thread ID
+     */
+    removeThread(threadId) {
+        this.historyId++;
+        this.threads.delete(threadId);
+        this.deletedThreads.set(threadId, String(this.historyId));
+    }
+    
+    /**
+     * Get a fixture thread
+     * @param {string} threadId - Thread ID
+     * @returns {Promise<Object|null>} - Normalized thread
+     */
+    async getThread(threadId) {
+        return this.threads.get(threadId) || null;
+    }
+    
+    /**
+     * List threads added or replaced after a history ID
+     * @param {string} startHistoryId - History ID to list changes from
+     * @returns {Promise<Object>} - { historyId, threadIds }
+     */
+    async listHistory(startHistoryId) {
+        const start = parseInt(startHistoryId, 10) || 0;
+        const threadIds = [...this.threads.values()]
+            .filter(thread => parseInt(thread.historyId, 10) > start)
+            .map(thread => thread.id);
+        
+        this.deletedThreads.forEach((historyId, threadId) => {
+            if (parseInt(historyId, 10) > start) threadIds.push(threadId);
+        });
+        
+        return { historyId: String(this.historyId), threadIds };
+    }
+    
+    /**
+     * Get the fixture account and its current history ID
+     * @returns {Promise<Object>} - { account, historyId }
+     */
+    async getMailboxInfo() {
+        return { account: this.account, historyId: String(this.historyId) };
+    }
+}
+
+module.exports = FixtureProvider;
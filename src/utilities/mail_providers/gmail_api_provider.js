@@ -0,0 +1,219 @@
+/**
+ * Gmail API Mail Provider
+ *
+ * Mail provider backed by the googleapis Gmail client. All API calls go
+ * through a RequestScheduler; failures that survive its retries are thrown
+ * so callers can tell missing data from an empty mailbox.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { MailProvider, normalizeThread } = require('./mail_provider');
+const { RequestScheduler, getErrorStatus } = require('../request_scheduler');
+const { isCalendarPart } = require('../message_classifier');
+
+// Base directory for all files
+const BASE_DIR = path.resolve(__dirname, '..', '..');
+const CREDENTIALS_DIR = path.join(BASE_DIR, 'credentials');
+
+// Gmail returns at most 500 threads per page
+const PAGE_SIZE = 500;
+
+// Default ceiling on the number of threads returned by one search
+const DEFAULT_MAX_RESULTS = 5000;
+
+class GmailApiProvider extends MailProvider {
+    /**
+     * @param {Object} gmail - Gmail API client from googleapis
+     * @param {Object} options - Options
+     * @param {number} options.maxResults - Default ceiling on threads per search
+     * @param {RequestScheduler} options.scheduler - Shared request scheduler
+     */
+    constructor(gmail, options = {}) {
+        super();
+        this.gmail = gmail;
+        this.maxResults = options.maxResults || DEFAULT_MAX_RESULTS;
+        this.scheduler = options.scheduler || new RequestScheduler();
+    }
+    
+    /**
+     * Create a provider from stored OAuth2 credentials
+     * @param {string} credentialsDir - Directory holding credentials.json and token.json
+     * @param {Object} options - Provider options (see constructor)
+     * @returns {Promise<GmailApiProvider|null>} - Provider or null if not authenticated
+     */
+    static async fromCredentials(credentialsDir = CREDENTIALS_DIR, options = {}) {
+        const gmail = await initializeGmailClient(credentialsDir);
+        return gmail ? new GmailApiProvider(gmail, options) : null;
+    }
+    
+    /**
+     * Search for threads matching a query, following result pages up to a ceiling
+     * @param {string} query - Gmail search query
+     * @param {Object} options - Search options
+     * @param {number} options.maxResults - Ceiling on the number of threads to return
+     * @returns {Promise<Object>} - { threads: [{ id, historyId }], truncated }
+     */
+    async searchThreads(query, options = {}) {
+        const maxResults = options.maxResults || this.maxResults;
+        const threads = [];
+        let pageToken;
+        
+        do {
+            const response = await this.scheduler.schedule('threads.list', () => this.gmail.users.threads.list({
+                userId: 'me',
+                q: query,
+                maxResults: Math.min(PAGE_SIZE, maxResults - threads.length),
+                pageToken
+            }));
+            
+            (response.data.threads || []).forEach(thread => threads.push({
+                id: thread.id,
+                historyId: thread.historyId || null
+            }));
+            
+            pageToken = response.data.nextPageToken;
+        } while (pageToken && threads.length < maxResults);
+        
+        return { threads, truncated: Boolean(pageToken) };
+    }
+    
+    /**
+     * Get a full thread with all messages
+     * @param {string} threadId - Thread ID
+     * @returns {Promise<Object|null>} - Normalized thread, or null if it no longer exists
+     */
+    async getThread(threadId) {
+        try {
+            const response = await this.scheduler.schedule('threads.get', () => this.gmail.users.threads.get({
+                userId: 'me',
+                id: threadId
+            }));
+            
+            await this._fetchCalendarAttachments(response.data);
+            return normalizeThread(response.data);
+        } catch (error) {
+            // Deleted threads are expected; anything else is a failed fetch
+            if (getErrorStatus(error) === 404) return null;
+            throw error;
+        }
+    }
+    
+    /**
+     * Download calendar parts that Gmail returns as an attachment ID instead
+     * of inline data, so invitations sent as .ics attachments are parsed too
+     * @param {Object} thread - Thread from the Gmail API, updated in place
+     * @returns {Promise<void>}
+     */
+    async _fetchCalendarAttachments(thread) {
+        for (const message of thread.messages || []) {
+            for (const part of getLeafParts(message.payload)) {
+                if (!part.body?.attachmentId || part.body.data || !isCalendarPart(part)) continue;
+                
+                const response = await this.scheduler.schedule('messages.attachments.get', () =>
+                    this.gmail.users.messages.attachments.get({
+                        userId: 'me',
+                        messageId: message.id,
+                        id: part.body.attachmentId
+                    }));
+                part.body.data = response.data.data;
+            }
+        }
+    }
+    
+    /**
+     * List the threads that changed since a history checkpoint
+     * @param {string} startHistoryId - History ID to list changes from
+     * @returns {Promise<Object>} - { historyId, threadIds }
+     */
+    async listHistory(startHistoryId) {
+        const threadIds = new Set();
+        let historyId = startHistoryId;
+        let pageToken;
+        
+        do {
+            const response = await this.scheduler.schedule('history.list', () => this.gmail.users.history.list({
+                userId: 'me',
+                startHistoryId,
+                pageToken
+            }));
+            
+            (response.data.history || []).forEach(record => {
+                (record.messages || []).forEach(message => threadIds.add(message.threadId));
+            });
+            
+            historyId = response.data.historyId || historyId;
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+        
+        return { historyId, threadIds: [...threadIds] };
+    }
+    
+    /**
+     * Get the authenticated account and its current history ID
+     * @returns {Promise<Object>} - { account, historyId }
+     */
+    async getMailboxInfo() {
+        const response = await this.scheduler.schedule('getProfile', () => this.gmail.users.getProfile({ userId: 'me' }));
+        
+        return {
+            account: response.data.emailAddress,
+            historyId: String(response.data.historyId)
+        };
+    }
+}
+
+/**
+ * Get the leaf MIME parts of a Gmail API payload
+ * @param {Object} payload - Gmail message payload
+ * @returns {Array} - Leaf parts, as returned by the API
+ */
+function getLeafParts(payload) {
+    if (!payload) return [];
+    
+    if (payload.parts && payload.parts.length > 0) {
+        return payload.parts.flatMap(getLeafParts);
+    }
+    
+    return [payload];
+}
+
+/**
+ * Initialize Gmail API client
+ * @param {string} credentialsDir - Directory holding credentials.json and token.json
+ * @returns {Promise<Object|null>} Gmail API client
+ */
+async function initializeGmailClient(credentialsDir = CREDENTIALS_DIR) {
+    // This requires setting up a Google Cloud project with Gmail API enabled
+    // and obtaining OAuth2 credentials
+    try {
+        const { google } = require('googleapis');
+        const { OAuth2Client } = require('google-auth-library');
+        const TOKEN_PATH = path.join(credentialsDir, 'token.json');
+        const CREDENTIALS_PATH = path.join(credentialsDir, 'credentials.json');
+        
+        // Load client secrets from a local file
+        const content = await fs.readFile(CREDENTIALS_PATH);
+        const credentials = JSON.parse(content);
+        
+        const { client_secret, client_id, redirect_uris } = credentials.installed;
+        const oAuth2Client = new OAuth2Client(client_id, client_secret, redirect_uris[0]);
+        
+        // Check if we have previously stored a token
+        try {
+            const token = await fs.readFile(TOKEN_PATH);
+            oAuth2Client.setCredentials(JSON.parse(token));
+        } catch (err) {
+            console.error('No token found, please authenticate first');
+            return null;
+        }
+        
+        // Create Gmail API client
+        return google.gmail({ version: 'v1', auth: oAuth2Client });
+    } catch (error) {
+        console.error('Error initializing Gmail client:', error);
+        return null;
+    }
+}
+
+module.exports = GmailApiProvider;
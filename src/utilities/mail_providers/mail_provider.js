@@ -0,0 +1,195 @@
+/**
+ * Mail Provider Interface
+ *
+ * Base class for all mail sources used by the analysis engine. A provider
+ * hides where mail comes from (the googleapis client, Claude Desktop's Gmail
+ * tools, an in-memory fixture, ...) and hands the engine threads in one
+ * normalized shape. Providers that implement listHistory and getMailboxInfo
+ * support incremental sync (see mail_sync.js).
+ *
+ *
+ *   Thread:  { id, historyId, messages: [Message] }   (messages oldest first)
+ *   Message: {
+ *       id, threadId,
+ *       timestamp,        // milliseconds since epoch
+ *       date,             // ISO string
+ *       from, to, cc, replyTo, subject,
+ *       headers,          // { lowercased header name: value }
+ *       snippet,
+ *       textBody,         // decoded text/plain body ('' when unknown)
+ *       parts,            // [{ mimeType, filename, content }] leaf MIME parts
+ *       labelIds
+ *   }
+ */
+
+class MailProvider {
+    /**
+     * Search for threads matching a Gmail-style query
+     * @param {string} query - Search query (e.g. "from:someone@example.com")
+     * @param {Object} options - Search options
+     * @param {number} options.maxResults - Ceiling on the number of threads to return
+     * @returns {Promise<Object>} - { threads: [{ id, historyId }], truncated } where
+     *     truncated is true when more threads matched than were returned
+     */
+    async searchThreads(query, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement searchThreads.`);
+    }
+    
+    /**
+     * Get a full thread with all of its messages
+     * @param {string} threadId - Thread ID
+     * @returns {Promise<Object|null>} - Normalized thread or null if not found;
+     *     failed fetches throw so they are never mistaken for missing mail
+     */
+    async getThread(threadId) {
+        throw new Error(`${this.constructor.name} does not implement getThread.`);
+    }
+    
+    /**
+     * List the threads that changed since a history checkpoint
+     * @param {string} startHistoryId - History ID to list changes from
+     * @returns {Promise<Object>} - { historyId, threadIds }
+     */
+    async listHistory(startHistoryId) {
+        throw new Error(`${this.constructor.name} does not implement listHistory.`);
+    }
+    
+    /**
+     * Get the mailbox account and its current history checkpoint
+     * @returns {Promise<Object>} - { account, historyId }
+     */
+    async getMailboxInfo() {
+        throw new Error(`${this.constructor.name} does not implement getMailboxInfo.`);
+    }
+}
+
+/**
+ * Decode a base64url encoded Gmail body
+ * @param {string} data - base64url data
+ * @returns {string} - Decoded UTF-8 text
+ */
+function decodeBase64Url(data) {
+    if (!data) return '';
+    return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+/**
+ * Flatten a Gmail API payload into its leaf MIME parts
+ * @param {Object} payload - Gmail message payload
+ * @returns {Array} - Leaf parts with decoded content
+ */
+function flattenPayload(payload) {
+    if (!payload) return [];
+    
+    if (payload.parts && payload.parts.length > 0) {
+        return payload.parts.flatMap(part => flattenPayload(part));
+    }
+    
+    return [{
+        mimeType: (payload.mimeType || 'text/plain').toLowerCase(),
+        filename: payload.filename || '',
+        content: payload.body?.data ? decodeBase64Url(payload.body.data) : null
+    }];
+}
+
+/**
+ * Get a message timestamp from any of the formats providers hand us
+ * @param {Object} message - Raw message
+ * @param {Object} headers - Lowercased header map
+ * @returns {number} - Milliseconds since epoch (0 when unknown)
+ */
+function getRawTimestamp(message, headers) {
+    if (message.timestamp) return Number(message.timestamp);
+    if (message.internalDate) return parseInt(message.internalDate, 10);
+    if (message.date) return new Date(message.date).getTime() || 0;
+    if (headers.date) return new Date(headers.date).getTime() || 0;
+    return 0;
+}
+
+/**
+ * Normalize a message from either the Gmail API format (payload/headers)
+ * or a flat format (from/to/date/body fields) into the provider shape
+ * @param {Object} message - Raw message
+ * @param {string} threadId - Thread the message belongs to
+ * @returns {Object} - Normalized message
+ */
+function normalizeMessage(message, threadId = null) {
+    const headers = {};
+    
+    // Gmail API style header list
+    (message.payload?.headers || message.headerList || []).forEach(header => {
+        const name = header.name.toLowerCase();
+        if (headers[name] === undefined) {
+            headers[name] = header.value;
+        }
+    });
+    
+    // Flat header map, if the source already has one
+    if (message.headers && !Array.isArray(message.headers)) {
+        Object.entries(message.headers).forEach(([name, value]) => {
+            if (headers[name.toLowerCase()] === undefined) {
+                headers[name.toLowerCase()] = value;
+            }
+        });
+    }
+    
+    const pick = (field, headerName = field) => message[field] || headers[headerName] || '';
+    
+    const parts = message.parts && !message.payload
+        ? message.parts.map(part => ({
+            mimeType: (part.mimeType || 'text/plain').toLowerCase(),
+            filename: part.filename || '',
+            content: part.content ?? null
+        }))
+        : flattenPayload(message.payload);
+    
+    let textBody = message.textBody || message.body || '';
+    if (!textBody) {
+        const plainPart = parts.find(part => part.mimeType === 'text/plain' && part.content);
+        textBody = plainPart ? plainPart.content : '';
+    }
+    
+    const timestamp = getRawTimestamp(message, headers);
+    
+    return {
+        id: message.id || headers['message-id'] || null,
+        threadId: message.threadId || threadId,
+        timestamp,
+        date: new Date(timestamp).toISOString(),
+        from: pick('from'),
+        to: pick('to'),
+        cc: pick('cc'),
+        replyTo: pick('replyTo', 'reply-to'),
+        subject: pick('subject'),
+        headers,
+        snippet: message.snippet || '',
+        textBody: typeof textBody === 'string' ? textBody : '',
+        parts,
+        labelIds: message.labelIds || []
+    };
+}
+
+/**
+ * Normalize a thread and sort its messages oldest first
+ * @param {Object} thread - Raw thread
+ * @returns {Object} - Normalized thread
+ */
+function normalizeThread(thread) {
+    const threadId = thread.id || thread.threadId || null;
+    const messages = (thread.messages || [])
+        .map(message => normalizeMessage(message, threadId))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    
+    return {
+        id: threadId,
+        historyId: thread.historyId ? String(thread.historyId) : null,
+        messages
+    };
+}
+
+module.exports = {
+    MailProvider,
+    normalizeMessage,
+    normalizeThread,
+    decodeBase64Url
+};
@@ -0,0 +1,189 @@
+/**
+ * Mail Query Matcher
+ *
+ * Evaluates Gmail-style search queries against normalized messages so that
+ * offline providers can answer the same searches the analysis engine sends
+ * to Gmail.
+ *
+ * Supported syntax: from:, to:, cc:, bcc:, subject:, filename:, after:,
+ * before:, newer_than:, older_than:, bare words and "quoted phrases", OR, a leading
+ * "-" for negation and parentheses. Unknown operators (in:, label:, ...)
+ * always match.
+ */
+
+/**
+ * Split a query string into tokens
+ * @param {string} query - Query string
+ * @returns {Array} - Tokens
+ */
+function tokenize(query) {
+    const tokens = [];
+    const pattern = /\s*(\(|\)|-?[a-z_]+:"[^"]*"|-?"[^"]*"|-?[^\s()]+)/gi;
+    let match;
+    
+    while ((match = pattern.exec(query)) !== null) {
+        if (match[1]) tokens.push(match[1]);
+    }
+    
+    return tokens;
+}
+
+/**
+ * Parse a date operand (YYYY/MM/DD, YYYY-MM-DD or epoch seconds)
+ * @param {string} value - Date operand
+ * @returns {number} - Milliseconds since epoch
+ */
+function parseDateOperand(value) {
+    if (/^\d{9,}$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+    
+    const parts = value.split(/[/-]/).map(part => parseInt(part, 10));
+    if (parts.length === 3 && parts.every(part => !isNaN(part))) {
+        return new Date(parts[0], parts[1] - 1, parts[2]).getTime();
+    }
+    
+    return new Date(value).getTime();
+}
+
+/**
+ * Parse a relative age operand (e.g. 30d, 2m, 1y)
+ * @param {string} value - Age operand
+ * @returns {number} - Age in milliseconds
+ */
+function parseAgeOperand(value) {
+    const match = /^(\d+)([dmy])$/i.exec(value);
+    if (!match) return 0;
+    
+    const days = { d: 1, m: 30, y: 365 }[match[2].toLowerCase()];
+    return parseInt(match[1], 10) * days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Build a predicate for a single search term
+ * @param {string} token - Term token
+ * @param {number} now - Reference time for relative operators
+ * @returns {Function} - Predicate taking a normalized message
+ */
+function buildTermPredicate(token, now) {
+    const unquote = value => value.replace(/^"|"$/g, '').toLowerCase();
+    const operator = /^([a-z_]+):(.*)$/i.exec(token);
+    
+    if (!operator) {
+        const word = unquote(token);
+        return message => [message.subject, message.textBody, message.snippet, message.from, message.to]
+            .some(text => (text || '').toLowerCase().includes(word));
+    }
+    
+    const name = operator[1].toLowerCase();
+    const value = unquote(operator[2]);
+    const headerContains = field => message => (message[field] || '').toLowerCase().includes(value);
+    
+    switch (name) {
+        case 'from':
+            return headerContains('from');
+        case 'to':
+            // Gmail's to: also matches cc and bcc recipients
+            return message => ['to', 'cc', 'bcc'].some(field =>
+                (message[field] || message.headers?.[field] || '').toLowerCase().includes(value));
+        case 'cc':
+            return headerContains('cc');
+        case 'bcc':
+            return message => (message.headers?.bcc || '').toLowerCase().includes(value);
+        case 'subject':
+            return headerContains('subject');
+        case 'filename':
+            // Attachment name or extension
+            return message => (message.parts || []).some(part =>
+                (part.filename || '').toLowerCase().includes(value));
+        case 'after': {
+            const time = parseDateOperand(value);
+            return message => message.timestamp >= time;
+        }
+        case 'before': {
+            const time = parseDateOperand(value);
+            return message => message.timestamp < time;
+        }
+        case 'newer_than': {
+            const age = parseAgeOperand(value);
+            return message => message.timestamp >= now - age;
+        }
+        case 'older_than': {
+            const age = parseAgeOperand(value);
+            return message => message.timestamp < now - age;
+        }
+        default:
+            return () => true;
+    }
+}
+
+/**
+ * Compile a query into a message predicate
+ * @param {string} query - Gmail-style query
+ * @param {Object} options - Options
+ * @param {number} options.now - Reference time for newer_than/older_than
+ * @returns {Function} - Predicate taking a normalized message
+ */
+function compileQuery(query, options = {}) {
+    const now = options.now || Date.now();
+    const tokens = tokenize(query || '');
+    let position = 0;
+    
+    // Gmail binds OR tighter than the implicit AND between terms
+    const parseAnd = () => {
+        const terms = [];
+        while (position < tokens.length && tokens[position] !== ')') {
+            terms.push(parseOr());
+        }
+        return message => terms.every(term => term(message));
+    };
+    
+    const parseOr = () => {
+        const alternatives = [parseUnary()];
+        while (tokens[position] && tokens[position].toUpperCase() === 'OR') {
+            position++;
+            alternatives.push(parseUnary());
+        }
+        return message => alternatives.some(alternative => alternative(message));
+    };
+    
+    const parseUnary = () => {
+        const token = tokens[position++];
+        
+        if (token === undefined) {
+            return () => true;
+        }
+        
+        if (token === '(') {
+            const inner = parseAnd();
+            position++; // Skip the closing parenthesis
+            return inner;
+        }
+        
+        if (token.startsWith('-') && token.length > 1) {
+            const inner = buildTermPredicate(token.slice(1), now);
+            return message => !inner(message);
+        }
+        
+        return buildTermPredicate(token, now);
+    };
+    
+    return parseAnd();
+}
+
+/**
+ * Check whether any message of a thread matches a query, which is how
+ * Gmail decides whether a thread is part of a search result
+ * @param {Object} thread - Normalized thread
+ * @param {string|Function} query - Query string or compiled predicate
+ * @returns {boolean} - True if the thread matches
+ */
+function threadMatchesQuery(thread, query) {
+    const predicate = typeof query === 'function' ? query : compileQuery(query);
+    return (thread.messages || []).some(message => predicate(message));
+}
+
+module.exports = {
+    compileQuery,
+    threadMatchesQuery
+};
@@ -0,0 +1,410 @@
+/**
+ * Incremental Mail Sync
+ *
+ * Keeps contact email metrics up to date without re-reading the whole
+ * mailbox on every run. The first run (or a forced full rebuild) analyzes
+ * every contact and stores, per account:
+ *
+ *   - the mailbox historyId at the start of the run
+ *   - a fingerprint of every analyzed thread
+ *   - the per-contact metrics of every analyzed thread
+ *
+ * Later runs ask the provider for the threads changed since the stored
+ * historyId, re-analyze only threads whose fingerprint changed and rebuild
+ * the metrics of the contacts those threads touch from the stored
+ * per-thread metrics. Each mailbox account has its own checkpoint, but a
+ * contact's metrics are rebuilt from the stored threads of all of the
+ * user's accounts. A conversation found in two of the accounts counts once
+ * (see rebuildContactMetrics).
+ *
+ * Threads that fail to download are kept in a pending list and retried on
+ * the next run; the contacts they belong to are marked incomplete meanwhile.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { compileQuery, threadMatchesQuery } = require('./mail_query');
+const mailAnalysis = require('./mail_analysis');
+const { getUserConfig } = require('./user_config');
+const { canonicalizeAddress } = require('./address_parser');
+const { getErrorStatus } = require('./request_scheduler');
+const { writeFileAtomic } = require('./storage/atomic_files');
+
+// File paths
+const BASE_DIR = path.resolve(__dirname, '..');
+const SYNC_STATE_PATH = path.join(BASE_DIR, 'knowledge_graph', 'sync_state.json');
+
+/**
+ * Load the sync state
+ * @param {string} statePath - Path to the sync state file
+ * @returns {Promise<Object>} - Sync state ({ accounts })
+ */
+async function loadSyncState(statePath = SYNC_STATE_PATH) {
+    try {
+        const data = await fs.readFile(statePath, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading sync state, starting fresh:', error);
+        }
+        return { accounts: {} };
+    }
+}
+
+/**
+ * Save the sync state
+ * @param {Object} state - Sync state
+ * @param {string} statePath - Path to the sync state file
+ * @returns {Promise<boolean>} - Success status
+ */
+async function saveSyncState(state, statePath = SYNC_STATE_PATH) {
+    try {
+        await writeFileAtomic(statePath, JSON.stringify(state, null, 2));
+        return true;
+    } catch (error) {
+        console.error('Error saving sync state:', error);
+        return false;
+    }
+}
+
+/**
+ * Create an empty per-account sync state
+ * @param {string} historyId - History checkpoint
+ * @returns {Object} - Account state
+ */
+function createAccountState(historyId) {
+    return {
+        historyId,
+        analysisVersion: mailAnalysis.ANALYSIS_VERSION,
+        lastSync: null,
+        pendingThreadIds: [],
+        contacts: {},
+        threads: {}
+    };
+}
+
+/**
+ * Fingerprint a thread by its messages, so label-only changes are ignored
+ * @param {Object} thread - Normalized thread
+ * @returns {string} - Fingerprint
+ */
+function fingerprintThread(thread) {
+    const key = thread.messages.map(message => `${message.id}:${message.timestamp}`).join('|');
+    return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+/**
+ * Rebuild contact metrics from the stored per-thread metrics. A message sent
+ * to two of the user's accounts is stored in a thread of each, so threads
+ * are counted fullest first and a thread whose messages were all counted
+ * already, by Message-ID, is skipped. A thread that only partly overlaps
+ * another is counted in full.
+ * @param {Array} accountStates - Sync states of the accounts to count
+ * @param {Array} contactEmails - Contacts to rebuild
+ * @param {Object} config - User configuration
+ * @returns {Map} - Contact email to metrics
+ */
+function rebuildContactMetrics(accountStates, contactEmails, config) {
+    const metricsByContact = new Map();
+    const threadsByContact = new Map();
+    
+    contactEmails.forEach(email => {
+        const metrics = mailAnalysis.createEmptyMetrics();
+        metrics.truncated = accountStates.some(accountState => Boolean(accountState.contacts[email]?.truncated));
+        metricsByContact.set(email, metrics);
+        threadsByContact.set(email, []);
+    });
+    
+    accountStates.forEach(accountState => {
+        Object.values(accountState.threads).forEach(storedThread => {
+            Object.entries(storedThread.contacts).forEach(([email, threadMetrics]) => {
+                const threads = threadsByContact.get(email);
+                if (threads) threads.push(threadMetrics);
+            });
+        });
+    });
+    
+    threadsByContact.forEach((threads, email) => {
+        const counted = new Set();
+        
+        threads
+            .sort((a, b) => (b.messageIds || []).length - (a.messageIds || []).length)
+            .forEach(threadMetrics => {
+                const messageIds = threadMetrics.messageIds || [];
+                if (messageIds.length > 0 && messageIds.every(id => id && counted.has(id))) return;
+                
+                messageIds.forEach(id => id && counted.add(id));
+                mailAnalysis.accumulateThreadMetrics(metricsByContact.get(email), threadMetrics, config);
+            });
+    });
+    
+    return metricsByContact;
+}
+
+/**
+ * Get the stored states of the user's other accounts that can be counted
+ * together with the account being synced
+ * @param {Object} state - Sync state
+ * @param {string} account - Account being synced
+ * @param {Object} config - User configuration
+ * @returns {Array} - Account states
+ */
+function getOtherAccountStates(state, account, config) {
+    const userEmails = new Set(config.userEmails.map(email => canonicalizeAddress(email, config)));
+    
+    // Accounts removed from the configuration, or analyzed by another
+    // version and not yet re-synced, are left out
+    return Object.entries(state.accounts)
+        .filter(([other, otherState]) => other !== account &&
+            userEmails.has(canonicalizeAddress(other, config)) &&
+            otherState.analysisVersion === mailAnalysis.ANALYSIS_VERSION)
+        .map(([, otherState]) => otherState);
+}
+
+/**
+ * Sync contact email metrics, incrementally when a checkpoint exists
+ * @param {Object} provider - Mail provider supporting listHistory and getMailboxInfo
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {Array} contactEmails - For each contact, its addresses as stored (see
+ *     mail_analysis.getSearchAddresses) or a single address; searches match raw
+ *     headers. Contacts are keyed by their first address.
+ * @param {Object} options - Sync options
+ * @param {boolean} options.fullRebuild - Ignore the checkpoint and re-analyze everything
+ * @param {number} options.maxResults - Ceiling on threads returned per search
+ * @param {Object} options.config - User configuration (defaults to getUserConfig())
+ * @param {string} options.statePath - Path to the sync state file
+ * @returns {Promise<Object>} - Sync summary
+ */
+async function syncContacts(provider, knowledgeGraph, contactEmails, options = {}) {
+    const config = options.config || getUserConfig();
+    const statePath = options.statePath || SYNC_STATE_PATH;
+    const contactAddresses = new Map();
+    contactEmails.forEach(entry => {
+        const addresses = [...new Set([].concat(entry).filter(Boolean).map(email => email.toLowerCase()))];
+        if (addresses.length > 0 && !contactAddresses.has(addresses[0])) {
+            contactAddresses.set(addresses[0], addresses);
+        }
+    });
+    const emails = [...contactAddresses.keys()];
+    
+    const state = await loadSyncState(statePath);
+    const mailbox = await provider.getMailboxInfo();
+    let accountState = state.accounts[mailbox.account];
+    
+    const results = {
+        mode: 'incremental',
+        fetchedThreads: 0,
+        changedThreads: 0,
+        updatedContacts: 0,
+        totalEmails: 0,
+        truncated: [],
+        incomplete: []
+    };
+    const affectedContacts = new Set();
+    // Contact email to the error that kept us from analyzing it
+    const incompleteContacts = new Map();
+    // Contacts that lost threads this run must be updated even when they drop to zero
+    const previouslyCounted = new Set();
+    
+    // Working schedules of the contacts, looked up once per run
+    const schedules = new Map();
+    const getSchedule = email => {
+        if (!schedules.has(email)) {
+            const contact = knowledgeGraph.findByEmail(email);
+            schedules.set(email, contact ? mailAnalysis.getContactSchedule(knowledgeGraph, contact.id) : null);
+        }
+        return { contactSchedule: schedules.get(email) };
+    };
+    
+    const fetchThread = async threadId => {
+        results.fetchedThreads++;
+        const thread = await provider.getThread(threadId);
+        return thread && thread.messages && thread.messages.length > 0 ? thread : null;
+    };
+    
+    // Search and analyze every thread of a contact we have no state for
+    const analyzeNewContact = async email => {
+        const addresses = contactAddresses.get(email);
+        try {
+            const searchResult = await mailAnalysis.searchContactThreads(provider, addresses, {
+                config,
+                maxResults: options.maxResults
+            });
+            
+            for (const threadId of searchResult.threadIds) {
+                let storedThread = accountState.threads[threadId];
+                
+                if (!storedThread || !storedThread.contacts[email]) {
+                    const thread = await fetchThread(threadId);
+                    if (!thread) continue;
+                    
+                    storedThread = storedThread || { fingerprint: fingerprintThread(thread), contacts: {} };
+                    storedThread.contacts[email] = mailAnalysis.analyzeThread(thread, addresses, config, getSchedule(email));
+                    accountState.threads[threadId] = storedThread;
+                }
+            }
+            
+            // Only a fully analyzed contact counts as known; others are searched again next run
+            accountState.contacts[email] = { truncated: searchResult.truncated, addresses };
+            affectedContacts.add(email);
+        } catch (error) {
+            console.error(`Error analyzing emails for ${email}:`, error.message);
+            incompleteContacts.set(email, error.message);
+        }
+    };
+    
+    const staleAnalysis = accountState && accountState.analysisVersion !== mailAnalysis.ANALYSIS_VERSION;
+    if (staleAnalysis) {
+        console.log('Stored thread metrics come from an older analysis version, running a full rebuild');
+    }
+    
+    if (!accountState || !accountState.historyId || options.fullRebuild || staleAnalysis) {
+        results.mode = 'full';
+        
+        // Take the checkpoint first, so mail arriving during the scan is picked up next run
+        accountState = createAccountState(mailbox.historyId);
+        
+        for (const email of emails) {
+            console.log(`Analyzing ${email}...`);
+            await analyzeNewContact(email);
+        }
+        
+        results.changedThreads = Object.keys(accountState.threads).length;
+    } else {
+        let history;
+        try {
+            history = await provider.listHistory(accountState.historyId);
+        } catch (error) {
+            // Gmail only keeps history for a limited time and answers 404 once it is gone
+            if (getErrorStatus(error) !== 404) throw error;
+            
+            console.error(`History since ${accountState.historyId} is unavailable, running a full rebuild:`, error.message);
+            return syncContacts(provider, knowledgeGraph, contactEmails, { ...options, fullRebuild: true });
+        }
+        
+        // Addresses no longer searched (contacts removed from the graph, or
+        // stored by an older version in canonical form) stop counting, and
+        // contacts whose addresses changed are searched again below
+        const addressesChanged = email => (accountState.contacts[email].addresses || [email]).join(' ') !==
+            contactAddresses.get(email).join(' ');
+        Object.keys(accountState.contacts).filter(email => !contactAddresses.has(email) || addressesChanged(email)).forEach(email => {
+            delete accountState.contacts[email];
+            Object.values(accountState.threads).forEach(storedThread => delete storedThread.contacts[email]);
+        });
+        
+        // Contacts added to the graph since the last sync need a full search
+        for (const email of emails.filter(email => !accountState.contacts[email])) {
+            console.log(`Analyzing new contact ${email}...`);
+            await analyzeNewContact(email);
+        }
+        
+        const membership = Object.keys(accountState.contacts).map(email => ({
+            email,
+            addresses: contactAddresses.get(email),
+            queries: mailAnalysis.buildContactQueries(contactAddresses.get(email), config).map(query => compileQuery(query))
+        }));
+        
+        const threadIds = [...new Set([...(accountState.pendingThreadIds || []), ...history.threadIds])];
+        const failedThreadIds = [];
+        
+        for (const threadId of threadIds) {
+            const storedThread = accountState.threads[threadId];
+            let thread;
+            
+            try {
+                thread = await fetchThread(threadId);
+            } catch (error) {
+                console.error(`Error fetching thread ${threadId}, will retry next run:`, error.message);
+                failedThreadIds.push(threadId);
+                Object.keys(storedThread ? storedThread.contacts : {})
+                    .forEach(email => incompleteContacts.set(email, error.message));
+                continue;
+            }
+            
+            if (!thread) {
+                // Deleted thread: drop it from every contact it counted towards
+                if (storedThread) {
+                    Object.keys(storedThread.contacts).forEach(email => previouslyCounted.add(email));
+                    delete accountState.threads[threadId];
+                    results.changedThreads++;
+                }
+                continue;
+            }
+            
+            const fingerprint = fingerprintThread(thread);
+            if (storedThread && storedThread.fingerprint === fingerprint) continue;
+            
+            results.changedThreads++;
+            
+            const contacts = {};
+            membership.forEach(({ email, addresses, queries }) => {
+                if (queries.some(query => threadMatchesQuery(thread, query))) {
+                    contacts[email] = mailAnalysis.analyzeThread(thread, addresses, config, getSchedule(email));
+                }
+            });
+            
+            Object.keys(storedThread ? storedThread.contacts : {}).forEach(email => previouslyCounted.add(email));
+            Object.keys(contacts).forEach(email => affectedContacts.add(email));
+            
+            if (Object.keys(contacts).length > 0) {
+                accountState.threads[threadId] = { fingerprint, contacts };
+            } else {
+                delete accountState.threads[threadId];
+            }
+        }
+        
+        accountState.historyId = history.historyId;
+        accountState.pendingThreadIds = failedThreadIds;
+    }
+    
+    // Only contacts touched by this run get their observations rewritten
+    previouslyCounted.forEach(email => affectedContacts.add(email));
+    incompleteContacts.forEach((reason, email) => affectedContacts.delete(email));
+    // Contacts are counted across all of the user's accounts, so syncing one
+    // account keeps what the others contributed
+    const accountStates = [accountState, ...getOtherAccountStates(state, mailbox.account, config)];
+    const metricsByContact = rebuildContactMetrics(accountStates, [...affectedContacts], config);
+    
+    metricsByContact.forEach((metrics, email) => {
+        if (metrics.totalEmails === 0 && !previouslyCounted.has(email)) return;
+        
+        const contact = knowledgeGraph.findByEmail(email);
+        if (!contact) return;
+        
+        if (!mailAnalysis.updateContactWithEmailMetrics(knowledgeGraph, contact.id, metrics, config)) {
+            results.incomplete.push(email);
+            return;
+        }
+        
+        results.updatedContacts++;
+        results.totalEmails += metrics.totalEmails;
+        
+        if (metrics.truncated) {
+            results.truncated.push(email);
+        }
+    });
+    
+    incompleteContacts.forEach((reason, email) => {
+        const contact = knowledgeGraph.findByEmail(email);
+        if (contact) {
+            mailAnalysis.markContactIncomplete(knowledgeGraph, contact.id, reason);
+        }
+        results.incomplete.push(email);
+    });
+    
+    accountState.lastSync = new Date().toISOString();
+    state.accounts[mailbox.account] = accountState;
+    await saveSyncState(state, statePath);
+    
+    console.log(`Sync (${results.mode}) complete: ${results.changedThreads} changed threads, ${results.updatedContacts} contacts updated`);
+    return results;
+}
+
+module.exports = {
+    SYNC_STATE_PATH,
+    loadSyncState,
+    saveSyncState,
+    fingerprintThread,
+    syncContacts
+};
@@ -0,0 +1,235 @@
+/**
+ * Mailbox Scan
+ *
+ * Alternative to the contact-centric analysis: instead of two searches per
+ * contact, walk every thread in the mailbox once, look up each message's
+ * From/To/Cc participants in the email mapping and update the metrics of
+ * every matched contact from that single read. Contacts who only appear in
+ * Cc, or in threads the per-address searches miss, are counted as well.
+ */
+
+const mailAnalysis = require('./mail_analysis');
+const { getUserConfig } = require('./user_config');
+const { parseAddressList, canonicalizeAddress } = require('./address_parser');
+
+// Default number of threads fetched at the same time
+const DEFAULT_CONCURRENCY = 5;
+
+/**
+ * Extract all email addresses from a header value
+ * @param {string} value - Header value (e.g. "Jane <jane@example.com>, bob@example.com")
+ * @param {Object} config - User configuration, for canonicalization
+ * @returns {Array} - Canonical addresses
+ */
+function extractAddresses(value, config = getUserConfig()) {
+    return parseAddressList(value).map(entry => canonicalizeAddress(entry.address, config));
+}
+
+/**
+ * Find the known contacts taking part in a thread
+ * @param {Object} thread - Normalized thread
+ * @param {Object} emailMapping - Canonical email to contact ID mapping
+ * @param {Array} userEmails - Canonical addresses of the user
+ * @param {Object} config - User configuration, for canonicalization
+ * @returns {Map} - Contact ID to every address the contact used in the thread
+ */
+function findThreadParticipants(thread, emailMapping, userEmails, config = getUserConfig()) {
+    const participants = new Map();
+    
+    thread.messages.forEach(message => {
+        const addresses = [message.from, message.to, message.cc].flatMap(value => extractAddresses(value, config));
+        
+        addresses.forEach(address => {
+            const contactId = emailMapping[address];
+            if (!contactId || userEmails.includes(address)) return;
+            
+            if (!participants.has(contactId)) participants.set(contactId, []);
+            if (!participants.get(contactId).includes(address)) participants.get(contactId).push(address);
+        });
+    });
+    
+    return participants;
+}
+
+/**
+ * Run an async function over items with a fixed number of workers
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Number of workers
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise<void>}
+ */
+async function forEachConcurrent(items, concurrency, worker) {
+    let next = 0;
+    const run = async () => {
+        while (next < items.length) {
+            await worker(items[next++]);
+        }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, run));
+}
+
+/**
+ * Fetch every thread matching a query once and hand it to a callback
+ * @param {Object} provider - Mail provider
+ * @param {Object} options - Walk options
+ * @param {string} options.query - Extra search terms limiting the walk
+ * @param {Date|string} options.after - Only walk mail after this date
+ * @param {Date|string} options.before - Only walk mail before this date
+ * @param {number} options.maxResults - Ceiling on the number of threads
+ * @param {number} options.concurrency - Threads fetched at the same time
+ * @param {Function} onThread - Called with each non-empty normalized thread
+ * @returns {Promise<Object>} - { totalThreads, scannedThreads, failedThreads, truncated }
+ */
+async function walkMailbox(provider, options, onThread) {
+    const query = `${options.query || ''}${mailAnalysis.buildDateWindowQuery(options)}`.trim();
+    const searchResult = await provider.searchThreads(query, {
+        maxResults: options.maxResults || Number.MAX_SAFE_INTEGER
+    });
+    
+    const threadIds = searchResult.threads.map(thread => thread.id);
+    console.log(`Scanning ${threadIds.length} threads...`);
+    
+    const failedThreads = [];
+    let scannedThreads = 0;
+    
+    await forEachConcurrent(threadIds, options.concurrency || DEFAULT_CONCURRENCY, async threadId => {
+        let thread;
+        try {
+            thread = await provider.getThread(threadId);
+        } catch (error) {
+            failedThreads.push(threadId);
+            console.error(`Error fetching thread ${threadId}:`, error.message);
+            return;
+        }
+        
+        if (++scannedThreads % 500 === 0) {
+            console.log(`Scanned ${scannedThreads}/${threadIds.length} threads`);
+        }
+        
+        if (thread && thread.messages && thread.messages.length > 0) {
+            onThread(thread);
+        }
+    });
+    
+    return {
+        totalThreads: threadIds.length,
+        scannedThreads,
+        failedThreads,
+        truncated: Boolean(searchResult.truncated)
+    };
+}
+
+/**
+ * Scan the whole mailbox once and compute metrics for every known contact
+ * @param {Object} provider - Mail provider
+ * @param {Object} emailMapping - Email to contact ID mapping
+ * @param {Object} options - Scan options
+ * @param {string} options.query - Extra search terms limiting the scan (e.g. "-in:chats")
+ * @param {Date|string} options.after - Only scan mail after this date
+ * @param {Date|string} options.before - Only scan mail before this date
+ * @param {number} options.maxResults - Ceiling on the number of threads to scan
+ * @param {number} options.concurrency - Threads fetched at the same time
+ * @param {Object} options.config - User configuration (defaults to getUserConfig())
+ * @param {Object} options.contactSchedules - Contact ID to working schedule, where known
+ * @returns {Promise<Object>} - { metricsByContact, scannedThreads, matchedThreads, truncated }
+ */
+async function scanMailbox(provider, emailMapping, options = {}) {
+    const config = options.config || getUserConfig();
+    const userEmails = config.userEmails.map(email => canonicalizeAddress(email, config));
+    const normalizedMapping = {};
+    Object.entries(emailMapping).forEach(([email, contactId]) => {
+        normalizedMapping[canonicalizeAddress(email, config)] = contactId;
+    });
+    
+    const metricsByContact = new Map();
+    let matchedThreads = 0;
+    
+    const walk = await walkMailbox(provider, options, thread => {
+        const participants = findThreadParticipants(thread, normalizedMapping, userEmails, config);
+        if (participants.size > 0) matchedThreads++;
+        
+        participants.forEach((addresses, contactId) => {
+            if (!metricsByContact.has(contactId)) {
+                metricsByContact.set(contactId, mailAnalysis.createEmptyMetrics());
+            }
+            
+            const threadMetrics = mailAnalysis.analyzeThread(thread, addresses, config, {
+                contactSchedule: (options.contactSchedules || {})[contactId] || null
+            });
+            mailAnalysis.accumulateThreadMetrics(metricsByContact.get(contactId), threadMetrics, config);
+        });
+    });
+    
+    // A partial scan would understate every contact, so report it instead of using it
+    if (walk.failedThreads.length > 0) {
+        throw new Error(`Mailbox scan failed for ${walk.failedThreads.length} of ${walk.totalThreads} threads; ` +
+            'no contacts were updated (already fetched threads are cached, so re-running resumes quickly)');
+    }
+    
+    metricsByContact.forEach(metrics => {
+        metrics.truncated = walk.truncated;
+    });
+    
+    return {
+        metricsByContact,
+        scannedThreads: walk.scannedThreads,
+        matchedThreads,
+        truncated: walk.truncated
+    };
+}
+
+/**
+ * Scan the mailbox and update every matched contact in the knowledge graph
+ * @param {Object} provider - Mail provider
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {Object} emailMapping - Email to contact ID mapping
+ * @param {Object} options - Scan options (see scanMailbox)
+ * @returns {Promise<Object>} - Scan summary; incomplete lists the contacts that could not be updated
+ */
+async function scanAndUpdateContacts(provider, knowledgeGraph, emailMapping, options = {}) {
+    const contactSchedules = {};
+    Object.keys(knowledgeGraph.entities).forEach(contactId => {
+        const schedule = mailAnalysis.getContactSchedule(knowledgeGraph, contactId);
+        if (schedule) contactSchedules[contactId] = schedule;
+    });
+    
+    const scan = await scanMailbox(provider, emailMapping, { ...options, contactSchedules });
+    let totalEmails = 0;
+    let updatedContacts = 0;
+    const incomplete = [];
+    
+    scan.metricsByContact.forEach((metrics, contactId) => {
+        if (metrics.totalEmails === 0 || !knowledgeGraph.entities[contactId]) return;
+        
+        if (!mailAnalysis.updateContactWithEmailMetrics(knowledgeGraph, contactId, metrics, options.config)) {
+            incomplete.push(contactId);
+            return;
+        }
+        updatedContacts++;
+        totalEmails += metrics.totalEmails;
+    });
+    
+    console.log(`Mailbox scan complete: ${scan.scannedThreads} threads, ` +
+        `${scan.matchedThreads} with known contacts, ${updatedContacts} contacts updated`);
+    if (incomplete.length > 0) {
+        console.log(`Could not update ${incomplete.length} contacts; they were marked incomplete (${incomplete.join(', ')})`);
+    }
+    
+    return {
+        scannedThreads: scan.scannedThreads,
+        matchedThreads: scan.matchedThreads,
+        updatedContacts,
+        totalEmails,
+        truncated: scan.truncated,
+        incomplete
+    };
+}
+
+module.exports = {
+    extractAddresses,
+    findThreadParticipants,
+    walkMailbox,
+    scanMailbox,
+    scanAndUpdateContacts
+};
@@ -0,0 +1,440 @@
+/**
+ * Meeting Analysis
+ *
+ * Finds meetings in calendar invitations (text/calendar parts in mail) and
+ * in calendar exports (.ics files), matches organizers and attendees to
+ * contacts and records meetingCount, lastMeeting and a meeting_history
+ * observation for every contact.
+ *
+ * Parsed events from all sources are kept in calendar_events.json, so a
+ * run that only reads mail does not forget meetings imported from an .ics
+ * export earlier. Invitations are merged by UID: the highest SEQUENCE wins,
+ * cancellations remove meetings, replies update attendee status and
+ * recurring meetings are expanded into occurrences.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { parseIcs, parseDateValue } = require('./ics_parser');
+const { isCalendarMessage, isCalendarPart } = require('./message_classifier');
+const { canonicalizeAddress } = require('./address_parser');
+const { walkMailbox } = require('./mailbox_scan');
+const { getUserConfig } = require('./user_config');
+const { writeFileAtomic } = require('./storage/atomic_files');
+
+// File paths
+const BASE_DIR = path.resolve(__dirname, '..');
+const EVENTS_PATH = path.join(BASE_DIR, 'knowledge_graph', 'calendar_events.json');
+
+// Search for mail likely to carry invitations; non-calendar hits are ignored
+const DEFAULT_MEETING_QUERY = 'filename:ics OR subject:invitation';
+
+// Limits for expanding recurring meetings
+const MAX_OCCURRENCES = 1000;
+const RECURRENCE_HORIZON_MS = 365 * 24 * 60 * 60 * 1000;
+// Meetings kept per contact in meeting_history
+const HISTORY_LENGTH = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Get the calendar events attached to the messages of a thread
+ * @param {Object} thread - Normalized thread
+ * @param {Object} options - Parse options (see ics_parser.parseIcs)
+ * @returns {Array} - Events, each with the iTIP method of its invitation
+ */
+function extractCalendarEvents(thread, options = {}) {
+    const events = [];
+    
+    thread.messages.filter(isCalendarMessage).forEach(message => {
+        message.parts
+            .filter(part => part.content && isCalendarPart(part))
+            .forEach(part => {
+                const calendar = parseIcs(part.content, options);
+                calendar.events.forEach(event => events.push({ ...event, method: calendar.method, source: 'mail' }));
+            });
+    });
+    
+    return events;
+}
+
+/**
+ * Read calendar events from .ics files or directories of them
+ * @param {Array} icsPaths - Files or directories
+ * @param {Object} options - Parse options (see ics_parser.parseIcs)
+ * @returns {Promise<Array>} - Events
+ */
+async function readIcsFiles(icsPaths, options = {}) {
+    const events = [];
+    
+    for (const icsPath of icsPaths) {
+        const stats = await fs.stat(icsPath);
+        
+        if (stats.isDirectory()) {
+            const names = await fs.readdir(icsPath);
+            events.push(...await readIcsFiles(names
+                .filter(name => /\.ics$/i.test(name))
+                .map(name => path.join(icsPath, name)), options));
+            continue;
+        }
+        
+        const calendar = parseIcs(await fs.readFile(icsPath, 'utf8'), options);
+        calendar.events.forEach(event => events.push({ ...event, method: calendar.method, source: 'ics' }));
+    }
+    
+    return events;
+}
+
+/**
+ * Find calendar invitations in the mailbox
+ * @param {Object} provider - Mail provider
+ * @param {Object} options - Walk options (see mailbox_scan.walkMailbox); query defaults to invitation mail
+ * @returns {Promise<Object>} - { events, scannedThreads, failedThreads }
+ */
+async function collectMailEvents(provider, options = {}) {
+    const events = [];
+    const walk = await walkMailbox(provider, { ...options, query: options.query || DEFAULT_MEETING_QUERY }, thread => {
+        events.push(...extractCalendarEvents(thread, options));
+    });
+    
+    return { events, scannedThreads: walk.scannedThreads, failedThreads: walk.failedThreads };
+}
+
+/**
+ * Build a key identifying one version of an event, for de-duplication
+ * @param {Object} event - Parsed event
+ * @returns {string} - Key
+ */
+function getEventKey(event) {
+    return crypto.createHash('sha1').update(JSON.stringify([
+        event.uid || `${event.summary}|${event.start}`,
+        event.recurrenceId,
+        event.sequence,
+        event.method,
+        event.method === 'REPLY' ? event.attendees.map(attendee => `${attendee.address}:${attendee.partstat}`) : null
+    ])).digest('hex');
+}
+
+/**
+ * Load stored calendar events
+ * @param {string} eventsPath - Path to the events file
+ * @returns {Promise<Array>} - Events
+ */
+async function loadEvents(eventsPath = EVENTS_PATH) {
+    try {
+        const data = await fs.readFile(eventsPath, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading calendar events:', error);
+        }
+        return [];
+    }
+}
+
+/**
+ * Save calendar events
+ * @param {Array} events - Events
+ * @param {string} eventsPath - Path to the events file
+ * @returns {Promise<boolean>} - Success status
+ */
+async function saveEvents(events, eventsPath = EVENTS_PATH) {
+    try {
+        await writeFileAtomic(eventsPath, JSON.stringify(events, null, 2), 'utf8');
+        return true;
+    } catch (error) {
+        console.error('Error saving calendar events:', error);
+        return false;
+    }
+}
+
+/**
+ * Add a number of calendar months to a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {number} months - Months to add
+ * @returns {number} - New timestamp
+ */
+function addMonths(timestamp, months) {
+    const date = new Date(timestamp);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    return date.getTime();
+}
+
+/**
+ * Expand a recurring event into the start times of its occurrences.
+ * Supports FREQ=DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT, UNTIL,
+ * BYDAY for weekly rules and EXDATE; other rules yield the first occurrence.
+ * @param {Object} event - Parsed event
+ * @param {number} until - Do not expand past this time
+ * @returns {Array} - Occurrence start times
+ */
+function expandOccurrences(event, until) {
+    const rule = event.recurrenceRule;
+    if (!rule || !rule.FREQ) return [event.start];
+    
+    const interval = parseInt(rule.INTERVAL, 10) || 1;
+    const count = parseInt(rule.COUNT, 10) || Infinity;
+    const ruleUntil = rule.UNTIL ? parseDateValue(rule.UNTIL, {}, 'UTC') : null;
+    const limit = Math.min(until, ruleUntil ? ruleUntil.timestamp : Infinity);
+    const excluded = new Set(event.excludedDates);
+    
+    // Generate candidate starts in order; COUNT includes excluded dates
+    const candidates = [];
+    const startDay = new Date(event.start).getUTCDay();
+    const byDay = rule.FREQ === 'WEEKLY' && rule.BYDAY
+        ? rule.BYDAY.split(',').map(day => WEEKDAYS.indexOf(day.slice(-2))).filter(day => day >= 0).sort((a, b) => a - b)
+        : null;
+    
+    for (let step = 0; candidates.length < Math.min(count, MAX_OCCURRENCES); step++) {
+        let starts;
+        switch (rule.FREQ) {
+            case 'DAILY':
+                starts = [event.start + step * interval * DAY_MS];
+                break;
+            case 'WEEKLY':
+                starts = (byDay || [startDay]).map(day =>
+                    event.start + (step * interval * 7 + day - startDay) * DAY_MS);
+                break;
+            case 'MONTHLY':
+                starts = [addMonths(event.start, step * interval)];
+                break;
+            case 'YEARLY':
+                starts = [addMonths(event.start, step * interval * 12)];
+                break;
+            default:
+                return [event.start];
+        }
+        
+        const inRange = starts.filter(start => start >= event.start);
+        if (inRange.length > 0 && inRange[0] > limit) break;
+        
+        inRange.filter(start => start <= limit).forEach(start => {
+            if (candidates.length < count) candidates.push(start);
+        });
+    }
+    
+    return candidates.filter(start => !excluded.has(start));
+}
+
+/**
+ * Merge invitation versions into the list of meetings that take place
+ * @param {Array} events - Parsed events from all sources
+ * @param {Object} options - Merge options
+ * @param {number} options.now - Reference time (recurring meetings are expanded a year past it)
+ * @returns {Array} - Meetings ({ uid, summary, start, end, organizer, attendees, declined })
+ */
+function mergeMeetingEvents(events, options = {}) {
+    const now = options.now || Date.now();
+    const byUid = new Map();
+    
+    events.forEach(event => {
+        const uid = event.uid || `${event.summary}|${event.start}`;
+        if (!byUid.has(uid)) byUid.set(uid, { versions: new Map(), replies: [] });
+        
+        const entry = byUid.get(uid);
+        if (event.method === 'REPLY') {
+            entry.replies.push(event);
+            return;
+        }
+        
+        // Keep the latest version of the series and of each changed occurrence
+        const instance = event.recurrenceId || 'series';
+        const current = entry.versions.get(instance);
+        if (!current || event.sequence > current.sequence ||
+            (event.sequence === current.sequence && event.method === 'CANCEL')) {
+            entry.versions.set(instance, event);
+        }
+    });
+    
+    const meetings = [];
+    
+    byUid.forEach((entry, uid) => {
+        // A reply alone still shows that the meeting exists
+        if (entry.versions.size === 0) {
+            entry.versions.set('series', entry.replies[0]);
+        }
+        
+        // Attendee answers from replies override the status in the invitation
+        const answers = new Map();
+        entry.replies.sort((a, b) => a.sequence - b.sequence).forEach(reply => {
+            reply.attendees.forEach(attendee => answers.set(attendee.address, attendee.partstat));
+        });
+        
+        const isCancelled = event => event.method === 'CANCEL' || event.status === 'CANCELLED';
+        
+        const addMeeting = (event, start) => {
+            if (isCancelled(event)) return;
+            
+            const attendees = event.attendees.map(attendee => ({
+                ...attendee,
+                partstat: answers.get(attendee.address) || attendee.partstat
+            }));
+            
+            meetings.push({
+                uid,
+                summary: event.summary,
+                start,
+                end: event.end !== null ? start + (event.end - event.start) : null,
+                organizer: event.organizer ? event.organizer.address : null,
+                attendees: attendees.filter(attendee => attendee.partstat !== 'DECLINED').map(attendee => attendee.address),
+                declined: attendees.filter(attendee => attendee.partstat === 'DECLINED').map(attendee => attendee.address)
+            });
+        };
+        
+        const series = entry.versions.get('series');
+        const overrides = new Map([...entry.versions].filter(([instance]) => instance !== 'series'));
+        
+        if (series) {
+            expandOccurrences(series, now + RECURRENCE_HORIZON_MS).forEach(start => {
+                if (!overrides.has(start)) addMeeting(series, start);
+            });
+        }
+        
+        overrides.forEach(event => addMeeting(event, event.start));
+    });
+    
+    return meetings.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Match meeting participants to contacts
+ * @param {Array} meetings - Meetings from mergeMeetingEvents
+ * @param {Object} emailMapping - Canonical email to contact ID mapping
+ * @param {Object} config - User configuration (defaults to getUserConfig())
+ * @returns {Map} - Contact ID to the meetings the contact took part in
+ */
+function attributeMeetings(meetings, emailMapping, config = getUserConfig()) {
+    const userEmails = config.userEmails.map(email => canonicalizeAddress(email, config));
+    const meetingsByContact = new Map();
+    
+    meetings.forEach(meeting => {
+        const participants = new Set([meeting.organizer, ...meeting.attendees]
+            .filter(Boolean)
+            .map(address => canonicalizeAddress(address, config))
+            .filter(address => !userEmails.includes(address)));
+        
+        const contactIds = new Set([...participants].map(address => emailMapping[address]).filter(Boolean));
+        contactIds.forEach(contactId => {
+            if (!meetingsByContact.has(contactId)) meetingsByContact.set(contactId, []);
+            meetingsByContact.get(contactId).push(meeting);
+        });
+    });
+    
+    return meetingsByContact;
+}
+
+/**
+ * Write meeting metrics to every contact. Contacts without meetings are
+ * reset, since the meetings are always recomputed from all stored events.
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {Map} meetingsByContact - Contact ID to meetings
+ * @param {number} now - Reference time separating past from upcoming meetings
+ * @returns {number} - Number of contacts with at least one meeting
+ */
+function updateContactsWithMeetings(knowledgeGraph, meetingsByContact, now = Date.now()) {
+    const toIso = timestamp => (timestamp !== null ? new Date(timestamp).toISOString() : null);
+    let updated = 0;
+    
+    knowledgeGraph.findEntitiesByType('Contact').forEach(contact => {
+        const meetings = meetingsByContact.get(contact.id) || [];
+        const hadHistory = contact.observations.some(obs => obs.type === 'meeting_history');
+        if (meetings.length === 0 && !hadHistory) return;
+        
+        const past = meetings.filter(meeting => meeting.start <= now);
+        const upcoming = meetings.filter(meeting => meeting.start > now);
+        const lastMeeting = past.length > 0 ? toIso(past[past.length - 1].start) : null;
+        
+        knowledgeGraph.updateEntityObservation(contact.id, 'communication_metrics', {
+            meetingCount: past.length,
+            lastMeeting
+        }, { source: 'calendar' });
+        
+        knowledgeGraph.updateEntityObservation(contact.id, 'meeting_history', {
+            totalMeetings: past.length,
+            upcomingMeetings: upcoming.length,
+            lastMeeting,
+            nextMeeting: upcoming.length > 0 ? toIso(upcoming[0].start) : null,
+            meetings: [...meetings].reverse().slice(0, HISTORY_LENGTH).map(meeting => ({
+                uid: meeting.uid,
+                summary: meeting.summary,
+                start: toIso(meeting.start),
+                end: toIso(meeting.end),
+                organizer: meeting.organizer,
+                attendeeCount: meeting.attendees.length
+            }))
+        }, { source: 'calendar' });
+        
+        if (meetings.length > 0) updated++;
+    });
+    
+    return updated;
+}
+
+/**
+ * Collect meetings from mail and .ics files, store the events and update
+ * every contact's meeting metrics
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {Object} options - Analysis options
+ * @param {Object} options.provider - Mail provider to search for invitations (optional)
+ * @param {Array} options.icsPaths - .ics files or directories to import (optional)
+ * @param {Object} options.config - User configuration (defaults to getUserConfig())
+ * @param {string} options.eventsPath - Path to the stored events file
+ * @param {number} options.now - Reference time
+ * @returns {Promise<Object>} - Summary
+ */
+async function analyzeMeetings(knowledgeGraph, options = {}) {
+    const config = options.config || getUserConfig();
+    const eventsPath = options.eventsPath || EVENTS_PATH;
+    const now = options.now || Date.now();
+    const parseOptions = { defaultTimezone: (config.workingHours || {}).timezone };
+    
+    const newEvents = [];
+    const results = { mailEvents: 0, icsEvents: 0, scannedThreads: 0, failedThreads: 0 };
+    
+    if (options.provider) {
+        const mail = await collectMailEvents(options.provider, { ...options, ...parseOptions });
+        newEvents.push(...mail.events);
+        results.mailEvents = mail.events.length;
+        results.scannedThreads = mail.scannedThreads;
+        results.failedThreads = mail.failedThreads.length;
+    }
+    
+    if (options.icsPaths && options.icsPaths.length > 0) {
+        const icsEvents = await readIcsFiles(options.icsPaths, parseOptions);
+        newEvents.push(...icsEvents);
+        results.icsEvents = icsEvents.length;
+    }
+    
+    // Merge with the events of earlier runs
+    const events = new Map();
+    [...await loadEvents(eventsPath), ...newEvents].forEach(event => events.set(getEventKey(event), event));
+    await saveEvents([...events.values()], eventsPath);
+    
+    const meetings = mergeMeetingEvents([...events.values()], { now });
+    const meetingsByContact = attributeMeetings(meetings, knowledgeGraph.getEmailMapping(), config);
+    const updatedContacts = updateContactsWithMeetings(knowledgeGraph, meetingsByContact, now);
+    
+    console.log(`Meeting analysis complete: ${meetings.length} meetings, ${updatedContacts} contacts with meetings`);
+    
+    return {
+        ...results,
+        storedEvents: events.size,
+        meetings: meetings.length,
+        updatedContacts
+    };
+}
+
+module.exports = {
+    EVENTS_PATH,
+    DEFAULT_MEETING_QUERY,
+    extractCalendarEvents,
+    readIcsFiles,
+    collectMailEvents,
+    expandOccurrences,
+    mergeMeetingEvents,
+    attributeMeetings,
+    updateContactsWithMeetings,
+    analyzeMeetings
+};
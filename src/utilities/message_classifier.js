@@ -0,0 +1,119 @@
+/**
+ * Message Classifier
+ *
+ * Tells messages written by people apart from machine-generated mail:
+ * out-of-office replies, calendar invitations, notifications, mailing list
+ * traffic and bulk mail. The analysis engine uses the category to leave
+ * these messages out of (or down-weight them in) relationship metrics.
+ * Classification only looks at headers, the sender address, the subject
+ * and MIME types, so it works on any normalized message.
+ */
+
+const { parseAddressList } = require('./address_parser');
+
+// Message categories, in the order they are checked
+const MESSAGE_CATEGORIES = ['auto_reply', 'calendar', 'notification', 'mailing_list', 'bulk'];
+
+// Local parts of addresses that never belong to a person
+const NOREPLY_LOCAL_PARTS = /^(no-?reply|do-?not-?reply|notifications?|mailer-daemon|postmaster|bounces?)([+._-]|$)/i;
+
+// Subjects of auto-replies from clients that do not set Auto-Submitted
+const AUTO_REPLY_SUBJECTS = /^(out of (the )?office|automatic reply|auto(matic)?[- ]?(reply|response)|away from (the )?office|on vacation|abwesenheitsnotiz|r[ée]ponse automatique|respuesta autom[áa]tica)\b/i;
+
+// MIME types of calendar invitations and responses
+const CALENDAR_MIME_TYPES = ['text/calendar', 'application/ics'];
+
+/**
+ * Check whether an address is a noreply-style machine address
+ * @param {string} address - Email address or From header value
+ * @returns {boolean} - True for machine addresses
+ */
+function isNoReplyAddress(address) {
+    const [entry] = parseAddressList(address);
+    return Boolean(entry) && NOREPLY_LOCAL_PARTS.test(entry.address.split('@')[0]);
+}
+
+/**
+ * Check whether a MIME part holds calendar data
+ * @param {Object} part - MIME part with mimeType and filename
+ * @returns {boolean} - True for text/calendar parts and .ics attachments
+ */
+function isCalendarPart(part) {
+    return CALENDAR_MIME_TYPES.includes((part.mimeType || '').toLowerCase()) || /\.ics$/i.test(part.filename || '');
+}
+
+/**
+ * Check whether a message carries a calendar invitation or response
+ * @param {Object} message - Normalized message
+ * @returns {boolean} - True for calendar messages
+ */
+function isCalendarMessage(message) {
+    const contentType = (message.headers?.['content-type'] || '').toLowerCase();
+    
+    return CALENDAR_MIME_TYPES.some(type => contentType.startsWith(type)) ||
+        (message.parts || []).some(isCalendarPart);
+}
+
+/**
+ * Classify a message
+ * @param {Object} message - Normalized message
+ * @returns {Object} - { category, reason }; category is null for mail written by a person
+ */
+function classifyMessage(message) {
+    const headers = message.headers || {};
+    const autoSubmitted = (headers['auto-submitted'] || 'no').toLowerCase().split(';')[0].trim();
+    const precedence = (headers.precedence || '').toLowerCase().trim();
+    
+    if (autoSubmitted === 'auto-replied') {
+        return { category: 'auto_reply', reason: 'Auto-Submitted: auto-replied' };
+    }
+    if (headers['x-autoreply'] || headers['x-autorespond']) {
+        return { category: 'auto_reply', reason: headers['x-autoreply'] ? 'X-Autoreply' : 'X-Autorespond' };
+    }
+    if (AUTO_REPLY_SUBJECTS.test((message.subject || '').trim())) {
+        return { category: 'auto_reply', reason: 'auto-reply subject' };
+    }
+    
+    if (isCalendarMessage(message)) {
+        return { category: 'calendar', reason: 'calendar MIME type' };
+    }
+    
+    if (autoSubmitted !== 'no') {
+        return { category: 'notification', reason: `Auto-Submitted: ${autoSubmitted}` };
+    }
+    if (isNoReplyAddress(message.from)) {
+        return { category: 'notification', reason: 'noreply sender' };
+    }
+    
+    if (headers['list-id'] || headers['list-post'] || precedence === 'list') {
+        const reason = headers['list-id'] ? 'List-Id' : headers['list-post'] ? 'List-Post' : 'Precedence: list';
+        return { category: 'mailing_list', reason };
+    }
+    
+    if (precedence === 'bulk' || precedence === 'junk') {
+        return { category: 'bulk', reason: `Precedence: ${precedence}` };
+    }
+    if (headers['list-unsubscribe']) {
+        return { category: 'bulk', reason: 'List-Unsubscribe' };
+    }
+    
+    return { category: null, reason: null };
+}
+
+/**
+ * Check whether a message was generated by a machine or sent to a list
+ * @param {Object} message - Normalized message
+ * @returns {boolean} - True for classified messages
+ */
+function isAutomatedMessage(message) {
+    return classifyMessage(message).category !== null;
+}
+
+module.exports = {
+    MESSAGE_CATEGORIES,
+    classifyMessage,
+    isAutomatedMessage,
+    isNoReplyAddress,
+    isCalendarPart,
+    isCalendarMessage
+};
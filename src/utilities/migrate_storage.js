@@ -0,0 +1,167 @@
+/**
+ * Knowledge Graph Storage Migration
+ *
+ * Copies the knowledge graph between the JSON files and the SQLite
+ * database, then reads it back from the target to check nothing was lost.
+ * Switch storage.backend in the configuration afterwards to use the copy.
+ *
+ * Usage: node src/utilities/migrate_storage.js --to=sqlite|json
+ *   [--entities=<path>] [--relationships=<path>] [--database=<path>]
+ *   [--config=<path>] [--force]
+ *
+ * --force overwrites a target that already holds a knowledge graph.
+ */
+
+const path = require('path');
+const { loadUserConfig, STORAGE_BACKENDS } = require('./user_config');
+const JsonFileAdapter = require('./storage/json_file_adapter');
+const SqliteAdapter = require('./storage/sqlite_adapter');
+
+// File paths
+const BASE_DIR = path.resolve(__dirname, '..');
+const ENTITIES_PATH = path.join(BASE_DIR, 'knowledge_graph', 'entities.json');
+const RELATIONSHIPS_PATH = path.join(BASE_DIR, 'knowledge_graph', 'relationships.json');
+
+/**
+ * Count what a graph holds, for comparing source and target
+ * @param {Object} graph - { entities, relationships }
+ * @returns {Object} - Entity, observation and relationship counts
+ */
+function countGraph(graph) {
+  const entities = Object.values(graph.entities);
+  
+  return {
+    entities: entities.length,
+    observations: entities.reduce((total, entity) => total + (entity.observations || []).length, 0),
+    relationships: graph.relationships.length
+  };
+}
+
+/**
+ * Load a graph, or null when the storage holds none yet
+ * @param {StorageAdapter} storage - Storage adapter
+ * @returns {Promise<Object|null>} - { entities, relationships }
+ */
+async function loadIfStored(storage) {
+  try {
+    return await storage.load();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Copy the knowledge graph from one storage backend to the other
+ * @param {Object} options - Migration options
+ * @param {string} options.to - Target backend ('sqlite' or 'json')
+ * @param {string} options.entitiesPath - Entities JSON file
+ * @param {string} options.relationshipsPath - Relationships JSON file
+ * @param {string} options.databasePath - SQLite database file
+ * @param {boolean} options.force - Overwrite a target that already holds a graph
+ * @returns {Promise<Object>} - { source, target, counts }
+ */
+async function migrateStorage(options) {
+  const json = new JsonFileAdapter(options.entitiesPath, options.relationshipsPath);
+  const sqlite = new SqliteAdapter(options.databasePath);
+  const [source, target] = options.to === 'sqlite' ? [json, sqlite] : [sqlite, json];
+  
+  try {
+    const graph = await source.load();
+    const counts = countGraph(graph);
+    
+    // Loading the target first lets the SQLite adapter delete rows the source no longer has
+    const existing = await loadIfStored(target);
+    if (existing && countGraph(existing).entities > 0 && !options.force) {
+      throw new Error(`${target.describe()} already holds a knowledge graph; use --force to overwrite it.`);
+    }
+    
+    await target.save(graph);
+    
+    // Read the copy back to check it matches
+    const copied = countGraph(await target.load());
+    Object.keys(counts).forEach(key => {
+      if (copied[key] !== counts[key]) {
+        throw new Error(`Migration lost data: ${target.describe()} holds ${copied[key]} ${key}, expected ${counts[key]}.`);
+      }
+    });
+    
+    return { source: source.describe(), target: target.describe(), counts };
+  } finally {
+    await sqlite.close();
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - Migration options (see migrateStorage), plus configPath
+ */
+function parseArgs(args) {
+  const options = {
+    entitiesPath: ENTITIES_PATH,
+    relationshipsPath: RELATIONSHIPS_PATH
+  };
+  
+  args.forEach(arg => {
+    const [name, value] = arg.replace(/^--/, '').split('=');
+    
+    if (name === 'to') {
+      options.to = value;
+    } else if (name === 'entities') {
+      options.entitiesPath = path.resolve(value);
+    } else if (name === 'relationships') {
+      options.relationshipsPath = path.resolve(value);
+    } else if (name === 'database') {
+      options.databasePath = path.resolve(value);
+    } else if (name === 'config') {
+      options.configPath = path.resolve(value);
+    } else if (name === 'force') {
+      options.force = true;
+    }
+  });
+  
+  return options;
+}
+
+/**
+ * Run the migration from the command line
+ * @param {Object} options - Parsed arguments (see parseArgs)
+ */
+async function run(options) {
+  if (!STORAGE_BACKENDS.includes(options.to)) {
+    console.error('Usage: node migrate_storage.js --to=sqlite|json [--entities=<path>] [--relationships=<path>] [--database=<path>] [--config=<path>] [--force]');
+    process.exit(1);
+  }
+  
+  try {
+    const config = loadUserConfig(options.configPath);
+    
+    // The database lives next to the JSON files unless given explicitly
+    if (!options.databasePath) {
+      options.databasePath = path.resolve(path.dirname(options.entitiesPath), config.storage.databasePath);
+    }
+    
+    const result = await migrateStorage(options);
+    
+    console.log('Storage migration complete:');
+    console.log(`- Copied ${result.counts.entities} entities, ${result.counts.observations} observations and ${result.counts.relationships} relationships`);
+    console.log(`- From ${result.source}`);
+    console.log(`- To ${result.target}`);
+    
+    if (config.storage.backend !== options.to) {
+      console.log(`Set storage.backend to "${options.to}" in ${config.configPath} to use the migrated graph.`);
+    }
+  } catch (error) {
+    console.error('Error migrating storage:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script if executed directly
+if (require.main === module) {
+  run(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = {
+  migrateStorage
+};
@@ -0,0 +1,264 @@
+/**
+ * MIME Parser
+ *
+ * Minimal RFC 5322 / MIME parser for raw messages read from mail archives
+ * (mbox, .eml files, Maildir). It unfolds and decodes headers, walks
+ * multipart bodies and decodes base64 / quoted-printable content into the
+ * leaf part format used by the mail providers.
+ */
+
+/**
+ * Map a MIME charset to a decoder
+ * @param {string} charset - MIME charset name
+ * @returns {Function} - Function decoding a Buffer into a string
+ */
+function getCharsetDecoder(charset) {
+    const name = (charset || 'utf-8').toLowerCase().replace(/^"|"$/g, '');
+    
+    if (['utf-8', 'utf8', 'us-ascii', 'ascii'].includes(name)) {
+        return buffer => buffer.toString('utf8');
+    }
+    
+    if (['iso-8859-1', 'latin1', 'latin-1'].includes(name)) {
+        return buffer => buffer.toString('latin1');
+    }
+    
+    try {
+        const decoder = new TextDecoder(name);
+        return buffer => decoder.decode(buffer);
+    } catch (error) {
+        return buffer => buffer.toString('utf8');
+    }
+}
+
+/**
+ * Decode a quoted-printable string into raw bytes
+ * @param {string} text - Quoted-printable text (binary string)
+ * @param {boolean} isHeader - Use the header variant where "_" means space
+ * @returns {Buffer} - Decoded bytes
+ */
+function decodeQuotedPrintable(text, isHeader = false) {
+    let input = isHeader ? text.replace(/_/g, ' ') : text.replace(/=\r?\n/g, '');
+    const bytes = [];
+    
+    for (let i = 0; i < input.length; i++) {
+        const hex = input.substr(i + 1, 2);
+        if (input[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+            bytes.push(parseInt(hex, 16));
+            i += 2;
+        } else {
+            bytes.push(input.charCodeAt(i) & 0xff);
+        }
+    }
+    
+    return Buffer.from(bytes);
+}
+
+/**
+ * Decode RFC 2047 encoded words in a header value
+ * @param {string} value - Raw header value
+ * @returns {string} - Decoded header value
+ */
+function decodeEncodedWords(value) {
+    // Whitespace between two adjacent encoded words is not significant
+    const joined = value.replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?[^?]+\?[BbQq]\?[^?]*\?=)/g, '$1');
+    
+    return joined.replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+        const bytes = encoding.toUpperCase() === 'B'
+            ? Buffer.from(text, 'base64')
+            : decodeQuotedPrintable(text, true);
+        return getCharsetDecoder(charset)(bytes);
+    });
+}
+
+/**
+ * Parse a raw header block into an ordered list of headers
+ * @param {string} block - Header block (binary string)
+ * @returns {Array} - Headers as { name, value }
+ */
+function parseHeaderBlock(block) {
+    const headers = [];
+    
+    block.split(/\r?\n/).forEach(line => {
+        if (/^[ \t]/.test(line) && headers.length > 0) {
+            // Folded continuation line
+            headers[headers.length - 1].value += ' ' + line.trim();
+            return;
+        }
+        
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers.push({
+                name: line.slice(0, separator).trim(),
+                value: line.slice(separator + 1).trim()
+            });
+        }
+    });
+    
+    // Header bytes are usually UTF-8 even without encoded words
+    return headers.map(header => ({
+        name: header.name,
+        value: decodeEncodedWords(Buffer.from(header.value, 'latin1').toString('utf8'))
+    }));
+}
+
+/**
+ * Parse a structured header such as Content-Type into a value and parameters
+ * @param {string} value - Header value
+ * @returns {Object} - { value, params }
+ */
+function parseStructuredHeader(value) {
+    const [main, ...rest] = (value || '').split(';');
+    const params = {};
+    
+    rest.forEach(param => {
+        const separator = param.indexOf('=');
+        if (separator < 0) return;
+        
+        const name = param.slice(0, separator).trim().toLowerCase().replace(/\*$/, '');
+        let paramValue = param.slice(separator + 1).trim().replace(/^"|"$/g, '');
+        
+        // RFC 2231 extended values: charset''percent-encoded
+        const extended = /^([^']*)'[^']*'(.*)$/.exec(paramValue);
+        if (extended && param.slice(0, separator).trim().endsWith('*')) {
+            paramValue = getCharsetDecoder(extended[1])(Buffer.from(decodeURIComponent(extended[2]), 'utf8'));
+        }
+        
+        params[name] = paramValue;
+    });
+    
+    return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * Split a raw entity into its header block and body
+ * @param {string} raw - Raw entity (binary string)
+ * @returns {Object} - { headerBlock, body }
+ */
+function splitEntity(raw) {
+    const match = /\r?\n\r?\n/.exec(raw);
+    if (!match) {
+        return { headerBlock: raw, body: '' };
+    }
+    
+    return {
+        headerBlock: raw.slice(0, match.index),
+        body: raw.slice(match.index + match[0].length)
+    };
+}
+
+/**
+ * Strip HTML down to readable text
+ * @param {string} html - HTML content
+ * @returns {string} - Plain text
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|tr|li|h[1-6])>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Parse a MIME entity into its leaf parts
+ * @param {string} raw - Raw entity (binary string)
+ * @param {number} depth - Current nesting depth
+ * @returns {Array} - Leaf parts as { mimeType, filename, content }
+ */
+function parseEntityParts(raw, depth = 0) {
+    const { headerBlock, body } = splitEntity(raw);
+    const headers = parseHeaderBlock(headerBlock);
+    const getHeader = name => headers.find(header => header.name.toLowerCase() === name)?.value || '';
+    
+    const contentType = parseStructuredHeader(getHeader('content-type') || 'text/plain');
+    const disposition = parseStructuredHeader(getHeader('content-disposition'));
+    const encoding = getHeader('content-transfer-encoding').toLowerCase();
+    
+    if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < 10) {
+        const delimiter = `--${contentType.params.boundary}`;
+        const sections = body.split(new RegExp(`^${escapeRegExp(delimiter)}(?:--)?[ \\t]*\\r?$`, 'm'));
+        
+        // First section is the preamble, the last one the epilogue
+        return sections
+            .slice(1, -1)
+            .map(section => section.replace(/^\r?\n/, ''))
+            .flatMap(section => parseEntityParts(section, depth + 1));
+    }
+    
+    let bytes;
+    if (encoding === 'base64') {
+        bytes = Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    } else if (encoding === 'quoted-printable') {
+        bytes = decodeQuotedPrintable(body);
+    } else {
+        bytes = Buffer.from(body, 'latin1');
+    }
+    
+    const isText = contentType.value.startsWith('text/') || contentType.value === 'message/rfc822' ||
+        contentType.value === 'message/delivery-status' || contentType.value === 'application/ics';
+    
+    return [{
+        mimeType: contentType.value || 'text/plain',
+        filename: disposition.params.filename || contentType.params.name || '',
+        content: isText ? getCharsetDecoder(contentType.params.charset)(bytes) : null
+    }];
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse the headers of a raw message only
+ * @param {Buffer|string} raw - Raw message or header block
+ * @returns {Array} - Headers as { name, value }
+ */
+function parseHeaders(raw) {
+    const text = Buffer.isBuffer(raw) ? raw.toString('latin1') : raw;
+    return parseHeaderBlock(splitEntity(text).headerBlock);
+}
+
+/**
+ * Parse a complete raw message
+ * @param {Buffer|string} raw - Raw RFC 5322 message
+ * @returns {Object} - { headers, parts, textBody }
+ */
+function parseRawMessage(raw) {
+    const text = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(raw, 'utf8').toString('latin1');
+    const headers = parseHeaderBlock(splitEntity(text).headerBlock);
+    const parts = parseEntityParts(text);
+    
+    const plainPart = parts.find(part => part.mimeType === 'text/plain' && part.content && !part.filename);
+    const htmlPart = parts.find(part => part.mimeType === 'text/html' && part.content && !part.filename);
+    
+    let textBody = '';
+    if (plainPart) {
+        textBody = plainPart.content;
+    } else if (htmlPart) {
+        textBody = htmlToText(htmlPart.content);
+    }
+    
+    return { headers, parts, textBody };
+}
+
+module.exports = {
+    parseRawMessage,
+    parseHeaders,
+    parseStructuredHeader,
+    decodeEncodedWords,
+    htmlToText
+};
@@ -8,6 +8,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { decodeStealthSignature } = require('./signature_encoder');
+const { createFileGroup, readFileGroup, commitFileGroup } = require('./storage/atomic_files');
 
 // Base directory for all files
 const BASE_DIR = path.resolve(__dirname, '..');
@@ -18,6 +19,13 @@ const OUTREACH_STATUS_PATH = path.join(TRACKING_DIR, 'outreach_status.json');
 const RESPONSE_METRICS_PATH = path.join(TRACKING_DIR, 'response_metrics.json');
 const TRACKING_CODES_PATH = path.join(BASE_DIR, 'knowledge_graph', 'tracking_codes.json');
 
+// The three tracking files are saved together (see storage/atomic_files.js)
+const TRACKING_FILES = createFileGroup(TRACKING_DIR, 'tracking', [
+    OUTREACH_STATUS_PATH,
+    RESPONSE_METRICS_PATH,
+    TRACKING_CODES_PATH
+]);
+
 /**
  * Initialize the tracking system
  * @returns {Promise<Object>} - Tracking system data
@@ -38,29 +46,28 @@ async function initializeTrackingSystem() {
                 categoryMetrics: {},
                 weeklyStats: []
             },
-            trackingCodes: {}
+            trackingCodes: {},
+            // Generation loaded, so a save cannot overwrite another run's
+            generation: 0
         };
         
-        // Try to load existing data
-        try {
-            const [outreachStatusData, responseMetricsData, trackingCodesData] = await Promise.all([
-                fs.readFile(OUTREACH_STATUS_PATH, 'utf8').catch(() => null),
-                fs.readFile(RESPONSE_METRICS_PATH, 'utf8').catch(() => null),
-                fs.readFile(TRACKING_CODES_PATH, 'utf8').catch(() => null)
-            ]);
-            
-            if (outreachStatusData) {
-                trackingData.outreachStatus = JSON.parse(outreachStatusData);
-            }
-            
-            if (responseMetricsData) {
-                trackingData.responseMetrics = JSON.parse(responseMetricsData);
-            }
-            
-            if (trackingCodesData) {
-                trackingData.trackingCodes = JSON.parse(trackingCodesData);
-            }
-        } catch (error) {
+        // Load existing data; files that cannot be read are restored from a snapshot
+        const { generation, data } = await readFileGroup(TRACKING_FILES);
+        trackingData.generation = generation;
+        
+        if (data[OUTREACH_STATUS_PATH]) {
+            trackingData.outreachStatus = data[OUTREACH_STATUS_PATH];
+        }
+        
+        if (data[RESPONSE_METRICS_PATH]) {
+            trackingData.responseMetrics = data[RESPONSE_METRICS_PATH];
+        }
+        
+        if (data[TRACKING_CODES_PATH]) {
+            trackingData.trackingCodes = data[TRACKING_CODES_PATH];
+        }
+        
+        if (Object.values(data).every(contents => contents === null)) {
             console.log('No existing tracking data found, creating new tracking system.');
         }
         
@@ -72,17 +79,18 @@ async function initializeTrackingSystem() {
 }
 
 /**
- * Save tracking data to files
+ * Save tracking data to files, all or nothing; fails if another run saved
+ * tracking data since this one loaded it
  * @param {Object} trackingData - Tracking system data
  * @returns {Promise<void>}
  */
 async function saveTrackingData(trackingData) {
     try {
-        await Promise.all([
-            fs.writeFile(OUTREACH_STATUS_PATH, JSON.stringify(trackingData.outreachStatus, null, 2)),
-            fs.writeFile(RESPONSE_METRICS_PATH, JSON.stringify(trackingData.responseMetrics, null, 2)),
-            fs.writeFile(TRACKING_CODES_PATH, JSON.stringify(trackingData.trackingCodes, null, 2))
-        ]);
+        trackingData.generation = await commitFileGroup(TRACKING_FILES, {
+            [OUTREACH_STATUS_PATH]: JSON.stringify(trackingData.outreachStatus, null, 2),
+            [RESPONSE_METRICS_PATH]: JSON.stringify(trackingData.responseMetrics, null, 2),
+            [TRACKING_CODES_PATH]: JSON.stringify(trackingData.trackingCodes, null, 2)
+        }, { expectedGeneration: trackingData.generation });
         
         console.log('Tracking data saved.');
     } catch (error) {
@@ -188,6 +196,18 @@ function recordResponse(signature, responseDate, trackingData) {
         throw new Error('Could not decode contact ID from signature');
     }
     
+    return recordResponseForContact(contactId, responseDate, trackingData);
+}
+
+/**
+ * Record a response from a contact whose identity is already known
+ * (e.g. matched by sender address rather than by signature)
+ * @param {string} contactId - Contact ID
+ * @param {Date} responseDate - Date of the response
+ * @param {Object} trackingData - Tracking system data
+ * @returns {Object} - Updated tracking data and contact ID
+ */
+function recordResponseForContact(contactId, responseDate, trackingData) {
     // Get outreach data
     const outreachData = trackingData.outreachStatus[contactId];
     if (!outreachData) {
@@ -269,15 +289,15 @@ async function updateKnowledgeGraphWithResponse(contactId, graph) {
     const metricsObs = contact.observations.find(obs => obs.type === 'communication_metrics');
     if (metricsObs) {
         // Increment response count
-        metricsObs.responseCount = (metricsObs.responseCount || 0) + 1;
-        
-        // Update response rate
-        if (metricsObs.emailCount) {
-            metricsObs.responseRate = metricsObs.responseCount / metricsObs.emailCount;
-        }
+        const responseCount = (metricsObs.responseCount || 0) + 1;
         
-        // Update last contacted date
-        metricsObs.lastContacted = new Date().toISOString();
+        graph.updateEntityObservation(contactId, 'communication_metrics', {
+            responseCount,
+            // Update response rate
+            ...(metricsObs.emailCount ? { responseRate: responseCount / metricsObs.emailCount } : {}),
+            // Update last contacted date
+            lastContacted: new Date().toISOString()
+        }, { source: 'outreach_response' });
     }
     
     // Save knowledge graph
@@ -363,6 +383,7 @@ module.exports = {
     saveTrackingData,
     recordOutreach,
     recordResponse,
+    recordResponseForContact,
     updateKnowledgeGraphWithResponse,
     generateEffectivenessReport
 };
@@ -14,6 +14,9 @@ const BASE_DIR = path.resolve(__dirname, '..');
 const REPORTS_DIR = path.join(BASE_DIR, 'reports');
 const GOALS_PROGRESS_PATH = path.join(BASE_DIR, 'tracking', 'goals_progress.json');
 
+// Contacts listed under Score Changes
+const SCORE_CHANGES_LISTED = 10;
+
 /**
  * Initialize the report generator
  * @returns {Promise<Object>} - Goals progress data
@@ -32,6 +35,7 @@ async function initializeReportGenerator() {
             top150Contacted: 0,
             top150Responded: 0,
             targetCompletionDate: null,
+            lastReportDate: null,
             startDate: new Date().toISOString(),
             lastUpdated: new Date().toISOString()
         };
@@ -166,6 +170,15 @@ ${Object.entries(responseMetrics.categoryMetrics).map(([category, metrics]) =>
     `- ${category}: ${metrics.sent} sent, ${metrics.responses} responses (${(metrics.responseRate * 100).toFixed(1)}%)`
 ).join('\n')}
 
+## Changes Since Last Report
+${generateChangesSection(graph, goalsProgress.lastReportDate)}
+
+## Score Changes Since Last Report
+${generateScoreChangesSection(graph, goalsProgress.lastReportDate)}
+
+## Cooling Relationships
+${generateCoolingSection(graph)}
+
 ## Next Steps
 ${generateNextSteps(goalsProgress, totalContacts, scoredContacts.length)}
 
@@ -176,6 +189,114 @@ ${goalsProgress.targetCompletionDate ? `- Target completion: ${new Date(goalsPro
 `;
 }
 
+/**
+ * Describe a career_event observation in one line
+ * @param {Object} event - career_event observation
+ * @returns {string} - Description
+ */
+function describeCareerEvent(event) {
+    switch (event.eventType) {
+        case 'organization_change':
+            return `moved from ${event.previousValue} to ${event.newValue}`;
+        case 'title_change':
+            return `title changed from ${event.previousValue} to ${event.newValue}`;
+        case 'new_domain':
+        case 'new_address': {
+            const bounced = event.evidence?.bouncedAddress ? ` after mail to ${event.evidence.bouncedAddress} bounced` : '';
+            return `now writes from ${event.newValue} (was ${event.previousValue || 'unknown'})${bounced}`;
+        }
+        case 'address_bounced':
+            return `mail to ${event.previousValue} bounces`;
+        default:
+            return `${event.eventType}: ${event.newValue}`;
+    }
+}
+
+/**
+ * List the career events detected since the previous report
+ * @param {Object} graph - Knowledge graph instance
+ * @param {string} since - Date of the previous report (all events when missing)
+ * @returns {string} - Markdown formatted list
+ */
+function generateChangesSection(graph, since) {
+    const sinceTime = since ? new Date(since).getTime() : 0;
+    
+    const changes = Object.values(graph.entities)
+        .filter(e => e.entityType === 'Contact')
+        .flatMap(contact => contact.observations
+            .filter(obs => obs.type === 'career_event' && new Date(obs.detectedAt).getTime() > sinceTime)
+            .map(event => ({ contact, event })))
+        .sort((a, b) => new Date(b.event.date) - new Date(a.event.date));
+    
+    if (changes.length === 0) {
+        return '- No job, title or address changes detected';
+    }
+    
+    return changes.map(({ contact, event }) =>
+        `- ${contact.name}: ${describeCareerEvent(event)} (${new Date(event.date).toLocaleDateString()})`
+    ).join('\n');
+}
+
+/**
+ * List the contacts whose importance score moved most since the previous
+ * report, comparing with the graph as it was then, and what changed them
+ * @param {Object} graph - Knowledge graph instance
+ * @param {string} since - Date of the previous report
+ * @returns {string} - Markdown formatted list
+ */
+function generateScoreChangesSection(graph, since) {
+    if (!since) {
+        return '- No previous report to compare with';
+    }
+    
+    const previous = graph.asOf(since);
+    const getScore = entity => entity?.observations.find(obs => obs.type === 'importance_metrics')?.calculatedScore || 0;
+    
+    const changes = Object.values(graph.entities)
+        .filter(e => e.entityType === 'Contact')
+        .map(contact => ({ contact, before: getScore(previous.entities[contact.id]), after: getScore(contact) }))
+        .filter(({ before, after }) => before !== after)
+        .sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before))
+        .slice(0, SCORE_CHANGES_LISTED);
+    
+    if (changes.length === 0) {
+        return '- No importance scores changed';
+    }
+    
+    return changes.map(({ contact, before, after }) => {
+        const sources = [...new Set(graph.getObservationHistory(contact.id)
+            .filter(change => new Date(change.at) > new Date(since) && change.source && change.source !== 'importance_scores')
+            .map(change => change.source))];
+        const delta = after - before;
+        const isNew = previous.entities[contact.id] ? '' : ', new contact';
+        
+        return `- ${contact.name}: ${before} → ${after} (${delta > 0 ? '+' : ''}${delta}${isNew})` +
+            (sources.length > 0 ? ` after ${sources.join(', ')}` : '');
+    }).join('\n');
+}
+
+/**
+ * List historically strong relationships that have gone quiet
+ * @param {Object} graph - Knowledge graph instance
+ * @returns {string} - Markdown formatted list
+ */
+function generateCoolingSection(graph) {
+    const cooling = Object.values(graph.entities)
+        .filter(e => e.entityType === 'Contact')
+        .map(contact => ({ contact, history: contact.observations.find(obs => obs.type === 'communication_history') }))
+        .filter(({ history }) => history && history.cooling)
+        .sort((a, b) => b.history.baselineMonthlyAverage - a.history.baselineMonthlyAverage);
+    
+    if (cooling.length === 0) {
+        return '- No relationships have gone quiet';
+    }
+    
+    return cooling.map(({ contact, history }) =>
+        `- ${contact.name}: ${history.recentMonthlyAverage} messages/month recently, ` +
+        `down from ${history.baselineMonthlyAverage}`
+    ).join('\n');
+}
+
 /**
  * Generate next steps based on current progress
  * @param {Object} goalsProgress - Goals progress data
@@ -0,0 +1,256 @@
+/**
+ * Request Scheduler
+ *
+ * Shared gate for mail API calls. Every request goes through one scheduler,
+ * which limits how many run at once, spaces them with a token bucket,
+ * retries rate-limit (429) and server (5xx) errors with exponential backoff
+ * and keeps per-operation counts for a quota report at the end of a run.
+ */
+
+// Gmail API quota units per operation
+const QUOTA_UNITS = {
+    'threads.list': 10,
+    'threads.get': 10,
+    'messages.attachments.get': 5,
+    'history.list': 2,
+    'getProfile': 1
+};
+
+class RequestScheduler {
+    /**
+     * @param {Object} options - Scheduler options
+     * @param {number} options.concurrency - Maximum requests in flight
+     * @param {number} options.requestsPerSecond - Token bucket refill rate
+     * @param {number} options.burst - Token bucket size
+     * @param {number} options.maxRetries - Retries for retryable errors
+     * @param {number} options.baseDelayMs - First backoff delay
+     * @param {number} options.maxDelayMs - Backoff delay ceiling
+     * @param {Object} options.quotaUnits - Quota units per operation name
+     */
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 5;
+        this.requestsPerSecond = options.requestsPerSecond || 10;
+        this.burst = options.burst || this.requestsPerSecond;
+        this.maxRetries = options.maxRetries ?? 5;
+        this.baseDelayMs = options.baseDelayMs ?? 500;
+        this.maxDelayMs = options.maxDelayMs ?? 30000;
+        this.quotaUnits = { ...QUOTA_UNITS, ...(options.quotaUnits || {}) };
+        
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.active = 0;
+        this.queue = [];
+        this.resetStats();
+    }
+    
+    /**
+     * Clear the per-run statistics
+     */
+    resetStats() {
+        this.stats = {
+            startedAt: new Date().toISOString(),
+            operations: {}
+        };
+    }
+    
+    /**
+     * Run a request through the scheduler
+     * @param {string} operation - Operation name used for quota accounting
+     * @param {Function} request - Function returning a promise for the request
+     * @returns {Promise<*>} - The request result
+     */
+    async schedule(operation, request) {
+        await this._acquireSlot();
+        
+        try {
+            return await this._runWithRetries(operation, request);
+        } finally {
+            this._releaseSlot();
+        }
+    }
+    
+    /**
+     * Get a per-run quota report
+     * @returns {Object} - Totals and per-operation counts
+     */
+    getReport() {
+        const operations = this.stats.operations;
+        const totals = { requests: 0, retries: 0, failures: 0, quotaUnits: 0 };
+        
+        Object.values(operations).forEach(counts => {
+            totals.requests += counts.requests;
+            totals.retries += counts.retries;
+            totals.failures += counts.failures;
+            totals.quotaUnits += counts.quotaUnits;
+        });
+        
+        return {
+            startedAt: this.stats.startedAt,
+            elapsedSeconds: Math.round((Date.now() - new Date(this.stats.startedAt).getTime()) / 1000),
+            totals,
+            operations
+        };
+    }
+    
+    /**
+     * Format the quota report for the console
+     * @returns {string} - Report text
+     */
+    formatReport() {
+        const report = this.getReport();
+        const lines = [
+            `Mail API usage: ${report.totals.requests} requests, ${report.totals.quotaUnits} quota units, ` +
+            `${report.totals.retries} retries, ${report.totals.failures} failures in ${report.elapsedSeconds}s`
+        ];
+        
+        Object.entries(report.operations).forEach(([operation, counts]) => {
+            lines.push(`- ${operation}: ${counts.requests} requests, ${counts.quotaUnits} units, ` +
+                `${counts.retries} retries, ${counts.failures} failures`);
+        });
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Run a request, retrying retryable errors with exponential backoff
+     * @param {string} operation - Operation name
+     * @param {Function} request - Request function
+     * @returns {Promise<*>} - The request result
+     */
+    async _runWithRetries(operation, request) {
+        const counts = this._getOperationStats(operation);
+        
+        for (let attempt = 0; ; attempt++) {
+            await this._takeToken();
+            counts.requests++;
+            counts.quotaUnits += this.quotaUnits[operation] || 1;
+            
+            try {
+                return await request();
+            } catch (error) {
+                if (!isRetryableError(error) || attempt >= this.maxRetries) {
+                    counts.failures++;
+                    throw error;
+                }
+                
+                counts.retries++;
+                const delay = this._getBackoffDelay(error, attempt);
+                console.error(`${operation} failed with ${getErrorStatus(error) || error.code}, retrying in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+    
+    /**
+     * Get the backoff delay for a retry, honoring Retry-After when present
+     * @param {Error} error - Request error
+     * @param {number} attempt - Zero-based attempt number
+     * @returns {number} - Delay in milliseconds
+     */
+    _getBackoffDelay(error, attempt) {
+        const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+        if (!isNaN(retryAfter)) {
+            return Math.min(retryAfter * 1000, this.maxDelayMs);
+        }
+        
+        // Full jitter keeps concurrent retries from hitting the API in lockstep
+        const ceiling = Math.min(this.baseDelayMs * Math.pow(2, attempt), this.maxDelayMs);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+    
+    /**
+     * Get (or create) the statistics for an operation
+     * @param {string} operation - Operation name
+     * @returns {Object} - Operation counts
+     */
+    _getOperationStats(operation) {
+        if (!this.stats.operations[operation]) {
+            this.stats.operations[operation] = { requests: 0, retries: 0, failures: 0, quotaUnits: 0 };
+        }
+        return this.stats.operations[operation];
+    }
+    
+    /**
+     * Wait for a concurrency slot
+     */
+    async _acquireSlot() {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return;
+        }
+        
+        // The releasing request hands its slot over directly
+        await new Promise(resolve => this.queue.push(resolve));
+    }
+    
+    /**
+     * Release a concurrency slot
+     */
+    _releaseSlot() {
+        const next = this.queue.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+    
+    /**
+     * Wait for a token from the token bucket
+     */
+    async _takeToken() {
+        for (;;) {
+            const now = Date.now();
+            this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / 1000 * this.requestsPerSecond);
+            this.lastRefill = now;
+            
+            if (this.tokens >= 1) {
+                this.tokens--;
+                return;
+            }
+            
+            await sleep(Math.ceil((1 - this.tokens) / this.requestsPerSecond * 1000));
+        }
+    }
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get the HTTP status of a googleapis (gaxios) error
+ * @param {Error} error - Request error
+ * @returns {number|null} - HTTP status
+ */
+function getErrorStatus(error) {
+    const status = error.response?.status ?? error.status ?? error.code;
+    return typeof status === 'number' ? status : null;
+}
+
+/**
+ * Check whether an error is worth retrying
+ * @param {Error} error - Request error
+ * @returns {boolean} - True for rate limits, server errors and network resets
+ */
+function isRetryableError(error) {
+    const status = getErrorStatus(error);
+    if (status === 429 || (status >= 500 && status < 600)) return true;
+    
+    // Gmail reports some per-user rate limits as 403
+    const reason = error.errors?.[0]?.reason || error.response?.data?.error?.errors?.[0]?.reason;
+    if (status === 403 && ['rateLimitExceeded', 'userRateLimitExceeded'].includes(reason)) return true;
+    
+    return ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'].includes(error.code);
+}
+
+module.exports = {
+    RequestScheduler,
+    isRetryableError,
+    getErrorStatus
+};
@@ -2,7 +2,10 @@
  * Gmail API Authentication Setup
  * 
  * This script helps set up authentication for the Gmail API
- * by walking through the OAuth2 authorization flow.
+ * by walking through the OAuth2 authorization flow. Each configured
+ * gmail_api account keeps its credentials in its own credentialsDir.
+ *
+ * Usage: node src/utilities/setup_gmail_auth.js [--account=<id>]
  */
 
 const fs = require('fs').promises;
@@ -10,40 +13,38 @@ const path = require('path');
 const readline = require('readline');
 const { google } = require('googleapis');
 const { OAuth2Client } = require('google-auth-library');
+const { loadUserConfig, getAccount } = require('./user_config');
 
 // Scopes required for Gmail analysis
 // readonly access is sufficient for our analysis needs
 const SCOPES = ['https://www.googleapis.com/auth/gmail.readonly'];
 
-// File paths
-const BASE_DIR = path.resolve(__dirname, '..');
-const TOKEN_PATH = path.join(BASE_DIR, 'credentials', 'token.json');
-const CREDENTIALS_PATH = path.join(BASE_DIR, 'credentials', 'credentials.json');
-
 /**
  * Create an OAuth2 client with the given credentials
  * @param {Object} credentials - OAuth2 credentials
+ * @param {string} tokenPath - Where the account's token is stored
  */
-async function authorize(credentials) {
+async function authorize(credentials, tokenPath) {
   const { client_secret, client_id, redirect_uris } = credentials.installed;
   const oAuth2Client = new OAuth2Client(client_id, client_secret, redirect_uris[0]);
 
   try {
     // Check if we have previously stored a token
-    const token = await fs.readFile(TOKEN_PATH);
+    const token = await fs.readFile(tokenPath);
     oAuth2Client.setCredentials(JSON.parse(token));
     console.log('Using existing authentication token.');
     return oAuth2Client;
   } catch (err) {
-    return getNewToken(oAuth2Client);
+    return getNewToken(oAuth2Client, tokenPath);
   }
 }
 
 /**
  * Get and store new token after prompting for user authorization
  * @param {OAuth2Client} oAuth2Client - OAuth2 client
+ * @param {string} tokenPath - Where to store the token
  */
-async function getNewToken(oAuth2Client) {
+async function getNewToken(oAuth2Client, tokenPath) {
   const authUrl = oAuth2Client.generateAuthUrl({
     access_type: 'offline',
     scope: SCOPES,
@@ -65,8 +66,8 @@ async function getNewToken(oAuth2Client) {
         oAuth2Client.setCredentials(tokens);
         
         // Store the token to disk for later program executions
-        await fs.writeFile(TOKEN_PATH, JSON.stringify(tokens));
-        console.log('Token stored to', TOKEN_PATH);
+        await fs.writeFile(tokenPath, JSON.stringify(tokens));
+        console.log('Token stored to', tokenPath);
         resolve(oAuth2Client);
       } catch (err) {
         console.error('Error retrieving access token:', err);
@@ -79,8 +80,9 @@ async function getNewToken(oAuth2Client) {
 /**
  * Test Gmail API access
  * @param {OAuth2Client} auth - Authenticated OAuth2 client
+ * @param {Object} account - Configured account the token is for
  */
-async function testGmailAccess(auth) {
+async function testGmailAccess(auth, account) {
   const gmail = google.gmail({ version: 'v1', auth });
   
   try {
@@ -88,6 +90,13 @@ async function testGmailAccess(auth) {
     const response = await gmail.users.getProfile({ userId: 'me' });
     console.log('Gmail API authentication successful!');
     console.log(`Email: ${response.data.emailAddress}`);
+    
+    // A token for the wrong mailbox would be counted as this account
+    const addresses = [account.address, ...account.aliases].map(address => address.toLowerCase());
+    if (!addresses.includes(response.data.emailAddress.toLowerCase())) {
+      console.error(`Warning: account ${account.id} is configured as ${account.address}, ` +
+        `but the token is for ${response.data.emailAddress}`);
+    }
     console.log(`Messages: ${response.data.messagesTotal}`);
     console.log(`Threads: ${response.data.threadsTotal}`);
     return true;
@@ -99,15 +108,26 @@ async function testGmailAccess(auth) {
 
 /**
  * Main function to set up Gmail API authentication
+ * @param {string} accountId - Configured gmail_api account (defaults to the first account)
  */
-async function setupGmailAuth() {
+async function setupGmailAuth(accountId) {
   try {
+    const account = getAccount(loadUserConfig(), accountId);
+    if (account.provider !== 'gmail_api') {
+      console.error(`Account ${account.id} is not read with the Gmail API (provider: ${account.provider})`);
+      return;
+    }
+    
+    const credentialsPath = path.join(account.credentialsDir, 'credentials.json');
+    const tokenPath = path.join(account.credentialsDir, 'token.json');
+    console.log(`Setting up Gmail API access for account ${account.id} (${account.address})`);
+    
     // Check if credentials directory exists
-    await fs.mkdir(path.dirname(CREDENTIALS_PATH), { recursive: true });
+    await fs.mkdir(account.credentialsDir, { recursive: true });
     
     // Check if credentials file exists
     try {
-      await fs.access(CREDENTIALS_PATH);
+      await fs.access(credentialsPath);
     } catch (err) {
       console.error('Error: credentials.json file not found.');
       console.log('\nTo set up Gmail API authentication:');
@@ -116,20 +136,20 @@ async function setupGmailAuth() {
       console.log('3. Enable the Gmail API for your project');
       console.log('4. Create an OAuth client ID (Desktop application)');
       console.log('5. Download the credentials JSON');
-      console.log('6. Save it as credentials.json in the credentials directory');
+      console.log(`6. Save it as credentials.json in ${account.credentialsDir}`);
       console.log('\nThen run this script again.');
       return;
     }
     
     // Load client secrets
-    const content = await fs.readFile(CREDENTIALS_PATH);
+    const content = await fs.readFile(credentialsPath);
     const credentials = JSON.parse(content);
     
     // Authorize with the credentials
-    const auth = await authorize(credentials);
+    const auth = await authorize(credentials, tokenPath);
     
     // Test the API access
-    const success = await testGmailAccess(auth);
+    const success = await testGmailAccess(auth, account);
     
     if (success) {
       console.log('\nSetup complete! You can now run the email analyzer.');
@@ -143,7 +163,8 @@ async function setupGmailAuth() {
 
 // Run the setup if this script is executed directly
 if (require.main === module) {
-  setupGmailAuth();
+  const accountArg = process.argv.slice(2).find(arg => arg.startsWith('--account='));
+  setupGmailAuth(accountArg ? accountArg.split('=')[1] : undefined);
 }
 
 module.exports = {
@@ -0,0 +1,526 @@
+/**
+ * Signature Extractor
+ *
+ * Reads a contact's current job title, organization, phone numbers and web
+ * links from the signature of their most recent messages. Imported contact
+ * records go stale; signatures are kept up to date by the contacts
+ * themselves.
+ *
+ * Nothing is written to the contact directly. Every difference from the
+ * stored contact_details becomes a proposal with its source message, date
+ * and a confidence score, and is applied only once it is accepted.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getUserConfig } = require('./user_config');
+const { writeFileAtomic } = require('./storage/atomic_files');
+const { canonicalizeAddress, getMessageAddresses } = require('./address_parser');
+const { isAutomatedMessage } = require('./message_classifier');
+
+// File paths
+const BASE_DIR = path.resolve(__dirname, '..');
+const DETAIL_PROPOSALS_PATH = path.join(BASE_DIR, 'knowledge_graph', 'detail_proposals.json');
+
+// Lines that start the quoted part of a reply or forward
+const QUOTE_HEADERS = [
+    /^On .+wrote:\s*$/i,
+    /^-{2,}\s*(Original|Forwarded) Message\s*-{2,}/i,
+    /^_{10,}\s*$/,
+    /^From:\s.+/i,
+    /^Le .+a écrit\s*:\s*$/i,
+    /^Am .+schrieb .+:\s*$/i
+];
+
+// Closing lines that usually come right before a signature
+const SIGN_OFFS = /^(best|best regards|best wishes|regards|kind regards|warm regards|warmly|thanks|thanks again|thank you|many thanks|cheers|sincerely|all the best|all best|talk soon|br)[,.!]?\s*$/i;
+
+// Footers added by mail clients, not part of the signature
+const CLIENT_FOOTERS = /^(sent from my |get outlook for |sent via )/i;
+
+const MAX_SIGNATURE_LINES = 10;
+
+// Confidence in the block itself, by how it was found
+const BLOCK_CONFIDENCE = {
+    delimiter: 0.9,
+    sign_off: 0.75,
+    trailing_block: 0.5
+};
+
+const PHONE_PATTERN = /(?:\b(tel|phone|mobile|mob|cell|office|direct|work|fax|[mtpodwf])\b\s*[.:]?\s*)?(\+?\(?\d[\d\s().\/-]{5,}\d)/i;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>|,]+|\b(?:[a-z0-9-]+\.)+(?:com|org|net|io|co|ai|dev|edu|gov|me)(?:\/[^\s<>|,]*)?/gi;
+const EMAIL_PATTERN = /[^\s<>()|,;:]+@[^\s<>()|,;:]+/g;
+
+const TITLE_WORDS = /\b(ceo|cto|cfo|coo|cmo|cio|vp|svp|evp|president|founder|co-founder|director|manager|head|lead|engineer|developer|designer|architect|consultant|analyst|partner|principal|associate|officer|chief|professor|researcher|scientist|specialist|coordinator|administrator|advisor|adviser|counsel|attorney|recruiter|editor|producer|owner|chair|chairman|strategist|executive|investor)\b/i;
+const ORGANIZATION_SUFFIXES = /\b(inc|llc|llp|ltd|gmbh|corp|corporation|company|plc|ag|sa|bv|limited|group|labs|technologies|ventures|capital|partners|university|institute|foundation)\b\.?/i;
+
+// Mail domains that say nothing about the sender's employer
+const FREE_MAIL_DOMAINS = ['gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'fastmail.com'];
+
+/**
+ * Reduce a phone number to a comparable key. The last ten digits are used,
+ * so numbers written with and without a country code compare equal.
+ * @param {string} phone - Phone number as written
+ * @returns {string} - Comparison key
+ */
+function getPhoneKey(phone) {
+    return phone.replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Remove quoted replies and forwarded messages from a message body
+ * @param {string} text - Plain-text body
+ * @returns {Array} - Lines written in this message
+ */
+function stripQuotedText(text) {
+    const lines = (text || '').replace(/\r\n/g, '\n').split('\n');
+    const quoteStart = lines.findIndex(line => QUOTE_HEADERS.some(pattern => pattern.test(line.trim())));
+    
+    return (quoteStart === -1 ? lines : lines.slice(0, quoteStart))
+        .filter(line => !line.startsWith('>'));
+}
+
+/**
+ * Find the signature block of a message
+ * @param {string} text - Plain-text body
+ * @returns {Object|null} - { lines, method } or null when no block was found
+ */
+function findSignatureBlock(text) {
+    const lines = stripQuotedText(text);
+    
+    // Drop trailing blank lines and client footers
+    while (lines.length > 0 && (!lines[lines.length - 1].trim() || CLIENT_FOOTERS.test(lines[lines.length - 1].trim()))) {
+        lines.pop();
+    }
+    
+    const take = (start, method) => {
+        const block = lines.slice(start, start + MAX_SIGNATURE_LINES).map(line => line.trim()).filter(Boolean);
+        return block.length > 0 ? { lines: block, method } : null;
+    };
+    
+    // The standard "-- " delimiter
+    for (let i = lines.length - 1; i >= 0; i--) {
+        if (/^--\s*$/.test(lines[i])) return take(i + 1, 'delimiter');
+    }
+    
+    // A sign-off near the end of the message
+    for (let i = lines.length - 1; i >= Math.max(0, lines.length - MAX_SIGNATURE_LINES - 2); i--) {
+        if (SIGN_OFFS.test(lines[i].trim())) return take(i + 1, 'sign_off');
+    }
+    
+    // Otherwise the last paragraph, if it is short
+    let start = lines.length;
+    while (start > 0 && lines[start - 1].trim()) start--;
+    if (start > 0 && lines.length - start <= MAX_SIGNATURE_LINES) {
+        return take(start, 'trailing_block');
+    }
+    
+    return null;
+}
+
+/**
+ * Check whether a line is the sender's name
+ * @param {string} segment - Signature segment
+ * @param {string} name - Contact name
+ * @returns {boolean} - True when every word of the segment is part of the name
+ */
+function isNameSegment(segment, name) {
+    const nameWords = new Set((name || '').toLowerCase().split(/\s+/).filter(Boolean));
+    const words = segment.toLowerCase().replace(/[^\p{L}\s'-]/gu, ' ').split(/\s+/).filter(Boolean);
+    
+    return nameWords.size > 0 && words.length > 0 && words.every(word => nameWords.has(word));
+}
+
+/**
+ * Check whether a segment names the company of an email domain
+ * @param {string} segment - Signature segment
+ * @param {string} email - Sender address
+ * @returns {boolean} - True when the segment matches the domain name
+ */
+function matchesEmailDomain(segment, email) {
+    const domain = (email || '').split('@')[1] || '';
+    if (!domain || FREE_MAIL_DOMAINS.includes(domain)) return false;
+    
+    const label = domain.split('.').slice(-2)[0];
+    const squashed = segment.toLowerCase().replace(/[^a-z0-9]/g, '');
+    
+    return label.length > 2 && squashed.length > 0 && (squashed.includes(label) || label.includes(squashed));
+}
+
+/**
+ * Parse a signature block
+ * @param {Array} lines - Signature lines
+ * @param {Object} sender - { name, email } of the sender
+ * @returns {Object} - { title, organization, phones, urls }; each found value
+ *     is { value, confidence } with confidence from 0 to 1 before the block
+ *     confidence is applied
+ */
+function parseSignature(lines, sender = {}) {
+    const result = { title: null, organization: null, phones: [], urls: [] };
+    const textSegments = [];
+    
+    lines.forEach(line => {
+        line.split(/\s+[|•·]\s+|\s{3,}/).map(segment => segment.trim()).filter(Boolean).forEach(segment => {
+            let rest = segment.replace(EMAIL_PATTERN, ' ');
+            
+            const urls = rest.match(URL_PATTERN) || [];
+            urls.forEach(url => {
+                const value = url.replace(/[.)/]+$/, '');
+                if (!result.urls.some(existing => existing.value === value)) {
+                    result.urls.push({ value, confidence: 0.9 });
+                }
+                rest = rest.replace(url, ' ');
+            });
+            
+            const phone = PHONE_PATTERN.exec(rest);
+            if (phone) {
+                const digits = phone[2].replace(/\D/g, '');
+                const label = (phone[1] || '').toLowerCase();
+                
+                if (digits.length >= 7 && digits.length <= 15 && label !== 'fax' && label !== 'f' &&
+                    !result.phones.some(existing => getPhoneKey(existing.value) === getPhoneKey(digits))) {
+                    result.phones.push({ value: phone[2].trim(), confidence: label ? 1 : 0.85 });
+                }
+                rest = rest.replace(phone[0], ' ');
+            }
+            
+            rest = rest.replace(/^[\s,;:-]+|[\s,;:-]+$/g, '').replace(/\s+/g, ' ');
+            if (rest && rest.length <= 60 && rest.split(' ').length <= 8 && /\p{L}/u.test(rest) &&
+                !isNameSegment(rest, sender.name) && !SIGN_OFFS.test(rest)) {
+                textSegments.push(rest);
+            }
+        });
+    });
+    
+    // "Title at Company", and "Title, Company" when the second part is clearly a company
+    const isCompany = segment => ORGANIZATION_SUFFIXES.test(segment) || matchesEmailDomain(segment, sender.email);
+    const candidates = textSegments.flatMap(segment => {
+        const split = /^(.+?)\s+(?:at|@)\s+(.+)$/i.exec(segment) || /^(.+?),\s+(.+)$/.exec(segment);
+        const isSplit = split && TITLE_WORDS.test(split[1]) && (!split[0].includes(',') || isCompany(split[2]));
+        return isSplit ? [split[1], split[2]] : [segment];
+    });
+    
+    const titleIndex = candidates.findIndex(segment => TITLE_WORDS.test(segment));
+    if (titleIndex !== -1) {
+        result.title = { value: candidates[titleIndex], confidence: 1 };
+    }
+    
+    const organizationIndex = candidates.findIndex((segment, index) => index !== titleIndex && isCompany(segment));
+    if (organizationIndex !== -1) {
+        result.organization = { value: candidates[organizationIndex], confidence: 1 };
+    } else if (titleIndex !== -1 && candidates[titleIndex + 1]) {
+        // The line after the title is usually the company
+        result.organization = { value: candidates[titleIndex + 1], confidence: 0.6 };
+    }
+    
+    return result;
+}
+
+/**
+ * Extract signature details from a contact's most recent messages
+ * @param {Object} provider - Mail provider
+ * @param {string} contactEmail - Contact's email address
+ * @param {Object} options - Extraction options
+ * @param {string} options.name - Contact name, to skip the name line
+ * @param {number} options.maxMessages - Recent messages to read (default 5)
+ * @param {number} options.maxThreads - Threads to search (default 10)
+ * @param {Object} options.config - User configuration (defaults to getUserConfig())
+ * @returns {Promise<Object>} - { messagesExamined, signaturesFound, fields } where
+ *     fields holds title, organization, phones and urls, each value with its
+ *     confidence, source message and the number of messages it appeared in
+ */
+async function extractContactSignature(provider, contactEmail, options = {}) {
+    const config = options.config || getUserConfig();
+    const maxMessages = options.maxMessages || 5;
+    const contactAddress = canonicalizeAddress(contactEmail, config);
+    
+    const { threads } = await provider.searchThreads(`from:${contactEmail}`, {
+        maxResults: options.maxThreads || 10
+    });
+    
+    const messages = [];
+    for (const { id } of threads) {
+        const thread = await provider.getThread(id);
+        if (!thread) continue;
+        
+        thread.messages.forEach(message => {
+            const { from } = getMessageAddresses(message, config);
+            if (from && from.address === contactAddress && !isAutomatedMessage(message)) {
+                messages.push(message);
+            }
+        });
+    }
+    
+    // Newest first; the latest signature is the most current
+    const recent = messages.sort((a, b) => b.timestamp - a.timestamp).slice(0, maxMessages);
+    
+    const signatures = recent.map(message => {
+        const block = findSignatureBlock(message.textBody);
+        if (!block) return null;
+        
+        return {
+            message,
+            blockConfidence: BLOCK_CONFIDENCE[block.method],
+            parsed: parseSignature(block.lines, { name: options.name, email: contactAddress })
+        };
+    }).filter(Boolean);
+    
+    const normalize = (field, value) => (field === 'phones'
+        ? getPhoneKey(value)
+        : value.toLowerCase().replace(/\s+/g, ' '));
+    
+    // Rate each value by its latest appearance and how consistently it appears
+    const rate = field => {
+        const seen = new Map();
+        
+        signatures.forEach(signature => {
+            const found = signature.parsed[field];
+            (Array.isArray(found) ? found : found ? [found] : []).forEach(entry => {
+                const key = normalize(field, entry.value);
+                if (!seen.has(key)) {
+                    seen.set(key, {
+                        value: entry.value,
+                        baseConfidence: entry.confidence * signature.blockConfidence,
+                        seenIn: 0,
+                        source: {
+                            messageId: signature.message.id,
+                            threadId: signature.message.threadId,
+                            date: signature.message.date
+                        }
+                    });
+                }
+                seen.get(key).seenIn++;
+            });
+        });
+        
+        return [...seen.values()].map(({ baseConfidence, ...entry }) => ({
+            ...entry,
+            confidence: Math.round(baseConfidence * (0.5 + 0.5 * entry.seenIn / signatures.length) * 100) / 100
+        }));
+    };
+    
+    return {
+        messagesExamined: recent.length,
+        signaturesFound: signatures.length,
+        fields: {
+            // Single-valued fields take the value of the newest signature
+            title: rate('title')[0] || null,
+            organization: rate('organization')[0] || null,
+            phones: rate('phones'),
+            urls: rate('urls')
+        }
+    };
+}
+
+/**
+ * Read the organization of a contact_details observation
+ * @param {Object} details - contact_details observation
+ * @returns {Object} - { name, title }
+ */
+function getOrganization(details) {
+    const organization = details.organization;
+    if (!organization) return { name: '', title: '' };
+    if (typeof organization === 'string') return { name: organization, title: '' };
+    
+    return { name: organization.name || '', title: organization.title || '' };
+}
+
+/**
+ * Compare extracted details with a contact's stored details
+ * @param {Object} contact - Contact entity
+ * @param {Object} extraction - Result of extractContactSignature
+ * @param {Object} options - Options
+ * @param {number} options.minConfidence - Leave out values below this confidence (default 0.3)
+ * @returns {Array} - Proposed contact_details updates
+ */
+function buildDetailProposals(contact, extraction, options = {}) {
+    const minConfidence = options.minConfidence ?? 0.3;
+    const details = contact.observations.find(obs => obs.type === 'contact_details') || {};
+    const organization = getOrganization(details);
+    const proposals = [];
+    
+    const propose = (field, entry, currentValue) => {
+        if (!entry || entry.confidence < minConfidence) return;
+        
+        proposals.push({
+            id: `${contact.id}:${field}:${entry.value.toLowerCase().replace(/\s+/g, ' ')}`,
+            contactId: contact.id,
+            contactName: contact.name,
+            field,
+            value: entry.value,
+            currentValue: currentValue || null,
+            confidence: entry.confidence,
+            seenIn: entry.seenIn,
+            source: entry.source
+        });
+    };
+    
+    const differs = (a, b) => a.toLowerCase().trim() !== (b || '').toLowerCase().trim();
+    
+    const { title, organization: company, phones, urls } = extraction.fields;
+    if (title && differs(title.value, organization.title)) {
+        propose('title', title, organization.title);
+    }
+    if (company && differs(company.value, organization.name)) {
+        propose('organization', company, organization.name);
+    }
+    
+    const knownPhones = new Set((details.phones || []).map(getPhoneKey));
+    phones
+        .filter(phone => !knownPhones.has(getPhoneKey(phone.value)))
+        .forEach(phone => propose('phones', phone));
+    
+    const knownUrls = new Set((details.urls || []).map(url => url.toLowerCase()));
+    urls
+        .filter(url => !knownUrls.has(url.value.toLowerCase()))
+        .forEach(url => propose('urls', url));
+    
+    return proposals;
+}
+
+/**
+ * Apply an accepted proposal to a contact's contact_details and record
+ * where the value came from
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {Object} proposal - Detail proposal
+ * @returns {boolean} - True if the contact exists and was updated
+ */
+function applyDetailProposal(knowledgeGraph, proposal) {
+    const contact = knowledgeGraph.entities[proposal.contactId];
+    if (!contact) return false;
+    
+    const details = contact.observations.find(obs => obs.type === 'contact_details') || {};
+    const organization = getOrganization(details);
+    const update = {};
+    
+    switch (proposal.field) {
+        case 'title':
+            update.organization = { ...organization, title: proposal.value };
+            break;
+        case 'organization':
+            update.organization = { ...organization, name: proposal.value };
+            break;
+        case 'phones':
+            update.phones = [...(details.phones || []), proposal.value];
+            break;
+        case 'urls':
+            update.urls = [...(details.urls || []), proposal.value];
+            break;
+        default:
+            return false;
+    }
+    
+    update.sources = {
+        ...(details.sources || {}),
+        [proposal.field === 'phones' || proposal.field === 'urls' ? `${proposal.field}:${proposal.value}` : proposal.field]: {
+            origin: 'email_signature',
+            messageId: proposal.source.messageId,
+            date: proposal.source.date,
+            confidence: proposal.confidence,
+            acceptedAt: new Date().toISOString()
+        }
+    };
+    
+    knowledgeGraph.updateEntityObservation(proposal.contactId, 'contact_details', update, { source: 'signature' });
+    return true;
+}
+
+/**
+ * Load detail proposals
+ * @param {string} proposalsPath - Path to the proposals file
+ * @returns {Promise<Array>} - Proposals
+ */
+async function loadDetailProposals(proposalsPath = DETAIL_PROPOSALS_PATH) {
+    try {
+        const data = await fs.readFile(proposalsPath, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading detail proposals:', error);
+        }
+        return [];
+    }
+}
+
+/**
+ * Save detail proposals
+ * @param {Array} proposals - Proposals
+ * @param {string} proposalsPath - Path to the proposals file
+ * @returns {Promise<boolean>} - Success status
+ */
+async function saveDetailProposals(proposals, proposalsPath = DETAIL_PROPOSALS_PATH) {
+    try {
+        await writeFileAtomic(proposalsPath, JSON.stringify(proposals, null, 2), 'utf8');
+        return true;
+    } catch (error) {
+        console.error('Error saving detail proposals:', error);
+        return false;
+    }
+}
+
+/**
+ * Extract signature details for contacts and save the differences as
+ * pending proposals. A contact's earlier pending proposals are replaced;
+ * values that were accepted or rejected before are not proposed again.
+ * @param {Object} provider - Mail provider
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {Array} contactIds - Contacts to check
+ * @param {Object} options - Extraction options (see extractContactSignature and buildDetailProposals), plus:
+ * @param {string} options.proposalsPath - Path to the proposals file
+ * @returns {Promise<Object>} - { proposals, contactsChecked, failedContacts }
+ */
+async function extractSignatureDetails(provider, knowledgeGraph, contactIds, options = {}) {
+    const proposalsPath = options.proposalsPath || DETAIL_PROPOSALS_PATH;
+    const existing = await loadDetailProposals(proposalsPath);
+    const reviewedIds = new Set(existing.filter(proposal => proposal.status !== 'pending').map(proposal => proposal.id));
+    
+    const checked = new Set();
+    const pending = [];
+    const failedContacts = [];
+    const proposedAt = new Date().toISOString();
+    
+    for (const contactId of contactIds) {
+        const contact = knowledgeGraph.entities[contactId];
+        const email = contact?.observations.find(obs => obs.type === 'contact_details')?.emails?.[0];
+        if (!email) continue;
+        
+        try {
+            const extraction = await extractContactSignature(provider, email, { ...options, name: contact.name });
+            checked.add(contactId);
+            
+            buildDetailProposals(contact, extraction, options)
+                .filter(proposal => !reviewedIds.has(proposal.id))
+                .forEach(proposal => pending.push({ ...proposal, status: 'pending', proposedAt }));
+        } catch (error) {
+            console.error(`Error extracting signature for ${email}:`, error);
+            failedContacts.push(contactId);
+        }
+    }
+    
+    // Keep reviewed proposals and the pending ones of contacts not checked this time
+    const kept = existing.filter(proposal => proposal.status !== 'pending' || !checked.has(proposal.contactId));
+    await saveDetailProposals([...pending, ...kept], proposalsPath);
+    
+    console.log(`Signature extraction: ${checked.size} contacts checked, ${pending.length} updates proposed`);
+    
+    return {
+        proposals: pending,
+        contactsChecked: checked.size,
+        failedContacts
+    };
+}
+
+module.exports = {
+    DETAIL_PROPOSALS_PATH,
+    BLOCK_CONFIDENCE,
+    stripQuotedText,
+    findSignatureBlock,
+    parseSignature,
+    getOrganization,
+    extractContactSignature,
+    buildDetailProposals,
+    applyDetailProposal,
+    loadDetailProposals,
+    saveDetailProposals,
+    extractSignatureDetails
+};
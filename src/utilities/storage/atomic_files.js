@@ -0,0 +1,482 @@
+/**
+ * Crash-Safe File Groups
+ *
+ * Writes a group of JSON files (e.g. entities.json and relationships.json)
+ * so they always change together, even if the process dies mid-save:
+ *
+ *   1. Every file is written to <file>.pending and flushed to disk
+ *   2. The group's manifest is replaced with one listing the new generation
+ *      and a hash of every file; this rename is the commit point
+ *   3. The pending files are renamed over the real ones
+ *   4. A copy of the group is kept in snapshots/<name>/<generation>
+ *
+ * Loading compares the files against the manifest. A commit that stopped
+ * during step 3 is finished from the pending files; a file that cannot be
+ * read or parsed is restored, with the rest of its group, from the newest
+ * snapshot that is intact.
+ *
+ * Commits and loads hold an advisory lock file (<name>.lock) naming the
+ * process that holds it. A lock left by a process that is no longer running
+ * is removed. A commit also refuses to overwrite a generation saved by
+ * another run after this one loaded the group.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Snapshots kept per group
+const SNAPSHOT_COUNT = 3;
+
+// Lock waiting defaults
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 100;
+// Locks from other hosts cannot be checked by process ID, only by age
+const LOCK_STALE_MS = 5 * 60 * 1000;
+
+/**
+ * Describe a group of files committed together
+ * @param {string} directory - Directory for the manifest, lock and snapshots
+ * @param {string} name - Group name
+ * @param {Array} files - Paths of the files in the group
+ * @returns {Object} - File group
+ */
+function createFileGroup(directory, name, files) {
+    return {
+        name,
+        directory,
+        files,
+        manifestPath: path.join(directory, `${name}.manifest.json`),
+        lockPath: path.join(directory, `${name}.lock`),
+        snapshotDir: path.join(directory, 'snapshots', name)
+    };
+}
+
+/**
+ * Hash file contents
+ * @param {string} text - File contents
+ * @returns {string} - Hash
+ */
+function hashText(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Get the manifest key of a file: its path relative to the group directory
+ * @param {Object} group - File group
+ * @param {string} filePath - File path
+ * @returns {string} - Manifest key
+ */
+function fileKey(group, filePath) {
+    return path.relative(group.directory, filePath);
+}
+
+/**
+ * Get the path a file is staged at during a commit
+ * @param {string} filePath - File path
+ * @returns {string} - Pending path
+ */
+function pendingPath(filePath) {
+    return `${filePath}.pending`;
+}
+
+/**
+ * Read a file, or null if it does not exist
+ * @param {string} filePath - File path
+ * @returns {Promise<string|null>} - File contents
+ */
+async function readText(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Write a file and flush it to disk before returning
+ * @param {string} filePath - File path
+ * @param {string} data - File contents
+ * @returns {Promise<void>}
+ */
+async function writeDurably(filePath, data) {
+    const handle = await fs.open(filePath, 'w');
+    try {
+        await handle.writeFile(data, 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Write a file via a temporary file and rename, so readers never see half a file
+ * @param {string} filePath - Destination path
+ * @param {string} data - File contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    
+    // Concurrent writers of the same file each need their own temporary file
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await writeDurably(tempPath, data);
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Read a JSON file, or null if it is missing or unreadable
+ * @param {string} filePath - File path
+ * @returns {Promise<Object|null>} - Parsed contents
+ */
+async function readJson(filePath) {
+    try {
+        const text = await readText(filePath);
+        return text === null ? null : JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check whether a lock was left behind by a process that has gone away
+ * @param {Object|null} holder - Lock file contents (null if unreadable)
+ * @param {number} age - Milliseconds since the lock file was written
+ * @param {number} staleMs - Age after which a lock from another host is stale
+ * @returns {boolean} - Whether the lock is stale
+ */
+function isStaleLock(holder, age, staleMs) {
+    if (!holder || holder.hostname !== os.hostname()) {
+        return age > staleMs;
+    }
+    
+    try {
+        process.kill(holder.pid, 0);
+        return false;
+    } catch (error) {
+        // EPERM means the process exists but belongs to someone else
+        return error.code === 'ESRCH';
+    }
+}
+
+/**
+ * Remove a lock judged stale, unless another waiter replaced it meanwhile
+ *
+ * The lock is renamed aside first; only one waiter can move a given file, and
+ * the moved file is compared with the one judged stale. A fresh lock taken by
+ * another waiter in between is linked back instead of being deleted.
+ * @param {string} lockPath - Lock file path
+ * @param {string} staleText - Contents of the lock judged stale
+ * @returns {Promise<boolean>} - Whether the stale lock was removed
+ */
+async function removeStaleLock(lockPath, staleText) {
+    const asidePath = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+    try {
+        await fs.rename(lockPath, asidePath);
+    } catch (error) {
+        // Another waiter moved it first
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+    
+    const moved = await readText(asidePath);
+    if (moved !== staleText) {
+        await fs.link(asidePath, lockPath).catch(error => {
+            if (error.code !== 'EEXIST') throw error;
+        });
+        await fs.unlink(asidePath);
+        return false;
+    }
+    
+    await fs.unlink(asidePath);
+    return true;
+}
+
+/**
+ * Acquire an advisory lock file, waiting while another process holds it
+ * @param {string} lockPath - Lock file path
+ * @param {Object} options - Lock options
+ * @param {number} options.timeoutMs - How long to wait (default 10 seconds)
+ * @param {number} options.staleMs - Age after which a lock from another host is stale
+ * @returns {Promise<void>}
+ */
+async function acquireLock(lockPath, options = {}) {
+    const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : LOCK_TIMEOUT_MS;
+    const staleMs = options.staleMs !== undefined ? options.staleMs : LOCK_STALE_MS;
+    const deadline = Date.now() + timeoutMs;
+    const holder = { pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() };
+    
+    await fs.mkdir(path.dirname(lockPath), { recursive: true });
+    
+    while (true) {
+        try {
+            await fs.writeFile(lockPath, JSON.stringify(holder), { flag: 'wx' });
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+        
+        let stat;
+        try {
+            stat = await fs.stat(lockPath);
+        } catch (error) {
+            // Released between our write and stat; try again
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+        
+        const text = await readText(lockPath);
+        // Released between our stat and read; try again
+        if (text === null) continue;
+        
+        let current = null;
+        try {
+            current = JSON.parse(text);
+        } catch (error) {
+            // A lock caught mid-write is judged by age alone
+        }
+        if (isStaleLock(current, Date.now() - stat.mtimeMs, staleMs)) {
+            if (await removeStaleLock(lockPath, text)) {
+                console.log(`Removed stale lock ${lockPath}${current ? ` left by process ${current.pid}` : ''}.`);
+            }
+            continue;
+        }
+        
+        if (Date.now() >= deadline) {
+            const by = current ? ` by process ${current.pid} on ${current.hostname} since ${current.acquiredAt}` : '';
+            throw new Error(`${lockPath} is locked${by}.`);
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+}
+
+/**
+ * Release a lock acquired with acquireLock
+ * @param {string} lockPath - Lock file path
+ * @returns {Promise<void>}
+ */
+async function releaseLock(lockPath) {
+    await fs.unlink(lockPath).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+    });
+}
+
+/**
+ * Run a function while holding a lock
+ * @param {string} lockPath - Lock file path
+ * @param {Function} fn - Async function to run
+ * @param {Object} options - Lock options (see acquireLock)
+ * @returns {Promise<*>} - Result of fn
+ */
+async function withLock(lockPath, fn, options = {}) {
+    await acquireLock(lockPath, options);
+    try {
+        return await fn();
+    } finally {
+        await releaseLock(lockPath);
+    }
+}
+
+/**
+ * Copy a committed group into its snapshot directory and drop old snapshots
+ * @param {Object} group - File group
+ * @param {Object} manifest - Manifest of the committed generation
+ * @returns {Promise<void>}
+ */
+async function takeSnapshot(group, manifest) {
+    const snapshotPath = path.join(group.snapshotDir, String(manifest.generation));
+    await fs.mkdir(snapshotPath, { recursive: true });
+    
+    await Promise.all(group.files.map(filePath =>
+        fs.copyFile(filePath, path.join(snapshotPath, fileKey(group, filePath).replace(/[\\/]/g, '__')))
+    ));
+    await fs.writeFile(path.join(snapshotPath, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    
+    const generations = (await fs.readdir(group.snapshotDir))
+        .map(Number)
+        .filter(Number.isInteger)
+        .sort((a, b) => b - a);
+    
+    await Promise.all(generations.slice(SNAPSHOT_COUNT).map(generation =>
+        fs.rm(path.join(group.snapshotDir, String(generation)), { recursive: true, force: true })
+    ));
+}
+
+/**
+ * Commit new contents for every file in a group; the caller holds the lock
+ * @param {Object} group - File group
+ * @param {Object} contents - File path to new contents
+ * @param {Object} manifest - Current manifest (null if never committed)
+ * @returns {Promise<number>} - New generation
+ */
+async function commitLocked(group, contents, manifest) {
+    const next = {
+        generation: (manifest ? manifest.generation : 0) + 1,
+        committedAt: new Date().toISOString(),
+        files: {}
+    };
+    
+    for (const filePath of group.files) {
+        if (typeof contents[filePath] !== 'string') {
+            throw new Error(`No contents given for ${filePath} in ${group.name}.`);
+        }
+        
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await writeDurably(pendingPath(filePath), contents[filePath]);
+        next.files[fileKey(group, filePath)] = hashText(contents[filePath]);
+    }
+    
+    await writeFileAtomic(group.manifestPath, JSON.stringify(next, null, 2));
+    
+    for (const filePath of group.files) {
+        await fs.rename(pendingPath(filePath), filePath);
+    }
+    
+    try {
+        await takeSnapshot(group, next);
+    } catch (error) {
+        // The commit itself succeeded; a missing snapshot only limits recovery
+        console.error(`Error taking snapshot of ${group.name}:`, error);
+    }
+    
+    return next.generation;
+}
+
+/**
+ * Find the newest snapshot whose files all match its manifest
+ * @param {Object} group - File group
+ * @returns {Promise<Object|null>} - { manifest, texts: { filePath: contents } }
+ */
+async function findIntactSnapshot(group) {
+    let entries;
+    try {
+        entries = await fs.readdir(group.snapshotDir);
+    } catch (error) {
+        return null;
+    }
+    
+    const generations = entries.map(Number).filter(Number.isInteger).sort((a, b) => b - a);
+    
+    for (const generation of generations) {
+        const snapshotPath = path.join(group.snapshotDir, String(generation));
+        const manifest = await readJson(path.join(snapshotPath, 'manifest.json'));
+        if (!manifest) continue;
+        
+        const texts = {};
+        let intact = true;
+        
+        for (const filePath of group.files) {
+            const key = fileKey(group, filePath);
+            const text = await readText(path.join(snapshotPath, key.replace(/[\\/]/g, '__')));
+            if (text === null || hashText(text) !== manifest.files[key]) {
+                intact = false;
+                break;
+            }
+            texts[filePath] = text;
+        }
+        
+        if (intact) return { manifest, texts };
+    }
+    
+    return null;
+}
+
+/**
+ * Load a group of JSON files, finishing an interrupted commit or restoring
+ * the newest intact snapshot if needed
+ * @param {Object} group - File group
+ * @returns {Promise<Object>} - { generation, data: { filePath: parsed contents, or null if missing } }
+ */
+async function readFileGroup(group) {
+    return withLock(group.lockPath, async () => {
+        const manifest = await readJson(group.manifestPath);
+        const data = {};
+        const damaged = [];
+        
+        for (const filePath of group.files) {
+            const expected = manifest && manifest.files[fileKey(group, filePath)];
+            let text = await readText(filePath);
+            
+            // A commit interrupted while renaming leaves the new contents pending
+            if (expected && (text === null || hashText(text) !== expected)) {
+                const pending = await readText(pendingPath(filePath));
+                if (pending !== null && hashText(pending) === expected) {
+                    console.log(`Finishing interrupted save of ${filePath}.`);
+                    await fs.rename(pendingPath(filePath), filePath);
+                    text = pending;
+                }
+            }
+            
+            if (text === null) {
+                if (expected) damaged.push(filePath);
+                data[filePath] = null;
+                continue;
+            }
+            
+            try {
+                data[filePath] = JSON.parse(text);
+            } catch (error) {
+                damaged.push(filePath);
+            }
+        }
+        
+        // Leftovers from a commit that never reached its manifest
+        await Promise.all(group.files.map(filePath => fs.unlink(pendingPath(filePath)).catch(() => {})));
+        
+        if (damaged.length === 0) {
+            return { generation: manifest ? manifest.generation : 0, data };
+        }
+        
+        const snapshot = await findIntactSnapshot(group);
+        if (!snapshot) {
+            throw new Error(`${damaged.join(', ')} cannot be read and no intact snapshot of ${group.name} exists.`);
+        }
+        
+        console.error(`${damaged.join(', ')} cannot be read; restoring ${group.name} from snapshot ${snapshot.manifest.generation}.`);
+        
+        const generation = await commitLocked(group, snapshot.texts, manifest);
+        group.files.forEach(filePath => {
+            data[filePath] = JSON.parse(snapshot.texts[filePath]);
+        });
+        
+        return { generation, data };
+    });
+}
+
+/**
+ * Commit new contents for every file in a group
+ * @param {Object} group - File group
+ * @param {Object} contents - File path to new contents
+ * @param {Object} options - Commit options
+ * @param {number} options.expectedGeneration - Generation this run loaded; the commit fails if
+ *     another run has committed since (omit to skip the check)
+ * @returns {Promise<number>} - New generation
+ */
+async function commitFileGroup(group, contents, options = {}) {
+    return withLock(group.lockPath, async () => {
+        const manifest = await readJson(group.manifestPath);
+        const generation = manifest ? manifest.generation : 0;
+        
+        if (options.expectedGeneration !== undefined && generation !== options.expectedGeneration) {
+            throw new Error(
+                `${group.name} was saved by another run (generation ${generation}, loaded ${options.expectedGeneration}); ` +
+                'reload it and try again.'
+            );
+        }
+        
+        return commitLocked(group, contents, manifest);
+    });
+}
+
+module.exports = {
+    createFileGroup,
+    readFileGroup,
+    commitFileGroup,
+    writeFileAtomic,
+    acquireLock,
+    releaseLock,
+    withLock
+};
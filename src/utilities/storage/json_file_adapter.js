@@ -0,0 +1,91 @@
+/**
+ * JSON File Storage Adapter
+ *
+ * Stores the knowledge graph as two JSON files: entities.json (an array of
+ * entities) and relationships.json (an array of relationships). Every save
+ * rewrites both files as one crash-safe commit (see atomic_files.js), with
+ * the manifest, lock and snapshots kept next to entities.json.
+ */
+
+const path = require('path');
+const StorageAdapter = require('./storage_adapter');
+const { createFileGroup, readFileGroup, commitFileGroup } = require('./atomic_files');
+
+class JsonFileAdapter extends StorageAdapter {
+    /**
+     * @param {string} entitiesFilePath - Path to entities JSON file
+     * @param {string} relationshipsFilePath - Path to relationships JSON file
+     */
+    constructor(entitiesFilePath, relationshipsFilePath) {
+        super();
+        this.entitiesFilePath = entitiesFilePath;
+        this.relationshipsFilePath = relationshipsFilePath;
+        this.files = createFileGroup(path.dirname(entitiesFilePath), 'knowledge_graph', [
+            entitiesFilePath,
+            relationshipsFilePath
+        ]);
+        // Generation last loaded or saved, to detect saves by other runs
+        this.generation = undefined;
+    }
+    
+    /**
+     * Load the graph from the JSON files
+     * @returns {Promise<Object>} - { entities, relationships }
+     */
+    async load() {
+        const { generation, data } = await readFileGroup(this.files);
+        const entitiesArray = data[this.entitiesFilePath];
+        const relationships = data[this.relationshipsFilePath];
+        this.generation = generation;
+        
+        if (entitiesArray === null && relationships === null) {
+            const error = new Error(`${this.describe()} do not exist.`);
+            error.code = 'ENOENT';
+            throw error;
+        }
+        
+        if (!Array.isArray(entitiesArray) || !Array.isArray(relationships)) {
+            throw new Error(`${this.describe()} does not hold a knowledge graph.`);
+        }
+        
+        // Convert entities array to map for faster lookup
+        const entities = {};
+        entitiesArray.forEach(entity => {
+            entities[entity.id] = entity;
+        });
+        
+        return { entities, relationships };
+    }
+    
+    /**
+     * Rewrite both JSON files; fails if another run saved since this one loaded
+     * @param {Object} graph - { entities, relationships }
+     * @returns {Promise<Object>} - Write counts
+     */
+    async save(graph) {
+        // Convert entities map back to array for storage
+        const entitiesArray = Object.values(graph.entities);
+        
+        this.generation = await commitFileGroup(this.files, {
+            [this.entitiesFilePath]: JSON.stringify(entitiesArray, null, 2),
+            [this.relationshipsFilePath]: JSON.stringify(graph.relationships, null, 2)
+        }, { expectedGeneration: this.generation });
+        
+        return {
+            entitiesWritten: entitiesArray.length,
+            entitiesDeleted: 0,
+            relationshipsWritten: graph.relationships.length,
+            relationshipsDeleted: 0
+        };
+    }
+    
+    /**
+     * Describe where the graph is stored
+     * @returns {string} - Location
+     */
+    describe() {
+        return `JSON files ${this.entitiesFilePath} and ${this.relationshipsFilePath}`;
+    }
+}
+
+module.exports = JsonFileAdapter;
@@ -0,0 +1,327 @@
+/**
+ * SQLite Storage Adapter
+ *
+ * Stores the knowledge graph in a SQLite database with one row per entity,
+ * per observation and per relationship. Saves compare every row against a
+ * hash of what was last loaded or saved and only write the rows that
+ * changed, in one transaction, so a save after updating a few contacts
+ * touches a few rows instead of rewriting the whole graph.
+ *
+ * Every save also bumps a generation number in the meta table. Like the
+ * JSON adapter, a save refuses to overwrite a generation written by another
+ * run after this one loaded the graph.
+ *
+ * Uses the better-sqlite3 package, which is only loaded when this adapter
+ * is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const StorageAdapter = require('./storage_adapter');
+
+// Bumped when the table layout changes
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS entities (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        entity_type TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS entities_by_type ON entities (entity_type);
+    CREATE TABLE IF NOT EXISTS observations (
+        entity_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        type TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (entity_id, position)
+    );
+    CREATE INDEX IF NOT EXISTS observations_by_type ON observations (type, entity_id);
+    CREATE TABLE IF NOT EXISTS relationships (
+        id INTEGER PRIMARY KEY,
+        key TEXT NOT NULL UNIQUE,
+        from_id TEXT NOT NULL,
+        relation_type TEXT,
+        to_id TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS relationships_by_from ON relationships (from_id, relation_type);
+    CREATE INDEX IF NOT EXISTS relationships_by_to ON relationships (to_id, relation_type);
+`;
+
+/**
+ * Hash a serialized row
+ * @param {string} data - Row JSON
+ * @returns {string} - Hash
+ */
+function hashRow(data) {
+    return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+/**
+ * Key every relationship by its content; repeated relationships get a
+ * counter so each copy keeps its own row
+ * @param {Array} relationships - Relationships
+ * @returns {Map} - Key to { relationship, data }
+ */
+function keyRelationships(relationships) {
+    const keyed = new Map();
+    const seen = new Map();
+    
+    relationships.forEach(relationship => {
+        const data = JSON.stringify(relationship);
+        const copy = seen.get(data) || 0;
+        seen.set(data, copy + 1);
+        keyed.set(`${hashRow(data)}:${copy}`, { relationship, data });
+    });
+    
+    return keyed;
+}
+
+class SqliteAdapter extends StorageAdapter {
+    /**
+     * @param {string} databasePath - Path to the SQLite database file
+     */
+    constructor(databasePath) {
+        super();
+        this.databasePath = databasePath;
+        this.db = null;
+        // Entity ID to { entity: hash, observations: [hash] } as last loaded or saved
+        this.entityHashes = new Map();
+        // Keys of the stored relationships
+        this.relationshipKeys = new Set();
+        // Generation last loaded or saved, to detect saves by other runs
+        this.generation = undefined;
+    }
+    
+    /**
+     * Read a value from the meta table
+     * @param {string} key - Meta key
+     * @returns {string|null} - Value
+     */
+    _getMeta(key) {
+        const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+        return row ? row.value : null;
+    }
+    
+    /**
+     * Open the database, creating the tables on first use
+     * @returns {Object} - better-sqlite3 database
+     */
+    _open() {
+        if (this.db) return this.db;
+        
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('The SQLite storage backend needs the better-sqlite3 package (npm install better-sqlite3).');
+        }
+        
+        fs.mkdirSync(path.dirname(this.databasePath), { recursive: true });
+        this.db = new Database(this.databasePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+        
+        const version = this._getMeta('schemaVersion');
+        if (version !== null && Number(version) !== SCHEMA_VERSION) {
+            throw new Error(`${this.describe()} uses schema version ${version}, expected ${SCHEMA_VERSION}.`);
+        }
+        
+        return this.db;
+    }
+    
+    /**
+     * Load the graph from the database
+     * @returns {Promise<Object>} - { entities, relationships }
+     */
+    async load() {
+        // Opening would create an empty database; a missing one has nothing to load
+        if (!fs.existsSync(this.databasePath)) {
+            this.generation = 0;
+            const error = new Error(`${this.describe()} does not exist.`);
+            error.code = 'ENOENT';
+            throw error;
+        }
+        
+        const db = this._open();
+        const entities = {};
+        let rows;
+        
+        // One read transaction, so the rows and the generation come from the same save
+        db.transaction(() => {
+            this.generation = Number(this._getMeta('generation')) || 0;
+            if (this._getMeta('schemaVersion') === null) return;
+            
+            this.entityHashes = new Map();
+            db.prepare('SELECT id, data FROM entities').all().forEach(row => {
+                entities[row.id] = { ...JSON.parse(row.data), observations: [] };
+                this.entityHashes.set(row.id, { entity: hashRow(row.data), observations: [] });
+            });
+            
+            db.prepare('SELECT entity_id, data FROM observations ORDER BY entity_id, position').all().forEach(row => {
+                const entity = entities[row.entity_id];
+                if (!entity) return;
+                
+                entity.observations.push(JSON.parse(row.data));
+                this.entityHashes.get(row.entity_id).observations.push(hashRow(row.data));
+            });
+            
+            rows = db.prepare('SELECT key, data FROM relationships ORDER BY id').all();
+            this.relationshipKeys = new Set(rows.map(row => row.key));
+        })();
+        
+        if (!rows) {
+            const error = new Error(`${this.describe()} holds no knowledge graph yet.`);
+            error.code = 'ENOENT';
+            throw error;
+        }
+        
+        return {
+            entities,
+            relationships: rows.map(row => JSON.parse(row.data))
+        };
+    }
+    
+    /**
+     * Write the rows that changed since the last load or save; fails if
+     * another run saved since this one loaded
+     * @param {Object} graph - { entities, relationships }
+     * @returns {Promise<Object>} - Write counts
+     */
+    async save(graph) {
+        const db = this._open();
+        const counts = { entitiesWritten: 0, entitiesDeleted: 0, relationshipsWritten: 0, relationshipsDeleted: 0 };
+        
+        const upsertEntity = db.prepare(`
+            INSERT INTO entities (id, name, entity_type, data) VALUES (@id, @name, @entityType, @data)
+            ON CONFLICT (id) DO UPDATE SET name = excluded.name, entity_type = excluded.entity_type, data = excluded.data
+        `);
+        const upsertObservation = db.prepare(`
+            INSERT INTO observations (entity_id, position, type, data) VALUES (@entityId, @position, @type, @data)
+            ON CONFLICT (entity_id, position) DO UPDATE SET type = excluded.type, data = excluded.data
+        `);
+        const trimObservations = db.prepare('DELETE FROM observations WHERE entity_id = ? AND position >= ?');
+        const deleteEntity = db.prepare('DELETE FROM entities WHERE id = ?');
+        const insertRelationship = db.prepare(`
+            INSERT INTO relationships (key, from_id, relation_type, to_id, data)
+            VALUES (@key, @from, @relationType, @to, @data)
+        `);
+        const deleteRelationship = db.prepare('DELETE FROM relationships WHERE key = ?');
+        
+        const entityHashes = new Map();
+        const relationships = keyRelationships(graph.relationships);
+        let generation;
+        
+        // Immediate, so no other run can save between the generation check and the writes
+        db.transaction(() => {
+            generation = Number(this._getMeta('generation')) || 0;
+            if (this.generation !== undefined && generation !== this.generation) {
+                throw new Error(
+                    `${this.describe()} was saved by another run (generation ${generation}, loaded ${this.generation}); ` +
+                    'reload it and try again.'
+                );
+            }
+            
+            Object.values(graph.entities).forEach(entity => {
+                const { observations = [], ...fields } = entity;
+                const data = JSON.stringify(fields);
+                const hashes = { entity: hashRow(data), observations: [] };
+                const previous = this.entityHashes.get(entity.id) || { entity: null, observations: [] };
+                let changed = false;
+                
+                if (hashes.entity !== previous.entity) {
+                    upsertEntity.run({ id: entity.id, name: entity.name || null, entityType: entity.entityType || null, data });
+                    changed = true;
+                }
+                
+                observations.forEach((observation, position) => {
+                    const observationData = JSON.stringify(observation);
+                    const hash = hashRow(observationData);
+                    hashes.observations.push(hash);
+                    
+                    if (hash !== previous.observations[position]) {
+                        upsertObservation.run({
+                            entityId: entity.id,
+                            position,
+                            type: observation.type || null,
+                            data: observationData
+                        });
+                        changed = true;
+                    }
+                });
+                
+                if (previous.observations.length > observations.length) {
+                    trimObservations.run(entity.id, observations.length);
+                    changed = true;
+                }
+                
+                if (changed) counts.entitiesWritten++;
+                entityHashes.set(entity.id, hashes);
+            });
+            
+            this.entityHashes.forEach((hashes, id) => {
+                if (entityHashes.has(id)) return;
+                trimObservations.run(id, 0);
+                deleteEntity.run(id);
+                counts.entitiesDeleted++;
+            });
+            
+            relationships.forEach(({ relationship, data }, key) => {
+                if (this.relationshipKeys.has(key)) return;
+                insertRelationship.run({
+                    key,
+                    from: relationship.from,
+                    relationType: relationship.relationType || null,
+                    to: relationship.to,
+                    data
+                });
+                counts.relationshipsWritten++;
+            });
+            
+            this.relationshipKeys.forEach(key => {
+                if (relationships.has(key)) return;
+                deleteRelationship.run(key);
+                counts.relationshipsDeleted++;
+            });
+            
+            const setMeta = db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+            setMeta.run('schemaVersion', String(SCHEMA_VERSION));
+            setMeta.run('generation', String(generation + 1));
+        }).immediate();
+        
+        // Only remember what was written once the transaction committed
+        this.generation = generation + 1;
+        this.entityHashes = entityHashes;
+        this.relationshipKeys = new Set(relationships.keys());
+        
+        return counts;
+    }
+    
+    /**
+     * Describe where the graph is stored
+     * @returns {string} - Location
+     */
+    describe() {
+        return `SQLite database ${this.databasePath}`;
+    }
+    
+    /**
+     * Close the database
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteAdapter;
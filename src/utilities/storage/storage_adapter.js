@@ -0,0 +1,51 @@
+/**
+ * Storage Adapter Interface
+ *
+ * Base class for the places a KnowledgeGraph can be stored. An adapter
+ * loads the whole graph into memory and saves it back; how much it writes
+ * on a save is up to the adapter. The JSON-file adapter rewrites both files,
+ * the SQLite adapter only upserts the entities and relationships that
+ * changed since the last load or save.
+ *
+ *   Graph: {
+ *       entities,         // { id: Entity }
+ *       relationships     // [{ from, relationType, to, ... }]
+ *   }
+ *   Entity: { id, name, entityType, observations: [{ type, ... }], ... }
+ */
+
+class StorageAdapter {
+    /**
+     * Load the stored graph
+     * @returns {Promise<Object>} - { entities, relationships }; throws an
+     *     error with code 'ENOENT' when nothing has been stored yet
+     */
+    async load() {
+        throw new Error(`${this.constructor.name} does not implement load.`);
+    }
+    
+    /**
+     * Save the graph
+     * @param {Object} graph - { entities, relationships }
+     * @returns {Promise<Object>} - { entitiesWritten, entitiesDeleted, relationshipsWritten, relationshipsDeleted }
+     */
+    async save(graph) {
+        throw new Error(`${this.constructor.name} does not implement save.`);
+    }
+    
+    /**
+     * Describe where the graph is stored, for log messages
+     * @returns {string} - Location
+     */
+    describe() {
+        return this.constructor.name;
+    }
+    
+    /**
+     * Release any open handles
+     * @returns {Promise<void>}
+     */
+    async close() {}
+}
+
+module.exports = StorageAdapter;
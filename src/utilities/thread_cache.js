@@ -0,0 +1,249 @@
+/**
+ * Thread Cache
+ *
+ * Content-addressed on-disk cache of normalized mail threads, shared by all
+ * contacts and runs. Thread bodies are stored once per distinct content
+ * under objects/<hash>.json; index.json maps each thread ID to the history
+ * ID it was fetched at and its content hash. Least recently used threads
+ * are evicted when the cache grows past its size limit.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./storage/atomic_files');
+
+// File paths; every run shares this cache unless given another directory
+const BASE_DIR = path.resolve(__dirname, '..');
+const CACHE_DIR = path.join(BASE_DIR, 'knowledge_graph', 'thread_cache');
+
+// Defaults
+const DEFAULT_MAX_BYTES = 256 * 1024 * 1024;
+const DEFAULT_UNVERSIONED_MAX_AGE_MS = 10 * 60 * 1000;
+const FLUSH_EVERY_WRITES = 50;
+
+class ThreadCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {string} options.directory - Cache directory
+     * @param {number} options.maxBytes - Size limit for cached thread content
+     * @param {number} options.unversionedMaxAgeMs - How long an entry may be reused
+     *     when the caller does not know the thread's current history ID
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || CACHE_DIR;
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+        this.unversionedMaxAgeMs = options.unversionedMaxAgeMs ?? DEFAULT_UNVERSIONED_MAX_AGE_MS;
+        this.index = null;
+        this.pendingWrites = 0;
+        this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+    }
+    
+    /**
+     * Load the cache index
+     * @returns {Promise<Object>} - The index
+     */
+    async load() {
+        if (this.index) return this.index;
+        
+        try {
+            const data = await fs.readFile(path.join(this.directory, 'index.json'), 'utf8');
+            this.index = JSON.parse(data);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading thread cache index, starting empty:', error);
+            }
+            this.index = { threads: {} };
+        }
+        
+        return this.index;
+    }
+    
+    /**
+     * Get a cached thread
+     * @param {string} threadId - Thread ID
+     * @param {Object} options - Lookup options
+     * @param {string} options.historyId - Current history ID of the thread, if known
+     * @param {boolean} options.anyVersion - Accept whatever version is cached
+     * @returns {Promise<Object|null>} - Normalized thread or null on a miss
+     */
+    async get(threadId, options = {}) {
+        await this.load();
+        
+        const entry = this.index.threads[threadId];
+        if (!entry || !this._isUsable(entry, options)) {
+            this.stats.misses++;
+            return null;
+        }
+        
+        try {
+            const content = JSON.parse(await fs.readFile(this._objectPath(entry.hash), 'utf8'));
+            entry.lastAccess = Date.now();
+            this.stats.hits++;
+            return { ...content, historyId: entry.historyId };
+        } catch (error) {
+            // Missing or corrupt object: forget the entry and refetch
+            delete this.index.threads[threadId];
+            this.stats.misses++;
+            return null;
+        }
+    }
+    
+    /**
+     * Store a normalized thread
+     * @param {Object} thread - Normalized thread
+     * @returns {Promise<void>}
+     */
+    async put(thread) {
+        await this.load();
+        
+        // The history ID lives in the index, so label-only changes reuse the same object
+        const { historyId, ...content } = thread;
+        const data = JSON.stringify(content);
+        const hash = crypto.createHash('sha256').update(data).digest('hex');
+        const objectPath = this._objectPath(hash);
+        
+        try {
+            await fs.access(objectPath);
+        } catch (error) {
+            await writeFileAtomic(objectPath, data);
+        }
+        
+        const previous = this.index.threads[thread.id];
+        this.index.threads[thread.id] = {
+            historyId: historyId || null,
+            hash,
+            size: Buffer.byteLength(data),
+            fetchedAt: Date.now(),
+            lastAccess: Date.now()
+        };
+        
+        if (previous && previous.hash !== hash) {
+            await this._removeObjectIfUnused(previous.hash);
+        }
+        
+        this.stats.writes++;
+        await this._evict();
+        
+        if (++this.pendingWrites >= FLUSH_EVERY_WRITES) {
+            await this.flush();
+        }
+    }
+    
+    /**
+     * Drop a thread from the cache, e.g. after it changed
+     * @param {string} threadId - Thread ID
+     * @returns {Promise<void>}
+     */
+    async invalidate(threadId) {
+        await this.load();
+        
+        const entry = this.index.threads[threadId];
+        if (!entry) return;
+        
+        delete this.index.threads[threadId];
+        await this._removeObjectIfUnused(entry.hash);
+        this.pendingWrites++;
+    }
+    
+    /**
+     * List the IDs of all cached threads
+     * @returns {Promise<Array>} - Thread IDs
+     */
+    async listThreadIds() {
+        await this.load();
+        return Object.keys(this.index.threads);
+    }
+    
+    /**
+     * Write the index to disk
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (!this.index) return;
+        
+        await writeFileAtomic(path.join(this.directory, 'index.json'), JSON.stringify(this.index));
+        this.pendingWrites = 0;
+    }
+    
+    /**
+     * Summarize cache usage for this run
+     * @returns {string} - Report text
+     */
+    formatReport() {
+        const { hits, misses, writes, evictions } = this.stats;
+        return `Thread cache: ${hits} hits, ${misses} misses, ${writes} writes, ${evictions} evictions`;
+    }
+    
+    /**
+     * Check whether a cached entry may be returned for a lookup
+     * @param {Object} entry - Index entry
+     * @param {Object} options - Lookup options (see get)
+     * @returns {boolean} - True if the entry is usable
+     */
+    _isUsable(entry, options) {
+        if (options.anyVersion) return true;
+        
+        if (options.historyId) {
+            return entry.historyId === String(options.historyId);
+        }
+        
+        // Without a history ID we cannot tell whether the thread changed
+        return Date.now() - entry.fetchedAt <= this.unversionedMaxAgeMs;
+    }
+    
+    /**
+     * Evict least recently used threads until the cache fits its size limit
+     */
+    async _evict() {
+        const sizes = new Map();
+        Object.values(this.index.threads).forEach(entry => sizes.set(entry.hash, entry.size));
+        
+        let totalBytes = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+        if (totalBytes <= this.maxBytes) return;
+        
+        const byAge = Object.entries(this.index.threads).sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+        
+        for (const [threadId, entry] of byAge) {
+            if (totalBytes <= this.maxBytes) break;
+            
+            delete this.index.threads[threadId];
+            this.stats.evictions++;
+            
+            if (await this._removeObjectIfUnused(entry.hash)) {
+                totalBytes -= entry.size;
+            }
+        }
+    }
+    
+    /**
+     * Delete an object file when no thread refers to it any more
+     * @param {string} hash - Content hash
+     * @returns {Promise<boolean>} - True if the object was deleted
+     */
+    async _removeObjectIfUnused(hash) {
+        const inUse = Object.values(this.index.threads).some(entry => entry.hash === hash);
+        if (inUse) return false;
+        
+        try {
+            await fs.unlink(this._objectPath(hash));
+        } catch (error) {
+            // Already gone
+        }
+        return true;
+    }
+    
+    /**
+     * Get the file path of a content object
+     * @param {string} hash - Content hash
+     * @returns {string} - File path
+     */
+    _objectPath(hash) {
+        return path.join(this.directory, 'objects', hash.slice(0, 2), `${hash}.json`);
+    }
+}
+
+module.exports = {
+    ThreadCache,
+    CACHE_DIR
+};
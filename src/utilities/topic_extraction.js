@@ -0,0 +1,239 @@
+/**
+ * Topic Extraction
+ *
+ * Finds what the user and each contact talk about, offline. Every thread in
+ * the mailbox is one document; its subject and the text people wrote (not
+ * quoted replies, signatures or automated mail) are split into one- and
+ * two-word keyphrases. Phrases are scored per contact with TF-IDF against
+ * the whole mailbox, so words that appear in every thread ("meeting",
+ * "tomorrow") score low and words specific to the contact's threads score
+ * high. The top phrases and the subject of the latest shared thread are
+ * stored as a topics observation for email templates to use.
+ */
+
+const { getUserConfig } = require('./user_config');
+const { walkMailbox, findThreadParticipants } = require('./mailbox_scan');
+const { isAutomatedMessage } = require('./message_classifier');
+const { canonicalizeAddress } = require('./address_parser');
+const { stripQuotedText } = require('./signature_extractor');
+
+// Words that carry no topic, including the usual email boilerplate
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below
+between both but by can could did do does doing down during each few for from further had has have having
+he her here hers herself him himself his how i if in into is it its itself just let me more most my myself
+no nor not now of off on once only or other our ours ourselves out over own same she should so some such
+than that the their theirs them themselves then there these they this those through to too under until up
+very was we were what when where which while who whom why will with would you your yours yourself
+yourselves yes ok okay sure get got go going know think see look make made need want like well really
+much many one two new good great thing things way still even back via per etc
+re fw fwd hi hello hey dear thanks thank regards best cheers sincerely please let know sent email mail
+message reply attached attachment forwarded wrote today tomorrow yesterday week weeks day days time
+morning afternoon evening next last monday tuesday wednesday thursday friday saturday sunday
+`.trim().split(/\s+/));
+
+const DEFAULT_TOPIC_COUNT = 10;
+
+// Subjects say more about a thread than any single line of a body
+const SUBJECT_WEIGHT = 2;
+
+// Two-word phrases are more specific than their words on their own
+const PHRASE_BOOST = 1.5;
+
+/**
+ * Remove reply and forward prefixes from a subject
+ * @param {string} subject - Subject line
+ * @returns {string} - Subject without "Re:", "Fwd:" and the like
+ */
+function cleanSubject(subject) {
+    return (subject || '').replace(/^((re|fw|fwd|aw|wg)\s*:\s*)+/i, '').trim();
+}
+
+/**
+ * Split text into keyphrase candidates: single words and adjacent word
+ * pairs that are not interrupted by stopwords or punctuation
+ * @param {string} text - Text
+ * @returns {Array} - Terms
+ */
+function extractTerms(text) {
+    const terms = [];
+    const cleaned = (text || '')
+        .toLowerCase()
+        .replace(/https?:\/\/\S+|www\.\S+/g, ' . ')
+        .replace(/\S+@\S+/g, ' . ');
+    
+    cleaned.split(/[^\p{L}\p{N}'\s-]+|\s-+\s/u).forEach(chunk => {
+        let run = [];
+        const flush = () => {
+            run.forEach((word, index) => {
+                terms.push(word);
+                if (index > 0) terms.push(`${run[index - 1]} ${word}`);
+            });
+            run = [];
+        };
+        
+        chunk.split(/\s+/).forEach(raw => {
+            const word = raw.replace(/^['-]+|['-]+$/g, '').replace(/'s$/, '');
+            if (word.length < 3 || STOPWORDS.has(word) || /^\d+$/.test(word) || (/\d/.test(word) && word.length > 12)) {
+                flush();
+            } else {
+                run.push(word);
+            }
+        });
+        flush();
+    });
+    
+    return terms;
+}
+
+/**
+ * Count the terms of a thread
+ * @param {Object} thread - Normalized thread
+ * @returns {Map} - Term to weighted count
+ */
+function countThreadTerms(thread) {
+    const counts = new Map();
+    const add = (terms, weight) => terms.forEach(term => counts.set(term, (counts.get(term) || 0) + weight));
+    
+    add(extractTerms(cleanSubject(thread.messages[0].subject)), SUBJECT_WEIGHT);
+    
+    thread.messages.filter(message => !isAutomatedMessage(message)).forEach(message => {
+        const lines = stripQuotedText(message.textBody);
+        const signature = lines.findIndex(line => /^--\s*$/.test(line));
+        add(extractTerms((signature === -1 ? lines : lines.slice(0, signature)).join('\n')), 1);
+    });
+    
+    return counts;
+}
+
+/**
+ * Walk the mailbox and score topics for every known contact
+ * @param {Object} provider - Mail provider
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {Object} options - Walk options (see mailbox_scan.walkMailbox), plus:
+ * @param {number} options.topicCount - Topics kept per contact (default 10)
+ * @param {number} options.minDocumentFrequency - Ignore terms found in fewer threads (default 2)
+ * @param {Object} options.config - User configuration (defaults to getUserConfig())
+ * @returns {Promise<Object>} - { topicsByContact, scannedThreads, failedThreads }
+ */
+async function collectTopics(provider, knowledgeGraph, options = {}) {
+    const config = options.config || getUserConfig();
+    const userEmails = config.userEmails.map(email => canonicalizeAddress(email, config));
+    const emailMapping = knowledgeGraph.getEmailMapping();
+    const minDocumentFrequency = options.minDocumentFrequency || 2;
+    
+    const documentFrequency = new Map();
+    const contacts = new Map();
+    let documents = 0;
+    
+    const walk = await walkMailbox(provider, options, thread => {
+        const counts = countThreadTerms(thread);
+        documents++;
+        counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+        
+        const people = thread.messages.filter(message => !isAutomatedMessage(message));
+        if (people.length === 0) return;
+        
+        const participants = findThreadParticipants(thread, emailMapping, userEmails, config);
+        const lastMessage = people[people.length - 1];
+        
+        participants.forEach((addresses, contactId) => {
+            if (!contacts.has(contactId)) {
+                contacts.set(contactId, { terms: new Map(), threads: 0, lastThread: null });
+            }
+            
+            const entry = contacts.get(contactId);
+            entry.threads++;
+            
+            // Sublinear term frequency, so one long thread cannot dominate
+            counts.forEach((count, term) => {
+                const stats = entry.terms.get(term) || { tf: 0, threads: 0 };
+                stats.tf += 1 + Math.log(count);
+                stats.threads++;
+                entry.terms.set(term, stats);
+            });
+            
+            if (!entry.lastThread || lastMessage.timestamp > entry.lastThread.timestamp) {
+                entry.lastThread = {
+                    threadId: thread.id,
+                    subject: cleanSubject(thread.messages[0].subject),
+                    timestamp: lastMessage.timestamp
+                };
+            }
+        });
+    });
+    
+    const topicsByContact = new Map();
+    
+    contacts.forEach((entry, contactId) => {
+        const contact = knowledgeGraph.entities[contactId];
+        const nameWords = new Set((contact?.name || '').toLowerCase().split(/\s+/));
+        
+        const ranked = [...entry.terms]
+            .filter(([term]) => (documentFrequency.get(term) || 0) >= minDocumentFrequency &&
+                !term.split(' ').some(word => nameWords.has(word)))
+            .map(([term, stats]) => ({
+                term,
+                score: stats.tf * Math.log(documents / documentFrequency.get(term)) *
+                    (term.includes(' ') ? PHRASE_BOOST : 1),
+                threads: stats.threads
+            }))
+            .filter(topic => topic.score > 0)
+            .sort((a, b) => b.score - a.score);
+        
+        // Prefer phrases: skip words already covered by a higher-ranked phrase
+        const topics = [];
+        for (const topic of ranked) {
+            if (topics.length >= (options.topicCount || DEFAULT_TOPIC_COUNT)) break;
+            const covered = topics.some(chosen => chosen.term.split(' ').includes(topic.term) ||
+                topic.term.split(' ').includes(chosen.term));
+            if (!covered) topics.push(topic);
+        }
+        
+        const topScore = topics.length > 0 ? topics[0].score : 1;
+        topicsByContact.set(contactId, {
+            topics: topics.map(topic => ({
+                term: topic.term,
+                score: Math.round(topic.score / topScore * 100) / 100,
+                threads: topic.threads
+            })),
+            threadsAnalyzed: entry.threads,
+            lastSharedSubject: entry.lastThread ? entry.lastThread.subject : null,
+            lastSharedThreadId: entry.lastThread ? entry.lastThread.threadId : null,
+            lastSharedDate: entry.lastThread ? new Date(entry.lastThread.timestamp).toISOString() : null
+        });
+    });
+    
+    return { topicsByContact, scannedThreads: walk.scannedThreads, failedThreads: walk.failedThreads };
+}
+
+/**
+ * Extract topics for every contact and store them as topics observations
+ * @param {Object} provider - Mail provider
+ * @param {Object} knowledgeGraph - Knowledge graph instance
+ * @param {Object} options - Options (see collectTopics)
+ * @returns {Promise<Object>} - { contactsUpdated, scannedThreads, failedThreads }
+ */
+async function extractTopics(provider, knowledgeGraph, options = {}) {
+    const { topicsByContact, scannedThreads, failedThreads } = await collectTopics(provider, knowledgeGraph, options);
+    const updatedAt = new Date().toISOString();
+    
+    topicsByContact.forEach((topics, contactId) => {
+        knowledgeGraph.updateEntityObservation(contactId, 'topics', { ...topics, updatedAt }, { source: 'topic_extraction' });
+    });
+    
+    console.log(`Topic extraction: ${topicsByContact.size} contacts from ${scannedThreads} threads`);
+    
+    return {
+        contactsUpdated: topicsByContact.size,
+        scannedThreads,
+        failedThreads: failedThreads.length
+    };
+}
+
+module.exports = {
+    extractTerms,
+    countThreadTerms,
+    collectTopics,
+    extractTopics
+};
@@ -0,0 +1,390 @@
+/**
+ * User Configuration
+ *
+ * Loads the user's configuration from src/config/user_config.json, or from
+ * the file named by the CONTACT_PROJECT_CONFIG environment variable: the
+ * mailbox accounts the tools read, the addresses the user writes from, alias
+ * domains, analysis time periods and scoring weights. Every tool shares the
+ * one loaded copy. The file is validated when it is loaded, so a typo stops
+ * the run with a list of problems instead of silently changing the results.
+ *
+ * The configuration holds personal addresses, so it is not tracked; copy
+ * src/config/user_config.example.json to start one.
+ *
+ * The configuration is read synchronously, once per process, so that
+ * getUserConfig() can serve as a default argument anywhere.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Base directory for all files
+const BASE_DIR = path.resolve(__dirname, '..');
+const CONFIG_PATH = process.env.CONTACT_PROJECT_CONFIG || path.join(BASE_DIR, 'config', 'user_config.json');
+const EXAMPLE_CONFIG_PATH = path.join(BASE_DIR, 'config', 'user_config.example.json');
+
+// Mail providers an account can be read with
+const ACCOUNT_PROVIDERS = ['gmail_api', 'desktop', 'archive'];
+
+// Where the knowledge graph can be stored (see storage/)
+const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+// Everything except the accounts has a default
+const DEFAULT_CONFIG = {
+    accounts: [],
+    // Other addresses the user writes from that no configured account reads
+    identities: [],
+    // Domains that deliver to the same mailboxes as another domain,
+    // e.g. { 'acme.co.uk': 'acme.com' }
+    aliasDomains: {},
+    // Time periods for analysis (in days)
+    timePeriods: {
+        recent: 30,
+        medium: 90,
+        long: 365
+    },
+    // Importance score factors (see KnowledgeGraph.calculateImportanceScores)
+    weights: {
+        frequency: 0.20,
+        recency: 0.30,
+        responseRate: 0.15,
+        meetingFrequency: 0.15,
+        manualPriority: 0.10,
+        reciprocity: 0.10
+    },
+    // How much each interaction tier (see communication_patterns.interactionTiers)
+    // counts towards email frequency; initiated adds per thread the contact started
+    tierWeights: {
+        direct: 1.0,
+        group: 0.5,
+        cc: 0.1,
+        initiated: 1.0
+    },
+    // How much automated messages count towards metrics, by category
+    // (see message_classifier.js); 0 leaves them out entirely
+    messageWeights: {
+        auto_reply: 0,
+        calendar: 0,
+        notification: 0,
+        bulk: 0,
+        mailing_list: 0.5
+    },
+    // The user's working schedule, for response times in working hours
+    // (see working_hours.js); holidays are YYYY-MM-DD dates
+    workingHours: {
+        timezone: 'America/New_York',
+        workDays: [1, 2, 3, 4, 5],
+        startHour: 9,
+        endHour: 18,
+        holidays: []
+    },
+    // Trend and cooling detection over monthly message counts
+    // (see communication_trend.js)
+    trend: {
+        windowMonths: 6,
+        growthThreshold: 0.1,
+        coolingMonths: 3,
+        baselineMonths: 12,
+        minBaselineMonthly: 2,
+        coolingRatio: 0.25
+    },
+    // Where the knowledge graph is stored: 'json' keeps entities.json and
+    // relationships.json, 'sqlite' a database at databasePath (relative to
+    // the knowledge graph directory)
+    storage: {
+        backend: 'json',
+        databasePath: 'knowledge_graph.db'
+    }
+};
+
+// Sections that are merged key by key with their defaults
+const OBJECT_SECTIONS = [
+    'aliasDomains', 'timePeriods', 'weights', 'tierWeights', 'messageWeights', 'workingHours', 'trend', 'storage'
+];
+
+// The configuration in use, once loaded
+let currentConfig = null;
+
+/**
+ * Check whether a value looks like an email address
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for an address
+ */
+function isEmailAddress(value) {
+    return typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for an object that is not an array
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a timezone name is known to the runtime
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} - True when usable
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Validate the mailbox accounts
+ * @param {Array} accounts - Configured accounts
+ * @param {Array} errors - Problems found so far, added to
+ */
+function validateAccounts(accounts, errors) {
+    if (!Array.isArray(accounts) || accounts.length === 0) {
+        errors.push('accounts must list at least one mailbox account');
+        return;
+    }
+    
+    const ids = new Set();
+    const credentialsDirs = new Set();
+    
+    accounts.forEach((account, index) => {
+        const label = `accounts[${index}]`;
+        
+        if (!isPlainObject(account)) {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        
+        if (typeof account.id !== 'string' || !/^[\w.-]+$/.test(account.id)) {
+            errors.push(`${label}.id must be a name made of letters, digits, '.', '_' or '-'`);
+        } else if (ids.has(account.id)) {
+            errors.push(`${label}.id "${account.id}" is used by another account`);
+        } else {
+            ids.add(account.id);
+        }
+        
+        if (!isEmailAddress(account.address)) {
+            errors.push(`${label}.address must be an email address`);
+        }
+        
+        if (account.aliases !== undefined && (!Array.isArray(account.aliases) || !account.aliases.every(isEmailAddress))) {
+            errors.push(`${label}.aliases must be a list of email addresses`);
+        }
+        
+        if (!ACCOUNT_PROVIDERS.includes(account.provider)) {
+            errors.push(`${label}.provider must be one of ${ACCOUNT_PROVIDERS.join(', ')}`);
+        }
+        
+        if (account.provider === 'gmail_api') {
+            if (typeof account.credentialsDir !== 'string' || account.credentialsDir === '') {
+                errors.push(`${label}.credentialsDir is required for gmail_api accounts`);
+            } else if (credentialsDirs.has(path.resolve(BASE_DIR, account.credentialsDir))) {
+                // Two accounts with one token would read the same mailbox twice
+                errors.push(`${label}.credentialsDir is shared with another account`);
+            } else {
+                credentialsDirs.add(path.resolve(BASE_DIR, account.credentialsDir));
+            }
+        }
+        
+        if (account.provider === 'archive' && (!Array.isArray(account.archivePaths) || account.archivePaths.length === 0 ||
+            !account.archivePaths.every(archivePath => typeof archivePath === 'string' && archivePath !== ''))) {
+            errors.push(`${label}.archivePaths must list the mbox files or directories of archive accounts`);
+        }
+    });
+}
+
+/**
+ * Validate a section of numbers
+ * @param {string} name - Section name
+ * @param {Object} section - Section values
+ * @param {Function} isValid - Check for one value
+ * @param {string} expected - Description of a valid value
+ * @param {Array} errors - Problems found so far, added to
+ */
+function validateNumbers(name, section, isValid, expected, errors) {
+    Object.entries(section).forEach(([key, value]) => {
+        if (typeof value !== 'number' || !Number.isFinite(value) || !isValid(value)) {
+            errors.push(`${name}.${key} must be ${expected}`);
+        }
+    });
+}
+
+/**
+ * Validate a configuration merged with the defaults
+ * @param {Object} config - User configuration
+ * @returns {Array} - Problems found, empty when the configuration is valid
+ */
+function validateUserConfig(config) {
+    const errors = [];
+    
+    validateAccounts(config.accounts, errors);
+    
+    if (!Array.isArray(config.identities) || !config.identities.every(isEmailAddress)) {
+        errors.push('identities must be a list of email addresses');
+    }
+    
+    // The checks below read inside these sections
+    const malformed = OBJECT_SECTIONS.filter(section => !isPlainObject(config[section]));
+    if (malformed.length > 0) {
+        return [...errors, ...malformed.map(section => `${section} must be an object`)];
+    }
+    
+    // Every section but aliasDomains has a fixed set of keys; code reads
+    // them by name, so a misspelled key would be ignored or break a run
+    OBJECT_SECTIONS.filter(section => section !== 'aliasDomains').forEach(section => {
+        Object.keys(config[section])
+            .filter(key => !(key in DEFAULT_CONFIG[section]))
+            .forEach(key => errors.push(`unknown setting "${section}.${key}"`));
+    });
+    
+    Object.entries(config.aliasDomains).forEach(([domain, canonical]) => {
+        if (typeof canonical !== 'string' || !canonical.includes('.')) {
+            errors.push(`aliasDomains.${domain} must be a domain name`);
+        }
+    });
+    
+    validateNumbers('timePeriods', config.timePeriods, value => value > 0, 'a positive number of days', errors);
+    validateNumbers('weights', config.weights, value => value >= 0, 'a number of 0 or more', errors);
+    validateNumbers('tierWeights', config.tierWeights, value => value >= 0, 'a number of 0 or more', errors);
+    validateNumbers('messageWeights', config.messageWeights, value => value >= 0 && value <= 1, 'a number from 0 to 1', errors);
+    
+    const { timezone, workDays, startHour, endHour, holidays } = config.workingHours;
+    if (!isValidTimezone(timezone)) {
+        errors.push(`workingHours.timezone "${timezone}" is not a known timezone`);
+    }
+    if (!Array.isArray(workDays) || !workDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        errors.push('workingHours.workDays must be a list of weekdays from 0 (Sunday) to 6 (Saturday)');
+    }
+    if (!(typeof startHour === 'number' && typeof endHour === 'number' && startHour >= 0 && startHour < endHour && endHour <= 24)) {
+        errors.push('workingHours.startHour and endHour must be hours with 0 <= startHour < endHour <= 24');
+    }
+    if (!Array.isArray(holidays) || !holidays.every(day => typeof day === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(day))) {
+        errors.push('workingHours.holidays must be a list of YYYY-MM-DD dates');
+    }
+    
+    validateNumbers('trend', config.trend, value => value > 0, 'a positive number', errors);
+    ['windowMonths', 'coolingMonths', 'baselineMonths'].forEach(key => {
+        if (!Number.isInteger(config.trend[key])) {
+            errors.push(`trend.${key} must be a whole number of months`);
+        } else if (key === 'windowMonths' && config.trend[key] < 2) {
+            errors.push('trend.windowMonths must be at least 2 to fit a trend line');
+        }
+    });
+    
+    if (!STORAGE_BACKENDS.includes(config.storage.backend)) {
+        errors.push(`storage.backend must be one of ${STORAGE_BACKENDS.join(', ')}`);
+    }
+    if (typeof config.storage.databasePath !== 'string' || config.storage.databasePath === '') {
+        errors.push('storage.databasePath must be a file name or path');
+    }
+    
+    return errors;
+}
+
+/**
+ * Merge a configuration file with the defaults and derive the user's
+ * addresses from the accounts and identities
+ * @param {Object} fileConfig - Parsed configuration file
+ * @returns {Object} - User configuration
+ */
+function resolveUserConfig(fileConfig) {
+    const config = { ...DEFAULT_CONFIG, ...fileConfig };
+    
+    OBJECT_SECTIONS.forEach(section => {
+        if (isPlainObject(fileConfig[section])) {
+            config[section] = { ...DEFAULT_CONFIG[section], ...fileConfig[section] };
+        }
+    });
+    
+    // Every address the user writes from, for telling sent from received mail
+    const accounts = Array.isArray(config.accounts) ? config.accounts : [];
+    const addresses = accounts.flatMap(account => [account.address, ...(account.aliases || [])]);
+    config.userEmails = [...new Set([...addresses, ...(config.identities || [])].filter(Boolean))];
+    
+    return config;
+}
+
+/**
+ * Load, validate and start using a configuration file
+ * @param {string} configPath - Path to the configuration file
+ * @returns {Object} - User configuration
+ * @throws {Error} - When the file is missing, unreadable or invalid
+ */
+function loadUserConfig(configPath = CONFIG_PATH) {
+    let fileConfig;
+    try {
+        fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        const reason = error.code === 'ENOENT'
+            ? `file not found (copy ${EXAMPLE_CONFIG_PATH} to start one)`
+            : error.message;
+        throw new Error(`Cannot read the configuration at ${configPath}: ${reason}`);
+    }
+    
+    if (!isPlainObject(fileConfig)) {
+        throw new Error(`Invalid configuration in ${configPath}: the file must hold a JSON object`);
+    }
+    
+    const errors = Object.keys(fileConfig)
+        .filter(key => !(key in DEFAULT_CONFIG))
+        .map(key => `unknown setting "${key}"`);
+    
+    const config = resolveUserConfig(fileConfig);
+    errors.push(...validateUserConfig(config));
+    
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration in ${configPath}:\n${errors.map(error => `- ${error}`).join('\n')}`);
+    }
+    
+    config.configPath = configPath;
+    currentConfig = config;
+    return config;
+}
+
+/**
+ * Get the configuration in use, loading the default file on first use
+ * @returns {Object} - User configuration
+ */
+function getUserConfig() {
+    return currentConfig || loadUserConfig();
+}
+
+/**
+ * Get a mailbox account by ID
+ * @param {Object} config - User configuration
+ * @param {string} accountId - Account ID (the first account when omitted)
+ * @returns {Object} - Account, with credentialsDir resolved to an absolute path
+ * @throws {Error} - When no account has that ID
+ */
+function getAccount(config, accountId) {
+    const account = accountId ? config.accounts.find(entry => entry.id === accountId) : config.accounts[0];
+    
+    if (!account) {
+        throw new Error(`No account "${accountId}" in the configuration; ` +
+            `configured accounts: ${config.accounts.map(entry => entry.id).join(', ')}`);
+    }
+    
+    return {
+        ...account,
+        aliases: account.aliases || [],
+        credentialsDir: account.credentialsDir ? path.resolve(BASE_DIR, account.credentialsDir) : null,
+        archivePaths: (account.archivePaths || []).map(archivePath => path.resolve(BASE_DIR, archivePath))
+    };
+}
+
+module.exports = {
+    CONFIG_PATH,
+    EXAMPLE_CONFIG_PATH,
+    ACCOUNT_PROVIDERS,
+    STORAGE_BACKENDS,
+    DEFAULT_CONFIG,
+    validateUserConfig,
+    resolveUserConfig,
+    loadUserConfig,
+    getUserConfig,
+    getAccount
+};
@@ -0,0 +1,127 @@
+/**
+ * Knowledge Graph Validation
+ *
+ * Checks every entity, observation and relationship of the stored
+ * knowledge graph against graph_schema.js and lists each violation, so
+ * graphs written before the schema existed can be found and fixed.
+ *
+ * Usage: node src/utilities/validate_graph.js
+ *   [--entities=<path>] [--relationships=<path>] [--config=<path>]
+ *
+ * Exits with status 1 when the graph has violations.
+ */
+
+const path = require('path');
+const { loadUserConfig } = require('./user_config');
+const { validateGraph } = require('./graph_schema');
+const KnowledgeGraph = require('./knowledge_graph');
+
+// File paths
+const BASE_DIR = path.resolve(__dirname, '..');
+const ENTITIES_PATH = path.join(BASE_DIR, 'knowledge_graph', 'entities.json');
+const RELATIONSHIPS_PATH = path.join(BASE_DIR, 'knowledge_graph', 'relationships.json');
+
+/**
+ * Load the knowledge graph and validate it
+ * @param {Object} options - Validation options
+ * @param {string} options.entitiesPath - Entities JSON file
+ * @param {string} options.relationshipsPath - Relationships JSON file
+ * @returns {Promise<Object>} - { storage, entities, relationships, violations }
+ */
+async function validateKnowledgeGraph(options) {
+  const graph = new KnowledgeGraph();
+  
+  try {
+    await graph.initialize(options.entitiesPath, options.relationshipsPath);
+    
+    return {
+      storage: graph.storage.describe(),
+      entities: Object.keys(graph.entities).length,
+      relationships: graph.relationships.length,
+      violations: validateGraph(graph)
+    };
+  } finally {
+    await graph.close();
+  }
+}
+
+/**
+ * Group violations by the entity or relationship they belong to
+ * @param {Array} violations - Violations ({ subject, message })
+ * @returns {Map} - Subject to messages
+ */
+function groupBySubject(violations) {
+  const groups = new Map();
+  
+  violations.forEach(({ subject, message }) => {
+    if (!groups.has(subject)) groups.set(subject, []);
+    groups.get(subject).push(message);
+  });
+  
+  return groups;
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - Validation options (see validateKnowledgeGraph), plus configPath
+ */
+function parseArgs(args) {
+  const options = {
+    entitiesPath: ENTITIES_PATH,
+    relationshipsPath: RELATIONSHIPS_PATH
+  };
+  
+  args.forEach(arg => {
+    const [name, value] = arg.replace(/^--/, '').split('=');
+    
+    if (name === 'entities') {
+      options.entitiesPath = path.resolve(value);
+    } else if (name === 'relationships') {
+      options.relationshipsPath = path.resolve(value);
+    } else if (name === 'config') {
+      options.configPath = path.resolve(value);
+    }
+  });
+  
+  return options;
+}
+
+/**
+ * Run the validation from the command line
+ * @param {Object} options - Parsed arguments (see parseArgs)
+ */
+async function run(options) {
+  try {
+    loadUserConfig(options.configPath);
+    
+    const result = await validateKnowledgeGraph(options);
+    const groups = groupBySubject(result.violations);
+    
+    console.log(`Validated ${result.entities} entities and ${result.relationships} relationships in ${result.storage}.`);
+    
+    if (groups.size === 0) {
+      console.log('No schema violations found.');
+      return;
+    }
+    
+    console.log(`Found ${result.violations.length} schema violations in ${groups.size} entities and relationships:`);
+    groups.forEach((messages, subject) => {
+      console.log(`\n${subject}:`);
+      messages.forEach(message => console.log(`- ${message}`));
+    });
+    process.exit(1);
+  } catch (error) {
+    console.error('Error validating knowledge graph:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script if executed directly
+if (require.main === module) {
+  run(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = {
+  validateKnowledgeGraph
+};
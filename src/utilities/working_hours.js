@@ -0,0 +1,169 @@
+/**
+ * Working Hours
+ *
+ * Measures time the way people experience a reply delay: only hours that
+ * fall inside someone's working day count. A schedule is a timezone, the
+ * working days of the week, the start and end of the working day and a
+ * list of holidays, e.g.
+ *
+ *   { timezone: 'America/New_York', workDays: [1, 2, 3, 4, 5],
+ *     startHour: 9, endHour: 18, holidays: ['2025-12-25'] }
+ *
+ * An email sent Friday at 18:00 and answered Monday at 10:00 took one
+ * working hour, not 64 wall-clock hours.
+ */
+
+const DEFAULT_SCHEDULE = {
+    timezone: 'UTC',
+    workDays: [1, 2, 3, 4, 5],
+    startHour: 9,
+    endHour: 18,
+    holidays: []
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Intl formatters are expensive to create, so keep one per timezone
+const formatters = new Map();
+
+/**
+ * Get the calendar date and time of an instant in a timezone
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} - { year, month, day, hour, minute, second, weekday } (weekday 0 = Sunday)
+ */
+function getLocalParts(timestamp, timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    
+    const parts = {};
+    formatters.get(timezone).formatToParts(new Date(timestamp)).forEach(part => {
+        if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+    });
+    
+    return {
+        ...parts,
+        weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+    };
+}
+
+/**
+ * Convert a local date and time in a timezone to an instant
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {number} hour - Hour (may be fractional)
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} - Milliseconds since epoch
+ */
+function zonedTimeToTimestamp(year, month, day, hour, timezone) {
+    const wanted = Date.UTC(year, month - 1, day) + hour * HOUR_MS;
+    
+    // Correct the UTC guess by the zone offset; twice, in case the first guess crossed a DST change
+    let timestamp = wanted;
+    for (let i = 0; i < 2; i++) {
+        const local = getLocalParts(timestamp, timezone);
+        const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+        timestamp += wanted - localAsUtc;
+    }
+    
+    return timestamp;
+}
+
+/**
+ * Fill in a schedule's missing fields from the default schedule
+ * @param {Object} schedule - Partial schedule
+ * @returns {Object} - Complete schedule
+ */
+function normalizeSchedule(schedule = {}) {
+    return { ...DEFAULT_SCHEDULE, ...schedule };
+}
+
+/**
+ * Count the working hours between two instants
+ * @param {number} start - Start, milliseconds since epoch
+ * @param {number} end - End, milliseconds since epoch
+ * @param {Object} schedule - Working schedule (see module comment)
+ * @returns {number} - Working hours (0 when end is not after start)
+ */
+function workingHoursBetween(start, end, schedule) {
+    if (!(end > start)) return 0;
+    
+    const { timezone, workDays, startHour, endHour, holidays } = normalizeSchedule(schedule);
+    const holidaySet = new Set(holidays);
+    let total = 0;
+    
+    // Walk the local calendar days the interval touches
+    const first = getLocalParts(start, timezone);
+    const last = getLocalParts(end, timezone);
+    const firstDay = Date.UTC(first.year, first.month - 1, first.day);
+    const lastDay = Date.UTC(last.year, last.month - 1, last.day);
+    
+    for (let dayUtc = firstDay; dayUtc <= lastDay; dayUtc += DAY_MS) {
+        const date = new Date(dayUtc);
+        if (!workDays.includes(date.getUTCDay()) || holidaySet.has(date.toISOString().slice(0, 10))) continue;
+        
+        if (dayUtc !== firstDay && dayUtc !== lastDay) {
+            // Days fully inside the interval count in full
+            total += (endHour - startHour) * HOUR_MS;
+            continue;
+        }
+        
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const day = date.getUTCDate();
+        const workStart = zonedTimeToTimestamp(year, month, day, startHour, timezone);
+        const workEnd = zonedTimeToTimestamp(year, month, day, endHour, timezone);
+        const overlap = Math.min(end, workEnd) - Math.max(start, workStart);
+        if (overlap > 0) total += overlap;
+    }
+    
+    return total / HOUR_MS;
+}
+
+/**
+ * Summarize a list of durations
+ * @param {Array} values - Durations in hours
+ * @returns {Object} - { mean, median, p90 } (all 0 for an empty list)
+ */
+function summarizeDurations(values) {
+    if (values.length === 0) return { mean: 0, median: 0, p90: 0 };
+    
+    const sorted = [...values].sort((a, b) => a - b);
+    
+    // Linear interpolation between the closest ranks
+    const percentile = p => {
+        const rank = (sorted.length - 1) * p;
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    };
+    
+    const round = value => Math.round(value * 100) / 100;
+    
+    return {
+        mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        median: round(percentile(0.5)),
+        p90: round(percentile(0.9))
+    };
+}
+
+module.exports = {
+    DEFAULT_SCHEDULE,
+    normalizeSchedule,
+    getLocalParts,
+    zonedTimeToTimestamp,
+    workingHoursBetween,
+    summarizeDurations
+};
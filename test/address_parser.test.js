@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAddressList, canonicalizeAddress, getMessageAddresses } = require('../src/utilities/address_parser');
+const { analyzeThread } = require('../src/utilities/mail_analysis');
+const { resolveUserConfig } = require('../src/utilities/user_config');
+
+test('parses quoted names, comments and groups', () => {
+    assert.deepEqual(parseAddressList('"Doe, Jane" <Jane@Acme.io>, bob@x.com (Bob Roe)'), [
+        { name: 'Doe, Jane', address: 'jane@acme.io' },
+        { name: 'Bob Roe', address: 'bob@x.com' }
+    ]);
+    assert.deepEqual(parseAddressList('Team: a@x.com, b@x.com;').map(entry => entry.address), ['a@x.com', 'b@x.com']);
+    assert.deepEqual(parseAddressList('undisclosed-recipients:;'), []);
+});
+
+test('decodes encoded display names', () => {
+    assert.equal(parseAddressList('=?UTF-8?Q?Ren=C3=A9e?= <renee@x.com>')[0].name, 'Renée');
+});
+
+test('canonicalizes Gmail dots, +tags and alias domains', () => {
+    assert.equal(canonicalizeAddress('John.Smith+news@googlemail.com'), 'johnsmith@gmail.com');
+    assert.equal(canonicalizeAddress('john.smith+news@acme.io'), 'john.smith@acme.io');
+    assert.equal(canonicalizeAddress('john+news@acme.io', { stripPlusTags: false }), 'john+news@acme.io');
+    assert.equal(canonicalizeAddress('jane@acme.co.uk', { aliasDomains: { 'acme.co.uk': 'acme.io' } }), 'jane@acme.io');
+    assert.equal(canonicalizeAddress('not an address'), '');
+});
+
+test('message addresses are canonical', () => {
+    const addresses = getMessageAddresses({ from: 'J <john.smith@gmail.com>', to: 'me@example.com', cc: '' });
+    assert.equal(addresses.from.address, 'johnsmith@gmail.com');
+    assert.deepEqual(addresses.cc, []);
+});
+
+test('matches senders exactly, never as a substring of another address', () => {
+    const config = resolveUserConfig({ accounts: [{ id: 'me', address: 'me@example.com', provider: 'desktop' }] });
+    const thread = {
+        id: 't1',
+        messages: [
+            { id: 'm1', from: 'ann@x.com', to: 'me@example.com', timestamp: Date.parse('2025-01-06T10:00:00Z') },
+            { id: 'm2', from: 'joann@x.com', to: 'me@example.com', timestamp: Date.parse('2025-01-06T11:00:00Z') },
+            { id: 'm3', from: 'me@example.com', to: 'Ann <a.n.n+work@x.com>, ann@x.com', timestamp: Date.parse('2025-01-06T12:00:00Z') }
+        ]
+    };
+
+    const metrics = analyzeThread(thread, 'Ann@X.com', config);
+    assert.equal(metrics.fromContact, 1);
+    assert.equal(metrics.fromUser, 1);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ArchiveProvider = require('../src/utilities/mail_providers/archive_provider');
+const KnowledgeGraph = require('../src/utilities/knowledge_graph');
+const { analyzeMailArchive } = require('../src/utilities/analyze_mail_archive');
+const { analyzeContactEmails } = require('../src/utilities/mail_analysis');
+const { createAccountProvider } = require('../src/utilities/mail_accounts');
+const { getAccount, loadUserConfig, resolveUserConfig } = require('../src/utilities/user_config');
+
+const config = resolveUserConfig({
+    accounts: [{ id: 'me', address: 'me@example.com', provider: 'archive' }]
+});
+
+function writeArchive() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-provider-'));
+    const eml = (name, headers) => fs.writeFileSync(path.join(directory, name),
+        `${Object.entries(headers).map(([key, value]) => `${key}: ${value}`).join('\r\n')}\r\n\r\nHello\r\n`);
+
+    eml('1.eml', { From: 'a@x.com', To: 'me@example.com', Subject: 'Hi', Date: 'Mon, 6 Jan 2025 10:00:00 +0000', 'Message-ID': '<1@x.com>' });
+    eml('2.eml', {
+        From: 'me@example.com', To: 'a@x.com', Subject: 'Re: Hi', Date: 'Mon, 6 Jan 2025 11:00:00 +0000',
+        'Message-ID': '<2@example.com>', 'In-Reply-To': '<1@x.com>'
+    });
+    return directory;
+}
+
+test('reads every message of a thread', async () => {
+    const provider = new ArchiveProvider(writeArchive());
+    const { threads } = await provider.searchThreads('from:a@x.com');
+    const thread = await provider.getThread(threads[0].id);
+
+    assert.equal(thread.messages.length, 2);
+});
+
+test('a message that cannot be read fails the thread and marks the analysis incomplete', async () => {
+    const directory = writeArchive();
+    const provider = new ArchiveProvider(directory);
+    const { threads } = await provider.searchThreads('from:a@x.com');
+    fs.rmSync(path.join(directory, '2.eml'));
+
+    await assert.rejects(provider.getThread(threads[0].id), /Could not read message .* from .*2\.eml/);
+
+    const metrics = await analyzeContactEmails(provider, 'a@x.com', { config });
+    assert.equal(metrics.incomplete, true);
+    assert.equal(metrics.totalEmails, 0);
+});
+
+test('an archive account reads the exports it lists', async () => {
+    const account = getAccount(resolveUserConfig({
+        accounts: [{ id: 'takeout', address: 'me@example.com', provider: 'archive', archivePaths: [writeArchive()] }]
+    }));
+    const provider = await createAccountProvider(account);
+
+    assert.ok(provider instanceof ArchiveProvider);
+    assert.equal((await provider.searchThreads('from:a@x.com')).threads.length, 1);
+});
+
+test('analyzes a contact once across all of their addresses', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-analysis-'));
+    const mailDirectory = path.join(directory, 'mail');
+    fs.mkdirSync(mailDirectory);
+    [['a@work.com', 1], ['a@work.com', 2], ['a@work.com', 3], ['a@home.com', 4]].forEach(([from, day]) => {
+        fs.writeFileSync(path.join(mailDirectory, `${day}.eml`),
+            `From: ${from}\r\nTo: me@example.com\r\nSubject: Note ${day}\r\n` +
+            `Date: Mon, ${day} Jan 2025 10:00:00 +0000\r\nMessage-ID: <${day}@x.com>\r\n\r\nHello\r\n`);
+    });
+    
+    const configPath = path.join(directory, 'user_config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        accounts: [{ id: 'me', address: 'me@example.com', provider: 'archive', archivePaths: [mailDirectory] }]
+    }));
+    loadUserConfig(configPath);
+    
+    const entitiesPath = path.join(directory, 'entities.json');
+    const relationshipsPath = path.join(directory, 'relationships.json');
+    const graph = new KnowledgeGraph();
+    await graph.initialize(entitiesPath, relationshipsPath);
+    graph.addEntity({
+        id: 'a',
+        name: 'A',
+        entityType: 'Contact',
+        observations: [{ type: 'contact_details', emails: ['a@work.com', 'a@home.com'] }]
+    });
+    await graph.saveToFiles();
+    
+    await analyzeMailArchive([mailDirectory], { entitiesPath, relationshipsPath });
+    
+    const updated = new KnowledgeGraph();
+    await updated.initialize(entitiesPath, relationshipsPath);
+    const metrics = updated.entities.a.observations.find(obs => obs.type === 'communication_metrics');
+    assert.equal(metrics.emailCount, 4);
+});
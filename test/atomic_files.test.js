@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { acquireLock, releaseLock } = require('../src/utilities/storage/atomic_files');
+
+function staleLockPath() {
+    const lockPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'atomic-files-')), 'group.lock');
+    // A process that has already exited
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(lockPath, JSON.stringify({ pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() }));
+    return lockPath;
+}
+
+test('only one of two waiters takes over a stale lock', async () => {
+    const nextTurn = () => new Promise(resolve => setImmediate(resolve));
+    
+    // Start the second waiter a little later each time so it reaches the stale lock at every step of the first
+    for (let turns = 0; turns < 20; turns++) {
+        const lockPath = staleLockPath();
+        const later = async () => {
+            for (let turn = 0; turn < turns; turn++) await nextTurn();
+            return acquireLock(lockPath, { timeoutMs: 200 });
+        };
+        const results = await Promise.allSettled([acquireLock(lockPath, { timeoutMs: 200 }), later()]);
+        
+        assert.equal(results.filter(result => result.status === 'fulfilled').length, 1, `second waiter ${turns} turns late`);
+        assert.deepEqual(fs.readdirSync(path.dirname(lockPath)), ['group.lock']);
+    }
+});
+
+test('a released lock can be acquired again', async () => {
+    const lockPath = staleLockPath();
+    await acquireLock(lockPath);
+    await releaseLock(lockPath);
+    await acquireLock(lockPath, { timeoutMs: 0 });
+    assert.equal(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+});
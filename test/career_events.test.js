@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FixtureProvider = require('../src/utilities/mail_providers/fixture_provider');
+const KnowledgeGraph = require('../src/utilities/knowledge_graph');
+const { detectCareerEvents } = require('../src/utilities/career_events');
+const { loadUserConfig } = require('../src/utilities/user_config');
+
+// Loaded as the shared configuration, which code without a config argument reads
+const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'career-events-')), 'user_config.json');
+fs.writeFileSync(configPath, JSON.stringify({
+    accounts: [{ id: 'me', address: 'me@example.com', provider: 'desktop' }]
+}));
+const config = loadUserConfig(configPath);
+
+function message(id, from, date, extra = {}) {
+    return { id, messages: [{ id: `${id}-0`, from, to: 'me@example.com', date, textBody: 'Hello', ...extra }] };
+}
+
+const bounce = (id, address, date) => message(id, 'Mail Delivery Subsystem <mailer-daemon@example.com>', date, {
+    parts: [{ mimeType: 'message/delivery-status', filename: '', content: `Final-Recipient: rfc822; ${address}\nAction: failed` }]
+});
+
+function createGraph() {
+    const graph = new KnowledgeGraph();
+    graph.entities = {};
+    graph.relationships = [];
+    graph.addEntity({
+        id: 'jane',
+        name: 'Jane Doe',
+        entityType: 'Contact',
+        observations: [{ type: 'contact_details', emails: ['jane@acme.io'] }]
+    });
+    return graph;
+}
+
+async function detect(threads) {
+    const result = await detectCareerEvents(new FixtureProvider(threads), createGraph(), { config });
+    return result.events.map(({ eventType, previousValue, newValue, confidence }) => ({ eventType, previousValue, newValue, confidence }));
+}
+
+test('an address matched by name is not a switch while the known address is still in use', async () => {
+    const events = await detect([
+        message('t1', 'Jane Doe <jane@acme.io>', '2025-01-01T00:00:00Z'),
+        message('t2', 'Jane Doe <jane.doe@gmail.com>', '2025-02-01T00:00:00Z'),
+        message('t3', 'Jane Doe <jane@acme.io>', '2025-03-01T00:00:00Z')
+    ]);
+
+    assert.deepEqual(events, []);
+});
+
+test('an address matched by name is a switch once the known address stopped', async () => {
+    const events = await detect([
+        message('t1', 'Jane Doe <jane@acme.io>', '2025-01-01T00:00:00Z'),
+        message('t2', '"Doe, Jane" <jane@globex.com>', '2025-02-01T00:00:00Z')
+    ]);
+
+    assert.deepEqual(events, [{ eventType: 'new_domain', previousValue: 'jane@acme.io', newValue: 'jane@globex.com', confidence: 0.6 }]);
+});
+
+test('a bounce of the known address makes a name match certain', async () => {
+    const events = await detect([
+        message('t1', 'Jane Doe <jane@acme.io>', '2025-01-01T00:00:00Z'),
+        bounce('t2', 'jane@acme.io', '2025-01-15T00:00:00Z'),
+        message('t3', 'Jane Doe <jane@globex.com>', '2025-02-01T00:00:00Z'),
+        message('t4', 'Jane Doe <jane@acme.io>', '2025-03-01T00:00:00Z')
+    ]);
+
+    assert.deepEqual(events, [{ eventType: 'new_domain', previousValue: 'jane@acme.io', newValue: 'jane@globex.com', confidence: 0.9 }]);
+});
+
+test('a bounce with no new address is reported on its own', async () => {
+    const events = await detect([
+        message('t1', 'Jane Doe <jane@acme.io>', '2025-01-01T00:00:00Z'),
+        message('t2', 'Jane Doe <jane.doe@gmail.com>', '2025-02-01T00:00:00Z'),
+        message('t3', 'Jane Doe <jane@acme.io>', '2025-03-01T00:00:00Z'),
+        bounce('t4', 'jane@acme.io', '2025-04-01T00:00:00Z')
+    ]);
+
+    assert.deepEqual(events, [{ eventType: 'address_bounced', previousValue: 'jane@acme.io', newValue: null, confidence: 0.8 }]);
+});
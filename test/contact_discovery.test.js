@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FixtureProvider = require('../src/utilities/mail_providers/fixture_provider');
+const KnowledgeGraph = require('../src/utilities/knowledge_graph');
+const contactDiscovery = require('../src/utilities/contact_discovery');
+const { loadUserConfig } = require('../src/utilities/user_config');
+
+// Loaded as the shared configuration, which code without a config argument reads
+const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'discovery-')), 'user_config.json');
+fs.writeFileSync(configPath, JSON.stringify({
+    accounts: [{ id: 'me', address: 'me@example.com', provider: 'desktop' }]
+}));
+const config = loadUserConfig(configPath);
+
+const daysAgo = days => new Date(Date.now() - days * 86400e3).toISOString();
+
+function message(id, from, to, days, headers) {
+    return { id, from, to, date: daysAgo(days), headers };
+}
+
+test('turns display names and addresses into contact names', () => {
+    assert.equal(contactDiscovery.parseContactName('Lovelace, Ada', 'ada@example.net'), 'Ada Lovelace');
+    assert.equal(contactDiscovery.parseContactName('Grace Hopper (Navy)', 'grace@example.net'), 'Grace Hopper');
+    assert.equal(contactDiscovery.parseContactName('', 'charles.babbage42@example.net'), 'Charles Babbage42');
+    assert.equal(contactDiscovery.isAutomatedAddress('no-reply@example.net'), true);
+    assert.equal(contactDiscovery.isAutomatedAddress('ada@example.net'), false);
+});
+
+test('proposes frequent unknown correspondents and skips known, automated and rejected ones', async () => {
+    const provider = new FixtureProvider([
+        { id: 't1', messages: [
+            message('m1', 'Ada Lovelace <ada@example.net>', 'me@example.com', 20),
+            message('m2', 'me@example.com', 'ada@example.net', 19),
+            message('m3', 'Ada Lovelace <ada@example.net>', 'me@example.com', 18)
+        ] },
+        { id: 't2', messages: [
+            message('m4', 'Known <known@example.net>', 'me@example.com', 10),
+            message('m5', 'me@example.com', 'known@example.net', 9),
+            message('m6', 'known@example.net', 'me@example.com', 8)
+        ] },
+        { id: 't3', messages: [
+            message('m7', 'News <digest@example.net>', 'me@example.com', 5, { 'list-id': 'digest.example.net' }),
+            message('m8', 'News <digest@example.net>', 'me@example.com', 4, { 'list-id': 'digest.example.net' }),
+            message('m9', 'me@example.com', 'digest@example.net', 3)
+        ] },
+        { id: 't4', messages: [
+            message('m10', 'Eve <eve@example.net>', 'me@example.com', 7),
+            message('m11', 'me@example.com', 'eve@example.net', 6),
+            message('m12', 'eve@example.net', 'me@example.com', 5)
+        ] }
+    ]);
+    const graph = new KnowledgeGraph();
+    graph.addEntity({ id: 'known', name: 'Known', entityType: 'Contact', observations: [{ type: 'contact_details', emails: ['known@example.net'] }] });
+
+    const proposalsPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'discovery-')), 'contact_proposals.json');
+    fs.writeFileSync(proposalsPath, JSON.stringify([{ email: 'eve@example.net', status: 'rejected' }]));
+
+    const result = await contactDiscovery.discoverContacts(provider, graph, { config, proposalsPath });
+
+    assert.deepEqual(result.proposals.map(proposal => [proposal.email, proposal.name]), [['ada@example.net', 'Ada Lovelace']]);
+    assert.equal(result.proposals[0].emailsSent, 1);
+    assert.equal(result.proposals[0].emailsReceived, 2);
+    assert.deepEqual(result.proposals[0].proposedEntity.observations[0].emails, ['ada@example.net']);
+
+    const saved = await contactDiscovery.loadProposals(proposalsPath);
+    assert.deepEqual(saved.map(proposal => proposal.status), ['pending', 'rejected']);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GmailApiProvider = require('../src/utilities/mail_providers/gmail_api_provider');
+const { extractCalendarEvents } = require('../src/utilities/meeting_analysis');
+
+const encode = text => Buffer.from(text).toString('base64url');
+
+const ICS = [
+    'BEGIN:VCALENDAR',
+    'METHOD:REQUEST',
+    'BEGIN:VEVENT',
+    'UID:lunch-1',
+    'DTSTART:20250110T120000Z',
+    'DTEND:20250110T130000Z',
+    'SUMMARY:Lunch',
+    'ORGANIZER:mailto:a@x.com',
+    'ATTENDEE:mailto:me@example.com',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+// A Gmail API client that returns one thread whose invitation is an attachment
+function createClient(requests) {
+    return {
+        users: {
+            threads: {
+                get: async () => ({
+                    data: {
+                        id: 't1',
+                        messages: [{
+                            id: 'm1',
+                            internalDate: String(Date.parse('2025-01-06T10:00:00Z')),
+                            payload: {
+                                mimeType: 'multipart/mixed',
+                                headers: [{ name: 'From', value: 'a@x.com' }, { name: 'To', value: 'me@example.com' }],
+                                parts: [
+                                    { mimeType: 'text/plain', filename: '', body: { data: encode('See you there') } },
+                                    { mimeType: 'application/octet-stream', filename: 'invite.ics', body: { attachmentId: 'att1', size: ICS.length } },
+                                    { mimeType: 'image/png', filename: 'logo.png', body: { attachmentId: 'att2', size: 100 } }
+                                ]
+                            }
+                        }]
+                    }
+                })
+            },
+            messages: {
+                attachments: {
+                    get: async params => {
+                        requests.push(params);
+                        return { data: { data: encode(ICS), size: ICS.length } };
+                    }
+                }
+            }
+        }
+    };
+}
+
+test('downloads calendar attachments so their invitations are found', async () => {
+    const requests = [];
+    const provider = new GmailApiProvider(createClient(requests));
+    const thread = await provider.getThread('t1');
+
+    assert.deepEqual(requests, [{ userId: 'me', messageId: 'm1', id: 'att1' }]);
+    assert.equal(thread.messages[0].parts[1].content, ICS);
+    assert.equal(thread.messages[0].parts[2].content, null);
+    assert.deepEqual(extractCalendarEvents(thread).map(event => event.uid), ['lunch-1']);
+});
+
+// A Gmail API client that lists threads in pages of the requested size
+function createListClient(total, requests) {
+    return {
+        users: {
+            threads: {
+                list: async params => {
+                    requests.push(params);
+                    const start = params.pageToken ? Number(params.pageToken) : 0;
+                    const end = Math.min(start + params.maxResults, total);
+                    const threads = [];
+                    for (let i = start; i < end; i++) {
+                        threads.push({ id: `t${i}`, historyId: String(100 + i) });
+                    }
+                    return { data: { threads, nextPageToken: end < total ? String(end) : undefined } };
+                }
+            }
+        }
+    };
+}
+
+test('follows every page of a thread search', async () => {
+    const requests = [];
+    const provider = new GmailApiProvider(createListClient(1200, requests));
+
+    const result = await provider.searchThreads('from:a@x.com');
+
+    assert.equal(result.threads.length, 1200);
+    assert.equal(result.truncated, false);
+    assert.deepEqual(result.threads[0], { id: 't0', historyId: '100' });
+    assert.deepEqual(requests.map(r => r.pageToken), [undefined, '500', '1000']);
+});
+
+test('stops at the result ceiling and reports the search as truncated', async () => {
+    const requests = [];
+    const provider = new GmailApiProvider(createListClient(1200, requests));
+
+    const result = await provider.searchThreads('from:a@x.com', { maxResults: 600 });
+
+    assert.equal(result.threads.length, 600);
+    assert.equal(result.truncated, true);
+    assert.deepEqual(requests.map(r => r.maxResults), [500, 100]);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KnowledgeGraph = require('../src/utilities/knowledge_graph');
+const {
+    validateObservation,
+    validateEntity,
+    validateRelationship,
+    validateGraph,
+    registerObservationType
+} = require('../src/utilities/graph_schema');
+
+const entities = {
+    a: { id: 'a', name: 'A', entityType: 'Contact', observations: [] },
+    o: { id: 'o', name: 'O', entityType: 'Organization', observations: [] }
+};
+
+function createGraph() {
+    const graph = new KnowledgeGraph();
+    graph.entities = {};
+    graph.relationships = [];
+    graph.addEntity({ id: 'a', name: 'A', entityType: 'Contact', observations: [{ type: 'contact_details', emails: ['a@x.com'] }] });
+    return graph;
+}
+
+test('checks observation field types, dates and bounds', () => {
+    assert.deepEqual(validateObservation('Contact', { type: 'contact_details', emails: 'a@x.com', organization: 'Acme' }), [
+        'contact_details.emails must be an array, not string',
+        'contact_details.organization must be an object, not string'
+    ]);
+    assert.deepEqual(validateObservation('Contact', { type: 'communication_metrics', lastContacted: 'yesterday', emailCount: -1 }), [
+        'communication_metrics.lastContacted must be a date, not "yesterday"',
+        'communication_metrics.emailCount must be between 0 and ∞, not -1'
+    ]);
+});
+
+test('allows undeclared fields but not unknown or misplaced types', () => {
+    assert.deepEqual(validateObservation('Contact', { type: 'contact_details', emails: [], nickname: 'J' }), []);
+    assert.deepEqual(validateObservation('Contact', { type: 'mood' }), ['unknown observation type "mood"']);
+    assert.deepEqual(validateObservation('Organization', { type: 'contact_details', emails: [] }),
+        ['Organization entities cannot have contact_details observations']);
+});
+
+test('checks entities and their observations', () => {
+    assert.deepEqual(validateEntity({ id: 'a', entityType: 'Contact', observations: [{ type: 'contact_details', emails: [1] }] }), [
+        'name is required',
+        'contact_details.emails[0] must be a string, not number'
+    ]);
+});
+
+test('checks relationship types and the entities they connect', () => {
+    assert.deepEqual(validateRelationship({ from: 'a', relationType: 'works_at', to: 'o' }, entities), []);
+    assert.deepEqual(validateRelationship({ from: 'o', relationType: 'works_at', to: 'a' }, entities), [
+        'works_at cannot go from a Organization',
+        'works_at cannot go to a Contact'
+    ]);
+    assert.deepEqual(validateRelationship({ from: 'a', relationType: 'knows', to: 'z' }, entities), [
+        'unknown relationship type "knows"',
+        'to entity z does not exist'
+    ]);
+});
+
+test('names the subject of every violation in a graph', () => {
+    const violations = validateGraph({ entities: { b: entities.a }, relationships: [{ from: 'b', relationType: 'works_at', to: 'o' }] });
+
+    assert.deepEqual(violations, [
+        { subject: 'entity b', message: 'is stored under a different id than its own (a)' },
+        { subject: 'relationship 0 (b works_at o)', message: 'to entity o does not exist' }
+    ]);
+});
+
+test('the knowledge graph rejects writes that do not match', () => {
+    const graph = createGraph();
+
+    assert.throws(() => graph.updateEntityObservation('a', 'communication_metrics', { emailCount: 'many' }),
+        /communication_metrics of a does not match the schema:\n- communication_metrics.emailCount must be a number, not string/);
+    assert.throws(() => graph.addObservation('a', 'contact_details', { emails: ['b@x.com'] }), /already has a contact_details observation/);
+    assert.throws(() => graph.addRelationship('a', 'works_at', 'a'), /does not match the schema/);
+
+    graph.addObservation('a', 'career_event', { eventType: 'new_domain', date: '2025-01-01T00:00:00Z' });
+    graph.addObservation('a', 'career_event', { eventType: 'title_change', date: '2025-02-01T00:00:00Z' });
+    assert.equal(graph.entities.a.observations.filter(obs => obs.type === 'career_event').length, 2);
+});
+
+test('an update is not rejected for violations that were already stored', () => {
+    const graph = createGraph();
+    graph.entities.a.observations.push({ type: 'communication_metrics', lastContacted: 'yesterday' });
+
+    graph.updateEntityObservation('a', 'communication_metrics', { emailCount: 3 });
+    assert.throws(() => graph.updateEntityObservation('a', 'communication_metrics', { emailCount: -3 }), /emailCount must be between/);
+});
+
+test('registered observation types are accepted', () => {
+    registerObservationType('test_mood', { fields: { mood: { type: 'string', values: ['happy', 'sad'] } } });
+
+    assert.deepEqual(validateObservation('Contact', { type: 'test_mood', mood: 'happy' }), []);
+    assert.deepEqual(validateObservation('Contact', { type: 'test_mood', mood: 'bored' }),
+        ['test_mood.mood must be one of happy, sad, not "bored"']);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let skip = false;
+try {
+    require.resolve('csv-parser');
+} catch (error) {
+    skip = 'csv-parser is not installed';
+}
+
+/**
+ * Set up an integrator on a copy of the source tree, since tracking data and
+ * reports are written next to the source
+ */
+async function createIntegrator(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'integrator-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.cpSync(path.join(__dirname, '..', 'src'), path.join(dir, 'src'), { recursive: true });
+    ['reports', 'tracking', 'knowledge_graph'].forEach(name => {
+        fs.rmSync(path.join(dir, 'src', name), { recursive: true, force: true });
+    });
+
+    const configPath = path.join(dir, 'user_config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        accounts: [{ id: 'me', address: 'me@example.com', provider: 'desktop' }]
+    }));
+
+    const Integrator = require(path.join(dir, 'src', 'integrator.js'));
+    const integrator = new Integrator({ configPath, ...options });
+    const graphDir = path.join(dir, 'data', 'knowledge_graph');
+    await integrator.initialize(
+        path.join(graphDir, 'entities.json'),
+        path.join(graphDir, 'relationships.json')
+    );
+    return { dir, integrator };
+}
+
+test('imports a Google Contacts export, merging contacts by email', { skip }, async (t) => {
+    const { dir, integrator } = await createIntegrator(t);
+    integrator.graph.addEntity({
+        id: 'contact_1',
+        name: 'Ada Lovelace',
+        entityType: 'Contact',
+        observations: [{ type: 'contact_details', emails: ['ada@example.com'], phones: [] }]
+    });
+
+    const csvPath = path.join(dir, 'contacts.csv');
+    fs.writeFileSync(csvPath, [
+        'Given Name,Family Name,E-mail 1 - Value,E-mail 2 - Value,Organization 1 - Name',
+        'Ada,Lovelace,ada@example.com,ada@home.example,Analytical Engines',
+        'Charles,Babbage,charles@example.com,,'
+    ].join('\n'));
+
+    const results = await integrator.importGoogleContacts(csvPath);
+
+    assert.deepEqual([results.added, results.updated, results.skipped], [1, 1, 0]);
+    const ada = integrator.graph.entities.contact_1.observations.find(obs => obs.type === 'contact_details');
+    assert.deepEqual(ada.emails, ['ada@example.com', 'ada@home.example']);
+    assert.deepEqual(Object.values(integrator.graph.entities).map(entity => entity.name).sort(), ['Ada Lovelace', 'Charles Babbage']);
+});
+
+test('saves a progress report', { skip }, async (t) => {
+    const { dir, integrator } = await createIntegrator(t);
+
+    const report = await integrator.generateReport('progress');
+
+    assert.equal(path.dirname(report.filePath), path.join(dir, 'src', 'reports'));
+    assert.match(fs.readFileSync(report.filePath, 'utf8'), /Progress/);
+});
+
+test('saves the top contacts report when the reports directory does not exist yet', { skip }, async (t) => {
+    const { dir, integrator } = await createIntegrator(t, { mailProvider: {} });
+    integrator.graph.addEntity({
+        id: 'ada',
+        name: 'Ada',
+        entityType: 'Contact',
+        observations: [{ type: 'contact_details', emails: ['ada@example.com'] }]
+    });
+
+    const report = await integrator.generateReport('top_contacts', { count: 5 });
+
+    assert.equal(path.dirname(report.filePath), path.join(dir, 'src', 'reports'));
+    assert.ok(fs.readFileSync(report.filePath, 'utf8').length > 0);
+});
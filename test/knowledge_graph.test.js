@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const KnowledgeGraph = require('../src/utilities/knowledge_graph');
+
+function createGraph() {
+    const graph = new KnowledgeGraph();
+    graph.entities = {};
+    graph.relationships = [];
+    graph.addEntity({
+        id: 'a',
+        name: 'A',
+        entityType: 'Contact',
+        observations: [{ type: 'contact_details', emails: ['a@x.com'] }]
+    }, { at: '2026-01-01T00:00:00Z' });
+    return graph;
+}
+
+test('history records versioned fields only', () => {
+    const graph = createGraph();
+
+    graph.updateEntityObservation('a', 'communication_history', {
+        monthly: [{ month: '2026-01', sent: 1, received: 2 }],
+        trend: 'stable',
+        updatedAt: '2026-02-01T00:00:00Z'
+    }, { at: '2026-02-01T00:00:00Z' });
+    graph.updateEntityObservation('a', 'communication_history', {
+        monthly: [{ month: '2026-01', sent: 1, received: 3 }],
+        trend: 'stable',
+        updatedAt: '2026-03-01T00:00:00Z'
+    }, { at: '2026-03-01T00:00:00Z' });
+    graph.updateEntityObservation('a', 'communication_metrics', {
+        emailCount: 4,
+        analysisAttemptedAt: '2026-03-01T00:00:00Z'
+    }, { at: '2026-03-01T00:00:00Z' });
+
+    assert.deepEqual(graph.getObservationHistory('a').map(change => change.changes), [
+        { trend: { to: 'stable' } },
+        { emailCount: { to: 4 } }
+    ]);
+});
+
+test('history keeps the most recent changes per entity', () => {
+    const graph = createGraph();
+
+    for (let score = 1; score <= 250; score++) {
+        graph.updateEntityObservation('a', 'importance_metrics', { calculatedScore: score });
+    }
+
+    const history = graph.getObservationHistory('a');
+    assert.equal(history.length, 200);
+    assert.deepEqual(history[history.length - 1].changes.calculatedScore, { from: 249, to: 250 });
+});
+
+test('asOf undoes later changes', () => {
+    const graph = createGraph();
+
+    graph.updateEntityObservation('a', 'importance_metrics', { calculatedScore: 40 }, { at: '2026-02-01T00:00:00Z' });
+    graph.updateEntityObservation('a', 'importance_metrics', { calculatedScore: 55 }, { at: '2026-04-01T00:00:00Z' });
+
+    const before = graph.asOf('2026-03-01T00:00:00Z');
+    const metrics = before.entities.a.observations.find(obs => obs.type === 'importance_metrics');
+    assert.equal(metrics.calculatedScore, 40);
+    assert.equal(graph.asOf('2026-01-15T00:00:00Z').entities.a.observations.length, 1);
+});
@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FixtureProvider = require('../src/utilities/mail_providers/fixture_provider');
+const { normalizeThread } = require('../src/utilities/mail_providers/mail_provider');
+const KnowledgeGraph = require('../src/utilities/knowledge_graph');
+const mailAnalysis = require('../src/utilities/mail_analysis');
+const { loadUserConfig } = require('../src/utilities/user_config');
+
+// Loaded as the shared configuration, which code without a config argument reads
+const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mail-analysis-')), 'user_config.json');
+fs.writeFileSync(configPath, JSON.stringify({
+    accounts: [{ id: 'me', address: 'me@example.com', provider: 'desktop' }]
+}));
+const config = loadUserConfig(configPath);
+
+test('normalizes Gmail API threads', () => {
+    const thread = normalizeThread({
+        id: 't1',
+        historyId: 42,
+        messages: [{
+            id: 'm1',
+            internalDate: String(Date.parse('2025-01-06T10:00:00Z')),
+            payload: {
+                mimeType: 'text/plain',
+                headers: [
+                    { name: 'From', value: 'Ada <ada@example.net>' },
+                    { name: 'To', value: 'me@example.com' },
+                    { name: 'Subject', value: 'Hello' }
+                ],
+                body: { data: Buffer.from('Hi there').toString('base64url') }
+            }
+        }]
+    });
+
+    assert.equal(thread.historyId, '42');
+    assert.equal(thread.messages[0].from, 'Ada <ada@example.net>');
+    assert.equal(thread.messages[0].subject, 'Hello');
+    assert.equal(thread.messages[0].date, '2025-01-06T10:00:00.000Z');
+    assert.equal(thread.messages[0].textBody, 'Hi there');
+});
+
+test('counts the messages exchanged with a contact and the response times', async () => {
+    const provider = new FixtureProvider([
+        {
+            id: 't1',
+            messages: [
+                { id: 'm1', from: 'Ada <ada@example.net>', to: 'me@example.com', date: '2025-01-06T10:00:00Z' },
+                { id: 'm2', from: 'me@example.com', to: 'ada@example.net', date: '2025-01-06T12:00:00Z' },
+                { id: 'm3', from: 'ada@example.net', to: 'me@example.com', date: '2025-01-06T15:00:00Z' }
+            ]
+        },
+        { id: 't2', messages: [{ id: 'm4', from: 'me@example.com', to: 'ada@example.net', date: '2025-02-01T09:00:00Z' }] },
+        { id: 't3', messages: [{ id: 'm5', from: 'bob@example.net', to: 'me@example.com', date: '2025-02-02T09:00:00Z' }] }
+    ]);
+
+    const metrics = await mailAnalysis.analyzeContactEmails(provider, 'ada@example.net');
+
+    assert.equal(metrics.totalEmails, 4);
+    assert.equal(metrics.emailsReceived, 2);
+    assert.equal(metrics.emailsSent, 2);
+    assert.deepEqual(metrics.threadDepths.sort(), [1, 3]);
+    assert.deepEqual(metrics.responseTimes.fromUser, [2]);
+    assert.deepEqual(metrics.responseTimes.fromContact, [3]);
+    assert.equal(metrics.lastContactDate, '2025-02-01T09:00:00.000Z');
+});
+
+test('limits searches to the date window and flags truncated results', async () => {
+    const searches = [];
+    const provider = {
+        searchThreads: async (query, options) => {
+            searches.push({ query, options });
+            return { threads: [], truncated: query.startsWith('from:ada') };
+        },
+        getThread: async () => null
+    };
+
+    const metrics = await mailAnalysis.analyzeContactEmails(provider, 'ada@example.net', {
+        config: { userEmails: ['me@example.com'] },
+        after: '2025/01/01',
+        before: new Date('2025-02-01T00:00:00Z'),
+        maxResults: 50
+    });
+
+    assert.deepEqual(searches.map(s => s.query), [
+        'from:ada@example.net after:2025/01/01 before:1738368000',
+        '(from:me@example.com) to:ada@example.net after:2025/01/01 before:1738368000'
+    ]);
+    assert.equal(searches[0].options.maxResults, 50);
+    assert.equal(metrics.truncated, true);
+    assert.equal(metrics.dateWindow.before, '2025-02-01T00:00:00.000Z');
+});
+
+test('puts each message in the direct, group or cc tier and records who started the thread', () => {
+    const at = minutes => Date.parse('2025-01-06T10:00:00Z') + minutes * 60e3;
+    const thread = {
+        id: 't1',
+        messages: [
+            { id: 'm1', from: 'ada@example.net', to: 'me@example.com', timestamp: at(0), headers: {} },
+            { id: 'm2', from: 'me@example.com', to: 'ada@example.net, bob@example.net', timestamp: at(1), headers: {} },
+            { id: 'm3', from: 'bob@example.net', to: 'me@example.com', cc: 'ada@example.net', timestamp: at(2), headers: {} },
+            { id: 'm4', from: 'bob@example.net', to: 'me@example.com', timestamp: at(3), headers: {} }
+        ]
+    };
+
+    const metrics = mailAnalysis.analyzeThread(thread, 'ada@example.net', config);
+
+    assert.deepEqual(metrics.interactions, { direct: 1, group: 1, cc: 1 });
+    assert.equal(metrics.initiatedBy, 'contact');
+});
+
+test('scores a contact who is only copied lower than one written to directly', () => {
+    const graph = new KnowledgeGraph();
+    const lastContacted = new Date().toISOString();
+    ['direct', 'cc'].forEach(tier => {
+        graph.addEntity({
+            id: tier,
+            name: tier,
+            entityType: 'Contact',
+            observations: [
+                { type: 'communication_metrics', emailCount: 20, lastContacted, responseRate: 0, meetingCount: 0 },
+                { type: 'communication_patterns', interactionTiers: { direct: 0, group: 0, cc: 0, initiatedByContact: 0, [tier]: 20 } },
+                { type: 'importance_metrics', manualPriority: 0, calculatedScore: 0 }
+            ]
+        });
+    });
+
+    graph.calculateImportanceScores();
+
+    const score = id => graph.entities[id].observations.find(obs => obs.type === 'importance_metrics').calculatedScore;
+    assert.ok(score('direct') > score('cc'), `${score('direct')} > ${score('cc')}`);
+});
+
+test('measures who starts conversations and who is left unanswered', async () => {
+    const provider = new FixtureProvider([
+        {
+            id: 't1',
+            messages: [
+                { id: 'm1', from: 'ada@example.net', to: 'me@example.com', date: '2025-01-06T10:00:00Z' },
+                { id: 'm2', from: 'me@example.com', to: 'ada@example.net', date: '2025-01-06T12:00:00Z' }
+            ]
+        },
+        {
+            id: 't2',
+            messages: [
+                { id: 'm3', from: 'me@example.com', to: 'ada@example.net', date: '2025-01-10T09:00:00Z' },
+                { id: 'm4', from: 'me@example.com', to: 'ada@example.net', date: '2025-01-17T09:00:00Z' }
+            ]
+        }
+    ]);
+
+    const metrics = await mailAnalysis.analyzeContactEmails(provider, 'ada@example.net');
+    const reciprocity = mailAnalysis.calculateReciprocity(metrics);
+
+    assert.equal(reciprocity.contactInitiationShare, 0.5);
+    assert.equal(reciprocity.contactReplyRatio, 0);
+    assert.equal(reciprocity.userReplyRatio, 1);
+    assert.equal(reciprocity.longestUnansweredByContact, 3);
+    assert.equal(reciprocity.longestUnansweredByUser, 1);
+    assert.equal(reciprocity.reciprocityScore, 0.44);
+});
+
+function createGraph() {
+    const graph = new KnowledgeGraph();
+    graph.entities = {};
+    graph.relationships = [];
+    graph.addEntity({ id: 'a', name: 'A', entityType: 'Contact', observations: [{ type: 'contact_details', emails: ['a@x.com'] }] });
+    return graph;
+}
+
+function getMetrics(graph) {
+    return graph.entities.a.observations.find(obs => obs.type === 'communication_metrics');
+}
+
+test('a rejected metrics write marks the contact incomplete', () => {
+    const graph = createGraph();
+    const metrics = { ...mailAnalysis.createEmptyMetrics(), totalEmails: 1, lastContactDate: 'yesterday' };
+
+    assert.equal(mailAnalysis.updateContactWithEmailMetrics(graph, 'a', metrics, config), false);
+    assert.equal(getMetrics(graph).analysisStatus, 'incomplete');
+});
+
+test('contacts whose metrics cannot be written are reported as incomplete', async () => {
+    const graph = createGraph();
+    graph.updateEntityObservation = (id, type, data, options) => {
+        if (type === 'reciprocity') throw new Error('rejected');
+        return KnowledgeGraph.prototype.updateEntityObservation.call(graph, id, type, data, options);
+    };
+    const provider = new FixtureProvider([
+        { id: 't1', messages: [{ id: 'm1', from: 'a@x.com', to: 'me@example.com', date: '2025-01-06T10:00:00Z' }] }
+    ]);
+
+    const results = await mailAnalysis.analyzeAndUpdateContactImportance(provider, graph, ['a@x.com'], { config });
+
+    assert.equal(results.updated, 0);
+    assert.deepEqual(results.incomplete, ['a@x.com']);
+    assert.equal(getMetrics(graph).analysisStatus, 'incomplete');
+});
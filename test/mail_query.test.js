@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileQuery, threadMatchesQuery } = require('../src/utilities/mail_query');
+
+const now = Date.parse('2025-06-01T00:00:00Z');
+const daysAgo = days => now - days * 24 * 3600e3;
+
+const message = {
+    from: 'Jane Doe <jane@acme.io>',
+    to: 'me@example.com',
+    cc: 'bob@x.com',
+    subject: 'Quarterly planning',
+    textBody: 'Agenda for the offsite',
+    timestamp: daysAgo(10),
+    parts: [{ mimeType: 'text/calendar', filename: 'invite.ics' }]
+};
+
+const matches = query => compileQuery(query, { now })(message);
+
+test('matches header operators', () => {
+    assert.equal(matches('from:jane@acme.io'), true);
+    assert.equal(matches('from:bob@x.com'), false);
+    assert.equal(matches('cc:bob@x.com'), true);
+    assert.equal(matches('subject:"quarterly planning"'), true);
+    assert.equal(matches('filename:ics'), true);
+});
+
+test('to: also matches cc recipients, like Gmail', () => {
+    assert.equal(matches('to:bob@x.com'), true);
+});
+
+test('bare words and phrases search headers and body', () => {
+    assert.equal(matches('offsite'), true);
+    assert.equal(matches('"agenda for"'), true);
+    assert.equal(matches('budget'), false);
+});
+
+test('OR binds tighter than the implicit AND', () => {
+    assert.equal(matches('from:bob@x.com OR from:jane@acme.io subject:planning'), true);
+    assert.equal(matches('from:bob@x.com OR from:jane@acme.io subject:budget'), false);
+});
+
+test('negation and parentheses', () => {
+    assert.equal(matches('-from:jane@acme.io'), false);
+    assert.equal(matches('(from:bob@x.com OR to:me@example.com) -subject:budget'), true);
+});
+
+test('date operators', () => {
+    assert.equal(matches('newer_than:30d'), true);
+    assert.equal(matches('older_than:30d'), false);
+    assert.equal(matches(`after:${Math.floor(daysAgo(20) / 1000)}`), true);
+    assert.equal(matches('before:2025/01/01'), false);
+});
+
+test('unknown operators match everything', () => {
+    assert.equal(matches('in:inbox label:work'), true);
+});
+
+test('a thread matches when any of its messages does', () => {
+    const thread = { messages: [message, { ...message, from: 'bob@x.com', subject: 'Re: budget' }] };
+    assert.equal(threadMatchesQuery(thread, 'subject:budget'), true);
+    assert.equal(threadMatchesQuery(thread, 'from:carl@c.com'), false);
+});
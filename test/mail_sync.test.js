@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FixtureProvider = require('../src/utilities/mail_providers/fixture_provider');
+const KnowledgeGraph = require('../src/utilities/knowledge_graph');
+const mailAnalysis = require('../src/utilities/mail_analysis');
+const { syncContacts } = require('../src/utilities/mail_sync');
+const { loadUserConfig, resolveUserConfig } = require('../src/utilities/user_config');
+
+// Loaded as the shared configuration, which code without a config argument reads
+const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mail-sync-')), 'user_config.json');
+fs.writeFileSync(configPath, JSON.stringify({
+    accounts: [{ id: 'me', address: 'me@example.com', provider: 'desktop' }]
+}));
+const config = loadUserConfig(configPath);
+
+const hoursAgo = hours => new Date(Date.now() - hours * 3600e3).toISOString();
+
+function thread(id, messages) {
+    return {
+        id,
+        messages: messages.map(([from, to, hours], index) => ({ id: `${id}-${index}`, from, to, date: hoursAgo(hours) }))
+    };
+}
+
+function createGraph(contacts) {
+    const graph = new KnowledgeGraph();
+    graph.entities = {};
+    graph.relationships = [];
+    Object.entries(contacts).forEach(([id, emails]) => {
+        graph.addEntity({ id, name: id, entityType: 'Contact', observations: [{ type: 'contact_details', emails }] });
+    });
+    return graph;
+}
+
+function getMetrics(graph, id) {
+    return graph.entities[id].observations.find(obs => obs.type === 'communication_metrics');
+}
+
+function tempStatePath() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mail-sync-')), 'sync_state.json');
+}
+
+test('searches a dotted Gmail address as stored, not in canonical form', async () => {
+    const provider = new FixtureProvider([
+        thread('t1', [['John Smith <john.smith@gmail.com>', 'me@example.com', 50], ['me@example.com', 'john.smith@gmail.com', 40]])
+    ]);
+    const graph = createGraph({ john: ['john.smith@gmail.com'] });
+
+    assert.deepEqual(Object.keys(graph.getEmailMapping()), ['johnsmith@gmail.com']);
+
+    const addresses = mailAnalysis.getSearchAddresses(graph);
+    await syncContacts(provider, graph, [...addresses.values()], { config, statePath: tempStatePath() });
+
+    assert.equal(getMetrics(graph, 'john').emailCount, 2);
+});
+
+test('an incremental sync only re-analyzes changed threads and drops deleted ones', async () => {
+    const provider = new FixtureProvider([
+        thread('t1', [['a@x.com', 'me@example.com', 50], ['me@example.com', 'a@x.com', 40]]),
+        thread('t2', [['b@x.com', 'me@example.com', 30]])
+    ]);
+    const graph = createGraph({ a: ['a@x.com'], b: ['b@x.com'] });
+    const options = { config, statePath: tempStatePath() };
+
+    let results = await syncContacts(provider, graph, ['a@x.com', 'b@x.com'], options);
+    assert.equal(results.mode, 'full');
+    assert.equal(getMetrics(graph, 'a').emailCount, 2);
+
+    results = await syncContacts(provider, graph, ['a@x.com', 'b@x.com'], options);
+    assert.equal(results.mode, 'incremental');
+    assert.equal(results.changedThreads, 0);
+    assert.equal(results.updatedContacts, 0);
+
+    provider.addThread(thread('t2', [['b@x.com', 'me@example.com', 30], ['me@example.com', 'b@x.com', 2]]));
+    provider.removeThread('t1');
+    results = await syncContacts(provider, graph, ['a@x.com', 'b@x.com'], options);
+
+    assert.equal(results.changedThreads, 2);
+    assert.equal(getMetrics(graph, 'a').emailCount, 0);
+    assert.equal(getMetrics(graph, 'b').emailCount, 2);
+});
+
+test('a message delivered to two of the user\'s accounts counts once', async () => {
+    const twoAccounts = resolveUserConfig({
+        accounts: [
+            { id: 'home', address: 'me@example.com', provider: 'desktop' },
+            { id: 'work', address: 'me@work.example', provider: 'desktop' }
+        ]
+    });
+    const message = (id, from, to, hours) => ({ id, from, to, date: hoursAgo(hours), headers: { 'message-id': `<${id}@mail>` } });
+    const home = new FixtureProvider([
+        { id: 'h1', messages: [message('m1', 'a@x.com', 'me@example.com, me@work.example', 50), message('m2', 'me@example.com', 'a@x.com', 40)] }
+    ], { account: 'me@example.com' });
+    const work = new FixtureProvider([
+        { id: 'w1', messages: [message('m1', 'a@x.com', 'me@example.com, me@work.example', 50)] },
+        { id: 'w2', messages: [message('m3', 'a@x.com', 'me@work.example', 10)] }
+    ], { account: 'me@work.example' });
+    const graph = createGraph({ a: ['a@x.com'] });
+    const options = { config: twoAccounts, statePath: tempStatePath() };
+
+    await syncContacts(home, graph, ['a@x.com'], options);
+    await syncContacts(work, graph, ['a@x.com'], options);
+
+    assert.equal(getMetrics(graph, 'a').emailCount, 3);
+});
+
+test('an incremental sync leaves contacts without changed threads untouched', async () => {
+    const provider = new FixtureProvider([
+        thread('t1', [['a@x.com', 'me@example.com', 50]]),
+        thread('t2', [['b@x.com', 'me@example.com', 30]])
+    ]);
+    const graph = createGraph({ a: ['a@x.com'], b: ['b@x.com'] });
+    const options = { config, statePath: tempStatePath() };
+    await syncContacts(provider, graph, ['a@x.com', 'b@x.com'], options);
+
+    // As if b's trend was last computed in an earlier month
+    const history = graph.entities.b.observations.find(obs => obs.type === 'communication_history');
+    history.trend = 'stable';
+
+    const snapshot = id => JSON.stringify({ observations: graph.entities[id].observations, history: graph.getObservationHistory(id) });
+    const before = snapshot('b');
+
+    provider.addThread(thread('t1', [['a@x.com', 'me@example.com', 50], ['me@example.com', 'a@x.com', 2]]));
+    const results = await syncContacts(provider, graph, ['a@x.com', 'b@x.com'], options);
+
+    assert.equal(results.updatedContacts, 1);
+    assert.equal(getMetrics(graph, 'a').emailCount, 2);
+    assert.equal(snapshot('b'), before);
+});
+
+test('searches every address of a contact', async () => {
+    const provider = new FixtureProvider([
+        thread('t1', [['a@work.com', 'me@example.com', 50], ['me@example.com', 'a@work.com', 40]]),
+        thread('t2', [['a@home.com', 'me@example.com', 30]])
+    ]);
+    const graph = createGraph({ a: ['a@work.com', 'a@home.com'] });
+
+    const addresses = mailAnalysis.getSearchAddresses(graph);
+    assert.deepEqual(addresses.get('a'), ['a@work.com', 'a@home.com']);
+
+    await syncContacts(provider, graph, [...addresses.values()], { config, statePath: tempStatePath() });
+    assert.equal(getMetrics(graph, 'a').emailCount, 3);
+});
+
+test('an incremental sync searches a contact again when it gains an address', async () => {
+    const provider = new FixtureProvider([
+        thread('t1', [['a@work.com', 'me@example.com', 50]]),
+        thread('t2', [['a@home.com', 'me@example.com', 30]])
+    ]);
+    const graph = createGraph({ a: ['a@work.com'] });
+    const options = { config, statePath: tempStatePath() };
+
+    await syncContacts(provider, graph, [...mailAnalysis.getSearchAddresses(graph).values()], options);
+    assert.equal(getMetrics(graph, 'a').emailCount, 1);
+
+    graph.entities.a.observations[0].emails.push('a@home.com');
+    graph.reindex();
+    await syncContacts(provider, graph, [...mailAnalysis.getSearchAddresses(graph).values()], options);
+    assert.equal(getMetrics(graph, 'a').emailCount, 2);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FixtureProvider = require('../src/utilities/mail_providers/fixture_provider');
+const KnowledgeGraph = require('../src/utilities/knowledge_graph');
+const { findThreadParticipants, scanMailbox, scanAndUpdateContacts } = require('../src/utilities/mailbox_scan');
+const { resolveUserConfig } = require('../src/utilities/user_config');
+
+const config = resolveUserConfig({
+    accounts: [{ id: 'me', address: 'me@example.com', provider: 'desktop' }]
+});
+
+// Jane writes from her work address and later from her personal one
+const thread = {
+    id: 't1',
+    messages: [
+        { id: 'm1', from: 'Jane Doe <jane@acme.io>', to: 'me@example.com', date: '2025-01-06T10:00:00Z' },
+        { id: 'm2', from: 'me@example.com', to: 'jane@acme.io', date: '2025-01-06T11:00:00Z' },
+        { id: 'm3', from: 'Jane Doe <jane.doe@gmail.com>', to: 'me@example.com', cc: 'bob@x.com', date: '2025-01-07T09:00:00Z' }
+    ]
+};
+const emailMapping = { 'jane@acme.io': 'jane', 'janedoe@gmail.com': 'jane', 'bob@x.com': 'bob' };
+
+test('finds every address a contact used in a thread', () => {
+    const participants = findThreadParticipants(thread, emailMapping, ['me@example.com'], config);
+    
+    assert.deepEqual([...participants], [['jane', ['jane@acme.io', 'janedoe@gmail.com']], ['bob', ['bob@x.com']]]);
+});
+
+test('counts the messages from all of a contact\'s addresses', async () => {
+    const scan = await scanMailbox(new FixtureProvider([thread]), emailMapping, { config });
+    const jane = scan.metricsByContact.get('jane');
+    
+    assert.equal(jane.emailsReceived, 2);
+    assert.equal(jane.emailsSent, 1);
+    assert.deepEqual(jane.interactions, { direct: 2, group: 1, cc: 0 });
+    assert.deepEqual(jane.responseTimes.fromContact, [22]);
+    assert.deepEqual(scan.metricsByContact.get('bob').interactions, { direct: 0, group: 0, cc: 1 });
+});
+
+test('contacts whose metrics cannot be written are not counted as updated', async () => {
+    const graph = new KnowledgeGraph();
+    graph.entities = {};
+    graph.relationships = [];
+    ['jane', 'bob'].forEach(id => graph.addEntity({ id, name: id, entityType: 'Contact', observations: [] }));
+    graph.updateEntityObservation = (id, type, data, options) => {
+        if (id === 'jane' && type === 'reciprocity') throw new Error('rejected');
+        return KnowledgeGraph.prototype.updateEntityObservation.call(graph, id, type, data, options);
+    };
+
+    const results = await scanAndUpdateContacts(new FixtureProvider([thread]), graph, emailMapping, { config });
+
+    assert.equal(results.updatedContacts, 1);
+    assert.deepEqual(results.incomplete, ['jane']);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyMessage } = require('../src/utilities/message_classifier');
+const mailAnalysis = require('../src/utilities/mail_analysis');
+const { resolveUserConfig } = require('../src/utilities/user_config');
+
+const config = resolveUserConfig({
+    accounts: [{ id: 'me', address: 'me@example.com', provider: 'desktop' }]
+});
+
+test('classifies machine-generated mail by its headers, sender and subject', () => {
+    const classify = message => classifyMessage({ from: 'ada@example.net', subject: 'Hello', headers: {}, ...message }).category;
+
+    assert.equal(classify({}), null);
+    assert.equal(classify({ headers: { 'auto-submitted': 'auto-replied' } }), 'auto_reply');
+    assert.equal(classify({ subject: 'Out of Office: back Monday' }), 'auto_reply');
+    assert.equal(classify({ parts: [{ mimeType: 'text/calendar', filename: '' }] }), 'calendar');
+    assert.equal(classify({ from: 'GitHub <noreply@github.com>' }), 'notification');
+    assert.equal(classify({ headers: { 'list-id': '<dev.lists.example.net>' } }), 'mailing_list');
+    assert.equal(classify({ headers: { precedence: 'bulk' } }), 'bulk');
+});
+
+test('leaves automated messages out of thread metrics and response times', () => {
+    const thread = {
+        id: 't1',
+        messages: [
+            { id: 'm1', from: 'me@example.com', to: 'ada@example.net', timestamp: Date.parse('2025-01-06T10:00:00Z'), headers: {} },
+            { id: 'm2', from: 'ada@example.net', to: 'me@example.com', subject: 'Automatic reply: Hello', timestamp: Date.parse('2025-01-06T10:01:00Z'), headers: {} },
+            { id: 'm3', from: 'ada@example.net', to: 'me@example.com', timestamp: Date.parse('2025-01-06T14:00:00Z'), headers: {} }
+        ]
+    };
+
+    const metrics = mailAnalysis.analyzeThread(thread, 'ada@example.net', config);
+
+    assert.equal(metrics.messageCount, 2);
+    assert.equal(metrics.fromContact, 1);
+    assert.deepEqual(metrics.filtered, { auto_reply: 1 });
+    assert.deepEqual(metrics.contactResponseTimes, [4]);
+});
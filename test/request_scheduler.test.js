@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RequestScheduler, isRetryableError } = require('../src/utilities/request_scheduler');
+
+function httpError(status, reason) {
+    const error = new Error(`HTTP ${status}`);
+    error.response = { status, headers: {}, data: { error: { errors: reason ? [{ reason }] : [] } } };
+    return error;
+}
+
+test('classifies rate limits, server errors and network resets as retryable', () => {
+    assert.equal(isRetryableError(httpError(429)), true);
+    assert.equal(isRetryableError(httpError(503)), true);
+    assert.equal(isRetryableError(httpError(403, 'userRateLimitExceeded')), true);
+    assert.equal(isRetryableError(httpError(403, 'insufficientPermissions')), false);
+    assert.equal(isRetryableError(httpError(404)), false);
+    assert.equal(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+});
+
+test('retries failed requests and counts them in the quota report', async () => {
+    const scheduler = new RequestScheduler({ requestsPerSecond: 1000, baseDelayMs: 1 });
+    let calls = 0;
+
+    const result = await scheduler.schedule('threads.get', async () => {
+        calls++;
+        if (calls < 3) throw httpError(429);
+        return 'ok';
+    });
+
+    assert.equal(result, 'ok');
+    assert.deepEqual(scheduler.getReport().operations['threads.get'], { requests: 3, retries: 2, failures: 0, quotaUnits: 30 });
+});
+
+test('gives up on errors that are not retryable', async () => {
+    const scheduler = new RequestScheduler({ requestsPerSecond: 1000, baseDelayMs: 1 });
+
+    await assert.rejects(scheduler.schedule('threads.list', async () => { throw httpError(404); }), /HTTP 404/);
+    assert.equal(scheduler.getReport().totals.failures, 1);
+    assert.equal(scheduler.getReport().totals.retries, 0);
+});
+
+test('never runs more requests at once than its concurrency', async () => {
+    const scheduler = new RequestScheduler({ concurrency: 2, requestsPerSecond: 1000 });
+    let active = 0;
+    let peak = 0;
+
+    await Promise.all(Array.from({ length: 6 }, () => scheduler.schedule('threads.get', async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+    })));
+
+    assert.equal(peak, 2);
+    assert.equal(scheduler.getReport().totals.requests, 6);
+});
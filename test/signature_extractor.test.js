@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FixtureProvider = require('../src/utilities/mail_providers/fixture_provider');
+const KnowledgeGraph = require('../src/utilities/knowledge_graph');
+const signatureExtractor = require('../src/utilities/signature_extractor');
+const { resolveUserConfig } = require('../src/utilities/user_config');
+
+const config = resolveUserConfig({
+    accounts: [{ id: 'me', address: 'me@example.com', provider: 'desktop' }]
+});
+
+const SIGNATURE = [
+    'Ada Lovelace',
+    'Chief Scientist at Analytical Engines Inc.',
+    'Mobile: +44 20 7946 0958 | www.analytical.example.com'
+].join('\n');
+
+test('finds the signature below a sign-off and leaves out the quoted reply', () => {
+    const block = signatureExtractor.findSignatureBlock([
+        'Thursday works for me.',
+        '',
+        'Best,',
+        SIGNATURE,
+        '',
+        'Sent from my phone',
+        '',
+        'On Mon, Jan 6, 2025 at 10:00 AM Me <me@example.com> wrote:',
+        '> Does Thursday work?'
+    ].join('\n'));
+
+    assert.equal(block.method, 'sign_off');
+    assert.deepEqual(block.lines, SIGNATURE.split('\n'));
+});
+
+test('reads the title, organization, phone and web site of a signature', () => {
+    const parsed = signatureExtractor.parseSignature(SIGNATURE.split('\n'), { name: 'Ada Lovelace', email: 'ada@analytical.example.com' });
+
+    assert.equal(parsed.title.value, 'Chief Scientist');
+    assert.equal(parsed.organization.value, 'Analytical Engines Inc.');
+    assert.deepEqual(parsed.phones.map(phone => phone.value), ['+44 20 7946 0958']);
+    assert.deepEqual(parsed.urls.map(url => url.value), ['www.analytical.example.com']);
+});
+
+test('proposes only details that differ from the contact and applies accepted ones with their source', async () => {
+    const provider = new FixtureProvider([
+        {
+            id: 't1',
+            messages: [
+                { id: 'm1', from: 'Ada Lovelace <ada@analytical.example.com>', to: 'me@example.com', date: '2025-01-06T10:00:00Z', body: `Hi,\n\nSee you then.\n\n--\n${SIGNATURE}` },
+                { id: 'm2', from: 'Ada Lovelace <ada@analytical.example.com>', to: 'me@example.com', date: '2025-01-08T10:00:00Z', body: `Thanks!\n\n--\n${SIGNATURE}` }
+            ]
+        }
+    ]);
+    const graph = new KnowledgeGraph();
+    graph.addEntity({
+        id: 'ada',
+        name: 'Ada Lovelace',
+        entityType: 'Contact',
+        observations: [{ type: 'contact_details', emails: ['ada@analytical.example.com'], phones: ['020 7946 0958'], organization: { name: 'Analytical Engines Inc.', title: '' } }]
+    });
+
+    const extraction = await signatureExtractor.extractContactSignature(provider, 'ada@analytical.example.com', { name: 'Ada Lovelace', config });
+    assert.equal(extraction.signaturesFound, 2);
+    assert.equal(extraction.fields.title.seenIn, 2);
+    assert.equal(extraction.fields.title.source.messageId, 'm2');
+
+    const proposals = signatureExtractor.buildDetailProposals(graph.entities.ada, extraction);
+    assert.deepEqual(proposals.map(proposal => [proposal.field, proposal.value]), [
+        ['title', 'Chief Scientist'],
+        ['urls', 'www.analytical.example.com']
+    ]);
+
+    assert.equal(signatureExtractor.applyDetailProposal(graph, proposals[0]), true);
+    const details = graph.entities.ada.observations.find(obs => obs.type === 'contact_details');
+    assert.deepEqual(details.organization, { name: 'Analytical Engines Inc.', title: 'Chief Scientist' });
+    assert.equal(details.sources.title.messageId, 'm2');
+    assert.equal(details.sources.title.origin, 'email_signature');
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqliteAdapter = require('../src/utilities/storage/sqlite_adapter');
+
+// better-sqlite3 is optional; without it these tests are skipped
+let skip = false;
+try {
+    require.resolve('better-sqlite3');
+} catch (error) {
+    skip = 'better-sqlite3 is not installed';
+}
+
+function tempDatabasePath() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-adapter-')), 'kg.db');
+}
+
+const contact = (id, name) => ({ id, name, entityType: 'Contact', observations: [{ type: 'contact_details', emails: [`${id}@x.com`] }] });
+
+test('refuses to save over a save made by another run', { skip }, async () => {
+    const databasePath = tempDatabasePath();
+    const setup = new SqliteAdapter(databasePath);
+    await assert.rejects(setup.load(), { code: 'ENOENT' });
+    await setup.save({ entities: { a: contact('a', 'A') }, relationships: [] });
+    await setup.close();
+
+    const first = new SqliteAdapter(databasePath);
+    const second = new SqliteAdapter(databasePath);
+    const graph = await first.load();
+    await second.load();
+
+    graph.entities.a.name = 'First';
+    await first.save(graph);
+    await assert.rejects(
+        second.save({ entities: { a: contact('a', 'Second') }, relationships: [] }),
+        /was saved by another run \(generation 2, loaded 1\)/
+    );
+
+    const reloaded = await second.load();
+    assert.equal(reloaded.entities.a.name, 'First');
+    await second.save(reloaded);
+    await assert.rejects(first.save(graph), /was saved by another run/);
+
+    await first.close();
+    await second.close();
+});
+
+test('a run that never loaded the graph cannot save over one that exists', { skip }, async () => {
+    const databasePath = tempDatabasePath();
+    const existing = new SqliteAdapter(databasePath);
+    await assert.rejects(existing.load(), { code: 'ENOENT' });
+
+    const other = new SqliteAdapter(databasePath);
+    await assert.rejects(other.load(), { code: 'ENOENT' });
+    await other.save({ entities: { a: contact('a', 'A') }, relationships: [] });
+
+    await assert.rejects(existing.save({ entities: {}, relationships: [] }), /was saved by another run/);
+    await existing.close();
+    await other.close();
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ThreadCache } = require('../src/utilities/thread_cache');
+const CachingMailProvider = require('../src/utilities/mail_providers/caching_provider');
+const FixtureProvider = require('../src/utilities/mail_providers/fixture_provider');
+
+const thread = {
+    id: 't1',
+    messages: [{ id: 'm1', from: 'a@x.com', to: 'me@example.com', date: '2025-01-06T10:00:00Z', subject: 'Hi' }]
+};
+
+function createCache() {
+    return new ThreadCache({ directory: fs.mkdtempSync(path.join(os.tmpdir(), 'thread-cache-')) });
+}
+
+test('concurrent puts of the same thread both succeed', async () => {
+    const cache = createCache();
+    const provider = new FixtureProvider([thread]);
+    const stored = await provider.getThread('t1');
+    
+    await Promise.all([cache.put(stored), cache.put(stored), cache.put(stored)]);
+    
+    assert.deepEqual((await cache.get('t1', { anyVersion: true })).messages, stored.messages);
+    assert.deepEqual(fs.readdirSync(cache.directory, { recursive: true }).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('concurrent requests for a thread share one fetch', async () => {
+    const provider = new FixtureProvider([thread]);
+    let fetches = 0;
+    const getThread = provider.getThread.bind(provider);
+    provider.getThread = threadId => {
+        fetches++;
+        return getThread(threadId);
+    };
+    const caching = new CachingMailProvider(provider, createCache());
+    
+    const threads = await Promise.all([caching.getThread('t1'), caching.getThread('t1')]);
+    
+    assert.equal(fetches, 1);
+    assert.deepEqual(threads[0], threads[1]);
+    
+    // Later requests start a new lookup, served from the cache
+    await caching.getThread('t1');
+    assert.equal(fetches, 1);
+});
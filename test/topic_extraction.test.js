@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FixtureProvider = require('../src/utilities/mail_providers/fixture_provider');
+const KnowledgeGraph = require('../src/utilities/knowledge_graph');
+const topicExtraction = require('../src/utilities/topic_extraction');
+const { loadUserConfig } = require('../src/utilities/user_config');
+
+// Loaded as the shared configuration, which code without a config argument reads
+const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'topics-')), 'user_config.json');
+fs.writeFileSync(configPath, JSON.stringify({
+    accounts: [{ id: 'me', address: 'me@example.com', provider: 'desktop' }]
+}));
+const config = loadUserConfig(configPath);
+
+function thread(id, contact, subject, body, date) {
+    return {
+        id,
+        messages: [
+            { id: `${id}-1`, from: contact, to: 'me@example.com', subject, body, date },
+            { id: `${id}-2`, from: 'me@example.com', to: contact, subject: `Re: ${subject}`, body: `Sounds good.\n\nOn Monday ${contact} wrote:\n> ${body}`, date }
+        ]
+    };
+}
+
+test('splits text into words and two-word phrases without stopwords', () => {
+    assert.deepEqual(topicExtraction.extractTerms('Thanks for the steam engine drawings!'), [
+        'steam', 'engine', 'steam engine', 'drawings', 'engine drawings'
+    ]);
+});
+
+test('stores the phrases specific to each contact and their latest shared subject', async () => {
+    const provider = new FixtureProvider([
+        thread('t1', 'ada@example.net', 'Steam engine', 'The steam engine design is ready.', '2025-01-06T10:00:00Z'),
+        thread('t2', 'ada@example.net', 'Re: Steam engine gears', 'More steam engine gears to review.', '2025-02-06T10:00:00Z'),
+        thread('t3', 'bob@example.net', 'Garden party', 'Garden party on the lawn.', '2025-01-07T10:00:00Z'),
+        thread('t4', 'bob@example.net', 'Garden party food', 'Food for the garden party.', '2025-01-08T10:00:00Z')
+    ]);
+    const graph = new KnowledgeGraph();
+    graph.addEntity({ id: 'ada', name: 'Ada Lovelace', entityType: 'Contact', observations: [{ type: 'contact_details', emails: ['ada@example.net'] }] });
+    graph.addEntity({ id: 'bob', name: 'Bob', entityType: 'Contact', observations: [{ type: 'contact_details', emails: ['bob@example.net'] }] });
+
+    const result = await topicExtraction.extractTopics(provider, graph, { config });
+
+    assert.equal(result.contactsUpdated, 2);
+    const topics = graph.entities.ada.observations.find(obs => obs.type === 'topics');
+    assert.equal(topics.topics[0].term, 'steam engine');
+    assert.ok(!topics.topics.some(topic => topic.term.includes('garden')));
+    assert.equal(topics.lastSharedSubject, 'Steam engine gears');
+    assert.equal(topics.threadsAnalyzed, 2);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EXAMPLE_CONFIG_PATH, loadUserConfig, resolveUserConfig, validateUserConfig } = require('../src/utilities/user_config');
+
+const accounts = [{ id: 'me', address: 'me@example.com', provider: 'desktop' }];
+
+test('accepts a configuration that only lists accounts', () => {
+    assert.deepEqual(validateUserConfig(resolveUserConfig({ accounts })), []);
+});
+
+test('rejects unknown keys in the sections code reads by name', () => {
+    const errors = validateUserConfig(resolveUserConfig({
+        accounts,
+        timePeriods: { recent: 30, quarter: 90 },
+        weights: { frequncy: 0.2 },
+        tierWeights: { bcc: 0.1 },
+        messageWeights: { newsletter: 0 }
+    }));
+
+    assert.deepEqual(errors, [
+        'unknown setting "timePeriods.quarter"',
+        'unknown setting "weights.frequncy"',
+        'unknown setting "tierWeights.bcc"',
+        'unknown setting "messageWeights.newsletter"'
+    ]);
+});
+
+test('allows any domain in aliasDomains', () => {
+    const config = resolveUserConfig({ accounts, aliasDomains: { 'acme.co.uk': 'acme.com' } });
+    assert.deepEqual(validateUserConfig(config), []);
+});
+
+test('rejects out-of-range values', () => {
+    const errors = validateUserConfig(resolveUserConfig({ accounts, messageWeights: { bulk: 2 } }));
+    assert.deepEqual(errors, ['messageWeights.bulk must be a number from 0 to 1']);
+});
+
+test('archive accounts must list their mail exports', () => {
+    const archive = { id: 'takeout', address: 'me@example.com', provider: 'archive' };
+
+    assert.deepEqual(validateUserConfig(resolveUserConfig({ accounts: [{ ...archive, archivePaths: ['takeout/all.mbox'] }] })), []);
+    assert.deepEqual(validateUserConfig(resolveUserConfig({ accounts: [archive] })), [
+        'accounts[0].archivePaths must list the mbox files or directories of archive accounts'
+    ]);
+});
+
+test('the example configuration is valid', () => {
+    assert.equal(loadUserConfig(EXAMPLE_CONFIG_PATH).accounts.length, 1);
+});
+
+test('CONTACT_PROJECT_CONFIG names the default configuration file', () => {
+    const configPath = path.join(__dirname, 'elsewhere', 'user_config.json');
+    const { stdout } = spawnSync(process.execPath, ['-e', 'console.log(require("./src/utilities/user_config").CONFIG_PATH)'], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, CONTACT_PROJECT_CONFIG: configPath },
+        encoding: 'utf8'
+    });
+
+    assert.equal(stdout.trim(), configPath);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { workingHoursBetween, summarizeDurations } = require('../src/utilities/working_hours');
+const mailAnalysis = require('../src/utilities/mail_analysis');
+const { resolveUserConfig } = require('../src/utilities/user_config');
+
+const NEW_YORK = { timezone: 'America/New_York', workDays: [1, 2, 3, 4, 5], startHour: 9, endHour: 18, holidays: [] };
+
+test('counts only the hours inside the working day', () => {
+    // Friday 18:00 to Monday 10:00 UTC
+    assert.equal(workingHoursBetween(Date.parse('2025-01-10T18:00:00Z'), Date.parse('2025-01-13T10:00:00Z'), {}), 1);
+    assert.equal(workingHoursBetween(Date.parse('2025-01-13T10:00:00Z'), Date.parse('2025-01-10T18:00:00Z'), {}), 0);
+});
+
+test('uses the local working day of the schedule, across holidays and DST changes', () => {
+    // Friday 17:00 to Monday 10:00 in New York
+    const friday = Date.parse('2025-01-10T22:00:00Z');
+    const monday = Date.parse('2025-01-13T15:00:00Z');
+    const tuesday = Date.parse('2025-01-14T15:00:00Z');
+
+    assert.equal(workingHoursBetween(friday, monday, NEW_YORK), 2);
+    assert.equal(workingHoursBetween(friday, tuesday, NEW_YORK), 11);
+    assert.equal(workingHoursBetween(friday, tuesday, { ...NEW_YORK, holidays: ['2025-01-13'] }), 2);
+
+    // Clocks go forward on Sunday 9 March
+    assert.equal(workingHoursBetween(Date.parse('2025-03-07T22:00:00Z'), Date.parse('2025-03-10T14:00:00Z'), NEW_YORK), 2);
+});
+
+test('summarizes durations with the mean, median and 90th percentile', () => {
+    assert.deepEqual(summarizeDurations([10, 1, 3, 2, 4]), { mean: 4, median: 3, p90: 7.6 });
+    assert.deepEqual(summarizeDurations([]), { mean: 0, median: 0, p90: 0 });
+});
+
+test('records response times in the working hours of the person answering', () => {
+    const thread = {
+        id: 't1',
+        messages: [
+            { id: 'm1', from: 'me@example.com', to: 'ada@example.net', timestamp: Date.parse('2025-01-10T18:00:00Z'), headers: {} },
+            { id: 'm2', from: 'ada@example.net', to: 'me@example.com', timestamp: Date.parse('2025-01-13T10:00:00Z'), headers: {} }
+        ]
+    };
+    const config = resolveUserConfig({ accounts: [{ id: 'me', address: 'me@example.com', provider: 'desktop' }] });
+
+    const metrics = mailAnalysis.analyzeThread(thread, 'ada@example.net', config, { contactSchedule: { timezone: 'UTC' } });
+
+    assert.deepEqual(metrics.contactResponseTimes, [64]);
+    assert.deepEqual(metrics.contactResponseWorkingHours, [1]);
+});